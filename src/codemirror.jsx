@@ -18,6 +18,7 @@ import {
 
 import {
   EditorView,
+  Decoration,
   keymap,
   showPanel
 } from '@codemirror/view';
@@ -167,6 +168,16 @@ const stateReadOnlyEnd = StateField.define({
   }
 });
 
+// The position of the current prompt of a listener buffer (null for the other buffers).
+const setStatePromptStart = StateEffect.define();
+const statePromptStart = StateField.define({
+  create: () => null,
+  update: (value, transaction) => {
+    const setPromptStart = getEffectValue(transaction, setStatePromptStart); // undefined or new value
+    return setPromptStart !== undefined ? setPromptStart : value;
+  }
+});
+
 function getEffectValue(transaction, stateEffectType) {
   for (const effect of transaction.effects) {
     if (effect.is(stateEffectType)) {
@@ -287,7 +298,7 @@ function updateWindowAnchors(staleIde, staleWindow, staleBuffer, view) {
   });
 }
 
-export function createBufferTransaction(contents, readOnlyAll = false, readOnlyEnd = 0) {
+export function createBufferTransaction(contents, readOnlyAll = false, readOnlyEnd = 0, promptStart = null) {
   const extensions = [
     clearableHistory(),
     stateVersion,
@@ -296,6 +307,8 @@ export function createBufferTransaction(contents, readOnlyAll = false, readOnlyE
     stateReadOnlyAll.init(() => readOnlyAll),
     stateReadOnlyEnd,
     stateReadOnlyEnd.init(() => readOnlyEnd),
+    statePromptStart,
+    statePromptStart.init(() => promptStart),
     EditorState.transactionExtender.of(transaction => ({annotations: originatingWindowId.of(originatingWindowIdVar)}))
   ];
   const changes = {from: 0, insert: contents};
@@ -353,11 +366,14 @@ function createViewState(id, ide, window, buffer) {
     stateReadOnlyAll.init(() => bufferState.field(stateReadOnlyAll)),
     stateReadOnlyEnd,
     stateReadOnlyEnd.init(() => bufferState.field(stateReadOnlyEnd)),
+    statePromptStart,
+    statePromptStart.init(() => bufferState.field(statePromptStart)),
     stateWindowId,
     stateWindowId.init(() => window.id),
     //debugPanel()
   ];
   if (buffer instanceof FileBuffer) {
+    extensions.push(coverageDecorations.init(() => coverageDecorationSet(buffer.unifiedPathname, bufferState.doc)));
     const anchor = Math.min(window.anchors.get(buffer.id) || 0, bufferState.doc.length);
     return EditorState.create({doc: bufferState.doc, selection: {anchor: anchor}, extensions: extensions});
   } else if (buffer instanceof ListenerBuffer) {
@@ -403,7 +419,7 @@ function updateViewAndBuffer(staleIde, staleBuffer, transaction, view) {
 function rebaseTransaction(transaction, state) {
   const rebasingToOriginatingWindow = transaction.annotation(originatingWindowId) === state.field(stateWindowId, false);
   const changes = transaction.changes;
-  const effects = transaction.effects.filter(effect => effect.is(setStateReadOnlyAll) || effect.is(setStateReadOnlyEnd));
+  const effects = transaction.effects.filter(effect => effect.is(setStateReadOnlyAll) || effect.is(setStateReadOnlyEnd) || effect.is(setStatePromptStart));
   let selection = undefined;
   let scrollIntoView = false;
   switch (transaction.annotation(Transaction.userEvent)) {
@@ -458,7 +474,16 @@ function listenerEnter(staleIde, staleWindow, staleBuffer, view) {
   const docLength = state.doc.length;
   if (!state.field(stateReadOnlyAll) && state.selection.main.from === docLength && state.selection.main.to === docLength) {
     const text = state.sliceDoc(state.field(stateReadOnlyEnd));
-    evaluateFirstForm(text, response => addToListener(staleIde, staleWindow, staleBuffer, formatForListener(response)));
+    let outputLineOpen = null; // null as long as the evaluation has produced no output
+    evaluateFirstForm(
+      text,
+      response => addToListener(staleIde, staleWindow, staleBuffer, formatForListener(response), outputLineOpen),
+      output => {
+        const prefix = outputLineOpen === null ? '\n' : '';
+        outputLineOpen = !output.endsWith('\n');
+        appendOutputToListener(staleIde, staleBuffer, prefix + output);
+      }
+    );
     view.dispatch({effects: [setStateReadOnlyAll.of(true)]});
     return true;
   } else {
@@ -466,7 +491,7 @@ function listenerEnter(staleIde, staleWindow, staleBuffer, view) {
   }
 }
 
-function addToListener(staleIde, staleWindow, staleBuffer, text) {
+function addToListener(staleIde, staleWindow, staleBuffer, text, outputLineOpen = null) {
   staleIde.setBuffers(buffers => {
     const buffer = buffers.get(staleBuffer.id);
     const newBuffers = new Map(buffers);
@@ -480,10 +505,13 @@ function addToListener(staleIde, staleWindow, staleBuffer, text) {
       ];
       transactionSpec.userEvent = 'foundNoForm';
     } else {
-      transactionSpec.changes = {from: docLength, insert: '\n' + text + '\n> '};
+      const output = (outputLineOpen === false ? '' : '\n') + text + '\n';
+      const insert = output + '> ';
+      transactionSpec.changes = {from: docLength, insert: insert};
       transactionSpec.effects = [
         setStateReadOnlyAll.of(false),
-        setStateReadOnlyEnd.of(docLength + text.length + 4),
+        setStateReadOnlyEnd.of(docLength + insert.length),
+        setStatePromptStart.of(docLength + output.length),
         clearHistory.of(true)
       ];
       transactionSpec.userEvent = 'addToListener';
@@ -499,6 +527,60 @@ function addToListener(staleIde, staleWindow, staleBuffer, text) {
   });
 }
 
+// Appends the output of the evaluation of a form entered in the listener.
+function appendOutputToListener(staleIde, staleBuffer, output) {
+  staleIde.setBuffers(buffers => {
+    const buffer = buffers.get(staleBuffer.id);
+    const newBuffers = new Map(buffers);
+    const state = buffer.transaction.state;
+    const transaction = state.update({
+      changes: {from: state.doc.length, insert: output},
+      userEvent: 'addToListener'
+    });
+    newBuffers.set(buffer.id, copyInstance(buffer, {
+      transaction: transaction,
+      modified: !transaction.state.doc.eq(buffer.lastSavedContents)
+    }));
+    return newBuffers;
+  });
+}
+
+// Returns an output callback inserting the output of an evaluation requested
+// from outside the listener just before the current prompt of the listener
+// (whose position is recorded when the prompt is printed). An incomplete last
+// line of output is temporarily terminated by a newline so that the prompt
+// always starts at the beginning of a line.
+export function listenerOutputCallback(staleIde, staleBuffer) {
+  let outputLineOpen = false;
+  return output => {
+    const replacePadding = outputLineOpen;
+    outputLineOpen = !output.endsWith('\n');
+    const insert = output + (outputLineOpen ? '\n' : '');
+    staleIde.setBuffers(buffers => {
+      const buffer = buffers.get(staleBuffer.id);
+      const newBuffers = new Map(buffers);
+      const state = buffer.transaction.state;
+      const readOnlyEnd = state.field(stateReadOnlyEnd);
+      const promptStart = state.field(statePromptStart);
+      const from = promptStart - (replacePadding ? 1 : 0);
+      const to = promptStart;
+      const shift = insert.length - (to - from);
+      const transaction = state.update({
+        changes: {from: from, to: to, insert: insert},
+        effects: [
+          setStateReadOnlyEnd.of(readOnlyEnd + shift),
+          setStatePromptStart.of(promptStart + shift)
+        ]
+      });
+      newBuffers.set(buffer.id, copyInstance(buffer, {
+        transaction: transaction,
+        modified: !transaction.state.doc.eq(buffer.lastSavedContents)
+      }));
+      return newBuffers;
+    });
+  };
+}
+
 export function clearListener(staleIde, staleBuffer) {
   staleIde.setBuffers(buffers => {
     const buffer = buffers.get(staleBuffer.id);
@@ -509,6 +591,7 @@ export function clearListener(staleIde, staleBuffer) {
     transactionSpec.changes = {from: 0, to: readOnlyEnd, insert: '> '};
     transactionSpec.effects = [
       setStateReadOnlyEnd.of(2),
+      setStatePromptStart.of(0),
       clearHistory.of(true)
     ];
     transactionSpec.userEvent = 'clearListener';
@@ -521,6 +604,74 @@ export function clearListener(staleIde, staleBuffer) {
   });
 }
 
+/************/
+/* Coverage */
+/************/
+
+// The uncovered ranges of the last coverage shown, indexed by source. The
+// ranges are kept here so that they can be shaded in the windows created or
+// switched to a file buffer after the coverage has been shown.
+let uncoveredRanges = new Map();
+
+const setCoverageDecorations = StateEffect.define();
+
+const coverageDecorations = StateField.define({
+  create() {
+    return Decoration.none;
+  },
+  update(value, transaction) {
+    for (const effect of transaction.effects) {
+      if (effect.is(setCoverageDecorations)) {
+        return effect.value;
+      }
+    }
+    return value.map(transaction.changes);
+  },
+  provide: field => EditorView.decorations.from(field)
+});
+
+const uncoveredDecoration = Decoration.mark({class: 'cm-uncovered'});
+
+// Ranges extending beyond the end of the document (because the file has been
+// shortened since it was loaded) are ignored.
+function coverageDecorationSet(source, doc) {
+  const ranges = uncoveredRanges.get(source) || [];
+  return Decoration.set(
+    ranges.filter(({to}) => to <= doc.length).map(({from, to}) => uncoveredDecoration.range(from, to)),
+    true
+  );
+}
+
+function updateCoverageDecorations(ide) {
+  for (const window of ide.windows.values()) {
+    const view = window.view;
+    const buffer = ide.buffers.get(window.bufferId);
+    if (view !== undefined && view.dom.isConnected && buffer instanceof FileBuffer) {
+      view.dispatch({effects: setCoverageDecorations.of(coverageDecorationSet(buffer.unifiedPathname, view.state.doc))});
+    }
+  }
+}
+
+// Shades the forms that were never evaluated (the coverage points whose count
+// is zero) in all the windows displaying the files in which they appear.
+export function showCoverage(ide, points) {
+  uncoveredRanges = new Map();
+  for (const point of points) {
+    if (point.count === 0 && point.source !== null) {
+      if (!uncoveredRanges.has(point.source)) {
+        uncoveredRanges.set(point.source, []);
+      }
+      uncoveredRanges.get(point.source).push({from: point.start, to: point.end});
+    }
+  }
+  updateCoverageDecorations(ide);
+}
+
+export function hideCoverage(ide) {
+  uncoveredRanges = new Map();
+  updateCoverageDecorations(ide);
+}
+
 /**************/
 /* Minibuffer */
 /**************/
@@ -10,11 +10,20 @@ const SUCCESS = 1;
 const ERROR = 2;
 const ABORTED = 3;
 const TERMINATED = 4;
+const OUTPUT = 5;
+const PAUSED = 6;
+const RESOURCE_LIMIT_EXCEEDED = 7;
 
 const INITIALIZE = 0;
 const EVALUATE_FIRST_FORM = 1;
 const EVALUATE_ALL_FORMS = 2;
 const CONVERT_EVL_TO_XML = 3;
+const SET_BREAKPOINTS = 4;
+const GET_COVERAGE = 5;
+
+const DEBUG_STEP = 1;
+const DEBUG_NEXT = 2;
+const DEBUG_CONTINUE = 3;
 
 export const evaluatorNames = new Map([
   ['directstyle', 'Direct Style'],
@@ -22,36 +31,125 @@ export const evaluatorNames = new Map([
   ['oocps', 'Object-Oriented CPS'],
   ['sboocps', 'Stack-Based Object-Oriented CPS'],
   ['trampoline', 'Trampoline'],
-  ['trampolinepp', 'Trampoline++']
+  ['trampolinepp', 'Trampoline++'],
+  ['compiler', 'Compiler']
 ]);
 
 let evaluator = null;
 let jobId = 0;
 const jobs = new Map();
+const outputCallbacks = new Map();
 const abortSignalBuffer = new SharedArrayBuffer(1);
 const abortSignalArray = new Uint8Array(abortSignalBuffer);
 
 abortSignalArray[0] = 0;
 
+// The element 0 of debugSignalArray contains the debugger command, and the
+// element 1 contains the number of UTF-16 code units of the breakpoints carried
+// by the command, which follow the first two elements (see sendDebuggerCommand).
+const debugSignalBufferSize = 65536;
+const debugSignalBuffer = new SharedArrayBuffer(debugSignalBufferSize);
+const debugSignalArray = new Int32Array(debugSignalBuffer);
+let pausedCallback = null;
+let paused = false;
+const functionBreakpoints = new Set(); // names of functions
+const formBreakpoints = new Map(); // 'source:position' => {source, position}
+let breakpointsChanged = false; // true when the breakpoints have changed during a pause
+
+// The snapshots of the global environment taken after initializing the web
+// worker, indexed by evaluator name. A snapshot is reused when the evaluator is
+// restarted with the same JavaScript file and the same EVL files, which avoids
+// evaluating the EVL files again. Snapshots depend on the evaluator that took
+// them.
+const snapshots = new Map(); // evaluator name => {jsFile, evlFiles, snapshot}
+
+function sameEVLFiles(evlFiles1, evlFiles2) {
+  return evlFiles1.length === evlFiles2.length &&
+         evlFiles1.every((evlFile, i) => evlFile.source === evlFiles2[i].source && evlFile.text === evlFiles2[i].text);
+}
+
+function hasSnapshot(selectedEvaluator, jsFile, evlFiles) {
+  const entry = snapshots.get(selectedEvaluator);
+  return entry !== undefined && entry.jsFile === jsFile && sameEVLFiles(entry.evlFiles, evlFiles);
+}
+
+// The snapshots of the evaluators that have not been selected yet are taken up
+// front, one evaluator at a time, by a second web worker, so that the first
+// switch to another evaluator does not evaluate the EVL files either.
+let snapshotWorker = null; // {worker, jsFile, evlFiles} or null
+
+function takeSnapshots(jsFile, evlFiles) {
+  if (snapshotWorker !== null) {
+    if (snapshotWorker.jsFile === jsFile && sameEVLFiles(snapshotWorker.evlFiles, evlFiles)) {
+      return;
+    }
+    snapshotWorker.worker.terminate();
+    snapshotWorker = null;
+  }
+  const selectedEvaluator = Array.from(evaluatorNames.keys()).find(name => !hasSnapshot(name, jsFile, evlFiles));
+  if (selectedEvaluator === undefined) {
+    return;
+  }
+  const blob = new Blob([jsFile], {type: 'text/javascript'});
+  const url = URL.createObjectURL(blob);
+  const worker = new Worker(url);
+  URL.revokeObjectURL(url);
+  snapshotWorker = {worker, jsFile, evlFiles};
+  worker.onmessage = (event) => {
+    if (event.data.status === OUTPUT) {
+      return;
+    }
+    worker.terminate();
+    snapshotWorker = null;
+    if (event.data.snapshot !== undefined) {
+      snapshots.set(selectedEvaluator, {jsFile, evlFiles, snapshot: event.data.snapshot});
+      takeSnapshots(jsFile, evlFiles);
+    }
+  };
+  worker.postMessage({id: 0, action: INITIALIZE, input: {
+    abortSignalBuffer: new SharedArrayBuffer(1),
+    debugSignalBuffer: new SharedArrayBuffer(debugSignalBufferSize),
+    selectedEvaluator,
+    evlFiles,
+    takeSnapshot: true
+  }});
+}
+
 // => {id, action, input}
 // <= {id, status, output}
+// <= {id, status, output, location, backtrace} (ERROR, location and backtrace are optional)
+
+// The web worker can send any number of OUTPUT messages before the response
+// to a request. Their outputs are passed to the output callback of the request.
 
-function sendRequest(action, input, callback = null) {
+// The web worker sends a PAUSED message when the debugger pauses an evaluation.
+// Its output is passed to the paused callback of the evaluator. The web worker
+// then waits for a debugger command stored into the shared array debugSignalArray.
+
+function sendRequest(action, input, callback = null, outputCallback = null) {
   const id = jobId++;
   evaluator.postMessage({id: id, action: action, input: input});
   if (callback !== null) {
     jobs.set(id, callback);
   }
+  if (outputCallback !== null) {
+    outputCallbacks.set(id, outputCallback);
+  }
 }
 
-export function createEvaluator(jsFile, selectedEvaluator, evlFiles, callback) {
+export function createEvaluator(jsFile, selectedEvaluator, evlFiles, callback, outputCallback = null, newPausedCallback = null) {
   if (evaluator !== null) {
     evaluator.terminate();
   }
+  pausedCallback = newPausedCallback;
+  paused = false;
+  breakpointsChanged = false; // all the breakpoints are sent below
+  Atomics.store(debugSignalArray, 1, 0);
   for (const [id, callback] of jobs) {
     callback({id: id, status: TERMINATED});
   }
   jobs.clear();
+  outputCallbacks.clear();
   const blob = new Blob([jsFile], {type: 'text/javascript'});
   const url = URL.createObjectURL(blob);
   evaluator = new Worker(url);
@@ -60,21 +158,73 @@ export function createEvaluator(jsFile, selectedEvaluator, evlFiles, callback) {
     console.log('ERROR CREATING EVALUATOR ' + event.lineno + ' ' + event.colno + ' ' + event.message);
   }
   evaluator.onmessage = (event) => {
-    const callback = jobs.get(event.data.id);
-    if (callback !== undefined) {
-      jobs.delete(event.data.id);
-      callback(event.data);
+    if (event.data.status === OUTPUT) {
+      const outputCallback = outputCallbacks.get(event.data.id);
+      if (outputCallback !== undefined) {
+        outputCallback(event.data.output);
+      }
+    } else if (event.data.status === PAUSED) {
+      paused = true;
+      if (pausedCallback !== null) {
+        pausedCallback(event.data.output);
+      }
+    } else {
+      paused = false;
+      outputCallbacks.delete(event.data.id);
+      const callback = jobs.get(event.data.id);
+      if (callback !== undefined) {
+        jobs.delete(event.data.id);
+        callback(event.data);
+      }
     }
   }
-  sendRequest(INITIALIZE, {abortSignalBuffer, selectedEvaluator, evlFiles}, callback);
+  if (hasSnapshot(selectedEvaluator, jsFile, evlFiles)) {
+    const {snapshot} = snapshots.get(selectedEvaluator);
+    sendRequest(INITIALIZE, {abortSignalBuffer, debugSignalBuffer, selectedEvaluator, evlFiles: [], snapshot}, response => {
+      if (response.status === ERROR) {
+        // The snapshot could not be restored: start again without it.
+        snapshots.delete(selectedEvaluator);
+        createEvaluator(jsFile, selectedEvaluator, evlFiles, callback, outputCallback, newPausedCallback);
+      } else {
+        takeSnapshots(jsFile, evlFiles);
+        callback(response);
+      }
+    }, outputCallback);
+  } else {
+    sendRequest(INITIALIZE, {abortSignalBuffer, debugSignalBuffer, selectedEvaluator, evlFiles, takeSnapshot: true}, response => {
+      if (response.snapshot !== undefined) {
+        snapshots.set(selectedEvaluator, {jsFile, evlFiles, snapshot: response.snapshot});
+        delete response.snapshot;
+        takeSnapshots(jsFile, evlFiles);
+      }
+      callback(response);
+    }, outputCallback);
+  }
+  sendBreakpoints();
+}
+
+// The limits are either null or an object containing the properties maxSteps,
+// timeout (in milliseconds), and maxConses, each one either a positive integer or null.
+// The default limits apply to the evaluations requested without explicit limits.
+let defaultLimits = {maxSteps: null, timeout: 60000, maxConses: null};
+
+export function getDefaultLimits() {
+  return defaultLimits;
 }
 
-export function evaluateFirstForm(text, callback) {
-  sendRequest(EVALUATE_FIRST_FORM, text , callback);
+export function setDefaultLimits(limits) {
+  defaultLimits = limits;
+}
+
+// The source (for example, the pathname of a buffer) is used in the error messages.
+// The start is the position in the text where the reading of the first form begins.
+
+export function evaluateFirstForm(text, callback, outputCallback = null, source = null, start = 0, step = false, limits = defaultLimits) {
+  sendRequest(EVALUATE_FIRST_FORM, {text, source, start, step, limits}, callback, outputCallback);
 }
 
-export function evaluateAllForms(text, callback) {
-  sendRequest(EVALUATE_ALL_FORMS, text, callback);
+export function evaluateAllForms(text, callback, outputCallback = null, source = null, limits = defaultLimits) {
+  sendRequest(EVALUATE_ALL_FORMS, {text, source, limits}, callback, outputCallback);
 }
 
 export function convertEVLToHTML(text, xsltString, cssURL, jsURL, windowId, callback) {
@@ -105,6 +255,9 @@ export function convertEVLToHTML(text, xsltString, cssURL, jsURL, windowId, call
         case ABORTED:
           result = errorPage('ABORTED', cssURL, jsURL, windowId);
           break;
+        case RESOURCE_LIMIT_EXCEEDED:
+          result = errorPage(response.output, cssURL, jsURL, windowId);
+          break;
         case TERMINATED:
           result = errorPage('TERMINATED', cssURL, jsURL, windowId);
           break;
@@ -144,9 +297,17 @@ export function formatForListener(response) {
       }
       return text;
     case ERROR:
-      return response.output + '\n';
+      let errorText = response.output + '\n';
+      if (response.backtrace !== undefined) {
+        for (const invocation of response.backtrace) {
+          errorText = errorText + '  at ' + invocation + '\n';
+        }
+      }
+      return errorText;
     case ABORTED:
       return 'ABORTED\n';
+    case RESOURCE_LIMIT_EXCEEDED:
+      return response.output + '\n';
     case TERMINATED:
       return 'TERMINATED\n';
   }
@@ -167,11 +328,17 @@ export function formatForMinibuffer(response) {
         }
         text = text + value.replaceAll('\n', '\u2424'); // SYMBOL FOR NEWLINE
       }
+      if (response.snapshotError !== undefined) {
+        // The snapshot requested by the initialization could not be taken.
+        text = text + ' (NO SNAPSHOT: ' + response.snapshotError + ')';
+      }
       return text;
     case ERROR:
       return response.output;
     case ABORTED:
       return 'ABORTED';
+    case RESOURCE_LIMIT_EXCEEDED:
+      return response.output;
     case TERMINATED:
       return 'TERMINATED';
   }
@@ -179,4 +346,105 @@ export function formatForMinibuffer(response) {
 
 export function abortEvaluation() {
   abortSignalArray[0] = 1;
+  if (paused) {
+    // wake up the web worker so that it can notice the abort signal
+    sendDebuggerCommand(DEBUG_CONTINUE);
+  }
+}
+
+// The debugger commands return false if no evaluation is paused.
+
+// The web worker cannot receive the SET_BREAKPOINTS requests while it is
+// paused, so the breakpoints changed during the pause are carried by the
+// command resuming the evaluation. If they do not fit into the shared buffer,
+// they are sent by a request received after the evaluation.
+
+function sendDebuggerCommand(command) {
+  if (!paused) {
+    return false;
+  }
+  paused = false;
+  if (breakpointsChanged) {
+    breakpointsChanged = false;
+    const json = JSON.stringify(breakpointsInput());
+    if (8 + 2 * json.length <= debugSignalBufferSize) {
+      const codeUnits = new Uint16Array(debugSignalBuffer, 8, json.length);
+      for (let i = 0; i < json.length; i++) {
+        codeUnits[i] = json.charCodeAt(i);
+      }
+      Atomics.store(debugSignalArray, 1, json.length);
+    } else {
+      sendBreakpoints();
+    }
+  }
+  Atomics.store(debugSignalArray, 0, command);
+  Atomics.notify(debugSignalArray, 0);
+  return true;
+}
+
+export function debuggerStep() {
+  return sendDebuggerCommand(DEBUG_STEP);
+}
+
+export function debuggerNext() {
+  return sendDebuggerCommand(DEBUG_NEXT);
+}
+
+export function debuggerContinue() {
+  return sendDebuggerCommand(DEBUG_CONTINUE);
+}
+
+// The breakpoints are kept here so that they survive the restarts of the evaluator.
+// The toggle functions return true if the breakpoint is set and false if it is removed.
+
+function breakpointsInput() {
+  return {functions: Array.from(functionBreakpoints), forms: Array.from(formBreakpoints.values())};
+}
+
+function sendBreakpoints() {
+  if (paused) {
+    breakpointsChanged = true;
+  } else {
+    sendRequest(SET_BREAKPOINTS, breakpointsInput());
+  }
+}
+
+export function toggleFunctionBreakpoint(name) {
+  const set = !functionBreakpoints.has(name);
+  if (set) {
+    functionBreakpoints.add(name);
+  } else {
+    functionBreakpoints.delete(name);
+  }
+  sendBreakpoints();
+  return set;
+}
+
+export function toggleFormBreakpoint(source, position) {
+  const key = source + ':' + position;
+  const set = !formBreakpoints.has(key);
+  if (set) {
+    formBreakpoints.set(key, {source, position});
+  } else {
+    formBreakpoints.delete(key);
+  }
+  sendBreakpoints();
+  return set;
+}
+
+// The output of the response is null if no coverage has been collected and an
+// array of coverage points otherwise (see the function coverageToJSON of core.js).
+export function getCoverage(callback) {
+  sendRequest(GET_COVERAGE, null, callback);
+}
+
+export function formatPausedForMinibuffer(output) {
+  let text = 'PAUSED (' + output.reason + ') ' + output.form.replaceAll('\n', '\u2424');
+  if (output.location !== undefined) {
+    text = text + ' at ' + (output.location.source !== null ? output.location.source + ':' : '') + output.location.line + ':' + output.location.column;
+  }
+  if (output.backtrace.length !== 0) {
+    text = text + ' in ' + output.backtrace[0];
+  }
+  return text;
 }
@@ -54,7 +54,10 @@ import {
   Minibuffer,
   createBufferTransaction,
   transactionDebugInfo,
-  clearListener
+  clearListener,
+  listenerOutputCallback,
+  showCoverage,
+  hideCoverage
 } from './codemirror.jsx';
 
 import {
@@ -63,7 +66,9 @@ import {
 
 import {
   evlambda,
-  findForm
+  findForm,
+  findInnermostList,
+  findSymbol
 } from './lang-evlambda.js';
 
 import {
@@ -92,7 +97,16 @@ import {
   evaluateAllForms,
   convertEVLToHTML,
   formatForMinibuffer,
-  abortEvaluation
+  abortEvaluation,
+  debuggerStep,
+  debuggerNext,
+  debuggerContinue,
+  toggleFunctionBreakpoint,
+  toggleFormBreakpoint,
+  getCoverage,
+  formatPausedForMinibuffer,
+  getDefaultLimits,
+  setDefaultLimits
 } from './evaluator.js';
 
 import {
@@ -111,9 +125,9 @@ const {os} = UAParser();
 
 class Buffer {
   static #id = 0;
-  constructor(contents, readOnlyAll, readOnlyEnd) {
+  constructor(contents, readOnlyAll, readOnlyEnd, promptStart) {
     this.id = Buffer.#id++;
-    this.transaction = createBufferTransaction(contents, readOnlyAll, readOnlyEnd);
+    this.transaction = createBufferTransaction(contents, readOnlyAll, readOnlyEnd, promptStart);
     this.lastSavedContents = this.transaction.state.doc;
     this.modified = false;
   }
@@ -283,8 +297,9 @@ export class ListenerBuffer extends Buffer {
     text += '"EVLambda is provided \'as is\' and without any warranties."\n';
     text += '"See LICENSE and Terms of Service for details."\n';
     text += '\n';
+    const promptStart = text.length;
     text += '> ';
-    super(text, undefined, text.length);
+    super(text, undefined, text.length, promptStart);
     this.name = name;
   }
   static create(buffers, name) {
@@ -569,6 +584,21 @@ bindKeySeq(loadBufferKeySeq, ide => {
   }
 });
 
+const debuggerStepKeySeq = os.name === 'Mac OS' ? 'Ctrl-Meta-s' : 'Ctrl-Alt-s';
+bindKeySeq(debuggerStepKeySeq, ide => {
+  debuggerCommand(ide, debuggerStep);
+});
+
+const debuggerNextKeySeq = os.name === 'Mac OS' ? 'Ctrl-Meta-n' : 'Ctrl-Alt-n';
+bindKeySeq(debuggerNextKeySeq, ide => {
+  debuggerCommand(ide, debuggerNext);
+});
+
+const debuggerContinueKeySeq = os.name === 'Mac OS' ? 'Ctrl-Meta-c' : 'Ctrl-Alt-c';
+bindKeySeq(debuggerContinueKeySeq, ide => {
+  debuggerCommand(ide, debuggerContinue);
+});
+
 const selectOtherWindowKeySeq = os.name === 'Mac OS' ? 'Ctrl-Meta-o' : 'Ctrl-Alt-o';
 bindKeySeq(selectOtherWindowKeySeq, ide => {
   const selectedWindow = ide.windows.get(ide.selectedWindowId);
@@ -851,13 +881,23 @@ function clearListenerCommand(ide, buffer) {
 /* EvalMenu */
 /************/
 
+// The timeouts (in milliseconds) offered by the Set Evaluation Timeout... command.
+const evaluationTimeouts = new Map([
+  [10000, '10 Seconds'],
+  [60000, '1 Minute'],
+  [600000, '10 Minutes'],
+  [null, 'No Timeout']
+]);
+
 function EvalMenu({ide}) {
   const [restartEvaluatorMenubarDialogOpen, setRestartEvaluatorMenubarDialogOpen] = useState(false);
   const [selectedEvaluator, setSelectedEvaluator] = useState(ide.selectedEvaluator);
+  const [evaluationTimeoutMenubarDialogOpen, setEvaluationTimeoutMenubarDialogOpen] = useState(false);
+  const [selectedTimeout, setSelectedTimeout] = useState(getDefaultLimits().timeout);
   const {selectedWindow, selectedBuffer, isEVLBuffer} = selectedWindowAndBuffer(ide);
   return (
     <MenubarMenu trigger="Eval"
-                 hidden={restartEvaluatorMenubarDialogOpen}>
+                 hidden={restartEvaluatorMenubarDialogOpen || evaluationTimeoutMenubarDialogOpen}>
       <MenubarItem disabled={!isEVLBuffer}
                    onSelect={() => evaluateFormCommand(ide, selectedWindow)}>
         Evaluate Form
@@ -869,9 +909,70 @@ function EvalMenu({ide}) {
         <MenubarRightSlot>{loadBufferKeySeq}</MenubarRightSlot>
       </MenubarItem>
       <MenubarSeparator/>
+      <MenubarItem disabled={!isEVLBuffer || ide.selectedEvaluator !== 'trampolinepp'}
+                   onSelect={() => evaluateFormCommand(ide, selectedWindow, true)}>
+        Step Form
+      </MenubarItem>
+      <MenubarItem onSelect={() => debuggerCommand(ide, debuggerStep)}>
+        Step
+        <MenubarRightSlot>{debuggerStepKeySeq}</MenubarRightSlot>
+      </MenubarItem>
+      <MenubarItem onSelect={() => debuggerCommand(ide, debuggerNext)}>
+        Next
+        <MenubarRightSlot>{debuggerNextKeySeq}</MenubarRightSlot>
+      </MenubarItem>
+      <MenubarItem onSelect={() => debuggerCommand(ide, debuggerContinue)}>
+        Continue
+        <MenubarRightSlot>{debuggerContinueKeySeq}</MenubarRightSlot>
+      </MenubarItem>
+      <MenubarItem disabled={!isEVLBuffer}
+                   onSelect={() => toggleFormBreakpointCommand(ide, selectedWindow)}>
+        Toggle Form Breakpoint
+      </MenubarItem>
+      <MenubarItem disabled={!isEVLBuffer}
+                   onSelect={() => toggleFunctionBreakpointCommand(ide, selectedWindow)}>
+        Toggle Function Breakpoint
+      </MenubarItem>
+      <MenubarSeparator/>
+      <MenubarItem onSelect={() => showCoverageCommand(ide)}>
+        Show Coverage
+      </MenubarItem>
+      <MenubarItem onSelect={() => hideCoverageCommand(ide)}>
+        Hide Coverage
+      </MenubarItem>
+      <MenubarSeparator/>
       <MenubarItem onSelect={() => abortEvaluationCommand(ide)}>
         Abort Evaluation
       </MenubarItem>
+      <MenubarDialog open={evaluationTimeoutMenubarDialogOpen}
+                     onOpenChange={setEvaluationTimeoutMenubarDialogOpen}
+                     onClose={() => {closeMenubar(ide); focusSelectedWindow(ide);}}
+                     title="Set Evaluation Timeout...">
+        <ul className="radio">
+          {Array.from(evaluationTimeouts.entries()).map(([timeout, timeoutDisplayName]) =>
+            <li key={String(timeout)}
+                className="radio">
+              <input id={'timeout-' + timeout}
+                     type="radio"
+                     name="timeout"
+                     value={String(timeout)}
+                     checked={timeout === selectedTimeout}
+                     onChange={() => setSelectedTimeout(timeout)}/>
+              <label htmlFor={'timeout-' + timeout}>
+                {timeoutDisplayName}
+              </label>
+            </li>
+          )}
+        </ul>
+        <DialogButtons>
+          <DialogDefaultButton onClick={() => {closeMenubar(ide); focusSelectedWindow(ide);}}>
+            Cancel
+          </DialogDefaultButton>
+          <DialogButton onClick={() => setEvaluationTimeoutCommand(ide, selectedTimeout)}>
+            Set
+          </DialogButton>
+        </DialogButtons>
+      </MenubarDialog>
       <MenubarDialog open={restartEvaluatorMenubarDialogOpen}
                      onOpenChange={setRestartEvaluatorMenubarDialogOpen}
                      onClose={() => {closeMenubar(ide); focusSelectedWindow(ide);}}
@@ -905,20 +1006,104 @@ function EvalMenu({ide}) {
   );
 }
 
-function evaluateFormCommand(ide, window) {
+function evaluateFormCommand(ide, window, step = false) {
+  const buffer = ide.buffers.get(window.bufferId);
   const state = window.view.state;
   const form = findForm(state, state.selection.main.anchor);
   if (form !== null) {
-    const text = state.sliceDoc(form.from, form.to);
-    evaluateFirstForm(text, response => ide.setMinibufferMessage(formatForMinibuffer(response)));
+    // The text preceding the form is included so that the error locations are relative to the buffer.
+    const text = state.sliceDoc(0, form.to);
+    evaluateFirstForm(
+      text,
+      response => {
+        ide.setMinibufferMessage(formatForMinibuffer(response));
+        selectErrorLocation(window, state.doc, buffer.unifiedPathname, response);
+      },
+      listenerOutput(ide),
+      buffer.unifiedPathname,
+      form.from,
+      step
+    );
   }
   focusSelectedWindow(ide);
 }
 
 function loadBufferCommand(ide, buffer) {
+  const window = ide.windows.get(ide.selectedWindowId);
   const state = buffer.transaction.state;
   const text = state.sliceDoc();
-  evaluateAllForms(text, response  => ide.setMinibufferMessage(formatForMinibuffer(response)));
+  evaluateAllForms(
+    text,
+    response => {
+      ide.setMinibufferMessage(formatForMinibuffer(response));
+      selectErrorLocation(window, state.doc, buffer.unifiedPathname, response);
+    },
+    listenerOutput(ide),
+    buffer.unifiedPathname
+  );
+  focusSelectedWindow(ide);
+}
+
+// Selects the form or token whose evaluation or reading failed, provided that
+// the failure occurred in the evaluated text (and not in a file loaded by it)
+// and that the window still displays the evaluated text.
+function selectErrorLocation(window, doc, source, response) {
+  const view = window.view;
+  if (response.location !== undefined && response.location.source === source && view !== undefined && view.dom.isConnected && view.state.doc.eq(doc)) {
+    view.dispatch({
+      selection: {anchor: response.location.start, head: response.location.end},
+      scrollIntoView: true
+    });
+  }
+}
+
+function debuggerCommand(ide, command) {
+  if (!command()) {
+    ide.setMinibufferMessage('NOT PAUSED');
+  }
+  focusSelectedWindow(ide);
+}
+
+function toggleFormBreakpointCommand(ide, window) {
+  const buffer = ide.buffers.get(window.bufferId);
+  const state = window.view.state;
+  const list = findInnermostList(state, state.selection.main.anchor);
+  if (list !== null) {
+    const set = toggleFormBreakpoint(buffer.unifiedPathname, list.from);
+    ide.setMinibufferMessage((set ? 'BREAKPOINT SET ON ' : 'BREAKPOINT REMOVED FROM ') + state.sliceDoc(list.from, list.to).replaceAll('\n', '\u2424'));
+  }
+  focusSelectedWindow(ide);
+}
+
+function toggleFunctionBreakpointCommand(ide, window) {
+  const state = window.view.state;
+  const name = findSymbol(state, state.selection.main.anchor);
+  if (name !== null) {
+    const set = toggleFunctionBreakpoint(name);
+    ide.setMinibufferMessage((set ? 'BREAKPOINT SET ON FUNCTION ' : 'BREAKPOINT REMOVED FROM FUNCTION ') + name);
+  }
+  focusSelectedWindow(ide);
+}
+
+function showCoverageCommand(ide) {
+  getCoverage(response => {
+    const points = response.output;
+    if (points === null) {
+      ide.setMinibufferMessage('NO COVERAGE COLLECTED');
+    } else if (!Array.isArray(points)) {
+      // the evaluator has been terminated
+      ide.setMinibufferMessage(formatForMinibuffer(response));
+    } else {
+      showCoverage(ide, points);
+      const covered = points.filter(point => point.count !== 0).length;
+      ide.setMinibufferMessage(`COVERAGE ${covered}/${points.length}`);
+    }
+  });
+  focusSelectedWindow(ide);
+}
+
+function hideCoverageCommand(ide) {
+  hideCoverage(ide);
   focusSelectedWindow(ide);
 }
 
@@ -927,6 +1112,13 @@ function abortEvaluationCommand(ide) {
   focusSelectedWindow(ide);
 }
 
+function setEvaluationTimeoutCommand(ide, timeout) {
+  setDefaultLimits({...getDefaultLimits(), timeout: timeout});
+  ide.setMinibufferMessage(timeout === null ? 'NO EVALUATION TIMEOUT' : `EVALUATION TIMEOUT ${evaluationTimeouts.get(timeout).toUpperCase()}`);
+  closeMenubar(ide);
+  focusSelectedWindow(ide);
+}
+
 function restartEvaluatorCommand(ide, selectedEvaluator) {
   ide.setSelectedEvaluator(selectedEvaluator);
   startEvaluator(ide, selectedEvaluator);
@@ -938,11 +1130,21 @@ function startEvaluator(ide, selectedEvaluator) {
   createEvaluator(
     findFileBuffer(ide.buffers, '/system/core.js').transaction.state.sliceDoc(),
     selectedEvaluator,
-    Array.from(ide.buffers.values()).filter(isEVLBuffer).map(buffer => buffer.transaction.state.sliceDoc()),
-    response => ide.setMinibufferMessage(formatForMinibuffer(response))
+    Array.from(ide.buffers.values()).filter(isEVLBuffer).map(buffer => ({
+      source: buffer.unifiedPathname,
+      text: buffer.transaction.state.sliceDoc()
+    })),
+    response => ide.setMinibufferMessage(formatForMinibuffer(response)),
+    listenerOutput(ide),
+    output => ide.setMinibufferMessage(formatPausedForMinibuffer(output))
   );
 }
 
+// The output of the evaluations requested from outside the listener goes to the listener.
+function listenerOutput(ide) {
+  return listenerOutputCallback(ide, findListenerBuffer(ide.buffers, 'Listener 1'));
+}
+
 /************/
 /* ViewMenu */
 /************/
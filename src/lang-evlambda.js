@@ -247,3 +247,25 @@ export function findForm(state, position) {
   }
   return null;
 }
+
+export function findInnermostList(state, position) {
+  let node = syntaxTree(state).resolve(position, 1);
+  while (node !== null) {
+    if (node.name === 'List') {
+      return node;
+    }
+    node = node.parent;
+  }
+  return null;
+}
+
+export function findSymbol(state, position) {
+  const tree = syntaxTree(state);
+  for (const side of [1, -1]) {
+    const node = tree.resolve(position, side);
+    if (node.name === 'Symbol') {
+      return state.sliceDoc(node.from, node.to);
+    }
+  }
+  return null;
+}
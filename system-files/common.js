@@ -52,6 +52,10 @@ window.MathJax = {
       void: '\\mlvar{void}',
       boolean: '\\mlvar{boolean}',
       number: '\\mlvar{number}',
+      rational: '\\mlvar{rational}',
+      integer: '\\mlvar{integer}',
+      ratio: '\\mlvar{ratio}',
+      float: '\\mlvar{float}',
       character: '\\mlvar{character}',
       string: '\\mlvar{string}',
       symbol: '\\mlvar{symbol}',
@@ -61,9 +65,14 @@ window.MathJax = {
       emptylist: '\\mlvar{empty-list}',
       cons: '\\mlvar{cons}',
       vector: '\\mlvar{vector}',
+      hashtable: '\\mlvar{hash-table}',
       function: '\\mlvar{function}',
       primitivefunction: '\\mlvar{primitive-function}',
-      closure: '\\mlvar{closure}'
+      closure: '\\mlvar{closure}',
+      continuation: '\\mlvar{continuation}',
+      condition: '\\mlvar{condition}',
+      jsobject: '\\mlvar{js-object}',
+      environment: '\\mlvar{environment}'
     }
   },
   output: {
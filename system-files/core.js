@@ -8,7 +8,9 @@
 const isRunningInsideNode = (typeof process !== 'undefined') && (process.release.name === 'node');
 
 let abortSignalArray = null;
+let debugSignalArray = null;
 let selectedEvaluator = null;
+let nodeFS = null; // module node:fs (set by the command-line interface)
 
 const optimizeMacroCalls = true;
 
@@ -21,38 +23,92 @@ const SUCCESS = 1;
 const ERROR = 2;
 const ABORTED = 3;
 const TERMINATED = 4;
+const OUTPUT = 5;
+const PAUSED = 6;
+const RESOURCE_LIMIT_EXCEEDED = 7;
 
 const INITIALIZE = 0;
 const EVALUATE_FIRST_FORM = 1;
 const EVALUATE_ALL_FORMS = 2;
 const CONVERT_EVL_TO_XML = 3;
+const SET_BREAKPOINTS = 4;
+const GET_COVERAGE = 5;
+
+let currentRequestId = null;
 
 if (!isRunningInsideNode) {
   onmessage = (event) => {
     const {id, action, input} = event.data;
     let response = null;
+    currentRequestId = id;
     switch (action) {
       case INITIALIZE:
         response = initialize(input);
         break;
       case EVALUATE_FIRST_FORM:
-        response = evaluateFirstForm(input);
+        response = evaluateFirstForm(input.text, input.source, input.start, input.step, input.limits);
         break;
       case EVALUATE_ALL_FORMS:
-        response = evaluateAllForms(input);
+        response = evaluateAllForms(input.text, input.source, input.limits);
         break;
       case CONVERT_EVL_TO_XML:
         response = convertEVLToXML(input);
         break;
+      case SET_BREAKPOINTS:
+        response = setBreakpoints(input);
+        break;
+      case GET_COVERAGE:
+        response = getCoverage();
+        break;
       default:
         throw new CannotHappen('onmessage');
     }
+    flushOutput();
+    currentRequestId = null;
     if (response !== null) {
       postMessage({id: id, ...response});
     }
   };
 }
 
+// The output produced by the output primitive functions is buffered and sent
+// to the IDE (or to the standard output when running inside Node.js) whenever
+// a newline is written, the buffer gets large, or some time has passed since
+// the last flush. Because the evaluation cannot be interrupted by a timer, the
+// function checkAbortSignal also flushes the buffer when some time has passed
+// since the last flush, so that a partial line followed by a long computation
+// is shown. The buffer is also flushed before the response is sent.
+
+// While the output is being captured (see the macro with-output-to-string), the
+// output is appended to the innermost capture instead.
+
+let outputBuffer = '';
+let outputFlushTime = 0;
+const outputCaptures = [];
+
+function writeOutput(string) {
+  if (outputCaptures.length !== 0) {
+    outputCaptures[outputCaptures.length - 1] += string;
+    return;
+  }
+  outputBuffer += string;
+  if (string.includes('\n') || outputBuffer.length >= 4096 || Date.now() - outputFlushTime >= 100) {
+    flushOutput();
+  }
+}
+
+function flushOutput() {
+  if (outputBuffer.length !== 0) {
+    if (isRunningInsideNode) {
+      process.stdout.write(outputBuffer);
+    } else {
+      postMessage({id: currentRequestId, status: OUTPUT, output: outputBuffer});
+    }
+    outputBuffer = '';
+  }
+  outputFlushTime = Date.now();
+}
+
 function foundNoForm() {
   return {status: FOUND_NO_FORM};
 }
@@ -64,18 +120,98 @@ function success(output) {
 function abortedOrError(exception) {
   if (exception instanceof Aborted) {
     return {status: ABORTED};
+  } else if (exception instanceof ResourceLimitExceeded) {
+    return {status: RESOURCE_LIMIT_EXCEEDED, output: exception.name + ': ' + exception.message};
+  } else {
+    const response = {status: ERROR, output: exception.name + ': ' + exception.message};
+    if (exception.location instanceof SourceLocation) {
+      // The location is only included in the error message if the source is known.
+      const location = exception.location;
+      if (location.source !== null) {
+        response.output = location.toString() + ': ' + response.output;
+      }
+      response.location = location.toJSON();
+    }
+    if (exception instanceof EvaluatorError && exception.backtrace !== null && exception.backtrace.length !== 0) {
+      response.backtrace = exception.backtrace;
+    }
+    return response;
+  }
+}
+
+// The abort signal is checked by the trampolines on each bounce and by the
+// other evaluators on each function invocation (which covers loop iterations
+// since loops are implemented using recursive functions and _for-each).
+// The resource limits are checked at the same time, each check counting as one
+// evaluation step.
+
+function checkAbortSignal() {
+  if (abortSignalArray !== null && abortSignalArray[0] === 1) {
+    throw new Aborted();
+  }
+  if (outputBuffer.length !== 0 && Date.now() - outputFlushTime >= 100) {
+    flushOutput();
+  }
+  if (resourceLimits !== null) {
+    checkResourceLimits();
+  }
+}
+
+// The resource limits of the current request are either null (no limits) or an
+// object containing the properties maxSteps, timeout (in milliseconds), and
+// maxConses, each one either a positive integer or null (no limit). The time
+// spent paused by the debugger does not count towards the timeout.
+
+let resourceLimits = null;
+let stepCount = 0;
+let consCount = 0; // incremented by the constructor of the class EVLCons
+
+function setResourceLimits(limits) {
+  stepCount = 0;
+  consCount = 0;
+  if (limits === null) {
+    resourceLimits = null;
   } else {
-    return {status: ERROR, output: exception.name + ': ' + exception.message};
+    const {maxSteps, timeout, maxConses} = limits;
+    const deadline = timeout !== null ? Date.now() + timeout : null;
+    resourceLimits = {maxSteps, timeout, maxConses, deadline};
+  }
+}
+
+function checkResourceLimits() {
+  const {maxSteps, timeout, maxConses, deadline} = resourceLimits;
+  stepCount++;
+  if (maxSteps !== null && stepCount > maxSteps) {
+    throw new ResourceLimitExceeded(`The evaluation has exceeded the maximum number of steps (${maxSteps}).`);
+  }
+  if (maxConses !== null && consCount > maxConses) {
+    throw new ResourceLimitExceeded(`The evaluation has exceeded the maximum number of conses (${maxConses}).`);
+  }
+  if (deadline !== null && Date.now() > deadline) {
+    throw new ResourceLimitExceeded(`The evaluation has exceeded the timeout (${timeout} ms).`);
   }
 }
 
 function initialize(input) {
   abortSignalArray = new Uint8Array(input.abortSignalBuffer);
+  debugSignalArray = new Int32Array(input.debugSignalBuffer);
   selectedEvaluator = input.selectedEvaluator;
   initializeFeatureList([selectedEvaluator]);
+  defineJSGlobals(input.jsGlobals ?? defaultJSGlobals);
+  setResourceLimits(null);
+  if (input.snapshot !== undefined && input.snapshot !== null) {
+    try {
+      return success(restoreSnapshot(input.snapshot));
+    } catch(exception) {
+      return abortedOrError(exception);
+    }
+  }
   let lastResult = EVLVoid.VOID;
   for (const evlFile of input.evlFiles) {
-    const tokenizer = new Tokenizer(evlFile);
+    currentPackage = evlPackage;
+    startLoading(evlFile.source);
+    const tokenizer = new Tokenizer(evlFile.text);
+    tokenizer.source = evlFile.source;
     tokenizer.callback = object => lastResult = genericEval(object);
     while (true) {
       let object = null;
@@ -95,15 +231,41 @@ function initialize(input) {
       }
     }
   }
+  currentPackage = userPackage;
   const output = lastResult.allValues().map(object => object.toString());
-  return success(output);
+  const response = success(output);
+  if (input.takeSnapshot) {
+    // The snapshot is replaced by the reason of the failure if the global environment contains
+    // objects that cannot be included in a snapshot (JavaScript objects, continuations, etc.).
+    try {
+      response.snapshot = takeSnapshot(output);
+    } catch(exception) {
+      if (!(exception instanceof SnapshotError)) throw exception;
+      response.snapshotError = exception.name + ': ' + exception.message;
+    }
+  }
+  return response;
 }
 
-function evaluateFirstForm(text) {
+// The files loaded by the initialize and evaluate-all-forms requests are
+// recorded so that requiring them later does not load them again.
+function startLoading(source) {
+  loadPathname = source;
+  if (source !== null) {
+    loadedFiles.add(resolvePathname(source, null));
+  }
+}
+
+function evaluateFirstForm(text, source = null, start = 0, step = false, limits = null) {
   if (abortSignalArray !== null) {
     abortSignalArray[0] = 0;
   }
+  resetDebugger(step);
+  setResourceLimits(limits);
+  loadPathname = source;
   const tokenizer = new Tokenizer(text);
+  tokenizer.source = source;
+  tokenizer.position = start;
   let object = null;
   try {
     object = read(tokenizer);
@@ -128,32 +290,63 @@ function evaluateFirstForm(text) {
   }
 }
 
-function evaluateAllForms(text) {
+function evaluateAllForms(text, source = null, limits = null) {
   if (abortSignalArray !== null) {
     abortSignalArray[0] = 0;
   }
+  resetDebugger(false);
+  setResourceLimits(limits);
+  startLoading(source);
   let lastResult = EVLVoid.VOID;
   const tokenizer = new Tokenizer(text);
+  tokenizer.source = source;
   tokenizer.callback = object => lastResult = genericEval(object);
-  while (true) {
-    let object = null;
-    try {
-      object = read(tokenizer);
-    } catch(exception) {
-      return abortedOrError(exception);
-    }
-    if (object === null) {
-      break;
-    } else {
+  // The in-package forms contained in the text only affect the rest of the text.
+  const savedPackage = currentPackage;
+  try {
+    while (true) {
+      let object = null;
       try {
-        lastResult = genericEval(object);
+        object = read(tokenizer);
       } catch(exception) {
         return abortedOrError(exception);
       }
+      if (object === null) {
+        break;
+      } else {
+        try {
+          lastResult = genericEval(object);
+        } catch(exception) {
+          return abortedOrError(exception);
+        }
+      }
     }
+    const output = lastResult.allValues().map(object => object.toString());
+    return success(output);
+  } finally {
+    currentPackage = savedPackage;
   }
-  const output = lastResult.allValues().map(object => object.toString());
-  return success(output);
+}
+
+function setBreakpoints(input) {
+  updateBreakpoints(input);
+  return success([]);
+}
+
+function updateBreakpoints(input) {
+  functionBreakpoints.clear();
+  for (const name of input.functions) {
+    functionBreakpoints.add(name);
+  }
+  formBreakpoints.clear();
+  for (const {source, position} of input.forms) {
+    formBreakpoints.add(formBreakpointKey(source, position));
+  }
+  updateDebuggerArmed();
+}
+
+function getCoverage() {
+  return success(coverage !== null ? coverageToJSON() : null);
 }
 
 function convertEVLToXML(text) {
@@ -185,10 +378,25 @@ class Aborted extends Error {
   }
 }
 
+class ResourceLimitExceeded extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ResourceLimitExceeded';
+  }
+}
+
+class JSModuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JSModuleError';
+  }
+}
+
 class TokenizerError extends Error {
   constructor(message) {
     super(message);
     this.name = 'TokenizerError';
+    this.location = null; // SourceLocation or null
   }
 }
 
@@ -196,6 +404,7 @@ class ReaderError extends Error {
   constructor(message) {
     super(message);
     this.name = 'ReaderError';
+    this.location = null; // SourceLocation or null
   }
 }
 
@@ -210,9 +419,64 @@ class EvaluatorError extends Error {
   constructor(message) {
     super(message);
     this.name = 'EvaluatorError';
+    this.location = null; // SourceLocation or null
+    this.backtrace = null; // array of strings (innermost invocation first) or null
+  }
+}
+
+class SnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SnapshotError';
+  }
+}
+
+/********************/
+/* Source Locations */
+/********************/
+
+class SourceLocation {
+  constructor(source, text, start, end) {
+    this.source = source; // name of the source (for example, a pathname) or null
+    this.text = text;
+    this.start = start; // offset of the first UTF-16 code unit
+    this.end = end; // offset following the last UTF-16 code unit
+  }
+  lineAndColumn() {
+    // Lines and columns are numbered from 1.
+    let line = 1;
+    let lineStart = 0;
+    for (let position = 0; position < this.start; position++) {
+      if (this.text.charCodeAt(position) === 0x0A) {
+        line++;
+        lineStart = position + 1;
+      }
+    }
+    return [line, this.start - lineStart + 1];
+  }
+  toString() {
+    const [line, column] = this.lineAndColumn();
+    return (this.source !== null ? this.source + ':' : '') + line + ':' + column;
+  }
+  toJSON() {
+    // The text is omitted because it is not needed by the IDE.
+    const [line, column] = this.lineAndColumn();
+    return {source: this.source, start: this.start, end: this.end, line: line, column: column};
   }
 }
 
+// The source locations of the conses created by the reader for the lists and
+// the abbreviations. A weak map is used so that the source locations do not
+// prevent the conses from being garbage collected.
+const sourceLocations = new WeakMap();
+
+function recordSourceLocation(tokenizer, object, start) {
+  if (object instanceof EVLCons) {
+    sourceLocations.set(object, new SourceLocation(tokenizer.source, tokenizer.text, start, tokenizer.position));
+  }
+  return object;
+}
+
 /*************/
 /* Tokenizer */
 /*************/
@@ -250,9 +514,13 @@ const BOI = 21; // beginning of input
 const EOI = 22; // end of input
 
 const codePointRegExp = /^[a-fA-F0-9]+$/;
-const numberRegExp = /^[+-]?[0-9]+(?:\.[0-9]+)?$/;
+const integerRegExp = /^[+-]?[0-9]+$/;
+const ratioRegExp = /^[+-]?[0-9]+\/[0-9]+$/;
+const floatRegExp = /^[+-]?[0-9]+\.[0-9]+$/;
 const keywordRegExp = /^:[^:]+$/;
 const variableRegExp = /^[^:]+$/;
+const qualifiedVariableRegExp = /^([^:]+)(::?)([^:]+)$/;
+const alphabeticRegExp = /^\p{Alphabetic}$/u;
 
 function isLeadingSurrogate(codeUnit) {
   return 0xD800 <= codeUnit && codeUnit <= 0xDBFF;
@@ -349,11 +617,18 @@ function isDecimalDigit(charOrCodePoint) {
   return 0x30 <= codePoint && codePoint <= 0x39; // 0-9
 }
 
+function isAlphabeticCharacter(charOrCodePoint) {
+  const codePoint = ensureCodePoint(charOrCodePoint);
+  return alphabeticRegExp.test(String.fromCodePoint(codePoint));
+}
+
 class Tokenizer {
   constructor(text, convertEVLToXML = false) {
     this.text = text;
     this.convertEVLToXML = convertEVLToXML;
+    this.source = null; // name of the source (for example, a pathname) or null
     this.position = 0;
+    this.tokenStart = 0; // position of the first code unit of the lexeme associated with the next token
     this.xmlStack = []; // array of XML element names
     this.savedCodeUnits = '';
   }
@@ -402,6 +677,7 @@ class Tokenizer {
       const pureXML = this.xmlStack.length !== 0 && !['chapter', 'section'].includes(this.xmlStack[this.xmlStack.length - 1]);
       while (this.category === null) {
         this.skipWhitespace(pureXML);
+        this.tokenStart = this.position;
         if (this.position === this.text.length) {
           this.category = EOI;
         } else {
@@ -479,15 +755,29 @@ class Tokenizer {
         const protoToken = readProtoToken(this);
         if (protoToken === '.') {
           this.category = DOT;
-        } else if (numberRegExp.test(protoToken)) {
+        } else if (integerRegExp.test(protoToken)) {
+          this.category = NUMBER;
+          this.value = evlInteger(BigInt(protoToken));
+        } else if (ratioRegExp.test(protoToken)) {
+          const [numerator, denominator] = protoToken.split('/').map(BigInt);
+          if (denominator === 0n) {
+            throw new TokenizerError('Division by zero.');
+          }
+          this.category = NUMBER;
+          this.value = evlRational(numerator, denominator);
+        } else if (floatRegExp.test(protoToken)) {
           this.category = NUMBER;
-          this.value = new EVLNumber(Number.parseFloat(protoToken));
+          this.value = new EVLFloat(Number.parseFloat(protoToken));
         } else if (keywordRegExp.test(protoToken)) {
           this.category = KEYWORD;
           this.value = internKeyword(protoToken.substring(1));
         } else if (variableRegExp.test(protoToken)) {
           this.category = VARIABLE;
-          this.value = internVariable(protoToken);
+          this.value = currentPackage.intern(protoToken);
+        } else if (qualifiedVariableRegExp.test(protoToken)) {
+          const [, packageName, separator, name] = qualifiedVariableRegExp.exec(protoToken);
+          this.category = VARIABLE;
+          this.value = internQualifiedVariable(packageName, separator, name);
         } else {
           throw new TokenizerError('Malformed proto-token.');
         }
@@ -879,18 +1169,26 @@ class UnexpectedEndOfInput extends ReaderError {
 }
 
 function read(tokenizer) {
-  const object = readObject(tokenizer);
-  switch (object) {
-    case DOT:
-      throw new UnexpectedDot();
-    case CLOSING_PARENTHESIS:
-      throw new UnexpectedClosingParenthesis();
-    case XML_END_TAG:
-      throw new UnexpectedXMLEndTag();
-    case EOI:
-      return null;
-    default:
-      return object;
+  try {
+    const object = readObject(tokenizer);
+    switch (object) {
+      case DOT:
+        throw new UnexpectedDot();
+      case CLOSING_PARENTHESIS:
+        throw new UnexpectedClosingParenthesis();
+      case XML_END_TAG:
+        throw new UnexpectedXMLEndTag();
+      case EOI:
+        return null;
+      default:
+        return object;
+    }
+  } catch(exception) {
+    if ((exception instanceof TokenizerError || exception instanceof ReaderError) && exception.location === null) {
+      // the location of the token being read when the exception was thrown
+      exception.location = new SourceLocation(tokenizer.source, tokenizer.text, tokenizer.tokenStart, tokenizer.position);
+    }
+    throw exception;
   }
 }
 
@@ -899,6 +1197,7 @@ function readObject(tokenizer) {
   // XML elements are skipped because they are treated as comments.
   while (true) {
     tokenizer.nextToken();
+    const start = tokenizer.tokenStart;
     switch (tokenizer.category) {
       case VOID:
       case BOOLEAN:
@@ -909,13 +1208,13 @@ function readObject(tokenizer) {
       case VARIABLE:
         return tokenizer.value;
       case QUOTE:
-        return readAbbreviation(tokenizer, quoteVariable);
+        return recordSourceLocation(tokenizer, readAbbreviation(tokenizer, quoteVariable), start);
       case QUASIQUOTE:
-        return readAbbreviation(tokenizer, quasiquoteVariable);
+        return recordSourceLocation(tokenizer, readAbbreviation(tokenizer, quasiquoteVariable), start);
       case UNQUOTE:
-        return readAbbreviation(tokenizer, unquoteVariable);
+        return recordSourceLocation(tokenizer, readAbbreviation(tokenizer, unquoteVariable), start);
       case UNQUOTE_SPLICING:
-        return readAbbreviation(tokenizer, unquoteSplicingVariable);
+        return recordSourceLocation(tokenizer, readAbbreviation(tokenizer, unquoteSplicingVariable), start);
       case HASH_PLUS: {
         const object = readReadTimeConditional(tokenizer, true);
         if (object !== null) {
@@ -933,7 +1232,7 @@ function readObject(tokenizer) {
         }
       }
       case OPENING_PARENTHESIS:
-        return readList(tokenizer);
+        return recordSourceLocation(tokenizer, readList(tokenizer), start);
       case HASH_OPENING_PARENTHESIS:
         return readVector(tokenizer);
       case DOT:
@@ -1574,6 +1873,7 @@ function analyzeLambda(form) {
   if (isError(parameterList)) return parameterList;
   const serialForms = checkProperList(cons.cdr, formName);
   if (isError(serialForms)) return serialForms;
+  if (collectingCoverage) registerLambdaCoverage(serialForms, form);
   return [parameterList[0], parameterList[1], serialForms];
 }
 
@@ -1787,6 +2087,14 @@ class GlobalEnv {
       case VAL_NS:
         return variable.value = value;
       case FUN_NS:
+        if (isPackageLocked(variable)) {
+          return new PackageLocked(variable);
+        }
+        // A function is named after the first function variable it is bound to (fset! never renames a function).
+        if (value instanceof EVLFunction && value.name === null) {
+          value.name = variable.name;
+          if (collectingCoverage && value instanceof EVLClosure) nameFunctionCoverage(value);
+        }
         return variable.function = value;
       default:
         throw new CannotHappen('GlobalEnv.set');
@@ -2069,33 +2377,55 @@ function listToArray(list) {
   return array;
 }
 
+function arrayToList(array) {
+  let list = EVLEmptyList.NIL;
+  for (let i = array.length - 1; i >= 0; i--) {
+    list = new EVLCons(array[i], list);
+  }
+  return list;
+}
+
 /*********************/
 /* Generic Evaluator */
 /*********************/
 
 function genericEval(form) {
   let outcome = null;
-  switch(selectedEvaluator) {
-    case 'directstyle':
-      outcome = directstyleEval(form);
-      break;
-    case 'cps':
-      outcome = cpsEval(form);
-      break;
-    case 'oocps':
-      outcome = oocpsEval(form);
-      break;
-    case 'sboocps':
-      outcome = sboocpsEval(form);
-      break;
-    case 'trampoline':
-      outcome = trampolineEval(form);
-      break;
-    case 'trampolinepp':
-      outcome = trampolineppEval(form);
-      break;
-    default:
-      throw new CannotHappen('genericEval');
+  traceDepth = 0; // the depth is not restored when an evaluation is aborted
+  outputCaptures.length = 0; // the captures are not ended when an evaluation is aborted
+  if (profiling) {
+    profiler.discardAll(); // the activations are not exited when an evaluation is aborted
+  }
+  try {
+    switch(selectedEvaluator) {
+      case 'directstyle':
+        outcome = directstyleEval(form);
+        break;
+      case 'cps':
+        outcome = cpsEval(form);
+        break;
+      case 'oocps':
+        outcome = oocpsEval(form);
+        break;
+      case 'sboocps':
+        outcome = sboocpsEval(form);
+        break;
+      case 'trampoline':
+        outcome = trampolineEval(form);
+        break;
+      case 'trampolinepp':
+        outcome = trampolineppEval(form);
+        break;
+      case 'compiler':
+        outcome = compilerEval(form);
+        break;
+      default:
+        throw new CannotHappen('genericEval');
+    }
+  } catch(exception) {
+    // the stack can also overflow outside of the invoke functions (deeply nested forms, ...)
+    if (!isJSStackOverflow(exception)) throw exception;
+    outcome = new StackOverflow();
   }
   if (isNonlocalExit(outcome)) {
     outcome = new RunawayNonlocalExit();
@@ -2103,7 +2433,13 @@ function genericEval(form) {
   if (isNormalCompletion(outcome)) {
     return outcome;
   } else if (isError(outcome)) {
-    throw new EvaluatorError(outcome.category.jsValue + ': ' + outcome.description.jsValue);
+    const exception = new EvaluatorError(outcome.category.jsValue + ': ' + outcome.description.jsValue);
+    const location = outcome.location !== null ? outcome.location : sourceLocations.get(form);
+    exception.location = location !== undefined ? location : null;
+    if (outcome.backtrace !== null) {
+      exception.backtrace = outcome.backtrace.map(record => record.toString());
+    }
+    throw exception;
   } else {
     throw new CannotHappen('genericEval');
   }
@@ -2119,2238 +2455,2616 @@ function alterForm(form, newForm) {
   }
 }
 
-/**************************/
-/* Direct Style Evaluator */
-/**************************/
+/******************/
+/* Macro Expander */
+/******************/
 
-function directstyleEval(form) {
-  return directstyleEvalForm(form, nullDefiniteEnv, nullDefiniteEnv);
+// The macro expander never alters the forms it is given (see alterForm).
+
+function invokeMacro(macro, macroOperands) {
+  const form = new EVLCons(applyVariable,
+                           new EVLCons(quoteObject(macro),
+                                       new EVLCons(quoteObject(macroOperands),
+                                                   EVLEmptyList.NIL)));
+  return nestedEval(form);
 }
 
-function directstyleEvalForm(form, lenv, denv) {
-  if (form instanceof EVLEmptyList) {
-    return new EmptyListError();
-  } else if (form instanceof EVLCons) {
-    switch (form.car) {
-      case quoteVariable:
-        return directstyleEvalQuote(form, lenv, denv);
-      case prognVariable:
-        return directstyleEvalProgn(form, lenv, denv);
-      case ifVariable:
-        return directstyleEvalIf(form, lenv, denv);
-      case _forEachVariable:
-        return directstyleEvalForEach(form, lenv, denv);
-      case _vlambdaVariable:
-        return directstyleEvalLambda(LEX_SCOPE, VAL_NS, false, form, lenv, denv);
-      case _mlambdaVariable:
-        return directstyleEvalLambda(LEX_SCOPE, VAL_NS, true, form, lenv, denv);
-      case _flambdaVariable:
-        return directstyleEvalLambda(LEX_SCOPE, FUN_NS, false, form, lenv, denv);
-      case _dlambdaVariable:
-        return directstyleEvalLambda(DYN_SCOPE, VAL_NS, false, form, lenv, denv);
-      case vrefVariable:
-        return directstyleEvalRef(LEX_SCOPE, VAL_NS, form, lenv, denv);
-      case vsetVariable:
-        return directstyleEvalSet(LEX_SCOPE, VAL_NS, form, lenv, denv);
-      case frefVariable:
-        return directstyleEvalRef(LEX_SCOPE, FUN_NS, form, lenv, denv);
-      case fsetVariable:
-        return directstyleEvalSet(LEX_SCOPE, FUN_NS, form, lenv, denv);
-      case drefVariable:
-        return directstyleEvalRef(DYN_SCOPE, VAL_NS, form, lenv, denv);
-      case dsetVariable:
-        return directstyleEvalSet(DYN_SCOPE, VAL_NS, form, lenv, denv);
-      case blockVariable:
-        return directstyleEvalBlock(form, lenv, denv);
-      case returnFromVariable:
-        return directstyleEvalReturnFrom(form, lenv, denv);
-      case catchVariable:
-        return directstyleEvalCatch(form, lenv, denv);
-      case throwVariable:
-        return directstyleEvalThrow(form, lenv, denv);
-      case _handlerBindVariable:
-        return directstyleEvalHandlerBind(form, lenv, denv);
-      case unwindProtectVariable:
-        return directstyleEvalUnwindProtect(form, lenv, denv);
-      case applyVariable:
-        return directstyleEvalCall(false, true, form, lenv, denv);
-      case multipleValueCallVariable:
-        return directstyleEvalCall(true, false, form, lenv, denv);
-      case multipleValueApplyVariable:
-        return directstyleEvalCall(true, true, form, lenv, denv);
+function nestedEval(form) {
+  // Evaluates the form using the selected evaluator while another evaluation may be in progress.
+  const savedStacks = [sboocpsStack, trampolineStack, trampolineppStack];
+  try {
+    switch(selectedEvaluator) {
+      case 'directstyle':
+        return directstyleEval(form);
+      case 'cps':
+        return cpsEval(form);
+      case 'oocps':
+        return oocpsEval(form);
+      case 'sboocps':
+        return sboocpsEval(form);
+      case 'trampoline':
+        return trampolineEval(form);
+      case 'trampolinepp':
+        return trampolineppEval(form);
+      case 'compiler':
+        return compilerEval(form);
       default:
-        return directstyleEvalCall(false, false, form, lenv, denv);
+        throw new CannotHappen('nestedEval');
     }
-  } else if (form instanceof EVLVariable) {
-    return lenv.ref(VAL_NS, form);
-  } else {
-    return form;
+  } finally {
+    [sboocpsStack, trampolineStack, trampolineppStack] = savedStacks;
   }
 }
 
-function directstyleEvalQuote(form, lenv, denv) {
-  const analysis = analyzeQuote(form);
-  if (isError(analysis)) return analysis;
-  const [literal] = analysis;
-  return literal;
-}
-
-function directstyleEvalProgn(form, lenv, denv) {
-  const analysis = analyzeProgn(form);
-  if (isError(analysis)) return analysis;
-  const [serialForms] = analysis;
-  return directstyleEvalSerialForms(serialForms, lenv, denv);
+function quoteObject(object) {
+  return new EVLCons(quoteVariable, new EVLCons(object, EVLEmptyList.NIL));
 }
 
-function directstyleEvalSerialForms(serialForms, lenv, denv) {
-  if (serialForms === EVLEmptyList.NIL) {
-    return EVLVoid.VOID;
-  } else {
-    return directstyleEvalSerialFormForms(serialForms, lenv, denv);
+function macroexpand1(form, lenv) {
+  // Returns [expansion, expanded] or an abrupt completion.
+  if (form instanceof EVLCons && !specialOperators.has(form.car)) {
+    const analysis = analyzeCall(false, false, form, lenv);
+    if (isError(analysis)) return analysis;
+    const [macroCall, macro, macroOperands] = analysis;
+    if (macroCall) {
+      const outcome = invokeMacro(macro, macroOperands);
+      if (isAbruptCompletion(outcome)) return outcome;
+      return [outcome.primaryValue(), true];
+    }
   }
+  return [form, false];
 }
 
-function directstyleEvalSerialFormForms(serialForms, lenv, denv) {
-  if (serialForms.cdr === EVLEmptyList.NIL) {
-    return directstyleEvalForm(serialForms.car, lenv, denv);
-  } else {
-    const outcome = directstyleEvalForm(serialForms.car, lenv, denv);
-    if (isAbruptCompletion(outcome)) return outcome;
-    return directstyleEvalSerialFormForms(serialForms.cdr, lenv, denv);
+function macroexpand(form, lenv) {
+  // Returns [expansion, expanded] or an abrupt completion.
+  let expanded = false;
+  while (true) {
+    const result = macroexpand1(form, lenv);
+    if (isAbruptCompletion(result)) return result;
+    if (result[1]) {
+      form = result[0];
+      expanded = true;
+    } else {
+      return [form, expanded];
+    }
   }
 }
 
-function directstyleEvalIf(form, lenv, denv) {
-  const analysis = analyzeIf(form);
-  if (isError(analysis)) return analysis;
-  const [testForm, thenForm, elseForm] = analysis;
-  const outcome = directstyleEvalForm(testForm, lenv, denv);
-  if (isAbruptCompletion(outcome)) return outcome;
-  const test = outcome.primaryValue();
-  switch (test) {
-    case EVLBoolean.TRUE:
-      return directstyleEvalForm(thenForm, lenv, denv);
-    case EVLBoolean.FALSE:
-      return directstyleEvalForm(elseForm, lenv, denv);
-    default:
-      return new TestFormTypeError();
+function macroexpandAll(form, lenv) {
+  // Returns a new form or an abrupt completion.
+  if (form instanceof EVLCons && form.car === mletVariable) {
+    // The local macros are only known at run time in the expansion of the macro mlet.
+    return macroexpandAllMlet(form, lenv);
   }
-}
-
-function directstyleEvalForEach(form, lenv, denv) {
-  const analysis = analyzeForEach(form);
-  if (isError(analysis)) return analysis;
-  const [functionForm, listForm] = analysis;
-  const outcome = directstyleEvalForm(functionForm, lenv, denv);
-  if (isAbruptCompletion(outcome)) return outcome;
-  const fn = outcome.primaryValue();
-  if (!(fn instanceof EVLFunction)) {
-    return new FunctionFormTypeError();
+  const result = macroexpand(form, lenv);
+  if (isAbruptCompletion(result)) return result;
+  form = result[0];
+  if (!(form instanceof EVLCons)) {
+    return form;
   }
-  const outcome2 = directstyleEvalForm(listForm, lenv, denv);
-  if (isAbruptCompletion(outcome2)) return outcome2;
-  const list = outcome2.primaryValue();
-  if (!isProperList(list)) {
-    return new ListFormTypeError();
+  switch (form.car) {
+    case quoteVariable:
+      return form;
+    case _vlambdaVariable:
+      return macroexpandAllLambda(LEX_SCOPE, VAL_NS, form, lenv);
+    case _mlambdaVariable:
+      return macroexpandAllLambda(LEX_SCOPE, VAL_NS, form, lenv);
+    case _flambdaVariable:
+      return macroexpandAllLambda(LEX_SCOPE, FUN_NS, form, lenv);
+    case _dlambdaVariable:
+      return macroexpandAllLambda(DYN_SCOPE, VAL_NS, form, lenv);
+    default:
+      // The other special forms and the calls are expanded as lists of forms.
+      // Expanding a variable that is not in an evaluable position is harmless.
+      return macroexpandAllForms(form, lenv);
   }
-  return directstyleForEach(fn, list, denv);
 }
 
-function directstyleForEach(fn, list, denv) {
-  while (list !== EVLEmptyList.NIL) {
-    if (list instanceof EVLCons) {
-      const outcome = directstyleInvoke(false, fn, [list.car], denv);
-      if (isAbruptCompletion(outcome)) return outcome;
-      list = list.cdr;
-    } else {
-      throw new CannotHappen('directstyleForEach'); // list is a proper list
-    }
+function macroexpandAllForms(forms, lenv) {
+  // The tail of an improper list is left unchanged.
+  if (forms instanceof EVLCons) {
+    const expandedForm = macroexpandAll(forms.car, lenv);
+    if (isAbruptCompletion(expandedForm)) return expandedForm;
+    const expandedForms = macroexpandAllForms(forms.cdr, lenv);
+    if (isAbruptCompletion(expandedForms)) return expandedForms;
+    return new EVLCons(expandedForm, expandedForms);
+  } else {
+    return forms;
   }
-  return EVLVoid.VOID;
 }
 
-function directstyleEvalLambda(scope, namespace, macro, form, lenv, denv) {
+function macroexpandAllLambda(scope, namespace, form, lenv) {
   const analysis = analyzeLambda(form);
   if (isError(analysis)) return analysis;
   const [parameters, rest, serialForms] = analysis;
-  return new EVLClosure(scope, namespace, macro, parameters, rest, serialForms, lenv);
+  const elenv = scope === LEX_SCOPE ? new Frame(namespace, parameters, new Array(parameters.length).fill(null), lenv) : lenv;
+  const expandedSerialForms = macroexpandAllForms(serialForms, elenv);
+  if (isAbruptCompletion(expandedSerialForms)) return expandedSerialForms;
+  return new EVLCons(form.car, new EVLCons(form.cdr.car, expandedSerialForms));
 }
 
-function directstyleEvalRef(scope, namespace, form, lenv, denv) {
-  const analysis = analyzeRef(form);
+function macroexpandAllMlet(form, lenv) {
+  const analysis = analyzeMlet(form);
   if (isError(analysis)) return analysis;
-  const [variable] = analysis;
-  switch (scope) {
-    case LEX_SCOPE:
-      return lenv.ref(namespace, variable);
-    case DYN_SCOPE:
-      return denv.ref(namespace, variable);
-    default:
-      throw new CannotHappen('directstyleEvalRef');
+  const [mletBindings, serialForms] = analysis;
+  const variables = mletBindings.map(mletBinding => mletBinding[0]);
+  const values = [];
+  for (const mletBinding of mletBindings) {
+    const [variable, parameterList, mlambdaSerialForms] = mletBinding;
+    const mlambda = new EVLCons(mlambdaVariable, new EVLCons(parameterList, mlambdaSerialForms));
+    const outcome = nestedEval(mlambda);
+    if (isAbruptCompletion(outcome)) return outcome;
+    values.push(outcome.primaryValue());
   }
+  const elenv = new Frame(FUN_NS, variables, values, lenv);
+  const expandedSerialForms = macroexpandAllForms(serialForms, elenv);
+  if (isAbruptCompletion(expandedSerialForms)) return expandedSerialForms;
+  // The local macros are no longer needed.
+  return new EVLCons(prognVariable, expandedSerialForms);
 }
 
-function directstyleEvalSet(scope, namespace, form, lenv, denv) {
-  const analysis = analyzeSet(form);
-  if (isError(analysis)) return analysis;
-  const [variable, valueForm] = analysis;
-  const outcome = directstyleEvalForm(valueForm, lenv, denv);
-  if (isAbruptCompletion(outcome)) return outcome;
-  const value = outcome.primaryValue();
-  switch (scope) {
-    case LEX_SCOPE:
-      return lenv.set(namespace, variable, value);
-    case DYN_SCOPE:
-      return denv.set(namespace, variable, value);
-    default:
-      throw new CannotHappen('directstyleEvalSet');
+/**************/
+/* Backtraces */
+/**************/
+
+// The trampoline and trampoline++ evaluators push an invocation record onto
+// their stack on each function invocation. The record of a tail call replaces
+// the record of the calling function so that tail-recursive loops run in
+// constant space. When an error is bounced to the trampoline for the first
+// time, the invocation records present on the stack are saved into the error.
+
+const maxBacktraceLength = 20;
+const maxBacktraceArgumentLength = 60;
+
+class InvocationRecord {
+  constructor(fn, args) {
+    this.fn = fn;
+    this.args = args;
+  }
+  toString() {
+    let string = '(' + (this.fn.name !== null ? this.fn.name : this.fn.toString());
+    for (const arg of this.args) {
+      let argString = arg.toString();
+      if (argString.length > maxBacktraceArgumentLength) {
+        argString = argString.substring(0, maxBacktraceArgumentLength) + '...';
+      }
+      string += ' ' + argString;
+    }
+    return string + ')';
   }
 }
 
-function directstyleEvalBlock(form, lenv, denv) {
-  const analysis = analyzeBlock(form);
-  if (isError(analysis)) return analysis;
-  const [blockName, serialForms] = analysis;
-  const exitTag = new EVLVariable('exit-tag');
-  const elenv = new Frame(BLK_NS, [blockName], [exitTag], lenv);
-  const edenv = new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], denv);
-  const outcome = directstyleEvalSerialForms(serialForms, elenv, edenv);
-  if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
-    return outcome.values;
-  } else {
-    return outcome;
+function captureBacktrace(stack, innermostRecord = null) {
+  // stack is an array whose last element is the top of the stack
+  const backtrace = innermostRecord !== null ? [innermostRecord] : [];
+  for (let i = stack.length - 1; i >= 0 && backtrace.length < maxBacktraceLength; i--) {
+    if (stack[i] instanceof InvocationRecord) {
+      backtrace.push(stack[i]);
+    }
   }
+  return backtrace;
 }
 
-function directstyleEvalReturnFrom(form, lenv, denv) {
-  const analysis = analyzeReturnFrom(form);
-  if (isError(analysis)) return analysis;
-  const [blockName, valuesForm] = analysis;
-  const exitTag = lenv.ref(BLK_NS, blockName);
-  if (exitTag === null) {
-    return new NoBlock(blockName);
-  }
-  const exitPoint = denv.ref(XIT_NS, exitTag);
-  if (exitPoint === null) {
-    return new NoBlockExitPoint(blockName);
+// The location of an error created by the invocation of a function at a call
+// form (an error completing the invocation of a primitive function or an error
+// detected before the invocation, like a wrong number of arguments) is the
+// source location of the call form. The errors completing the evaluation of the
+// body of a closure are located by the call forms of the body.
+function recordErrorLocation(outcome, form) {
+  if (form !== null && isError(outcome) && outcome.location === null) {
+    const location = sourceLocations.get(form);
+    if (location !== undefined) {
+      outcome.location = location;
+    }
   }
-  const outcome = directstyleEvalForm(valuesForm, lenv, denv);
-  if (isAbruptCompletion(outcome)) return outcome;
-  return new NonlocalExit(exitTag, outcome);
+  return outcome;
 }
 
-function directstyleEvalCatch(form, lenv, denv) {
-  const analysis = analyzeCatch(form);
-  if (isError(analysis)) return analysis;
-  const [exitTagForm, serialForms] = analysis;
-  const outcome = directstyleEvalForm(exitTagForm, lenv, denv);
-  if (isAbruptCompletion(outcome)) return outcome;
-  const exitTag = outcome.primaryValue();
-  if (!(exitTag instanceof EVLVariable)) {
-    return new ExitTagFormTypeError();
+// The invocation record of a primitive function (fn and args) is only allocated
+// when the invocation completes abruptly for a reason of type error.
+function recordBacktrace(stack, outcome, fn = null, args = null) {
+  if (isError(outcome) && outcome.backtrace === null) {
+    outcome.backtrace = captureBacktrace(stack, fn !== null ? new InvocationRecord(fn, args) : null);
   }
-  const edenv = new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], denv);
-  const outcome2 = directstyleEvalSerialForms(serialForms, lenv, edenv);
-  if (isNonlocalExit(outcome2) && outcome2.exitTag === exitTag) {
-    return outcome2.values;
+  return outcome;
+}
+
+/**********/
+/* Tracer */
+/**********/
+
+// A traced function is replaced, in the function namespace of the global
+// environment, by a closure wrapping it. The wrapper is created by evaluating a
+// lambda abstraction with the selected evaluator, so that all evaluators invoke
+// it like any other closure (including through apply and multiple-value-call).
+// The forms of the wrapper reference the wrapped function and some unnamed
+// primitive functions printing the trace through quote forms:
+//
+// (_vlambda args
+//   (apply '<trace-enter> '<variable> args)
+//   (unwind-protect
+//       (multiple-value-call '<trace-exit> '<variable> (apply '<function> args))
+//     (apply '<trace-leave> '())))
+
+let traceDepth = 0;
+const tracedFunctions = new Map(); // variable -> [function, wrapper]
+
+function traceIndentation(depth) {
+  return '  '.repeat(depth) + depth + ': ';
+}
+
+function traceEnter(args) {
+  let string = '(' + args[0].toString();
+  for (let i = 1; i < args.length; i++) {
+    string += ' ' + args[i].toString();
+  }
+  writeOutput(traceIndentation(traceDepth) + string + ')\n');
+  traceDepth++;
+  return EVLVoid.VOID;
+}
+
+function traceExit(args) {
+  let string = args[0].toString() + ' returned';
+  if (args.length === 1) {
+    string += ' no values';
   } else {
-    return outcome2;
+    for (let i = 1; i < args.length; i++) {
+      string += ' ' + args[i].toString();
+    }
   }
+  writeOutput(traceIndentation(traceDepth - 1) + string + '\n');
+  return new MultipleValues(args.slice(1));
 }
 
-function directstyleEvalThrow(form, lenv, denv) {
-  const analysis = analyzeThrow(form);
-  if (isError(analysis)) return analysis;
-  const [exitTagForm, valuesForm] = analysis;
-  const outcome = directstyleEvalForm(exitTagForm, lenv, denv);
-  if (isAbruptCompletion(outcome)) return outcome;
-  const exitTag = outcome.primaryValue();
-  if (!(exitTag instanceof EVLVariable)) {
-    return new ExitTagFormTypeError();
+function traceLeave(args) {
+  traceDepth--;
+  return EVLVoid.VOID;
+}
+
+function traceList(...objects) {
+  let list = EVLEmptyList.NIL;
+  for (let i = objects.length - 1; i >= 0; i--) {
+    list = new EVLCons(objects[i], list);
   }
-  const exitPoint = denv.ref(XIT_NS, exitTag);
-  if (exitPoint === null) {
-    return new NoCatchExitPoint(exitTag);
+  return list;
+}
+
+function traceWrapperForm(variable, fn) {
+  const argsVariable = internVariable('args');
+  const enter = quoteObject(new EVLPrimitiveFunction(1, null, traceEnter));
+  const exit = quoteObject(new EVLPrimitiveFunction(1, null, traceExit));
+  const leave = quoteObject(new EVLPrimitiveFunction(0, 0, traceLeave));
+  return traceList(
+    _vlambdaVariable, argsVariable,
+    traceList(applyVariable, enter, quoteObject(variable), argsVariable),
+    traceList(
+      unwindProtectVariable,
+      traceList(
+        multipleValueCallVariable, exit, quoteObject(variable),
+        traceList(applyVariable, quoteObject(fn), argsVariable)),
+      traceList(applyVariable, leave, quoteObject(EVLEmptyList.NIL))));
+}
+
+function isTraced(variable) {
+  // A traced function stops being traced when its variable is rebound.
+  const entry = tracedFunctions.get(variable);
+  return entry !== undefined && variable.function === entry[1];
+}
+
+function tracedVariables() {
+  let list = EVLEmptyList.NIL;
+  for (const variable of tracedFunctions.keys()) {
+    if (isTraced(variable)) {
+      list = new EVLCons(variable, list);
+    }
   }
-  const outcome2 = directstyleEvalForm(valuesForm, lenv, denv);
-  if (isAbruptCompletion(outcome2)) return outcome2;
-  return new NonlocalExit(exitTag, outcome2);
+  return list;
 }
 
-function directstyleEvalHandlerBind(form, lenv, denv) {
-  const analysis = analyzeHandlerBind(form);
-  if (isError(analysis)) return analysis;
-  const [handlerForm, serialForms] = analysis;
-  const outcome = directstyleEvalForm(handlerForm, lenv, denv);
+function traceFunction(variable) {
+  if (isTraced(variable)) return EVLVoid.VOID;
+  const fn = GlobalEnv.ref(FUN_NS, variable);
+  if (isError(fn)) return fn;
+  if (fn instanceof EVLClosure && fn.macro) return new MacroNotTraceable(variable);
+  const outcome = nestedEval(traceWrapperForm(variable, fn));
   if (isAbruptCompletion(outcome)) return outcome;
-  const handler = outcome.primaryValue();
-  if (!(handler instanceof EVLFunction)) {
-    return new HandlerFormTypeError();
+  const wrapper = outcome.primaryValue();
+  // Functions of locked packages can be traced from any package.
+  wrapper.name = variable.name;
+  variable.function = wrapper;
+  tracedFunctions.set(variable, [fn, wrapper]);
+  return EVLVoid.VOID;
+}
+
+function untraceFunction(variable) {
+  if (isTraced(variable)) {
+    variable.function = tracedFunctions.get(variable)[0];
   }
-  const outcome2 = directstyleEvalSerialForms(serialForms, lenv, denv);
-  if (isError(outcome2)) {
-    const outcome3 = directstyleInvoke(false, handler, [outcome2.category, outcome2.description], denv);
-    if (isAbruptCompletion(outcome3)) {
-      return outcome3;
-    } else {
-      return outcome2;
+  tracedFunctions.delete(variable);
+}
+
+/************/
+/* Profiler */
+/************/
+
+// While the profiler is running, the trampoline and trampoline++ evaluators
+// count the invocations of each function, the time spent in them, and the
+// continuation objects created of each type (each continuation object is pushed
+// onto the stack as soon as it is created). A closure is entered when its
+// invocation record is pushed onto the stack and exited when the record is
+// popped or replaced by the record of a tail call. A primitive function is
+// entered and exited around the call of its JavaScript function. The inclusive
+// time of a function includes the time spent in the functions it invokes, the
+// exclusive time does not. Primitive functions are identified by themselves and
+// closures by their serial forms, which are shared by the closures created by
+// the same lambda abstraction. The names are only used for display (anonymous
+// closures are displayed with the source location of their body), and the time
+// spent in a recursive invocation is only counted once in the inclusive time.
+
+let profiler = null; // the profile being collected or the last profile collected
+let profiling = false;
+
+class ProfileEntry {
+  constructor(name) {
+    this.name = name;
+    this.calls = 0;
+    this.inclusiveTime = 0; // milliseconds
+    this.exclusiveTime = 0; // milliseconds
+    this.active = 0; // number of activations in progress
+  }
+}
+
+class ProfileActivation {
+  constructor(key, entry) {
+    this.key = key; // InvocationRecord (closures) or EVLPrimitiveFunction (primitive functions)
+    this.entry = entry;
+    this.start = performance.now();
+    this.childTime = 0; // time spent in the functions invoked by the function
+  }
+}
+
+class Profiler {
+  constructor(evaluator) {
+    this.evaluator = evaluator;
+    this.functions = new Map(); // EVLPrimitiveFunction or serial forms -> ProfileEntry
+    this.continuations = new Map(); // class name -> count
+    this.activations = []; // array of ProfileActivation's (the last element is the innermost activation)
+  }
+  enter(key, fn) {
+    // The empty list cannot identify a body.
+    const id = fn instanceof EVLClosure && fn.serialForms instanceof EVLCons ? fn.serialForms : fn;
+    let entry = this.functions.get(id);
+    if (entry === undefined) {
+      this.functions.set(id, entry = new ProfileEntry(profileName(fn)));
+    }
+    entry.calls++;
+    entry.active++;
+    const activation = new ProfileActivation(key, entry);
+    this.activations.push(activation);
+    return activation;
+  }
+  exit(key) {
+    // The activations above the exited one can only be left open by an
+    // evaluation that has been aborted.
+    let index = this.activations.length - 1;
+    while (index >= 0 && this.activations[index].key !== key) {
+      index--;
+    }
+    if (index === -1) return;
+    while (this.activations.length > index) {
+      this.close(this.activations.pop(), performance.now());
+    }
+  }
+  close(activation, time) {
+    const {entry, start, childTime} = activation;
+    const elapsedTime = time - start;
+    entry.exclusiveTime += elapsedTime - childTime;
+    if (--entry.active === 0) {
+      entry.inclusiveTime += elapsedTime;
+    }
+    if (this.activations.length !== 0) {
+      this.activations[this.activations.length - 1].childTime += elapsedTime;
+    }
+  }
+  closeAll() {
+    const time = performance.now();
+    while (this.activations.length !== 0) {
+      this.close(this.activations.pop(), time);
+    }
+  }
+  discardAll() {
+    for (const activation of this.activations) {
+      activation.entry.active--;
+    }
+    this.activations = [];
+  }
+  excludePause(duration) {
+    for (const activation of this.activations) {
+      activation.start += duration;
+    }
+  }
+  countContinuation(cont) {
+    const type = cont.constructor.name;
+    const count = this.continuations.get(type);
+    this.continuations.set(type, count === undefined ? 1 : count + 1);
+  }
+  sortedFunctions(key) {
+    const entries = Array.from(this.functions.values());
+    switch (key) {
+      case 'name':
+        return entries.sort((entry1, entry2) => entry1.name < entry2.name ? -1 : entry1.name > entry2.name ? 1 : 0);
+      case 'calls':
+        return entries.sort((entry1, entry2) => entry2.calls - entry1.calls);
+      case 'inclusive':
+        return entries.sort((entry1, entry2) => entry2.inclusiveTime - entry1.inclusiveTime);
+      case 'exclusive':
+        return entries.sort((entry1, entry2) => entry2.exclusiveTime - entry1.exclusiveTime);
+      default:
+        throw new CannotHappen('Profiler.sortedFunctions');
     }
-  } else {
-    return outcome2;
   }
+  sortedContinuations(key) {
+    const counts = Array.from(this.continuations);
+    if (key === 'name') {
+      return counts.sort(([type1], [type2]) => type1 < type2 ? -1 : type1 > type2 ? 1 : 0);
+    } else {
+      return counts.sort(([, count1], [, count2]) => count2 - count1);
+    }
+  }
+  report(key) {
+    const functionRows = this.sortedFunctions(key).map(entry => [
+      entry.name,
+      String(entry.calls),
+      entry.inclusiveTime.toFixed(3),
+      entry.exclusiveTime.toFixed(3)
+    ]);
+    const continuationRows = this.sortedContinuations(key).map(([type, count]) => [type, String(count)]);
+    return profileTable(['function', 'calls', 'inclusive (ms)', 'exclusive (ms)'], functionRows)
+      + '\n' + profileTable(['continuation', 'count'], continuationRows);
+  }
+  toJSON() {
+    return {
+      evaluator: this.evaluator,
+      functions: this.sortedFunctions('exclusive').map(({name, calls, inclusiveTime, exclusiveTime}) =>
+        ({name, calls, inclusiveTime, exclusiveTime})),
+      continuations: this.sortedContinuations('count').map(([type, count]) => ({type, count}))
+    };
+  }
+  toEVL(key) {
+    // The same data as toJSON, as lists whose elements follow the order of the properties.
+    return arrayToList([
+      new EVLString(this.evaluator),
+      arrayToList(this.sortedFunctions(key).map(({name, calls, inclusiveTime, exclusiveTime}) => arrayToList([
+        new EVLString(name),
+        new EVLInteger(calls),
+        new EVLFloat(inclusiveTime),
+        new EVLFloat(exclusiveTime)
+      ]))),
+      arrayToList(this.sortedContinuations(key).map(([type, count]) => arrayToList([
+        new EVLString(type),
+        new EVLInteger(count)
+      ])))
+    ]);
+  }
+}
+
+function profileName(fn) {
+  if (fn.name !== null) {
+    return fn.name;
+  }
+  if (fn instanceof EVLClosure && fn.serialForms instanceof EVLCons) {
+    const form = fn.serialForms.car;
+    // The serial forms of the closures created by the trampoline++ and compiling evaluators are preprocessed.
+    const location = sourceLocations.get(form instanceof TrampolineppForm ? form.form : form);
+    if (location !== undefined) {
+      return fn.toString() + ' ' + location.toString();
+    }
+  }
+  return fn.toString();
+}
+
+function profileTable(headers, rows) {
+  // The first column is aligned to the left, the other columns to the right.
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells.map((cell, i) => i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  ') + '\n';
+  return line(headers) + line(widths.map(width => '-'.repeat(width))) + rows.map(line).join('');
+}
+
+function startProfiler() {
+  if (selectedEvaluator !== 'trampoline' && selectedEvaluator !== 'trampolinepp') {
+    return new ProfilerNotImplemented();
+  }
+  profiler = new Profiler(selectedEvaluator);
+  profiling = true;
+  return EVLVoid.VOID;
 }
 
-function directstyleEvalUnwindProtect(form, lenv, denv) {
-  const analysis = analyzeUnwindProtect(form);
-  if (isError(analysis)) return analysis;
-  const [protectedForm, cleanupForms] = analysis;
-  const outcome = directstyleEvalForm(protectedForm, lenv, denv);
-  const outcome2 = directstyleEvalSerialForms(cleanupForms, lenv, denv);
-  if (isAbruptCompletion(outcome2)) {
-    return outcome2;
-  } else {
-    return outcome;
+function stopProfiler() {
+  if (profiling) {
+    profiler.closeAll();
+    profiling = false;
   }
 }
 
-function directstyleEvalCall(mv, apply, form, lenv, denv) {
-  const analysis = analyzeCall(mv, apply, form, lenv);
-  if (isError(analysis)) return analysis;
-  const [macroCall, operator, operands] = analysis;
-  if (macroCall) {
-    return directstyleEvalMacroCall(form, operator, operands, lenv, denv);
+function profilePrimitiveFunction(fn, values) {
+  if (!profiling) return fn.jsFunction(values);
+  const activation = profiler.enter(fn, fn);
+  try {
+    return fn.jsFunction(values);
+  } finally {
+    if (profiling) profiler.exit(activation.key);
+  }
+}
+
+/************/
+/* Coverage */
+/************/
+
+// While coverage is being collected, the evaluators record which branches of
+// the if forms and which bodies of the closures have been evaluated. Because
+// the coverage points are the forms read from a source, they are identified by
+// their source locations: a cons created by the reader has its own source
+// location and a cons created by a macro expansion (for example, the progn form
+// wrapping the serial forms of a cond clause) is given the range spanning the
+// source locations of its elements. The forms having no source location (the
+// atoms, for example) are not coverage points, except for the bodies made of
+// atoms only, which are given the source location of their lambda abstraction
+// or, if the lambda abstraction has been produced by a macro expansion, of the
+// macro call (for example, the fdef form). The body of a closure becomes a
+// coverage point when the closure is created and the branches of an if form
+// become coverage points when the test form of the if form is evaluated, so the
+// forms contained in code that has never been reached are covered by the
+// coverage point of the enclosing branch or body. The coverage points are
+// identified by the forms (the serial forms of the closures and the branch
+// forms of the if forms, together with the branch number), so that two
+// branches sharing a source location remain distinct.
+
+let coverage = null; // the coverage being collected or the last coverage collected
+let collectingCoverage = false;
+const lambdaForms = new WeakMap(); // serial forms -> lambda abstraction
+const expansionLocations = new WeakMap(); // cons produced by a macro expansion -> SourceLocation of the macro call
+
+class CoveragePoint {
+  constructor(kind, location) {
+    this.kind = kind; // 'function' or 'branch'
+    this.location = location; // SourceLocation
+    this.count = 0; // number of evaluations
+    this.name = null; // name of the closure (function points) or null
+    this.block = null; // number of the if form (branch points) or null
+    this.branch = null; // 0 (then form) or 1 (else form) (branch points) or null
+    this.key = null; // string identifying the point across the loadings of its source
+  }
+}
+
+class Coverage {
+  constructor() {
+    this.points = []; // CoveragePoint
+    this.functionPointCache = new WeakMap(); // serial forms -> CoveragePoint or null
+    this.branchPointCache = new WeakMap(); // then form -> Map(else form -> [CoveragePoint or null, CoveragePoint or null])
+    this.blockCount = 0;
+  }
+  point(kind, location, key) {
+    const point = new CoveragePoint(kind, location);
+    point.key = key;
+    this.points.push(point);
+    return point;
+  }
+  functionPoint(serialForms) {
+    let point = this.functionPointCache.get(serialForms);
+    if (point === undefined) {
+      const location = functionSourceLocation(serialForms);
+      point = location !== null ? this.point('function', location, 'function ' + locationKey(location)) : null;
+      this.functionPointCache.set(serialForms, point);
+    }
+    return point;
+  }
+  branchPoints(thenForm, elseForm) {
+    // The forms are null for the internal forms of the trampoline++ and compiling evaluators.
+    if (thenForm === null) thenForm = EVLVoid.VOID;
+    if (elseForm === null) elseForm = EVLVoid.VOID;
+    let elseForms = this.branchPointCache.get(thenForm);
+    if (elseForms === undefined) {
+      this.branchPointCache.set(thenForm, elseForms = new Map());
+    }
+    let points = elseForms.get(elseForm);
+    if (points === undefined) {
+      const block = this.blockCount++;
+      const locations = [thenForm, elseForm].map(formSourceLocation);
+      const blockKey = locations.map(location => location !== null ? locationKey(location) : null).join(' ');
+      points = locations.map((location, branch) => {
+        if (location === null) return null;
+        const point = this.point('branch', location, 'branch ' + blockKey + ' ' + branch);
+        point.block = block;
+        point.branch = branch;
+        return point;
+      });
+      elseForms.set(elseForm, points);
+    }
+    return points;
+  }
+}
+
+function coverageSerialForms(serialForms) {
+  // The closures created by the trampoline++ and compiling evaluators contain preprocessed serial forms.
+  return listToArray(serialForms).map(form => form instanceof TrampolineppForm ? form.form : form).filter(form => form !== null);
+}
+
+function locationKey(location) {
+  return location.source + ' ' + location.start + ' ' + location.end;
+}
+
+function functionSourceLocation(serialForms) {
+  const location = formsSourceLocation(coverageSerialForms(serialForms));
+  if (location !== null) {
+    return location;
+  }
+  const lambdaForm = lambdaForms.get(serialForms);
+  if (lambdaForm === undefined) {
+    return null;
+  }
+  const lambdaLocation = formSourceLocation(lambdaForm);
+  if (lambdaLocation !== null) {
+    return lambdaLocation;
+  }
+  const expansionLocation = expansionLocations.get(lambdaForm);
+  return expansionLocation !== undefined ? expansionLocation : null;
+}
+
+function formSourceLocation(form) {
+  const location = sourceLocations.get(form);
+  if (location !== undefined) {
+    return location;
+  } else if (form instanceof EVLCons && isProperList(form)) {
+    return formsSourceLocation(listToArray(form));
   } else {
-    return directstyleEvalFunctionCall(mv, apply, operator, operands, lenv, denv);
+    return null;
   }
 }
 
-function directstyleEvalMacroCall(form, macro, macroOperands, lenv, denv) {
-  const args = listToArray(macroOperands);
-  const outcome = directstyleInvoke(false, macro, args, denv);
-  if (isAbruptCompletion(outcome)) return outcome;
-  const expansion = outcome.primaryValue();
-  if (optimizeMacroCalls) {
-    alterForm(form, expansion);
+function formsSourceLocation(forms) {
+  // returns the range spanning the source locations of the forms or null
+  const locations = [];
+  for (const form of forms) {
+    const location = formSourceLocation(form);
+    if (location !== null) {
+      locations.push(location);
+    }
   }
-  return directstyleEvalForm(expansion, lenv, denv);
+  if (locations.length === 0) {
+    return null;
+  }
+  const first = locations[0];
+  const last = locations[locations.length - 1];
+  if (first.text !== last.text) {
+    return null;
+  }
+  return new SourceLocation(first.source, first.text, first.start, last.end);
 }
 
-function directstyleEvalFunctionCall(mv, apply, operatorForm, operandForms, lenv, denv) {
-  const outcome = directstyleEvalOperatorForm(operatorForm, lenv, denv);
-  if (isAbruptCompletion(outcome)) return outcome;
-  const fn = outcome.primaryValue();
-  if (!(fn instanceof EVLFunction)) {
-    return new OperatorFormTypeError();
+function registerLambdaCoverage(serialForms, lambdaForm) {
+  // The empty list cannot identify a body.
+  if (serialForms instanceof EVLCons) {
+    lambdaForms.set(serialForms, lambdaForm);
   }
-  return directstyleEvalOperandForms(mv, apply, fn, operandForms, [], lenv, denv);
 }
 
-function directstyleEvalOperatorForm(operatorForm, lenv, denv) {
-  if (operatorForm instanceof EVLVariable) {
-    return lenv.ref(FUN_NS, operatorForm);
-  } else {
-    return directstyleEvalForm(operatorForm, lenv, denv);
+function recordExpansionCoverage(form, expansion) {
+  // gives the source location of the macro call to the conses of the expansion
+  // having no source location, without descending into the quoted data or into
+  // the conses having a source location (the operands of the macro call)
+  let location = formSourceLocation(form);
+  if (location === null) {
+    location = expansionLocations.get(form);
+    if (location === undefined) return;
+  }
+  const conses = [expansion];
+  while (conses.length !== 0) {
+    const object = conses.pop();
+    if (!(object instanceof EVLCons) || sourceLocations.has(object) || expansionLocations.has(object)) continue;
+    expansionLocations.set(object, location);
+    if (object.car !== quoteVariable) {
+      conses.push(object.cdr, object.car);
+    }
   }
 }
 
-function directstyleEvalOperandForms(mv, apply, fn, operandForms, args, lenv, denv) {
-  if (operandForms === EVLEmptyList.NIL) {
-    return directstyleInvoke(apply, fn, args, denv);
-  } else {
-    const outcome = directstyleEvalForm(operandForms.car, lenv, denv);
-    if (isAbruptCompletion(outcome)) return outcome;
-    if (mv) {
-      outcome.allValues().forEach(value => args.push(value));
+function registerFunctionCoverage(serialForms) {
+  coverage.functionPoint(serialForms);
+}
+
+function recordFunctionCoverage(fn) {
+  const point = coverage.functionPoint(fn.serialForms);
+  if (point !== null) {
+    point.count++;
+    if (point.name === null) {
+      point.name = fn.name;
+    }
+  }
+}
+
+function nameFunctionCoverage(fn) {
+  const point = coverage.functionPoint(fn.serialForms);
+  if (point !== null && point.name === null) {
+    point.name = fn.name;
+  }
+}
+
+function recordBranchCoverage(thenForm, elseForm, test) {
+  if (test !== EVLBoolean.TRUE && test !== EVLBoolean.FALSE) return;
+  const point = coverage.branchPoints(thenForm, elseForm)[test === EVLBoolean.TRUE ? 0 : 1];
+  if (point !== null) {
+    point.count++;
+  }
+}
+
+function startCoverage() {
+  coverage = new Coverage();
+  collectingCoverage = true;
+}
+
+function stopCoverage() {
+  collectingCoverage = false;
+}
+
+// The coverage points of each source, sorted by position, with their lines and
+// columns (numbered from 1). Loading a source again yields new coverage points,
+// which are merged with the old ones as long as the text is unchanged.
+function coverageBySource() {
+  const points = new Map(); // key -> CoveragePoint
+  for (const point of coverage.points) {
+    const mergedPoint = points.get(point.key);
+    if (mergedPoint !== undefined && mergedPoint.location.text === point.location.text) {
+      mergedPoint.count += point.count;
+      if (mergedPoint.name === null) {
+        mergedPoint.name = point.name;
+      }
     } else {
-      args.push(outcome.primaryValue());
+      points.set(point.key, Object.assign(new CoveragePoint(point.kind, point.location), point));
+    }
+  }
+  const sources = new Map(); // source -> array of [point, startLine, startColumn, endLine, endColumn]
+  const lineStarts = new Map(); // text -> array of line start positions
+  for (const point of points.values()) {
+    const {source, text, start, end} = point.location;
+    if (source === null) continue;
+    if (!lineStarts.has(text)) {
+      const starts = [0];
+      for (let position = 0; position < text.length; position++) {
+        if (text.charCodeAt(position) === 0x0A) {
+          starts.push(position + 1);
+        }
+      }
+      lineStarts.set(text, starts);
+    }
+    const starts = lineStarts.get(text);
+    const lineAndColumn = position => {
+      let low = 0;
+      let high = starts.length - 1;
+      while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (starts[middle] <= position) {
+          low = middle;
+        } else {
+          high = middle - 1;
+        }
+      }
+      return [low + 1, position - starts[low] + 1];
+    };
+    if (!sources.has(source)) {
+      sources.set(source, []);
     }
-    return directstyleEvalOperandForms(mv, apply, fn, operandForms.cdr, args, lenv, denv);
+    sources.get(source).push([point, ...lineAndColumn(start), ...lineAndColumn(end)]);
+  }
+  for (const entries of sources.values()) {
+    entries.sort(([point1], [point2]) => point1.location.start - point2.location.start || point2.location.end - point1.location.end);
   }
+  return sources;
 }
 
-function directstyleInvoke(apply, fn, args, denv) {
-  if (fn instanceof EVLPrimitiveFunction) {
-    const values = pairPrimFunParameters(apply, args, fn.arityMin, fn.arityMax);
-    if (isError(values)) return values;
-    return fn.jsFunction(values);
-  } else if (fn instanceof EVLClosure) {
-    const values = pairClosureParameters(apply, args, fn.parameters, fn.rest);
-    if (isError(values)) return values;
-    switch (fn.scope) {
-      case LEX_SCOPE:
-        const elenv = new Frame(fn.namespace, fn.parameters, values, fn.lenv);
-        return directstyleEvalSerialForms(fn.serialForms, elenv, denv);
-      case DYN_SCOPE:
-        const edenv = new Frame(fn.namespace, fn.parameters, values, denv);
-        return directstyleEvalSerialForms(fn.serialForms, fn.lenv, edenv);
-      default:
-        throw new CannotHappen('directstyleInvoke');
+function coverageFunctionName(point, line, column) {
+  return point.name !== null ? point.name : `anonymous@${line}:${column}`;
+}
+
+function coverageReport() {
+  let report = '';
+  for (const [source, entries] of coverageBySource()) {
+    const functions = entries.filter(([point]) => point.kind === 'function');
+    const branches = entries.filter(([point]) => point.kind === 'branch');
+    const covered = points => points.filter(([point]) => point.count !== 0).length;
+    report += `${source}: ${covered(functions)}/${functions.length} functions, ${covered(branches)}/${branches.length} branches\n`;
+    for (const [point, startLine, startColumn, endLine, endColumn] of entries) {
+      if (point.count === 0) {
+        const what = point.kind === 'function' ? 'function ' + coverageFunctionName(point, startLine, startColumn) : 'branch';
+        report += `  ${startLine}:${startColumn}-${endLine}:${endColumn}: ${what} not evaluated\n`;
+      }
     }
-  } else {
-    throw new CannotHappen('directstyleInvoke');
   }
+  return report;
 }
 
-/****************************************/
-/* Continuation Passing Style Evaluator */
-/****************************************/
+function coverageToJSON() {
+  const points = [];
+  for (const [source, entries] of coverageBySource()) {
+    for (const [point, startLine, startColumn, endLine, endColumn] of entries) {
+      const {kind, count} = point;
+      const {start, end} = point.location;
+      const name = kind === 'function' ? coverageFunctionName(point, startLine, startColumn) : null;
+      points.push({kind, name, source, start, end, line: startLine, column: startColumn, endLine, endColumn, count});
+    }
+  }
+  return points;
+}
 
-function cpsEval(form) {
-  return cpsEvalForm(form, nullDefiniteEnv, nullDefiniteEnv, cpsEndCont);
+// The line coverage is derived from the coverage points: a line is considered
+// executable if a coverage point starts on it and its count is the largest
+// count of the coverage points starting on it.
+function coverageToLCOV() {
+  let lcov = '';
+  for (const [source, entries] of coverageBySource()) {
+    lcov += 'TN:\n';
+    lcov += `SF:${source}\n`;
+    const functions = entries.filter(([point]) => point.kind === 'function');
+    const names = new Set();
+    for (const [point, line, column] of functions) {
+      let name = coverageFunctionName(point, line, column);
+      if (names.has(name)) {
+        name += `@${line}:${column}`;
+      }
+      names.add(name);
+      lcov += `FN:${line},${name}\n`;
+      lcov += `FNDA:${point.count},${name}\n`;
+    }
+    lcov += `FNF:${functions.length}\n`;
+    lcov += `FNH:${functions.filter(([point]) => point.count !== 0).length}\n`;
+    const branches = entries.filter(([point]) => point.kind === 'branch');
+    for (const [point, line] of branches) {
+      lcov += `BRDA:${line},${point.block},${point.branch},${point.count}\n`;
+    }
+    lcov += `BRF:${branches.length}\n`;
+    lcov += `BRH:${branches.filter(([point]) => point.count !== 0).length}\n`;
+    const lines = new Map(); // line -> count
+    for (const [point, line] of entries) {
+      lines.set(line, Math.max(point.count, lines.has(line) ? lines.get(line) : 0));
+    }
+    const sortedLines = Array.from(lines).sort(([line1], [line2]) => line1 - line2);
+    for (const [line, count] of sortedLines) {
+      lcov += `DA:${line},${count}\n`;
+    }
+    lcov += `LF:${sortedLines.length}\n`;
+    lcov += `LH:${sortedLines.filter(([, count]) => count !== 0).length}\n`;
+    lcov += 'end_of_record\n';
+  }
+  return lcov;
 }
 
-function cpsEvalForm(form, lenv, denv, k) {
+/*******************/
+/* Stack Overflows */
+/*******************/
+
+// The direct style, CPS, OOCPS, and SBOOCPS evaluators nest the invocations of
+// their invoke functions on the JavaScript stack. Their invoke functions count
+// the nested invocations, refuse to go deeper than maxRecursionDepth, and
+// convert an overflow of the JavaScript stack into an abrupt completion that
+// can be handled like any other error. Under the CPS evaluators, the invoke
+// functions only return when the evaluation completes, so the count includes
+// the invocations that have already returned to their continuations, and the
+// handlers run on top of the nested invocations (after a JavaScript stack
+// overflow, they may not have enough room to run). The trampoline evaluators
+// keep their stacks in the heap and count the invocation records instead.
+
+let maxRecursionDepth = Infinity; // maximum number of nested invocations
+let recursionDepth = 0;
+
+function isJSStackOverflow(exception) {
+  // V8 and JavaScriptCore throw a RangeError, SpiderMonkey throws an InternalError.
+  // (A regular expression cannot be used because compiling it can overflow the stack again.)
+  return (exception instanceof RangeError && exception.message.includes('call stack'))
+    || (exception instanceof Error && exception.name === 'InternalError' && exception.message.includes('recursion'));
+}
+
+function reportRecursionDepthExceeded(k) {
+  // Used by the CPS evaluators, which invoke the continuation on top of the
+  // nested invocations: the count restarts so that the handlers can be invoked.
+  const depth = recursionDepth;
+  recursionDepth = 0;
+  try {
+    return k(new RecursionDepthExceeded());
+  } finally {
+    recursionDepth = depth;
+  }
+}
+
+/**************************/
+/* Direct Style Evaluator */
+/**************************/
+
+function directstyleEval(form) {
+  return directstyleEvalForm(form, nullDefiniteEnv, nullDefiniteEnv);
+}
+
+function directstyleEvalForm(form, lenv, denv) {
   if (form instanceof EVLEmptyList) {
-    return k(new EmptyListError());
+    return new EmptyListError();
   } else if (form instanceof EVLCons) {
     switch (form.car) {
       case quoteVariable:
-        return cpsEvalQuote(form, lenv, denv, k);
+        return directstyleEvalQuote(form, lenv, denv);
       case prognVariable:
-        return cpsEvalProgn(form, lenv, denv, k);
+        return directstyleEvalProgn(form, lenv, denv);
       case ifVariable:
-        return cpsEvalIf(form, lenv, denv, k);
+        return directstyleEvalIf(form, lenv, denv);
       case _forEachVariable:
-        return cpsEvalForEach(form, lenv, denv, k);
+        return directstyleEvalForEach(form, lenv, denv);
       case _vlambdaVariable:
-        return cpsEvalLambda(LEX_SCOPE, VAL_NS, false, form, lenv, denv, k);
+        return directstyleEvalLambda(LEX_SCOPE, VAL_NS, false, form, lenv, denv);
       case _mlambdaVariable:
-        return cpsEvalLambda(LEX_SCOPE, VAL_NS, true, form, lenv, denv, k);
+        return directstyleEvalLambda(LEX_SCOPE, VAL_NS, true, form, lenv, denv);
       case _flambdaVariable:
-        return cpsEvalLambda(LEX_SCOPE, FUN_NS, false, form, lenv, denv, k);
+        return directstyleEvalLambda(LEX_SCOPE, FUN_NS, false, form, lenv, denv);
       case _dlambdaVariable:
-        return cpsEvalLambda(DYN_SCOPE, VAL_NS, false, form, lenv, denv, k);
+        return directstyleEvalLambda(DYN_SCOPE, VAL_NS, false, form, lenv, denv);
       case vrefVariable:
-        return cpsEvalRef(LEX_SCOPE, VAL_NS, form, lenv, denv, k);
+        return directstyleEvalRef(LEX_SCOPE, VAL_NS, form, lenv, denv);
       case vsetVariable:
-        return cpsEvalSet(LEX_SCOPE, VAL_NS, form, lenv, denv, k);
+        return directstyleEvalSet(LEX_SCOPE, VAL_NS, form, lenv, denv);
       case frefVariable:
-        return cpsEvalRef(LEX_SCOPE, FUN_NS, form, lenv, denv, k);
+        return directstyleEvalRef(LEX_SCOPE, FUN_NS, form, lenv, denv);
       case fsetVariable:
-        return cpsEvalSet(LEX_SCOPE, FUN_NS, form, lenv, denv, k);
+        return directstyleEvalSet(LEX_SCOPE, FUN_NS, form, lenv, denv);
       case drefVariable:
-        return cpsEvalRef(DYN_SCOPE, VAL_NS, form, lenv, denv, k);
+        return directstyleEvalRef(DYN_SCOPE, VAL_NS, form, lenv, denv);
       case dsetVariable:
-        return cpsEvalSet(DYN_SCOPE, VAL_NS, form, lenv, denv, k);
+        return directstyleEvalSet(DYN_SCOPE, VAL_NS, form, lenv, denv);
       case blockVariable:
-        return cpsEvalBlock(form, lenv, denv, k);
+        return directstyleEvalBlock(form, lenv, denv);
       case returnFromVariable:
-        return cpsEvalReturnFrom(form, lenv, denv, k);
+        return directstyleEvalReturnFrom(form, lenv, denv);
       case catchVariable:
-        return cpsEvalCatch(form, lenv, denv, k);
+        return directstyleEvalCatch(form, lenv, denv);
       case throwVariable:
-        return cpsEvalThrow(form, lenv, denv, k);
+        return directstyleEvalThrow(form, lenv, denv);
       case _handlerBindVariable:
-        return cpsEvalHandlerBind(form, lenv, denv, k);
+        return directstyleEvalHandlerBind(form, lenv, denv);
       case unwindProtectVariable:
-        return cpsEvalUnwindProtect(form, lenv, denv, k);
+        return directstyleEvalUnwindProtect(form, lenv, denv);
       case applyVariable:
-        return cpsEvalCall(false, true, form, lenv, denv, k);
+        return directstyleEvalCall(false, true, form, lenv, denv);
       case multipleValueCallVariable:
-        return cpsEvalCall(true, false, form, lenv, denv, k);
+        return directstyleEvalCall(true, false, form, lenv, denv);
       case multipleValueApplyVariable:
-        return cpsEvalCall(true, true, form, lenv, denv, k);
+        return directstyleEvalCall(true, true, form, lenv, denv);
       default:
-        return cpsEvalCall(false, false, form, lenv, denv, k);
+        return directstyleEvalCall(false, false, form, lenv, denv);
     }
   } else if (form instanceof EVLVariable) {
-    return k(lenv.ref(VAL_NS, form));
+    return lenv.ref(VAL_NS, form);
   } else {
-    return k(form);
+    return form;
   }
 }
 
-const cpsEndCont = outcome => outcome;
-
-function cpsEvalQuote(form, lenv, denv, k) {
+function directstyleEvalQuote(form, lenv, denv) {
   const analysis = analyzeQuote(form);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [literal] = analysis;
-  return k(literal);
+  return literal;
 }
 
-function cpsEvalProgn(form, lenv, denv, k) {
+function directstyleEvalProgn(form, lenv, denv) {
   const analysis = analyzeProgn(form);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [serialForms] = analysis;
-  return cpsEvalSerialForms(serialForms, lenv, denv, k);
+  return directstyleEvalSerialForms(serialForms, lenv, denv);
 }
 
-function cpsEvalSerialForms(serialForms, lenv, denv, k) {
+function directstyleEvalSerialForms(serialForms, lenv, denv) {
   if (serialForms === EVLEmptyList.NIL) {
-    return k(EVLVoid.VOID);
+    return EVLVoid.VOID;
   } else {
-    return cpsEvalSerialFormForms(serialForms, lenv, denv, k);
+    return directstyleEvalSerialFormForms(serialForms, lenv, denv);
   }
 }
 
-function cpsEvalSerialFormForms(serialForms, lenv, denv, k) {
+function directstyleEvalSerialFormForms(serialForms, lenv, denv) {
   if (serialForms.cdr === EVLEmptyList.NIL) {
-    return cpsEvalForm(serialForms.car, lenv, denv, k);
+    return directstyleEvalForm(serialForms.car, lenv, denv);
   } else {
-    return cpsEvalForm(
-      serialForms.car, lenv, denv,
-      outcome => { // SerialFormCont
-        if (isAbruptCompletion(outcome)) return k(outcome);
-        return cpsEvalSerialFormForms(serialForms.cdr, lenv, denv, k);
-      }
-    );
+    const outcome = directstyleEvalForm(serialForms.car, lenv, denv);
+    if (isAbruptCompletion(outcome)) return outcome;
+    return directstyleEvalSerialFormForms(serialForms.cdr, lenv, denv);
   }
 }
 
-function cpsEvalIf(form, lenv, denv, k) {
+function directstyleEvalIf(form, lenv, denv) {
   const analysis = analyzeIf(form);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [testForm, thenForm, elseForm] = analysis;
-  return cpsEvalForm(
-    testForm, lenv, denv,
-    outcome => { // IfTestFormCont
-      if (isAbruptCompletion(outcome)) return k(outcome);
-      const test = outcome.primaryValue();
-      switch (test) {
-        case EVLBoolean.TRUE:
-          return cpsEvalForm(thenForm, lenv, denv, k);
-        case EVLBoolean.FALSE:
-          return cpsEvalForm(elseForm, lenv, denv, k);
-        default:
-          return k(new TestFormTypeError());
-      }
-    }
-  );
+  const outcome = directstyleEvalForm(testForm, lenv, denv);
+  if (isAbruptCompletion(outcome)) return outcome;
+  const test = outcome.primaryValue();
+  if (collectingCoverage) recordBranchCoverage(thenForm, elseForm, test);
+  switch (test) {
+    case EVLBoolean.TRUE:
+      return directstyleEvalForm(thenForm, lenv, denv);
+    case EVLBoolean.FALSE:
+      return directstyleEvalForm(elseForm, lenv, denv);
+    default:
+      return new TestFormTypeError();
+  }
 }
 
-function cpsEvalForEach(form, lenv, denv, k) {
+function directstyleEvalForEach(form, lenv, denv) {
   const analysis = analyzeForEach(form);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [functionForm, listForm] = analysis;
-  return cpsEvalForm(
-    functionForm, lenv, denv,
-    outcome => { // ForEachFunctionFormCont
-      if (isAbruptCompletion(outcome)) return k(outcome);
-      const fn = outcome.primaryValue();
-      if (!(fn instanceof EVLFunction)) {
-        return k(new FunctionFormTypeError());
-      }
-      return cpsEvalForm(
-        listForm, lenv, denv,
-        outcome => { // ForEachListFormCont
-          if (isAbruptCompletion(outcome)) return k(outcome);
-          const list = outcome.primaryValue();
-          if (!isProperList(list)) {
-            return k(new ListFormTypeError());
-          }
-          return cpsForEach(fn, list, denv, k);
-        }
-      );
-    }
-  );
+  const outcome = directstyleEvalForm(functionForm, lenv, denv);
+  if (isAbruptCompletion(outcome)) return outcome;
+  const fn = outcome.primaryValue();
+  if (!(fn instanceof EVLFunction)) {
+    return new FunctionFormTypeError();
+  }
+  const outcome2 = directstyleEvalForm(listForm, lenv, denv);
+  if (isAbruptCompletion(outcome2)) return outcome2;
+  const list = outcome2.primaryValue();
+  if (!isProperList(list)) {
+    return new ListFormTypeError();
+  }
+  return directstyleForEach(fn, list, denv);
 }
 
-function cpsForEach(fn, list, denv, k) {
+function directstyleForEach(fn, list, denv) {
   while (list !== EVLEmptyList.NIL) {
     if (list instanceof EVLCons) {
-      const outcome = cpsInvoke(false, fn, [list.car], denv, cpsEndCont);
-      if (isAbruptCompletion(outcome)) return k(outcome);
+      const outcome = directstyleInvoke(false, fn, [list.car], denv);
+      if (isAbruptCompletion(outcome)) return outcome;
       list = list.cdr;
     } else {
-      throw new CannotHappen('cpsForEach'); // list is a proper list
+      throw new CannotHappen('directstyleForEach'); // list is a proper list
     }
   }
-  return k(EVLVoid.VOID);
+  return EVLVoid.VOID;
 }
 
-function cpsEvalLambda(scope, namespace, macro, form, lenv, denv, k) {
+function directstyleEvalLambda(scope, namespace, macro, form, lenv, denv) {
   const analysis = analyzeLambda(form);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [parameters, rest, serialForms] = analysis;
-  return k(new EVLClosure(scope, namespace, macro, parameters, rest, serialForms, lenv));
+  return new EVLClosure(scope, namespace, macro, parameters, rest, serialForms, lenv);
 }
 
-function cpsEvalRef(scope, namespace, form, lenv, denv, k) {
+function directstyleEvalRef(scope, namespace, form, lenv, denv) {
   const analysis = analyzeRef(form);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [variable] = analysis;
   switch (scope) {
     case LEX_SCOPE:
-      return k(lenv.ref(namespace, variable));
+      return lenv.ref(namespace, variable);
     case DYN_SCOPE:
-      return k(denv.ref(namespace, variable));
+      return denv.ref(namespace, variable);
     default:
-      throw new CannotHappen('cpsEvalRef');
+      throw new CannotHappen('directstyleEvalRef');
   }
 }
 
-function cpsEvalSet(scope, namespace, form, lenv, denv, k) {
+function directstyleEvalSet(scope, namespace, form, lenv, denv) {
   const analysis = analyzeSet(form);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [variable, valueForm] = analysis;
-  return cpsEvalForm(
-    valueForm, lenv, denv,
-    outcome => { // SetValueFormCont
-      if (isAbruptCompletion(outcome)) return k(outcome);
-      const value = outcome.primaryValue()
-      switch (scope) {
-        case LEX_SCOPE:
-          return k(lenv.set(namespace, variable, value));
-        case DYN_SCOPE:
-          return k(denv.set(namespace, variable, value));
-        default:
-          throw new CannotHappen('cpsEvalSet');
-      }
-    }
-  );
+  const outcome = directstyleEvalForm(valueForm, lenv, denv);
+  if (isAbruptCompletion(outcome)) return outcome;
+  const value = outcome.primaryValue();
+  switch (scope) {
+    case LEX_SCOPE:
+      return lenv.set(namespace, variable, value);
+    case DYN_SCOPE:
+      return denv.set(namespace, variable, value);
+    default:
+      throw new CannotHappen('directstyleEvalSet');
+  }
 }
 
-function cpsEvalBlock(form, lenv, denv, k) {
+function directstyleEvalBlock(form, lenv, denv) {
   const analysis = analyzeBlock(form);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [blockName, serialForms] = analysis;
   const exitTag = new EVLVariable('exit-tag');
   const elenv = new Frame(BLK_NS, [blockName], [exitTag], lenv);
   const edenv = new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], denv);
-  return cpsEvalSerialForms(
-    serialForms, elenv, edenv,
-    outcome => { // BlockSerialFormsCont
-      if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
-        return k(outcome.values);
-      } else {
-        return k(outcome);
-      }
-    }
-  );
+  const outcome = directstyleEvalSerialForms(serialForms, elenv, edenv);
+  if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
+    return outcome.values;
+  } else {
+    return outcome;
+  }
 }
 
-function cpsEvalReturnFrom(form, lenv, denv, k) {
+function directstyleEvalReturnFrom(form, lenv, denv) {
   const analysis = analyzeReturnFrom(form);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [blockName, valuesForm] = analysis;
   const exitTag = lenv.ref(BLK_NS, blockName);
   if (exitTag === null) {
-    return k(new NoBlock(blockName));
+    return new NoBlock(blockName);
   }
   const exitPoint = denv.ref(XIT_NS, exitTag);
   if (exitPoint === null) {
-    return k(new NoBlockExitPoint(blockName));
+    return new NoBlockExitPoint(blockName);
   }
-  return cpsEvalForm(
-    valuesForm, lenv, denv,
-    outcome => { // ReturnFromValuesFormCont
-      if (isAbruptCompletion(outcome)) return k(outcome);
-      return k(new NonlocalExit(exitTag, outcome));
-    }
-  );
+  const outcome = directstyleEvalForm(valuesForm, lenv, denv);
+  if (isAbruptCompletion(outcome)) return outcome;
+  return new NonlocalExit(exitTag, outcome);
 }
 
-function cpsEvalCatch(form, lenv, denv, k) {
+function directstyleEvalCatch(form, lenv, denv) {
   const analysis = analyzeCatch(form);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [exitTagForm, serialForms] = analysis;
-  return cpsEvalForm(
-    exitTagForm, lenv, denv,
-    outcome => { // CatchExitTagFormCont
-      if (isAbruptCompletion(outcome)) return k(outcome);
-      const exitTag = outcome.primaryValue();
-      if (!(exitTag instanceof EVLVariable)) {
-        return k(new ExitTagFormTypeError());
-      }
-      const edenv = new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], denv);
-      return cpsEvalSerialForms(
-        serialForms, lenv, edenv,
-        outcome2 => { // CatchSerialFormsCont
-          if (isNonlocalExit(outcome2) && outcome2.exitTag === exitTag) {
-            return k(outcome2.values);
-          } else {
-            return k(outcome2);
-          }
-        }
-      );
-    }
-  );
+  const outcome = directstyleEvalForm(exitTagForm, lenv, denv);
+  if (isAbruptCompletion(outcome)) return outcome;
+  const exitTag = outcome.primaryValue();
+  if (!(exitTag instanceof EVLVariable)) {
+    return new ExitTagFormTypeError();
+  }
+  const edenv = new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], denv);
+  const outcome2 = directstyleEvalSerialForms(serialForms, lenv, edenv);
+  if (isNonlocalExit(outcome2) && outcome2.exitTag === exitTag) {
+    return outcome2.values;
+  } else {
+    return outcome2;
+  }
 }
 
-function cpsEvalThrow(form, lenv, denv, k) {
+function directstyleEvalThrow(form, lenv, denv) {
   const analysis = analyzeThrow(form);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [exitTagForm, valuesForm] = analysis;
-  return cpsEvalForm(
-    exitTagForm, lenv, denv,
-    outcome => { // ThrowExitTagFormCont
-      if (isAbruptCompletion(outcome)) return k(outcome);
-      const exitTag = outcome.primaryValue();
-      if (!(exitTag instanceof EVLVariable)) {
-        return k(new ExitTagFormTypeError());
-      }
-      const exitPoint = denv.ref(XIT_NS, exitTag);
-      if (exitPoint === null) {
-        return k(new NoCatchExitPoint(exitTag));
-      }
-      return cpsEvalForm(
-        valuesForm, lenv, denv,
-        outcome2 => { // ThrowValuesFormCont
-          if (isAbruptCompletion(outcome2)) return k(outcome2);
-          return k(new NonlocalExit(exitTag, outcome2));
-        }
-      );
-    }
-  );
+  const outcome = directstyleEvalForm(exitTagForm, lenv, denv);
+  if (isAbruptCompletion(outcome)) return outcome;
+  const exitTag = outcome.primaryValue();
+  if (!(exitTag instanceof EVLVariable)) {
+    return new ExitTagFormTypeError();
+  }
+  const exitPoint = denv.ref(XIT_NS, exitTag);
+  if (exitPoint === null) {
+    return new NoCatchExitPoint(exitTag);
+  }
+  const outcome2 = directstyleEvalForm(valuesForm, lenv, denv);
+  if (isAbruptCompletion(outcome2)) return outcome2;
+  return new NonlocalExit(exitTag, outcome2);
 }
 
-function cpsEvalHandlerBind(form, lenv, denv, k) {
+function directstyleEvalHandlerBind(form, lenv, denv) {
   const analysis = analyzeHandlerBind(form);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [handlerForm, serialForms] = analysis;
-  return cpsEvalForm(
-    handlerForm, lenv, denv,
-    outcome => { // HandlerBindHandlerFormCont
-      if (isAbruptCompletion(outcome)) return k(outcome);
-      const handler = outcome.primaryValue();
-      if (!(handler instanceof EVLFunction)) {
-        return k(new HandlerFormTypeError());
-      }
-      return cpsEvalSerialForms(
-        serialForms, lenv, denv,
-        outcome2 => { // HandlerBindSerialFormsCont
-          if (isError(outcome2)) {
-            return cpsInvoke(
-              false, handler, [outcome2.category, outcome2.description], denv,
-              outcome3 => { // HandlerBindInvocationCont
-                if (isAbruptCompletion(outcome3)) {
-                  return k(outcome3);
-                } else {
-                  return k(outcome2);
-                }
-              }
-            );
-          } else {
-            return k(outcome2);
-          }
-        }
-      );
+  const outcome = directstyleEvalForm(handlerForm, lenv, denv);
+  if (isAbruptCompletion(outcome)) return outcome;
+  const handler = outcome.primaryValue();
+  if (!(handler instanceof EVLFunction)) {
+    return new HandlerFormTypeError();
+  }
+  const outcome2 = directstyleEvalSerialForms(serialForms, lenv, denv);
+  if (isError(outcome2)) {
+    const outcome3 = directstyleInvoke(false, handler, handlerArguments(outcome2), denv);
+    if (isAbruptCompletion(outcome3)) {
+      return outcome3;
+    } else {
+      return outcome2;
     }
-  );
+  } else {
+    return outcome2;
+  }
 }
 
-function cpsEvalUnwindProtect(form, lenv, denv, k) {
+function directstyleEvalUnwindProtect(form, lenv, denv) {
   const analysis = analyzeUnwindProtect(form);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [protectedForm, cleanupForms] = analysis;
-  return cpsEvalForm(
-    protectedForm, lenv, denv,
-    outcome => { // UnwindProtectProtectedFormCont
-      return cpsEvalSerialForms(
-        cleanupForms, lenv, denv,
-        outcome2 => { // UnwindProtectCleanupFormsCont
-          if (isAbruptCompletion(outcome2)) {
-            return k(outcome2);
-          } else {
-            return k(outcome);
-          }
-        }
-      );
-    }
-  );
+  const outcome = directstyleEvalForm(protectedForm, lenv, denv);
+  const outcome2 = directstyleEvalSerialForms(cleanupForms, lenv, denv);
+  if (isAbruptCompletion(outcome2)) {
+    return outcome2;
+  } else {
+    return outcome;
+  }
 }
 
-function cpsEvalCall(mv, apply, form, lenv, denv, k) {
+function directstyleEvalCall(mv, apply, form, lenv, denv) {
   const analysis = analyzeCall(mv, apply, form, lenv);
-  if (isError(analysis)) return k(analysis);
+  if (isError(analysis)) return analysis;
   const [macroCall, operator, operands] = analysis;
   if (macroCall) {
-    return cpsEvalMacroCall(form, operator, operands, lenv, denv, k);
+    return directstyleEvalMacroCall(form, operator, operands, lenv, denv);
   } else {
-    return cpsEvalFunctionCall(mv, apply, operator, operands, lenv, denv, k);
+    return directstyleEvalFunctionCall(mv, apply, form, operator, operands, lenv, denv);
   }
 }
 
-function cpsEvalMacroCall(form, macro, macroOperands, lenv, denv, k) {
+function directstyleEvalMacroCall(form, macro, macroOperands, lenv, denv) {
   const args = listToArray(macroOperands);
-  const outcome = cpsInvoke(false, macro, args, denv, cpsEndCont);
-  if (isAbruptCompletion(outcome)) return k(outcome);
+  const outcome = directstyleInvoke(false, macro, args, denv);
+  if (isAbruptCompletion(outcome)) return outcome;
   const expansion = outcome.primaryValue();
+  if (collectingCoverage) recordExpansionCoverage(form, expansion);
   if (optimizeMacroCalls) {
     alterForm(form, expansion);
   }
-  return cpsEvalForm(expansion, lenv, denv, k);
+  return directstyleEvalForm(expansion, lenv, denv);
 }
 
-function cpsEvalFunctionCall(mv, apply, operatorForm, operandForms, lenv, denv, k) {
-  return cpsEvalOperatorForm(
-    operatorForm, lenv, denv,
-    outcome => { // FunctionCallOperatorFormCont
-      if (isAbruptCompletion(outcome)) return k(outcome);
-      const fn = outcome.primaryValue();
-      if (!(fn instanceof EVLFunction)) {
-        return k(new OperatorFormTypeError());
-      }
-      return cpsEvalOperandForms(mv, apply, fn, operandForms, [], lenv, denv, k);
-    }
-  );
+function directstyleEvalFunctionCall(mv, apply, form, operatorForm, operandForms, lenv, denv) {
+  const outcome = directstyleEvalOperatorForm(operatorForm, lenv, denv);
+  if (isAbruptCompletion(outcome)) return outcome;
+  const fn = outcome.primaryValue();
+  if (!(fn instanceof EVLFunction)) {
+    return recordErrorLocation(new OperatorFormTypeError(), form);
+  }
+  return directstyleEvalOperandForms(mv, apply, form, fn, operandForms, [], lenv, denv);
 }
 
-function cpsEvalOperatorForm(operatorForm, lenv, denv, k) {
+function directstyleEvalOperatorForm(operatorForm, lenv, denv) {
   if (operatorForm instanceof EVLVariable) {
-    return k(lenv.ref(FUN_NS, operatorForm));
+    return lenv.ref(FUN_NS, operatorForm);
   } else {
-    return cpsEvalForm(operatorForm, lenv, denv, k);
+    return directstyleEvalForm(operatorForm, lenv, denv);
   }
 }
 
-function cpsEvalOperandForms(mv, apply, fn, operandForms, args, lenv, denv, k) {
+function directstyleEvalOperandForms(mv, apply, form, fn, operandForms, args, lenv, denv) {
   if (operandForms === EVLEmptyList.NIL) {
-    return cpsInvoke(apply, fn, args, denv, k);
+    return directstyleInvoke(apply, fn, args, denv, form);
   } else {
-    return cpsEvalForm(
-      operandForms.car, lenv, denv,
-      outcome => { // FunctionCallOperandFormCont
-        if (isAbruptCompletion(outcome)) return k(outcome);
-        if (mv) {
-          outcome.allValues().forEach(value => args.push(value));
-        } else {
-          args.push(outcome.primaryValue());
-        }
-        return cpsEvalOperandForms(mv, apply, fn, operandForms.cdr, args, lenv, denv, k);
-      }
-    );
+    const outcome = directstyleEvalForm(operandForms.car, lenv, denv);
+    if (isAbruptCompletion(outcome)) return outcome;
+    if (mv) {
+      outcome.allValues().forEach(value => args.push(value));
+    } else {
+      args.push(outcome.primaryValue());
+    }
+    return directstyleEvalOperandForms(mv, apply, form, fn, operandForms.cdr, args, lenv, denv);
+  }
+}
+
+function directstyleInvoke(apply, fn, args, denv, form = null) {
+  checkAbortSignal();
+  if (recursionDepth >= maxRecursionDepth) return new RecursionDepthExceeded();
+  recursionDepth++;
+  try {
+    return directstyleInvokeFunction(apply, fn, args, denv, form);
+  } catch(exception) {
+    if (!isJSStackOverflow(exception)) throw exception;
+    return new StackOverflow();
+  } finally {
+    recursionDepth--;
   }
 }
 
-function cpsInvoke(apply, fn, args, denv, k) {
+function directstyleInvokeFunction(apply, fn, args, denv, form) {
   if (fn instanceof EVLPrimitiveFunction) {
     const values = pairPrimFunParameters(apply, args, fn.arityMin, fn.arityMax);
-    if (isError(values)) return k(values);
-    return k(fn.jsFunction(values));
+    if (isError(values)) return recordErrorLocation(values, form);
+    const outcome = fn.jsFunction(values);
+    if (outcome instanceof EvalReq) {
+      return directstyleEvalForm(outcome.form, outcome.lenv, denv);
+    }
+    return recordErrorLocation(outcome, form);
   } else if (fn instanceof EVLClosure) {
     const values = pairClosureParameters(apply, args, fn.parameters, fn.rest);
-    if (isError(values)) return k(values);
+    if (isError(values)) return recordErrorLocation(values, form);
+    if (collectingCoverage) recordFunctionCoverage(fn);
     switch (fn.scope) {
       case LEX_SCOPE:
         const elenv = new Frame(fn.namespace, fn.parameters, values, fn.lenv);
-        return cpsEvalSerialForms(fn.serialForms, elenv, denv, k);
+        return directstyleEvalSerialForms(fn.serialForms, elenv, denv);
       case DYN_SCOPE:
         const edenv = new Frame(fn.namespace, fn.parameters, values, denv);
-        return cpsEvalSerialForms(fn.serialForms, fn.lenv, edenv, k);
+        return directstyleEvalSerialForms(fn.serialForms, fn.lenv, edenv);
       default:
-        throw new CannotHappen('cpsInvoke');
+        throw new CannotHappen('directstyleInvokeFunction');
     }
+  } else if (fn instanceof EVLContinuation) {
+    return recordErrorLocation(new ForeignContinuation(fn.evaluator), form);
   } else {
-    throw new CannotHappen('cpsInvoke');
+    throw new CannotHappen('directstyleInvokeFunction');
   }
 }
 
-/*********************************/
-/* Object-Oriented CPS Evaluator */
-/*********************************/
+/****************************************/
+/* Continuation Passing Style Evaluator */
+/****************************************/
 
-function oocpsEval(form) {
-  return oocpsEvalForm(form, nullDefiniteEnv, nullDefiniteEnv, oocpsEndCont);
+function cpsEval(form) {
+  return cpsEvalForm(form, nullDefiniteEnv, nullDefiniteEnv, cpsEndCont);
 }
 
-function oocpsEvalForm(form, lenv, denv, k) {
+function cpsEvalForm(form, lenv, denv, k) {
   if (form instanceof EVLEmptyList) {
-    return k.invoke(new EmptyListError());
+    return k(new EmptyListError());
   } else if (form instanceof EVLCons) {
     switch (form.car) {
       case quoteVariable:
-        return oocpsEvalQuote(form, lenv, denv, k);
+        return cpsEvalQuote(form, lenv, denv, k);
       case prognVariable:
-        return oocpsEvalProgn(form, lenv, denv, k);
+        return cpsEvalProgn(form, lenv, denv, k);
       case ifVariable:
-        return oocpsEvalIf(form, lenv, denv, k);
+        return cpsEvalIf(form, lenv, denv, k);
       case _forEachVariable:
-        return oocpsEvalForEach(form, lenv, denv, k);
+        return cpsEvalForEach(form, lenv, denv, k);
       case _vlambdaVariable:
-        return oocpsEvalLambda(LEX_SCOPE, VAL_NS, false, form, lenv, denv, k);
+        return cpsEvalLambda(LEX_SCOPE, VAL_NS, false, form, lenv, denv, k);
       case _mlambdaVariable:
-        return oocpsEvalLambda(LEX_SCOPE, VAL_NS, true, form, lenv, denv, k);
+        return cpsEvalLambda(LEX_SCOPE, VAL_NS, true, form, lenv, denv, k);
       case _flambdaVariable:
-        return oocpsEvalLambda(LEX_SCOPE, FUN_NS, false, form, lenv, denv, k);
+        return cpsEvalLambda(LEX_SCOPE, FUN_NS, false, form, lenv, denv, k);
       case _dlambdaVariable:
-        return oocpsEvalLambda(DYN_SCOPE, VAL_NS, false, form, lenv, denv, k);
+        return cpsEvalLambda(DYN_SCOPE, VAL_NS, false, form, lenv, denv, k);
       case vrefVariable:
-        return oocpsEvalRef(LEX_SCOPE, VAL_NS, form, lenv, denv, k);
+        return cpsEvalRef(LEX_SCOPE, VAL_NS, form, lenv, denv, k);
       case vsetVariable:
-        return oocpsEvalSet(LEX_SCOPE, VAL_NS, form, lenv, denv, k);
+        return cpsEvalSet(LEX_SCOPE, VAL_NS, form, lenv, denv, k);
       case frefVariable:
-        return oocpsEvalRef(LEX_SCOPE, FUN_NS, form, lenv, denv, k);
+        return cpsEvalRef(LEX_SCOPE, FUN_NS, form, lenv, denv, k);
       case fsetVariable:
-        return oocpsEvalSet(LEX_SCOPE, FUN_NS, form, lenv, denv, k);
+        return cpsEvalSet(LEX_SCOPE, FUN_NS, form, lenv, denv, k);
       case drefVariable:
-        return oocpsEvalRef(DYN_SCOPE, VAL_NS, form, lenv, denv, k);
+        return cpsEvalRef(DYN_SCOPE, VAL_NS, form, lenv, denv, k);
       case dsetVariable:
-        return oocpsEvalSet(DYN_SCOPE, VAL_NS, form, lenv, denv, k);
+        return cpsEvalSet(DYN_SCOPE, VAL_NS, form, lenv, denv, k);
       case blockVariable:
-        return oocpsEvalBlock(form, lenv, denv, k);
+        return cpsEvalBlock(form, lenv, denv, k);
       case returnFromVariable:
-        return oocpsEvalReturnFrom(form, lenv, denv, k);
+        return cpsEvalReturnFrom(form, lenv, denv, k);
       case catchVariable:
-        return oocpsEvalCatch(form, lenv, denv, k);
+        return cpsEvalCatch(form, lenv, denv, k);
       case throwVariable:
-        return oocpsEvalThrow(form, lenv, denv, k);
+        return cpsEvalThrow(form, lenv, denv, k);
       case _handlerBindVariable:
-        return oocpsEvalHandlerBind(form, lenv, denv, k);
+        return cpsEvalHandlerBind(form, lenv, denv, k);
       case unwindProtectVariable:
-        return oocpsEvalUnwindProtect(form, lenv, denv, k);
+        return cpsEvalUnwindProtect(form, lenv, denv, k);
       case applyVariable:
-        return oocpsEvalCall(false, true, form, lenv, denv, k);
+        return cpsEvalCall(false, true, form, lenv, denv, k);
       case multipleValueCallVariable:
-        return oocpsEvalCall(true, false, form, lenv, denv, k);
+        return cpsEvalCall(true, false, form, lenv, denv, k);
       case multipleValueApplyVariable:
-        return oocpsEvalCall(true, true, form, lenv, denv, k);
+        return cpsEvalCall(true, true, form, lenv, denv, k);
       default:
-        return oocpsEvalCall(false, false, form, lenv, denv, k);
+        return cpsEvalCall(false, false, form, lenv, denv, k);
     }
   } else if (form instanceof EVLVariable) {
-    return k.invoke(lenv.ref(VAL_NS, form));
+    return k(lenv.ref(VAL_NS, form));
   } else {
-    return k.invoke(form);
-  }
-}
-
-class OOCPSCont { // abstract class
-  constructor(k) {
-    this.k = k;
-  }
-}
-
-class OOCPSEndCont extends OOCPSCont {
-  constructor() {
-    super(null);
-  }
-  invoke(outcome) {
-    return outcome;
+    return k(form);
   }
 }
 
-const oocpsEndCont = new OOCPSEndCont();
+const cpsEndCont = outcome => outcome;
 
-function oocpsEvalQuote(form, lenv, denv, k) {
+function cpsEvalQuote(form, lenv, denv, k) {
   const analysis = analyzeQuote(form);
-  if (isError(analysis)) return k.invoke(analysis);
+  if (isError(analysis)) return k(analysis);
   const [literal] = analysis;
-  return k.invoke(literal);
+  return k(literal);
 }
 
-function oocpsEvalProgn(form, lenv, denv, k) {
+function cpsEvalProgn(form, lenv, denv, k) {
   const analysis = analyzeProgn(form);
-  if (isError(analysis)) return k.invoke(analysis);
+  if (isError(analysis)) return k(analysis);
   const [serialForms] = analysis;
-  return oocpsEvalSerialForms(serialForms, lenv, denv, k);
+  return cpsEvalSerialForms(serialForms, lenv, denv, k);
 }
 
-function oocpsEvalSerialForms(serialForms, lenv, denv, k) {
+function cpsEvalSerialForms(serialForms, lenv, denv, k) {
   if (serialForms === EVLEmptyList.NIL) {
-    return k.invoke(EVLVoid.VOID);
+    return k(EVLVoid.VOID);
   } else {
-    return oocpsEvalSerialFormForms(serialForms, lenv, denv, k);
+    return cpsEvalSerialFormForms(serialForms, lenv, denv, k);
   }
 }
 
-function oocpsEvalSerialFormForms(serialForms, lenv, denv, k) {
+function cpsEvalSerialFormForms(serialForms, lenv, denv, k) {
   if (serialForms.cdr === EVLEmptyList.NIL) {
-    return oocpsEvalForm(serialForms.car, lenv, denv, k);
+    return cpsEvalForm(serialForms.car, lenv, denv, k);
   } else {
-    return oocpsEvalForm(
+    return cpsEvalForm(
       serialForms.car, lenv, denv,
-      new OOCPSSerialFormCont(serialForms, lenv, denv, k)
+      outcome => { // SerialFormCont
+        if (isAbruptCompletion(outcome)) return k(outcome);
+        return cpsEvalSerialFormForms(serialForms.cdr, lenv, denv, k);
+      }
     );
   }
 }
 
-class OOCPSSerialFormCont extends OOCPSCont {
-  constructor(serialForms, lenv, denv, k) {
-    super(k);
-    this.serialForms = serialForms;
-    this.lenv = lenv;
-    this.denv = denv;
-  }
-  invoke(outcome) {
-    const {serialForms, lenv, denv, k} = this;
-    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
-    return oocpsEvalSerialFormForms(serialForms.cdr, lenv, denv, k);
-  }
-}
-
-function oocpsEvalIf(form, lenv, denv, k) {
+function cpsEvalIf(form, lenv, denv, k) {
   const analysis = analyzeIf(form);
-  if (isError(analysis)) return k.invoke(analysis);
+  if (isError(analysis)) return k(analysis);
   const [testForm, thenForm, elseForm] = analysis;
-  return oocpsEvalForm(
+  return cpsEvalForm(
     testForm, lenv, denv,
-    new OOCPSIfTestFormCont(thenForm, elseForm, lenv, denv, k)
-  );
-}
-
-class OOCPSIfTestFormCont extends OOCPSCont {
-  constructor(thenForm, elseForm, lenv, denv, k) {
-    super(k);
-    this.thenForm = thenForm;
-    this.elseForm = elseForm;
-    this.lenv = lenv;
-    this.denv = denv;
-  }
-  invoke(outcome) {
-    const {thenForm, elseForm, lenv, denv, k} = this;
-    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
-    const test = outcome.primaryValue();
-    switch (test) {
-      case EVLBoolean.TRUE:
-        return oocpsEvalForm(thenForm, lenv, denv, k);
-      case EVLBoolean.FALSE:
-        return oocpsEvalForm(elseForm, lenv, denv, k);
-      default:
-        return k.invoke(new TestFormTypeError());
+    outcome => { // IfTestFormCont
+      if (isAbruptCompletion(outcome)) return k(outcome);
+      const test = outcome.primaryValue();
+      if (collectingCoverage) recordBranchCoverage(thenForm, elseForm, test);
+      switch (test) {
+        case EVLBoolean.TRUE:
+          return cpsEvalForm(thenForm, lenv, denv, k);
+        case EVLBoolean.FALSE:
+          return cpsEvalForm(elseForm, lenv, denv, k);
+        default:
+          return k(new TestFormTypeError());
+      }
     }
-  }
+  );
 }
 
-function oocpsEvalForEach(form, lenv, denv, k) {
+function cpsEvalForEach(form, lenv, denv, k) {
   const analysis = analyzeForEach(form);
-  if (isError(analysis)) return k.invoke(analysis);
+  if (isError(analysis)) return k(analysis);
   const [functionForm, listForm] = analysis;
-  return oocpsEvalForm(
+  return cpsEvalForm(
     functionForm, lenv, denv,
-    new OOCPSForEachFunctionFormCont(listForm, lenv, denv, k)
+    outcome => { // ForEachFunctionFormCont
+      if (isAbruptCompletion(outcome)) return k(outcome);
+      const fn = outcome.primaryValue();
+      if (!(fn instanceof EVLFunction)) {
+        return k(new FunctionFormTypeError());
+      }
+      return cpsEvalForm(
+        listForm, lenv, denv,
+        outcome => { // ForEachListFormCont
+          if (isAbruptCompletion(outcome)) return k(outcome);
+          const list = outcome.primaryValue();
+          if (!isProperList(list)) {
+            return k(new ListFormTypeError());
+          }
+          return cpsForEach(fn, list, denv, k);
+        }
+      );
+    }
   );
 }
 
-class OOCPSForEachFunctionFormCont extends OOCPSCont {
-  constructor(listForm, lenv, denv, k) {
-    super(k);
-    this.listForm = listForm;
-    this.lenv = lenv;
-    this.denv = denv;
-  }
-  invoke(outcome) {
-    const {listForm, lenv, denv, k} = this;
-    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
-    const fn = outcome.primaryValue();
-    if (!(fn instanceof EVLFunction)) {
-      return k.invoke(new FunctionFormTypeError());
+function cpsForEach(fn, list, denv, k) {
+  while (list !== EVLEmptyList.NIL) {
+    if (list instanceof EVLCons) {
+      const outcome = cpsInvoke(false, fn, [list.car], denv, cpsEndCont);
+      if (isAbruptCompletion(outcome)) return k(outcome);
+      list = list.cdr;
+    } else {
+      throw new CannotHappen('cpsForEach'); // list is a proper list
     }
-    return oocpsEvalForm(
-      listForm, lenv, denv,
-      new OOCPSForEachListFormCont(fn, denv, k)
-    );
   }
+  return k(EVLVoid.VOID);
 }
 
-class OOCPSForEachListFormCont extends OOCPSCont {
-  constructor(fn, denv, k) {
-    super(k);
-    this.fn = fn;
-    this.denv = denv;
-  }
-  invoke(outcome) {
-    const {fn, denv, k} = this;
-    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
-    const list = outcome.primaryValue();
-    if (!isProperList(list)) {
-      return k.invoke(new ListFormTypeError());
-    }
-    return oocpsForEach(fn, list, denv, k);
-  }
-}
-
-function oocpsForEach(fn, list, denv, k) {
-  while (list !== EVLEmptyList.NIL) {
-    if (list instanceof EVLCons) {
-      const outcome = oocpsInvoke(false, fn, [list.car], denv, oocpsEndCont);
-      if (isAbruptCompletion(outcome)) return k.invoke(outcome);
-      list = list.cdr;
-    } else {
-      throw new CannotHappen('oocpsForEach'); // list is a proper list
-    }
-  }
-  return k.invoke(EVLVoid.VOID);
-}
-
-function oocpsEvalLambda(scope, namespace, macro, form, lenv, denv, k) {
+function cpsEvalLambda(scope, namespace, macro, form, lenv, denv, k) {
   const analysis = analyzeLambda(form);
-  if (isError(analysis)) return k.invoke(analysis);
+  if (isError(analysis)) return k(analysis);
   const [parameters, rest, serialForms] = analysis;
-  return k.invoke(new EVLClosure(scope, namespace, macro, parameters, rest, serialForms, lenv));
+  return k(new EVLClosure(scope, namespace, macro, parameters, rest, serialForms, lenv));
 }
 
-function oocpsEvalRef(scope, namespace, form, lenv, denv, k) {
+function cpsEvalRef(scope, namespace, form, lenv, denv, k) {
   const analysis = analyzeRef(form);
-  if (isError(analysis)) return k.invoke(analysis);
+  if (isError(analysis)) return k(analysis);
   const [variable] = analysis;
   switch (scope) {
     case LEX_SCOPE:
-      return k.invoke(lenv.ref(namespace, variable));
+      return k(lenv.ref(namespace, variable));
     case DYN_SCOPE:
-      return k.invoke(denv.ref(namespace, variable));
+      return k(denv.ref(namespace, variable));
     default:
-      throw new CannotHappen('oocpsEvalRef');
+      throw new CannotHappen('cpsEvalRef');
   }
 }
 
-function oocpsEvalSet(scope, namespace, form, lenv, denv, k) {
+function cpsEvalSet(scope, namespace, form, lenv, denv, k) {
   const analysis = analyzeSet(form);
-  if (isError(analysis)) return k.invoke(analysis);
+  if (isError(analysis)) return k(analysis);
   const [variable, valueForm] = analysis;
-  return oocpsEvalForm(
+  return cpsEvalForm(
     valueForm, lenv, denv,
-    new OOCPSSetValueFormCont(scope, namespace, variable, lenv, denv, k)
-  );
-}
-
-class OOCPSSetValueFormCont extends OOCPSCont {
-  constructor(scope, namespace, variable, lenv, denv, k) {
-    super(k);
-    this.scope = scope;
-    this.namespace = namespace;
-    this.variable = variable;
-    this.lenv = lenv;
-    this.denv = denv;
-  }
-  invoke(outcome) {
-    const {scope, namespace, variable, lenv, denv, k} = this;
-    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
-    const value = outcome.primaryValue()
-    switch (scope) {
-      case LEX_SCOPE:
-        return k.invoke(lenv.set(namespace, variable, value));
-      case DYN_SCOPE:
-        return k.invoke(denv.set(namespace, variable, value));
-      default:
-        throw new CannotHappen('OOCPSSetValueFormCont.invoke');
+    outcome => { // SetValueFormCont
+      if (isAbruptCompletion(outcome)) return k(outcome);
+      const value = outcome.primaryValue()
+      switch (scope) {
+        case LEX_SCOPE:
+          return k(lenv.set(namespace, variable, value));
+        case DYN_SCOPE:
+          return k(denv.set(namespace, variable, value));
+        default:
+          throw new CannotHappen('cpsEvalSet');
+      }
     }
-  }
+  );
 }
 
-function oocpsEvalBlock(form, lenv, denv, k) {
+function cpsEvalBlock(form, lenv, denv, k) {
   const analysis = analyzeBlock(form);
-  if (isError(analysis)) return k.invoke(analysis);
+  if (isError(analysis)) return k(analysis);
   const [blockName, serialForms] = analysis;
   const exitTag = new EVLVariable('exit-tag');
   const elenv = new Frame(BLK_NS, [blockName], [exitTag], lenv);
   const edenv = new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], denv);
-  return oocpsEvalSerialForms(
+  return cpsEvalSerialForms(
     serialForms, elenv, edenv,
-    new OOCPSBlockSerialFormsCont(exitTag, k)
-  );
-}
-
-class OOCPSBlockSerialFormsCont extends OOCPSCont {
-  constructor(exitTag, k) {
-    super(k);
-    this.exitTag = exitTag;
-  }
-  invoke(outcome) {
-    const {exitTag, k} = this;
-    if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
-      return k.invoke(outcome.values);
-    } else {
-      return k.invoke(outcome);
+    outcome => { // BlockSerialFormsCont
+      if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
+        return k(outcome.values);
+      } else {
+        return k(outcome);
+      }
     }
-  }
+  );
 }
 
-function oocpsEvalReturnFrom(form, lenv, denv, k) {
+function cpsEvalReturnFrom(form, lenv, denv, k) {
   const analysis = analyzeReturnFrom(form);
-  if (isError(analysis)) return k.invoke(analysis);
+  if (isError(analysis)) return k(analysis);
   const [blockName, valuesForm] = analysis;
   const exitTag = lenv.ref(BLK_NS, blockName);
   if (exitTag === null) {
-    return k.invoke(new NoBlock(blockName));
+    return k(new NoBlock(blockName));
   }
   const exitPoint = denv.ref(XIT_NS, exitTag);
   if (exitPoint === null) {
-    return k.invoke(new NoBlockExitPoint(blockName));
+    return k(new NoBlockExitPoint(blockName));
   }
-  return oocpsEvalForm(
+  return cpsEvalForm(
     valuesForm, lenv, denv,
-    new OOCPSReturnFromValuesFormCont(exitTag, k)
+    outcome => { // ReturnFromValuesFormCont
+      if (isAbruptCompletion(outcome)) return k(outcome);
+      return k(new NonlocalExit(exitTag, outcome));
+    }
   );
 }
 
-class OOCPSReturnFromValuesFormCont extends OOCPSCont {
-  constructor(exitTag, k) {
-    super(k);
-    this.exitTag = exitTag;
-  }
-  invoke(outcome) {
-    const {exitTag, k} = this;
-    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
-    return k.invoke(new NonlocalExit(exitTag, outcome));
-  }
-}
-
-function oocpsEvalCatch(form, lenv, denv, k) {
+function cpsEvalCatch(form, lenv, denv, k) {
   const analysis = analyzeCatch(form);
-  if (isError(analysis)) return k.invoke(analysis);
+  if (isError(analysis)) return k(analysis);
   const [exitTagForm, serialForms] = analysis;
-  return oocpsEvalForm(
+  return cpsEvalForm(
     exitTagForm, lenv, denv,
-    new OOCPSCatchExitTagFormCont(serialForms, lenv, denv, k)
+    outcome => { // CatchExitTagFormCont
+      if (isAbruptCompletion(outcome)) return k(outcome);
+      const exitTag = outcome.primaryValue();
+      if (!(exitTag instanceof EVLVariable)) {
+        return k(new ExitTagFormTypeError());
+      }
+      const edenv = new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], denv);
+      return cpsEvalSerialForms(
+        serialForms, lenv, edenv,
+        outcome2 => { // CatchSerialFormsCont
+          if (isNonlocalExit(outcome2) && outcome2.exitTag === exitTag) {
+            return k(outcome2.values);
+          } else {
+            return k(outcome2);
+          }
+        }
+      );
+    }
   );
 }
 
-class OOCPSCatchExitTagFormCont extends OOCPSCont {
-  constructor(serialForms, lenv, denv, k) {
-    super(k);
-    this.serialForms = serialForms;
-    this.lenv = lenv;
-    this.denv = denv;
-  }
-  invoke(outcome) {
-    const {serialForms, lenv, denv, k} = this;
-    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
-    const exitTag = outcome.primaryValue();
-    if (!(exitTag instanceof EVLVariable)) {
-      return k.invoke(new ExitTagFormTypeError());
+function cpsEvalThrow(form, lenv, denv, k) {
+  const analysis = analyzeThrow(form);
+  if (isError(analysis)) return k(analysis);
+  const [exitTagForm, valuesForm] = analysis;
+  return cpsEvalForm(
+    exitTagForm, lenv, denv,
+    outcome => { // ThrowExitTagFormCont
+      if (isAbruptCompletion(outcome)) return k(outcome);
+      const exitTag = outcome.primaryValue();
+      if (!(exitTag instanceof EVLVariable)) {
+        return k(new ExitTagFormTypeError());
+      }
+      const exitPoint = denv.ref(XIT_NS, exitTag);
+      if (exitPoint === null) {
+        return k(new NoCatchExitPoint(exitTag));
+      }
+      return cpsEvalForm(
+        valuesForm, lenv, denv,
+        outcome2 => { // ThrowValuesFormCont
+          if (isAbruptCompletion(outcome2)) return k(outcome2);
+          return k(new NonlocalExit(exitTag, outcome2));
+        }
+      );
     }
-    const edenv = new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], denv);
-    return oocpsEvalSerialForms(
-      serialForms, lenv, edenv,
-      new OOCPSCatchSerialFormsCont(exitTag, k)
-    );
-  }
+  );
 }
 
-class OOCPSCatchSerialFormsCont extends OOCPSCont {
-  constructor(exitTag, k) {
-    super(k);
-    this.exitTag = exitTag;
-  }
-  invoke(outcome) {
-    const {exitTag, k} = this;
-    if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
-      return k.invoke(outcome.values);
-    } else {
-      return k.invoke(outcome);
+function cpsEvalHandlerBind(form, lenv, denv, k) {
+  const analysis = analyzeHandlerBind(form);
+  if (isError(analysis)) return k(analysis);
+  const [handlerForm, serialForms] = analysis;
+  return cpsEvalForm(
+    handlerForm, lenv, denv,
+    outcome => { // HandlerBindHandlerFormCont
+      if (isAbruptCompletion(outcome)) return k(outcome);
+      const handler = outcome.primaryValue();
+      if (!(handler instanceof EVLFunction)) {
+        return k(new HandlerFormTypeError());
+      }
+      return cpsEvalSerialForms(
+        serialForms, lenv, denv,
+        outcome2 => { // HandlerBindSerialFormsCont
+          if (isError(outcome2)) {
+            return cpsInvoke(
+              false, handler, handlerArguments(outcome2), denv,
+              outcome3 => { // HandlerBindInvocationCont
+                if (isAbruptCompletion(outcome3)) {
+                  return k(outcome3);
+                } else {
+                  return k(outcome2);
+                }
+              }
+            );
+          } else {
+            return k(outcome2);
+          }
+        }
+      );
     }
-  }
-}
-
-function oocpsEvalThrow(form, lenv, denv, k) {
-  const analysis = analyzeThrow(form);
-  if (isError(analysis)) return k.invoke(analysis);
-  const [exitTagForm, valuesForm] = analysis;
-  return oocpsEvalForm(
-    exitTagForm, lenv, denv,
-    new OOCPSThrowExitTagFormCont(valuesForm, lenv, denv, k)
   );
 }
 
-class OOCPSThrowExitTagFormCont extends OOCPSCont {
-  constructor(valuesForm, lenv, denv, k) {
-    super(k);
-    this.valuesForm = valuesForm;
-    this.lenv = lenv;
-    this.denv = denv;
-  }
-  invoke(outcome) {
-    const {valuesForm, lenv, denv, k} = this;
-    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
-    const exitTag = outcome.primaryValue();
-    if (!(exitTag instanceof EVLVariable)) {
-      return k.invoke(new ExitTagFormTypeError());
-    }
-    const exitPoint = denv.ref(XIT_NS, exitTag);
-    if (exitPoint === null) {
-      return k.invoke(new NoCatchExitPoint(exitTag));
-    }
-    return oocpsEvalForm(
-      valuesForm, lenv, denv,
-      new OOCPSThrowValuesFormCont(exitTag, k)
-    );
-  }
-}
-
-class OOCPSThrowValuesFormCont extends OOCPSCont {
-  constructor(exitTag, k) {
-    super(k);
-    this.exitTag = exitTag;
-  }
-  invoke(outcome) {
-    const {exitTag, k} = this;
-    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
-    return k.invoke(new NonlocalExit(exitTag, outcome));
-  }
-}
-
-function oocpsEvalHandlerBind(form, lenv, denv, k) {
-  const analysis = analyzeHandlerBind(form);
-  if (isError(analysis)) return k.invoke(analysis);
-  const [handlerForm, serialForms] = analysis;
-  return oocpsEvalForm(
-    handlerForm, lenv, denv,
-    new OOCPSHandlerBindHandlerFormCont(serialForms, lenv, denv, k)
-  );
-}
-
-class OOCPSHandlerBindHandlerFormCont extends OOCPSCont {
-  constructor(serialForms, lenv, denv, k) {
-    super(k);
-    this.serialForms = serialForms;
-    this.lenv = lenv;
-    this.denv = denv;
-  }
-  invoke(outcome) {
-    const {serialForms, lenv, denv, k} = this;
-    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
-    const handler = outcome.primaryValue();
-    if (!(handler instanceof EVLFunction)) {
-      return k.invoke(new HandlerFormTypeError());
-    }
-    return oocpsEvalSerialForms(
-      serialForms, lenv, denv,
-      new OOCPSHandlerBindSerialFormsCont(handler, denv, k)
-    );
-  }
-}
-
-class OOCPSHandlerBindSerialFormsCont extends OOCPSCont {
-  constructor(handler, denv, k) {
-    super(k);
-    this.handler = handler;
-    this.denv = denv;
-  }
-  invoke(outcome) {
-    const {handler, denv, k} = this;
-    if (isError(outcome)) {
-      return oocpsInvoke(
-        false, handler, [outcome.category, outcome.description], denv,
-        new OOCPSHandlerBindInvocationCont(outcome, k)
-      );
-    } else {
-      return k.invoke(outcome);
-    }
-  }
-}
-
-class OOCPSHandlerBindInvocationCont extends OOCPSCont {
-  constructor(serialFormsOutcome, k) {
-    super(k);
-    this.serialFormsOutcome = serialFormsOutcome;
-  }
-  invoke(outcome) {
-    const {serialFormsOutcome, k} = this;
-    if (isAbruptCompletion(outcome)) {
-      return k.invoke(outcome);
-    } else {
-      return k.invoke(serialFormsOutcome);
-    }
-  }
-}
-
-function oocpsEvalUnwindProtect(form, lenv, denv, k) {
+function cpsEvalUnwindProtect(form, lenv, denv, k) {
   const analysis = analyzeUnwindProtect(form);
-  if (isError(analysis)) return k.invoke(analysis);
+  if (isError(analysis)) return k(analysis);
   const [protectedForm, cleanupForms] = analysis;
-  return oocpsEvalForm(
+  return cpsEvalForm(
     protectedForm, lenv, denv,
-    new OOCPSUnwindProtectProtectedFormCont(cleanupForms, lenv, denv, k)
-  );
-}
-
-class OOCPSUnwindProtectProtectedFormCont extends OOCPSCont {
-  constructor(cleanupForms, lenv, denv, k) {
-    super(k);
-    this.cleanupForms = cleanupForms;
-    this.lenv = lenv;
-    this.denv = denv;
-  }
-  invoke(outcome) {
-    const {cleanupForms, lenv, denv, k} = this;
-    return oocpsEvalSerialForms(
-      cleanupForms, lenv, denv,
-      new OOCPSUnwindProtectCleanupFormsCont(outcome, k)
-    );
-  }
-}
-
-class OOCPSUnwindProtectCleanupFormsCont extends OOCPSCont {
-  constructor(protectedFormOutcome, k) {
-    super(k);
-    this.protectedFormOutcome = protectedFormOutcome;
-  }
-  invoke(outcome) {
-    const {protectedFormOutcome, k} = this;
-    if (isAbruptCompletion(outcome)) {
-      return k.invoke(outcome);
-    } else {
-      return k.invoke(protectedFormOutcome);
+    outcome => { // UnwindProtectProtectedFormCont
+      return cpsEvalSerialForms(
+        cleanupForms, lenv, denv,
+        outcome2 => { // UnwindProtectCleanupFormsCont
+          if (isAbruptCompletion(outcome2)) {
+            return k(outcome2);
+          } else {
+            return k(outcome);
+          }
+        }
+      );
     }
-  }
+  );
 }
 
-function oocpsEvalCall(mv, apply, form, lenv, denv, k) {
+function cpsEvalCall(mv, apply, form, lenv, denv, k) {
   const analysis = analyzeCall(mv, apply, form, lenv);
-  if (isError(analysis)) return k.invoke(analysis);
+  if (isError(analysis)) return k(analysis);
   const [macroCall, operator, operands] = analysis;
   if (macroCall) {
-    return oocpsEvalMacroCall(form, operator, operands, lenv, denv, k);
+    return cpsEvalMacroCall(form, operator, operands, lenv, denv, k);
   } else {
-    return oocpsEvalFunctionCall(mv, apply, operator, operands, lenv, denv, k);
+    return cpsEvalFunctionCall(mv, apply, form, operator, operands, lenv, denv, k);
   }
 }
 
-function oocpsEvalMacroCall(form, macro, macroOperands, lenv, denv, k) {
+function cpsEvalMacroCall(form, macro, macroOperands, lenv, denv, k) {
   const args = listToArray(macroOperands);
-  const outcome = oocpsInvoke(false, macro, args, denv, oocpsEndCont);
-  if (isAbruptCompletion(outcome)) return k.invoke(outcome);
+  const outcome = cpsInvoke(false, macro, args, denv, cpsEndCont);
+  if (isAbruptCompletion(outcome)) return k(outcome);
   const expansion = outcome.primaryValue();
+  if (collectingCoverage) recordExpansionCoverage(form, expansion);
   if (optimizeMacroCalls) {
     alterForm(form, expansion);
   }
-  return oocpsEvalForm(expansion, lenv, denv, k);
+  return cpsEvalForm(expansion, lenv, denv, k);
 }
 
-function oocpsEvalFunctionCall(mv, apply, operatorForm, operandForms, lenv, denv, k) {
-  return oocpsEvalOperatorForm(
+function cpsEvalFunctionCall(mv, apply, form, operatorForm, operandForms, lenv, denv, k) {
+  return cpsEvalOperatorForm(
     operatorForm, lenv, denv,
-    new OOCPSFunctionCallOperatorFormCont(mv, apply, operandForms, lenv, denv, k)
+    outcome => { // FunctionCallOperatorFormCont
+      if (isAbruptCompletion(outcome)) return k(outcome);
+      const fn = outcome.primaryValue();
+      if (!(fn instanceof EVLFunction)) {
+        return k(recordErrorLocation(new OperatorFormTypeError(), form));
+      }
+      return cpsEvalOperandForms(mv, apply, form, fn, operandForms, [], lenv, denv, k);
+    }
   );
 }
 
-function oocpsEvalOperatorForm(operatorForm, lenv, denv, k) {
+function cpsEvalOperatorForm(operatorForm, lenv, denv, k) {
   if (operatorForm instanceof EVLVariable) {
-    return k.invoke(lenv.ref(FUN_NS, operatorForm));
+    return k(lenv.ref(FUN_NS, operatorForm));
   } else {
-    return oocpsEvalForm(operatorForm, lenv, denv, k);
-  }
-}
-
-class OOCPSFunctionCallOperatorFormCont extends OOCPSCont {
-  constructor(mv, apply, operandForms, lenv, denv, k) {
-    super(k);
-    this.mv = mv;
-    this.apply = apply;
-    this.operandForms = operandForms;
-    this.lenv = lenv;
-    this.denv = denv;
-  }
-  invoke(outcome) {
-    const {mv, apply, operandForms, lenv, denv, k} = this;
-    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
-    const fn = outcome.primaryValue();
-    if (!(fn instanceof EVLFunction)) {
-      return k.invoke(new OperatorFormTypeError());
-    }
-    return oocpsEvalOperandForms(mv, apply, fn, operandForms, [], lenv, denv, k);
+    return cpsEvalForm(operatorForm, lenv, denv, k);
   }
 }
 
-function oocpsEvalOperandForms(mv, apply, fn, operandForms, args, lenv, denv, k) {
+function cpsEvalOperandForms(mv, apply, form, fn, operandForms, args, lenv, denv, k) {
   if (operandForms === EVLEmptyList.NIL) {
-    return oocpsInvoke(apply, fn, args, denv, k);
+    return cpsInvoke(apply, fn, args, denv, k, form);
   } else {
-    return oocpsEvalForm(
+    const argCount = args.length;
+    let invoked = false;
+    return cpsEvalForm(
       operandForms.car, lenv, denv,
-      new OOCPSFunctionCallOperandFormCont(mv, apply, fn, operandForms, args, lenv, denv, k)
+      outcome => { // FunctionCallOperandFormCont
+        if (isAbruptCompletion(outcome)) return k(outcome);
+        const newArgs = reenteredArgs(args, argCount, invoked);
+        invoked = true;
+        if (mv) {
+          outcome.allValues().forEach(value => newArgs.push(value));
+        } else {
+          newArgs.push(outcome.primaryValue());
+        }
+        return cpsEvalOperandForms(mv, apply, form, fn, operandForms.cdr, newArgs, lenv, denv, k);
+      }
     );
   }
 }
 
-class OOCPSFunctionCallOperandFormCont extends OOCPSCont {
-  constructor(mv, apply, fn, operandForms, args, lenv, denv, k) {
-    super(k);
-    this.mv = mv;
-    this.apply = apply;
-    this.fn = fn;
-    this.operandForms = operandForms;
-    this.args = args;
-    this.lenv = lenv;
-    this.denv = denv;
-  }
-  invoke(outcome) {
-    const {mv, apply, fn, operandForms, args, lenv, denv, k} = this;
-    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
-    if (mv) {
-      outcome.allValues().forEach(value => args.push(value));
-    } else {
-      args.push(outcome.primaryValue());
-    }
-    return oocpsEvalOperandForms(mv, apply, fn, operandForms.cdr, args, lenv, denv, k);
+// The continuations of the operand forms accumulate the arguments in place. A
+// continuation captured by call/cc can invoke the continuation of an operand
+// form more than once, in which case the arguments accumulated by the previous
+// invocation are left unchanged and the arguments evaluated before the operand
+// form are copied.
+function reenteredArgs(args, argCount, invoked) {
+  return invoked ? args.slice(0, argCount) : args;
+}
+
+function cpsInvoke(apply, fn, args, denv, k, form = null) {
+  checkAbortSignal();
+  if (recursionDepth >= maxRecursionDepth) return reportRecursionDepthExceeded(k);
+  recursionDepth++;
+  try {
+    return cpsInvokeFunction(apply, fn, args, denv, k, form);
+  } catch(exception) {
+    if (!isJSStackOverflow(exception)) throw exception;
+    return k(new StackOverflow());
+  } finally {
+    recursionDepth--;
   }
 }
 
-function oocpsInvoke(apply, fn, args, denv, k) {
+function cpsInvokeFunction(apply, fn, args, denv, k, form) {
   if (fn instanceof EVLPrimitiveFunction) {
     const values = pairPrimFunParameters(apply, args, fn.arityMin, fn.arityMax);
-    if (isError(values)) return k.invoke(values);
-    return k.invoke(fn.jsFunction(values));
+    if (isError(values)) return k(recordErrorLocation(values, form));
+    const outcome = fn.jsFunction(values);
+    if (outcome instanceof EvalReq) {
+      return cpsEvalForm(outcome.form, outcome.lenv, denv, k);
+    }
+    if (outcome instanceof CallCCReq) {
+      return cpsInvoke(false, outcome.fn, [new EVLContinuation('cps', k)], denv, k);
+    }
+    return k(recordErrorLocation(outcome, form));
   } else if (fn instanceof EVLClosure) {
     const values = pairClosureParameters(apply, args, fn.parameters, fn.rest);
-    if (isError(values)) return k.invoke(values);
+    if (isError(values)) return k(recordErrorLocation(values, form));
+    if (collectingCoverage) recordFunctionCoverage(fn);
     switch (fn.scope) {
       case LEX_SCOPE:
         const elenv = new Frame(fn.namespace, fn.parameters, values, fn.lenv);
-        return oocpsEvalSerialForms(fn.serialForms, elenv, denv, k);
+        return cpsEvalSerialForms(fn.serialForms, elenv, denv, k);
       case DYN_SCOPE:
         const edenv = new Frame(fn.namespace, fn.parameters, values, denv);
-        return oocpsEvalSerialForms(fn.serialForms, fn.lenv, edenv, k);
+        return cpsEvalSerialForms(fn.serialForms, fn.lenv, edenv, k);
       default:
-        throw new CannotHappen('oocpsInvoke');
+        throw new CannotHappen('cpsInvokeFunction');
     }
+  } else if (fn instanceof EVLContinuation) {
+    if (fn.evaluator !== 'cps') return k(recordErrorLocation(new ForeignContinuation(fn.evaluator), form));
+    const values = pairPrimFunParameters(apply, args, 0, null);
+    if (isError(values)) return k(recordErrorLocation(values, form));
+    return fn.k(new MultipleValues(values));
   } else {
-    throw new CannotHappen('oocpsInvoke');
+    throw new CannotHappen('cpsInvokeFunction');
   }
 }
 
-/*********************************************/
-/* Stack-Based Object-Oriented CPS Evaluator */
-/*********************************************/
+/*********************************/
+/* Object-Oriented CPS Evaluator */
+/*********************************/
 
-let sboocpsStack = null;
+function oocpsEval(form) {
+  return oocpsEvalForm(form, nullDefiniteEnv, nullDefiniteEnv, oocpsEndCont);
+}
 
-class SBOOCPSStack {
-  constructor() {
-    this.stack = [sboocpsEndCont]; // array of SBOOCPSCont's and/or Frame's
-    this.denv = nullDefiniteEnv;
-  }
-  push(element) {
-    if (element instanceof SBOOCPSCont) {
-      this.stack.push(element);
-    } else if (element instanceof Frame) {
-      this.stack.push(element);
-      element.next = this.denv;
-      this.denv = element;
-    } else {
-      throw new CannotHappen('SBOOCPSStack.push');
-    }
-  }
-  invoke(outcome) {
-    while (true) {
-      const element = this.stack.pop();
-      if (element instanceof SBOOCPSCont) {
-        return element.invoke(outcome);
-      } else if (element instanceof Frame) {
-        this.denv = element.next;
-      } else {
-        throw new CannotHappen('SBOOCPSStack.invoke');
-      }
-    }
-  }
-}
-
-function sboocpsEval(form) {
-  sboocpsStack = new SBOOCPSStack();
-  return sboocpsEvalForm(form, nullDefiniteEnv);
-}
-
-function sboocpsEvalForm(form, lenv) {
+function oocpsEvalForm(form, lenv, denv, k) {
   if (form instanceof EVLEmptyList) {
-    return sboocpsStack.invoke(new EmptyListError());
+    return k.invoke(new EmptyListError());
   } else if (form instanceof EVLCons) {
     switch (form.car) {
       case quoteVariable:
-        return sboocpsEvalQuote(form, lenv);
+        return oocpsEvalQuote(form, lenv, denv, k);
       case prognVariable:
-        return sboocpsEvalProgn(form, lenv);
+        return oocpsEvalProgn(form, lenv, denv, k);
       case ifVariable:
-        return sboocpsEvalIf(form, lenv);
+        return oocpsEvalIf(form, lenv, denv, k);
       case _forEachVariable:
-        return sboocpsEvalForEach(form, lenv);
+        return oocpsEvalForEach(form, lenv, denv, k);
       case _vlambdaVariable:
-        return sboocpsEvalLambda(LEX_SCOPE, VAL_NS, false, form, lenv);
+        return oocpsEvalLambda(LEX_SCOPE, VAL_NS, false, form, lenv, denv, k);
       case _mlambdaVariable:
-        return sboocpsEvalLambda(LEX_SCOPE, VAL_NS, true, form, lenv);
+        return oocpsEvalLambda(LEX_SCOPE, VAL_NS, true, form, lenv, denv, k);
       case _flambdaVariable:
-        return sboocpsEvalLambda(LEX_SCOPE, FUN_NS, false, form, lenv);
+        return oocpsEvalLambda(LEX_SCOPE, FUN_NS, false, form, lenv, denv, k);
       case _dlambdaVariable:
-        return sboocpsEvalLambda(DYN_SCOPE, VAL_NS, false, form, lenv);
+        return oocpsEvalLambda(DYN_SCOPE, VAL_NS, false, form, lenv, denv, k);
       case vrefVariable:
-        return sboocpsEvalRef(LEX_SCOPE, VAL_NS, form, lenv);
+        return oocpsEvalRef(LEX_SCOPE, VAL_NS, form, lenv, denv, k);
       case vsetVariable:
-        return sboocpsEvalSet(LEX_SCOPE, VAL_NS, form, lenv);
+        return oocpsEvalSet(LEX_SCOPE, VAL_NS, form, lenv, denv, k);
       case frefVariable:
-        return sboocpsEvalRef(LEX_SCOPE, FUN_NS, form, lenv);
+        return oocpsEvalRef(LEX_SCOPE, FUN_NS, form, lenv, denv, k);
       case fsetVariable:
-        return sboocpsEvalSet(LEX_SCOPE, FUN_NS, form, lenv);
+        return oocpsEvalSet(LEX_SCOPE, FUN_NS, form, lenv, denv, k);
       case drefVariable:
-        return sboocpsEvalRef(DYN_SCOPE, VAL_NS, form, lenv);
+        return oocpsEvalRef(DYN_SCOPE, VAL_NS, form, lenv, denv, k);
       case dsetVariable:
-        return sboocpsEvalSet(DYN_SCOPE, VAL_NS, form, lenv);
+        return oocpsEvalSet(DYN_SCOPE, VAL_NS, form, lenv, denv, k);
       case blockVariable:
-        return sboocpsEvalBlock(form, lenv);
+        return oocpsEvalBlock(form, lenv, denv, k);
       case returnFromVariable:
-        return sboocpsEvalReturnFrom(form, lenv);
+        return oocpsEvalReturnFrom(form, lenv, denv, k);
       case catchVariable:
-        return sboocpsEvalCatch(form, lenv);
+        return oocpsEvalCatch(form, lenv, denv, k);
       case throwVariable:
-        return sboocpsEvalThrow(form, lenv);
+        return oocpsEvalThrow(form, lenv, denv, k);
       case _handlerBindVariable:
-        return sboocpsEvalHandlerBind(form, lenv);
+        return oocpsEvalHandlerBind(form, lenv, denv, k);
       case unwindProtectVariable:
-        return sboocpsEvalUnwindProtect(form, lenv);
+        return oocpsEvalUnwindProtect(form, lenv, denv, k);
       case applyVariable:
-        return sboocpsEvalCall(false, true, form, lenv);
+        return oocpsEvalCall(false, true, form, lenv, denv, k);
       case multipleValueCallVariable:
-        return sboocpsEvalCall(true, false, form, lenv);
+        return oocpsEvalCall(true, false, form, lenv, denv, k);
       case multipleValueApplyVariable:
-        return sboocpsEvalCall(true, true, form, lenv);
+        return oocpsEvalCall(true, true, form, lenv, denv, k);
       default:
-        return sboocpsEvalCall(false, false, form, lenv);
+        return oocpsEvalCall(false, false, form, lenv, denv, k);
     }
   } else if (form instanceof EVLVariable) {
-    return sboocpsStack.invoke(lenv.ref(VAL_NS, form));
+    return k.invoke(lenv.ref(VAL_NS, form));
   } else {
-    return sboocpsStack.invoke(form);
+    return k.invoke(form);
   }
 }
 
-class SBOOCPSCont { // abstract class
-  constructor() {
+class OOCPSCont { // abstract class
+  constructor(k) {
+    this.k = k;
   }
 }
 
-class SBOOCPSEndCont extends SBOOCPSCont {
+class OOCPSEndCont extends OOCPSCont {
   constructor() {
-    super();
+    super(null);
   }
   invoke(outcome) {
     return outcome;
   }
 }
 
-const sboocpsEndCont = new SBOOCPSEndCont();
+const oocpsEndCont = new OOCPSEndCont();
 
-function sboocpsEvalQuote(form, lenv) {
+function oocpsEvalQuote(form, lenv, denv, k) {
   const analysis = analyzeQuote(form);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [literal] = analysis;
-  return sboocpsStack.invoke(literal);
+  return k.invoke(literal);
 }
 
-function sboocpsEvalProgn(form, lenv) {
+function oocpsEvalProgn(form, lenv, denv, k) {
   const analysis = analyzeProgn(form);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [serialForms] = analysis;
-  return sboocpsEvalSerialForms(serialForms, lenv);
+  return oocpsEvalSerialForms(serialForms, lenv, denv, k);
 }
 
-function sboocpsEvalSerialForms(serialForms, lenv) {
+function oocpsEvalSerialForms(serialForms, lenv, denv, k) {
   if (serialForms === EVLEmptyList.NIL) {
-    return sboocpsStack.invoke(EVLVoid.VOID);
+    return k.invoke(EVLVoid.VOID);
   } else {
-    return sboocpsEvalSerialFormForms(serialForms, lenv);
+    return oocpsEvalSerialFormForms(serialForms, lenv, denv, k);
   }
 }
 
-function sboocpsEvalSerialFormForms(serialForms, lenv) {
+function oocpsEvalSerialFormForms(serialForms, lenv, denv, k) {
   if (serialForms.cdr === EVLEmptyList.NIL) {
-    return sboocpsEvalForm(serialForms.car, lenv);
+    return oocpsEvalForm(serialForms.car, lenv, denv, k);
   } else {
-    sboocpsStack.push(new SBOOCPSSerialFormCont(serialForms, lenv));
-    return sboocpsEvalForm(serialForms.car, lenv);
+    return oocpsEvalForm(
+      serialForms.car, lenv, denv,
+      new OOCPSSerialFormCont(serialForms, lenv, denv, k)
+    );
   }
 }
 
-class SBOOCPSSerialFormCont extends SBOOCPSCont {
-  constructor(serialForms, lenv) {
-    super();
+class OOCPSSerialFormCont extends OOCPSCont {
+  constructor(serialForms, lenv, denv, k) {
+    super(k);
     this.serialForms = serialForms;
     this.lenv = lenv;
+    this.denv = denv;
   }
   invoke(outcome) {
-    const {serialForms, lenv} = this;
-    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
-    return sboocpsEvalSerialFormForms(serialForms.cdr, lenv);
+    const {serialForms, lenv, denv, k} = this;
+    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
+    return oocpsEvalSerialFormForms(serialForms.cdr, lenv, denv, k);
   }
 }
 
-function sboocpsEvalIf(form, lenv) {
+function oocpsEvalIf(form, lenv, denv, k) {
   const analysis = analyzeIf(form);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [testForm, thenForm, elseForm] = analysis;
-  sboocpsStack.push(new SBOOCPSIfTestFormCont(thenForm, elseForm, lenv));
-  return sboocpsEvalForm(testForm, lenv);
+  return oocpsEvalForm(
+    testForm, lenv, denv,
+    new OOCPSIfTestFormCont(thenForm, elseForm, lenv, denv, k)
+  );
 }
 
-class SBOOCPSIfTestFormCont extends SBOOCPSCont {
-  constructor(thenForm, elseForm, lenv) {
-    super();
+class OOCPSIfTestFormCont extends OOCPSCont {
+  constructor(thenForm, elseForm, lenv, denv, k) {
+    super(k);
     this.thenForm = thenForm;
     this.elseForm = elseForm;
     this.lenv = lenv;
+    this.denv = denv;
   }
   invoke(outcome) {
-    const {thenForm, elseForm, lenv} = this;
-    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    const {thenForm, elseForm, lenv, denv, k} = this;
+    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
     const test = outcome.primaryValue();
+    if (collectingCoverage) recordBranchCoverage(thenForm, elseForm, test);
     switch (test) {
       case EVLBoolean.TRUE:
-        return sboocpsEvalForm(thenForm, lenv);
+        return oocpsEvalForm(thenForm, lenv, denv, k);
       case EVLBoolean.FALSE:
-        return sboocpsEvalForm(elseForm, lenv);
+        return oocpsEvalForm(elseForm, lenv, denv, k);
       default:
-        return sboocpsStack.invoke(new TestFormTypeError());
+        return k.invoke(new TestFormTypeError());
     }
   }
 }
 
-function sboocpsEvalForEach(form, lenv) {
+function oocpsEvalForEach(form, lenv, denv, k) {
   const analysis = analyzeForEach(form);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [functionForm, listForm] = analysis;
-  sboocpsStack.push(new SBOOCPSForEachFunctionFormCont(listForm, lenv));
-  return sboocpsEvalForm(functionForm, lenv);
+  return oocpsEvalForm(
+    functionForm, lenv, denv,
+    new OOCPSForEachFunctionFormCont(listForm, lenv, denv, k)
+  );
 }
 
-class SBOOCPSForEachFunctionFormCont extends SBOOCPSCont {
-  constructor(listForm, lenv) {
-    super();
+class OOCPSForEachFunctionFormCont extends OOCPSCont {
+  constructor(listForm, lenv, denv, k) {
+    super(k);
     this.listForm = listForm;
     this.lenv = lenv;
+    this.denv = denv;
   }
   invoke(outcome) {
-    const {listForm, lenv} = this;
-    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    const {listForm, lenv, denv, k} = this;
+    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
     const fn = outcome.primaryValue();
     if (!(fn instanceof EVLFunction)) {
-      return sboocpsStack.invoke(new FunctionFormTypeError());
+      return k.invoke(new FunctionFormTypeError());
     }
-    sboocpsStack.push(new SBOOCPSForEachListFormCont(fn));
-    return sboocpsEvalForm(listForm, lenv);
+    return oocpsEvalForm(
+      listForm, lenv, denv,
+      new OOCPSForEachListFormCont(fn, denv, k)
+    );
   }
 }
 
-class SBOOCPSForEachListFormCont extends SBOOCPSCont {
-  constructor(fn) {
-    super();
+class OOCPSForEachListFormCont extends OOCPSCont {
+  constructor(fn, denv, k) {
+    super(k);
     this.fn = fn;
+    this.denv = denv;
   }
   invoke(outcome) {
-    const {fn} = this;
-    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    const {fn, denv, k} = this;
+    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
     const list = outcome.primaryValue();
     if (!isProperList(list)) {
-      return sboocpsStack.invoke(new ListFormTypeError());
+      return k.invoke(new ListFormTypeError());
     }
-    return sboocpsForEach(fn, list);
+    return oocpsForEach(fn, list, denv, k);
   }
 }
 
-function sboocpsForEach(fn, list) {
+function oocpsForEach(fn, list, denv, k) {
   while (list !== EVLEmptyList.NIL) {
     if (list instanceof EVLCons) {
-      sboocpsStack.push(sboocpsEndCont);
-      const outcome = sboocpsInvoke(false, fn, [list.car]);
-      if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+      const outcome = oocpsInvoke(false, fn, [list.car], denv, oocpsEndCont);
+      if (isAbruptCompletion(outcome)) return k.invoke(outcome);
       list = list.cdr;
     } else {
-      throw new CannotHappen('sboocpsForEach'); // list is a proper list
+      throw new CannotHappen('oocpsForEach'); // list is a proper list
     }
   }
-  return sboocpsStack.invoke(EVLVoid.VOID);
+  return k.invoke(EVLVoid.VOID);
 }
 
-function sboocpsEvalLambda(scope, namespace, macro, form, lenv) {
+function oocpsEvalLambda(scope, namespace, macro, form, lenv, denv, k) {
   const analysis = analyzeLambda(form);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [parameters, rest, serialForms] = analysis;
-  return sboocpsStack.invoke(new EVLClosure(scope, namespace, macro, parameters, rest, serialForms, lenv));
+  return k.invoke(new EVLClosure(scope, namespace, macro, parameters, rest, serialForms, lenv));
 }
 
-function sboocpsEvalRef(scope, namespace, form, lenv) {
+function oocpsEvalRef(scope, namespace, form, lenv, denv, k) {
   const analysis = analyzeRef(form);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [variable] = analysis;
   switch (scope) {
     case LEX_SCOPE:
-      return sboocpsStack.invoke(lenv.ref(namespace, variable));
+      return k.invoke(lenv.ref(namespace, variable));
     case DYN_SCOPE:
-      return sboocpsStack.invoke(sboocpsStack.denv.ref(namespace, variable));
+      return k.invoke(denv.ref(namespace, variable));
     default:
-      throw new CannotHappen('sboocpsEvalRef');
+      throw new CannotHappen('oocpsEvalRef');
   }
 }
 
-function sboocpsEvalSet(scope, namespace, form, lenv) {
+function oocpsEvalSet(scope, namespace, form, lenv, denv, k) {
   const analysis = analyzeSet(form);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [variable, valueForm] = analysis;
-  sboocpsStack.push(new SBOOCPSSetValueFormCont(scope, namespace, variable, lenv));
-  return sboocpsEvalForm(valueForm, lenv);
+  return oocpsEvalForm(
+    valueForm, lenv, denv,
+    new OOCPSSetValueFormCont(scope, namespace, variable, lenv, denv, k)
+  );
 }
 
-class SBOOCPSSetValueFormCont extends SBOOCPSCont {
-  constructor(scope, namespace, variable, lenv) {
-    super();
+class OOCPSSetValueFormCont extends OOCPSCont {
+  constructor(scope, namespace, variable, lenv, denv, k) {
+    super(k);
     this.scope = scope;
     this.namespace = namespace;
     this.variable = variable;
     this.lenv = lenv;
+    this.denv = denv;
   }
   invoke(outcome) {
-    const {scope, namespace, variable, lenv} = this;
-    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    const {scope, namespace, variable, lenv, denv, k} = this;
+    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
     const value = outcome.primaryValue()
     switch (scope) {
       case LEX_SCOPE:
-        return sboocpsStack.invoke(lenv.set(namespace, variable, value));
+        return k.invoke(lenv.set(namespace, variable, value));
       case DYN_SCOPE:
-        return sboocpsStack.invoke(sboocpsStack.denv.set(namespace, variable, value));
+        return k.invoke(denv.set(namespace, variable, value));
       default:
-        throw new CannotHappen('SBOOCPSSetValueFormCont.invoke');
+        throw new CannotHappen('OOCPSSetValueFormCont.invoke');
     }
   }
 }
 
-function sboocpsEvalBlock(form, lenv) {
+function oocpsEvalBlock(form, lenv, denv, k) {
   const analysis = analyzeBlock(form);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [blockName, serialForms] = analysis;
   const exitTag = new EVLVariable('exit-tag');
   const elenv = new Frame(BLK_NS, [blockName], [exitTag], lenv);
-  sboocpsStack.push(new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], null));
-  sboocpsStack.push(new SBOOCPSBlockSerialFormsCont(exitTag));
-  return sboocpsEvalSerialForms(serialForms, elenv);
-}
-
-class SBOOCPSBlockSerialFormsCont extends SBOOCPSCont {
-  constructor(exitTag) {
-    super();
+  const edenv = new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], denv);
+  return oocpsEvalSerialForms(
+    serialForms, elenv, edenv,
+    new OOCPSBlockSerialFormsCont(exitTag, k)
+  );
+}
+
+class OOCPSBlockSerialFormsCont extends OOCPSCont {
+  constructor(exitTag, k) {
+    super(k);
     this.exitTag = exitTag;
   }
   invoke(outcome) {
-    const {exitTag} = this;
+    const {exitTag, k} = this;
     if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
-      return sboocpsStack.invoke(outcome.values);
+      return k.invoke(outcome.values);
     } else {
-      return sboocpsStack.invoke(outcome);
+      return k.invoke(outcome);
     }
   }
 }
 
-function sboocpsEvalReturnFrom(form, lenv) {
+function oocpsEvalReturnFrom(form, lenv, denv, k) {
   const analysis = analyzeReturnFrom(form);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [blockName, valuesForm] = analysis;
   const exitTag = lenv.ref(BLK_NS, blockName);
   if (exitTag === null) {
-    return sboocpsStack.invoke(new NoBlock(blockName));
+    return k.invoke(new NoBlock(blockName));
   }
-  const exitPoint = sboocpsStack.denv.ref(XIT_NS, exitTag);
+  const exitPoint = denv.ref(XIT_NS, exitTag);
   if (exitPoint === null) {
-    return sboocpsStack.invoke(new NoBlockExitPoint(blockName));
+    return k.invoke(new NoBlockExitPoint(blockName));
   }
-  sboocpsStack.push(new SBOOCPSReturnFromValuesFormCont(exitTag));
-  return sboocpsEvalForm(valuesForm, lenv);
+  return oocpsEvalForm(
+    valuesForm, lenv, denv,
+    new OOCPSReturnFromValuesFormCont(exitTag, k)
+  );
 }
 
-class SBOOCPSReturnFromValuesFormCont extends SBOOCPSCont {
-  constructor(exitTag) {
-    super();
+class OOCPSReturnFromValuesFormCont extends OOCPSCont {
+  constructor(exitTag, k) {
+    super(k);
     this.exitTag = exitTag;
   }
   invoke(outcome) {
-    const {exitTag} = this;
-    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
-    return sboocpsStack.invoke(new NonlocalExit(exitTag, outcome));
+    const {exitTag, k} = this;
+    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
+    return k.invoke(new NonlocalExit(exitTag, outcome));
   }
 }
 
-function sboocpsEvalCatch(form, lenv) {
+function oocpsEvalCatch(form, lenv, denv, k) {
   const analysis = analyzeCatch(form);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [exitTagForm, serialForms] = analysis;
-  sboocpsStack.push(new SBOOCPSCatchExitTagFormCont(serialForms, lenv));
-  return sboocpsEvalForm(exitTagForm, lenv);
+  return oocpsEvalForm(
+    exitTagForm, lenv, denv,
+    new OOCPSCatchExitTagFormCont(serialForms, lenv, denv, k)
+  );
 }
 
-class SBOOCPSCatchExitTagFormCont extends SBOOCPSCont {
-  constructor(serialForms, lenv) {
-    super();
+class OOCPSCatchExitTagFormCont extends OOCPSCont {
+  constructor(serialForms, lenv, denv, k) {
+    super(k);
     this.serialForms = serialForms;
     this.lenv = lenv;
+    this.denv = denv;
   }
   invoke(outcome) {
-    const {serialForms, lenv} = this;
-    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    const {serialForms, lenv, denv, k} = this;
+    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
     const exitTag = outcome.primaryValue();
     if (!(exitTag instanceof EVLVariable)) {
-      return sboocpsStack.invoke(new ExitTagFormTypeError());
+      return k.invoke(new ExitTagFormTypeError());
     }
-    sboocpsStack.push(new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], null));
-    sboocpsStack.push(new SBOOCPSCatchSerialFormsCont(exitTag));
-    return sboocpsEvalSerialForms(serialForms, lenv);
+    const edenv = new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], denv);
+    return oocpsEvalSerialForms(
+      serialForms, lenv, edenv,
+      new OOCPSCatchSerialFormsCont(exitTag, k)
+    );
   }
 }
 
-class SBOOCPSCatchSerialFormsCont extends SBOOCPSCont {
-  constructor(exitTag) {
-    super();
+class OOCPSCatchSerialFormsCont extends OOCPSCont {
+  constructor(exitTag, k) {
+    super(k);
     this.exitTag = exitTag;
   }
   invoke(outcome) {
-    const {exitTag} = this;
+    const {exitTag, k} = this;
     if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
-      return sboocpsStack.invoke(outcome.values);
+      return k.invoke(outcome.values);
     } else {
-      return sboocpsStack.invoke(outcome);
+      return k.invoke(outcome);
     }
   }
 }
 
-function sboocpsEvalThrow(form, lenv) {
+function oocpsEvalThrow(form, lenv, denv, k) {
   const analysis = analyzeThrow(form);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [exitTagForm, valuesForm] = analysis;
-  sboocpsStack.push(new SBOOCPSThrowExitTagFormCont(valuesForm, lenv));
-  return sboocpsEvalForm(exitTagForm, lenv);
+  return oocpsEvalForm(
+    exitTagForm, lenv, denv,
+    new OOCPSThrowExitTagFormCont(valuesForm, lenv, denv, k)
+  );
 }
 
-class SBOOCPSThrowExitTagFormCont extends SBOOCPSCont {
-  constructor(valuesForm, lenv) {
-    super();
+class OOCPSThrowExitTagFormCont extends OOCPSCont {
+  constructor(valuesForm, lenv, denv, k) {
+    super(k);
     this.valuesForm = valuesForm;
     this.lenv = lenv;
+    this.denv = denv;
   }
   invoke(outcome) {
-    const {valuesForm, lenv} = this;
-    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    const {valuesForm, lenv, denv, k} = this;
+    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
     const exitTag = outcome.primaryValue();
     if (!(exitTag instanceof EVLVariable)) {
-      return sboocpsStack.invoke(new ExitTagFormTypeError());
+      return k.invoke(new ExitTagFormTypeError());
     }
-    const exitPoint = sboocpsStack.denv.ref(XIT_NS, exitTag);
+    const exitPoint = denv.ref(XIT_NS, exitTag);
     if (exitPoint === null) {
-      return sboocpsStack.invoke(new NoCatchExitPoint(exitTag));
+      return k.invoke(new NoCatchExitPoint(exitTag));
     }
-    sboocpsStack.push(new SBOOCPSThrowValuesFormCont(exitTag));
-    return sboocpsEvalForm(valuesForm, lenv);
+    return oocpsEvalForm(
+      valuesForm, lenv, denv,
+      new OOCPSThrowValuesFormCont(exitTag, k)
+    );
   }
 }
 
-class SBOOCPSThrowValuesFormCont extends SBOOCPSCont {
-  constructor(exitTag) {
-    super();
+class OOCPSThrowValuesFormCont extends OOCPSCont {
+  constructor(exitTag, k) {
+    super(k);
     this.exitTag = exitTag;
   }
   invoke(outcome) {
-    const {exitTag} = this;
-    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
-    return sboocpsStack.invoke(new NonlocalExit(exitTag, outcome));
+    const {exitTag, k} = this;
+    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
+    return k.invoke(new NonlocalExit(exitTag, outcome));
   }
 }
 
-function sboocpsEvalHandlerBind(form, lenv) {
+function oocpsEvalHandlerBind(form, lenv, denv, k) {
   const analysis = analyzeHandlerBind(form);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [handlerForm, serialForms] = analysis;
-  sboocpsStack.push(new SBOOCPSHandlerBindHandlerFormCont(serialForms, lenv));
-  return sboocpsEvalForm(handlerForm, lenv);
+  return oocpsEvalForm(
+    handlerForm, lenv, denv,
+    new OOCPSHandlerBindHandlerFormCont(serialForms, lenv, denv, k)
+  );
 }
 
-class SBOOCPSHandlerBindHandlerFormCont extends SBOOCPSCont {
-  constructor(serialForms, lenv) {
-    super();
+class OOCPSHandlerBindHandlerFormCont extends OOCPSCont {
+  constructor(serialForms, lenv, denv, k) {
+    super(k);
     this.serialForms = serialForms;
     this.lenv = lenv;
+    this.denv = denv;
   }
   invoke(outcome) {
-    const {serialForms, lenv} = this;
-    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    const {serialForms, lenv, denv, k} = this;
+    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
     const handler = outcome.primaryValue();
     if (!(handler instanceof EVLFunction)) {
-      return sboocpsStack.invoke(new HandlerFormTypeError());
+      return k.invoke(new HandlerFormTypeError());
     }
-    sboocpsStack.push(new SBOOCPSHandlerBindSerialFormsCont(handler));
-    return sboocpsEvalSerialForms(serialForms, lenv);
+    return oocpsEvalSerialForms(
+      serialForms, lenv, denv,
+      new OOCPSHandlerBindSerialFormsCont(handler, denv, k)
+    );
   }
 }
 
-class SBOOCPSHandlerBindSerialFormsCont extends SBOOCPSCont {
-  constructor(handler) {
-    super();
+class OOCPSHandlerBindSerialFormsCont extends OOCPSCont {
+  constructor(handler, denv, k) {
+    super(k);
     this.handler = handler;
+    this.denv = denv;
   }
   invoke(outcome) {
-    const {handler} = this;
+    const {handler, denv, k} = this;
     if (isError(outcome)) {
-      sboocpsStack.push(new SBOOCPSHandlerBindInvocationCont(outcome));
-      return sboocpsInvoke(false, handler, [outcome.category, outcome.description]);
+      return oocpsInvoke(
+        false, handler, handlerArguments(outcome), denv,
+        new OOCPSHandlerBindInvocationCont(outcome, k)
+      );
     } else {
-      return sboocpsStack.invoke(outcome);
+      return k.invoke(outcome);
     }
   }
 }
 
-class SBOOCPSHandlerBindInvocationCont extends SBOOCPSCont {
-  constructor(serialFormsOutcome) {
-    super();
+class OOCPSHandlerBindInvocationCont extends OOCPSCont {
+  constructor(serialFormsOutcome, k) {
+    super(k);
     this.serialFormsOutcome = serialFormsOutcome;
   }
   invoke(outcome) {
-    const {serialFormsOutcome} = this;
+    const {serialFormsOutcome, k} = this;
     if (isAbruptCompletion(outcome)) {
-      return sboocpsStack.invoke(outcome);
+      return k.invoke(outcome);
     } else {
-      return sboocpsStack.invoke(serialFormsOutcome);
+      return k.invoke(serialFormsOutcome);
     }
   }
 }
 
-function sboocpsEvalUnwindProtect(form, lenv) {
+function oocpsEvalUnwindProtect(form, lenv, denv, k) {
   const analysis = analyzeUnwindProtect(form);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [protectedForm, cleanupForms] = analysis;
-  sboocpsStack.push(new SBOOCPSUnwindProtectProtectedFormCont(cleanupForms, lenv));
-  return sboocpsEvalForm(protectedForm, lenv);
+  return oocpsEvalForm(
+    protectedForm, lenv, denv,
+    new OOCPSUnwindProtectProtectedFormCont(cleanupForms, lenv, denv, k)
+  );
 }
 
-class SBOOCPSUnwindProtectProtectedFormCont extends SBOOCPSCont {
-  constructor(cleanupForms, lenv) {
-    super();
+class OOCPSUnwindProtectProtectedFormCont extends OOCPSCont {
+  constructor(cleanupForms, lenv, denv, k) {
+    super(k);
     this.cleanupForms = cleanupForms;
     this.lenv = lenv;
+    this.denv = denv;
   }
   invoke(outcome) {
-    const {cleanupForms, lenv} = this;
-    sboocpsStack.push(new SBOOCPSUnwindProtectCleanupFormsCont(outcome));
-    return sboocpsEvalSerialForms(cleanupForms, lenv);
+    const {cleanupForms, lenv, denv, k} = this;
+    return oocpsEvalSerialForms(
+      cleanupForms, lenv, denv,
+      new OOCPSUnwindProtectCleanupFormsCont(outcome, k)
+    );
   }
 }
 
-class SBOOCPSUnwindProtectCleanupFormsCont extends SBOOCPSCont {
-  constructor(protectedFormOutcome) {
-    super();
+class OOCPSUnwindProtectCleanupFormsCont extends OOCPSCont {
+  constructor(protectedFormOutcome, k) {
+    super(k);
     this.protectedFormOutcome = protectedFormOutcome;
   }
   invoke(outcome) {
-    const {protectedFormOutcome} = this;
+    const {protectedFormOutcome, k} = this;
     if (isAbruptCompletion(outcome)) {
-      return sboocpsStack.invoke(outcome);
+      return k.invoke(outcome);
     } else {
-      return sboocpsStack.invoke(protectedFormOutcome);
+      return k.invoke(protectedFormOutcome);
     }
   }
 }
 
-function sboocpsEvalCall(mv, apply, form, lenv) {
+function oocpsEvalCall(mv, apply, form, lenv, denv, k) {
   const analysis = analyzeCall(mv, apply, form, lenv);
-  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  if (isError(analysis)) return k.invoke(analysis);
   const [macroCall, operator, operands] = analysis;
   if (macroCall) {
-    return sboocpsEvalMacroCall(form, operator, operands, lenv);
+    return oocpsEvalMacroCall(form, operator, operands, lenv, denv, k);
   } else {
-    return sboocpsEvalFunctionCall(mv, apply, operator, operands, lenv);
+    return oocpsEvalFunctionCall(mv, apply, form, operator, operands, lenv, denv, k);
   }
 }
 
-function sboocpsEvalMacroCall(form, macro, macroOperands, lenv) {
+function oocpsEvalMacroCall(form, macro, macroOperands, lenv, denv, k) {
   const args = listToArray(macroOperands);
-  sboocpsStack.push(sboocpsEndCont);
-  const outcome = sboocpsInvoke(false, macro, args);
-  if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+  const outcome = oocpsInvoke(false, macro, args, denv, oocpsEndCont);
+  if (isAbruptCompletion(outcome)) return k.invoke(outcome);
   const expansion = outcome.primaryValue();
+  if (collectingCoverage) recordExpansionCoverage(form, expansion);
   if (optimizeMacroCalls) {
     alterForm(form, expansion);
   }
-  return sboocpsEvalForm(expansion, lenv);
+  return oocpsEvalForm(expansion, lenv, denv, k);
 }
 
-function sboocpsEvalFunctionCall(mv, apply, operatorForm, operandForms, lenv) {
-  sboocpsStack.push(new SBOOCPSFunctionCallOperatorFormCont(mv, apply, operandForms, lenv));
-  return sboocpsEvalOperatorForm(operatorForm, lenv);
+function oocpsEvalFunctionCall(mv, apply, form, operatorForm, operandForms, lenv, denv, k) {
+  return oocpsEvalOperatorForm(
+    operatorForm, lenv, denv,
+    new OOCPSFunctionCallOperatorFormCont(mv, apply, form, operandForms, lenv, denv, k)
+  );
 }
 
-function sboocpsEvalOperatorForm(operatorForm, lenv) {
+function oocpsEvalOperatorForm(operatorForm, lenv, denv, k) {
   if (operatorForm instanceof EVLVariable) {
-    return sboocpsStack.invoke(lenv.ref(FUN_NS, operatorForm));
+    return k.invoke(lenv.ref(FUN_NS, operatorForm));
   } else {
-    return sboocpsEvalForm(operatorForm, lenv);
+    return oocpsEvalForm(operatorForm, lenv, denv, k);
   }
 }
 
-class SBOOCPSFunctionCallOperatorFormCont extends SBOOCPSCont {
-  constructor(mv, apply, operandForms, lenv) {
-    super();
-    this.mv = mv;
+class OOCPSFunctionCallOperatorFormCont extends OOCPSCont {
+  constructor(mv, apply, form, operandForms, lenv, denv, k) {
+    super(k);
+    this.mv = mv;
     this.apply = apply;
+    this.form = form;
     this.operandForms = operandForms;
     this.lenv = lenv;
+    this.denv = denv;
   }
   invoke(outcome) {
-    const {mv, apply, operandForms, lenv} = this;
-    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    const {mv, apply, form, operandForms, lenv, denv, k} = this;
+    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
     const fn = outcome.primaryValue();
     if (!(fn instanceof EVLFunction)) {
-      return sboocpsStack.invoke(new OperatorFormTypeError());
+      return k.invoke(recordErrorLocation(new OperatorFormTypeError(), form));
     }
-    return sboocpsEvalOperandForms(mv, apply, fn, operandForms, [], lenv);
+    return oocpsEvalOperandForms(mv, apply, form, fn, operandForms, [], lenv, denv, k);
   }
 }
 
-function sboocpsEvalOperandForms(mv, apply, fn, operandForms, args, lenv) {
+function oocpsEvalOperandForms(mv, apply, form, fn, operandForms, args, lenv, denv, k) {
   if (operandForms === EVLEmptyList.NIL) {
-    return sboocpsInvoke(apply, fn, args);
+    return oocpsInvoke(apply, fn, args, denv, k, form);
   } else {
-    sboocpsStack.push(new SBOOCPSFunctionCallOperandFormCont(mv, apply, fn, operandForms, args, lenv));
-    return sboocpsEvalForm(operandForms.car, lenv);
+    return oocpsEvalForm(
+      operandForms.car, lenv, denv,
+      new OOCPSFunctionCallOperandFormCont(mv, apply, form, fn, operandForms, args, lenv, denv, k)
+    );
   }
 }
 
-class SBOOCPSFunctionCallOperandFormCont extends SBOOCPSCont {
-  constructor(mv, apply, fn, operandForms, args, lenv) {
-    super();
+class OOCPSFunctionCallOperandFormCont extends OOCPSCont {
+  constructor(mv, apply, form, fn, operandForms, args, lenv, denv, k) {
+    super(k);
     this.mv = mv;
     this.apply = apply;
+    this.form = form;
     this.fn = fn;
     this.operandForms = operandForms;
     this.args = args;
+    this.argCount = args.length;
+    this.invoked = false;
     this.lenv = lenv;
+    this.denv = denv;
   }
   invoke(outcome) {
-    const {mv, apply, fn, operandForms, args, lenv} = this;
-    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    const {mv, apply, form, fn, operandForms, args, argCount, invoked, lenv, denv, k} = this;
+    if (isAbruptCompletion(outcome)) return k.invoke(outcome);
+    const newArgs = reenteredArgs(args, argCount, invoked);
+    this.invoked = true;
     if (mv) {
-      outcome.allValues().forEach(value => args.push(value));
+      outcome.allValues().forEach(value => newArgs.push(value));
     } else {
-      args.push(outcome.primaryValue());
+      newArgs.push(outcome.primaryValue());
     }
-    return sboocpsEvalOperandForms(mv, apply, fn, operandForms.cdr, args, lenv);
+    return oocpsEvalOperandForms(mv, apply, form, fn, operandForms.cdr, newArgs, lenv, denv, k);
+  }
+}
+
+function oocpsInvoke(apply, fn, args, denv, k, form = null) {
+  checkAbortSignal();
+  if (recursionDepth >= maxRecursionDepth) return reportRecursionDepthExceeded(error => k.invoke(error));
+  recursionDepth++;
+  try {
+    return oocpsInvokeFunction(apply, fn, args, denv, k, form);
+  } catch(exception) {
+    if (!isJSStackOverflow(exception)) throw exception;
+    return k.invoke(new StackOverflow());
+  } finally {
+    recursionDepth--;
   }
 }
 
-function sboocpsInvoke(apply, fn, args) {
+function oocpsInvokeFunction(apply, fn, args, denv, k, form) {
   if (fn instanceof EVLPrimitiveFunction) {
     const values = pairPrimFunParameters(apply, args, fn.arityMin, fn.arityMax);
-    if (isError(values)) return sboocpsStack.invoke(values);
-    return sboocpsStack.invoke(fn.jsFunction(values));
+    if (isError(values)) return k.invoke(recordErrorLocation(values, form));
+    const outcome = fn.jsFunction(values);
+    if (outcome instanceof EvalReq) {
+      return oocpsEvalForm(outcome.form, outcome.lenv, denv, k);
+    }
+    if (outcome instanceof CallCCReq) {
+      return oocpsInvoke(false, outcome.fn, [new EVLContinuation('oocps', k)], denv, k);
+    }
+    return k.invoke(recordErrorLocation(outcome, form));
   } else if (fn instanceof EVLClosure) {
     const values = pairClosureParameters(apply, args, fn.parameters, fn.rest);
-    if (isError(values)) return sboocpsStack.invoke(values);
+    if (isError(values)) return k.invoke(recordErrorLocation(values, form));
+    if (collectingCoverage) recordFunctionCoverage(fn);
     switch (fn.scope) {
       case LEX_SCOPE:
         const elenv = new Frame(fn.namespace, fn.parameters, values, fn.lenv);
-        return sboocpsEvalSerialForms(fn.serialForms, elenv);
+        return oocpsEvalSerialForms(fn.serialForms, elenv, denv, k);
       case DYN_SCOPE:
-        sboocpsStack.push(new Frame(fn.namespace, fn.parameters, values, null));
-        return sboocpsEvalSerialForms(fn.serialForms, fn.lenv);
+        const edenv = new Frame(fn.namespace, fn.parameters, values, denv);
+        return oocpsEvalSerialForms(fn.serialForms, fn.lenv, edenv, k);
       default:
-        throw new CannotHappen('sboocpsInvoke');
+        throw new CannotHappen('oocpsInvokeFunction');
     }
+  } else if (fn instanceof EVLContinuation) {
+    if (fn.evaluator !== 'oocps') return k.invoke(recordErrorLocation(new ForeignContinuation(fn.evaluator), form));
+    const values = pairPrimFunParameters(apply, args, 0, null);
+    if (isError(values)) return k.invoke(recordErrorLocation(values, form));
+    return fn.k.invoke(new MultipleValues(values));
   } else {
-    throw new CannotHappen('sboocpsInvoke');
+    throw new CannotHappen('oocpsInvokeFunction');
   }
 }
 
-/************************/
-/* Trampoline Evaluator */
-/************************/
+/*********************************************/
+/* Stack-Based Object-Oriented CPS Evaluator */
+/*********************************************/
 
-let trampolineStack = null;
+let sboocpsStack = null;
 
-class TrampolineStack {
+class SBOOCPSStack {
   constructor() {
-    this.stack = [trampolineEndCont]; // array of TrampolineCont's and/or Frame's
+    this.stack = [sboocpsEndCont]; // array of SBOOCPSCont's and/or Frame's
     this.denv = nullDefiniteEnv;
   }
   push(element) {
-    if (element instanceof TrampolineCont) {
+    if (element instanceof SBOOCPSCont) {
       this.stack.push(element);
     } else if (element instanceof Frame) {
       this.stack.push(element);
       element.next = this.denv;
       this.denv = element;
     } else {
-      throw new CannotHappen('TrampolineStack.push');
+      throw new CannotHappen('SBOOCPSStack.push');
     }
   }
-}
-
-function trampolineEval(form) {
-  trampolineStack = new TrampolineStack();
-  let bounce = new EvalReq(form, nullDefiniteEnv);
-  while (true) {
-    if (abortSignalArray !== null && abortSignalArray[0] === 1) {
-      throw new Aborted();
-    }
-    if (bounce instanceof EvalReq) {
-      bounce = trampolineEvalForm(bounce.form, bounce.lenv);
-    } else if (bounce instanceof Outcome) {
-      while (true) {
-        const element = trampolineStack.stack.pop();
-        if (element instanceof TrampolineEndCont) {
-          return element.invoke(bounce);
-        } else if (element instanceof TrampolineCont) {
-          bounce = element.invoke(bounce);
-          break;
-        } else if (element instanceof Frame) {
-          trampolineStack.denv = element.next;
-        } else {
-          throw new CannotHappen('trampolineEval');
-        }
+  invoke(outcome) {
+    while (true) {
+      const element = this.stack.pop();
+      if (element instanceof SBOOCPSCont) {
+        return element.invoke(outcome);
+      } else if (element instanceof Frame) {
+        this.denv = element.next;
+      } else {
+        throw new CannotHappen('SBOOCPSStack.invoke');
       }
-    } else {
-      throw new CannotHappen('trampolineEval');
     }
   }
+  copy() {
+    const copy = new SBOOCPSStack();
+    copy.stack = this.stack.slice();
+    copy.denv = this.denv;
+    return copy;
+  }
+  reinstate(copy) {
+    // the copy is copied again because the continuation can be invoked more than once
+    this.stack = copy.stack.slice();
+    this.denv = copy.denv;
+  }
 }
 
-function trampolineEvalForm(form, lenv) {
+function sboocpsEval(form) {
+  sboocpsStack = new SBOOCPSStack();
+  return sboocpsEvalForm(form, nullDefiniteEnv);
+}
+
+function sboocpsEvalForm(form, lenv) {
   if (form instanceof EVLEmptyList) {
-    return new EmptyListError();
+    return sboocpsStack.invoke(new EmptyListError());
   } else if (form instanceof EVLCons) {
     switch (form.car) {
       case quoteVariable:
-        return trampolineEvalQuote(form, lenv);
+        return sboocpsEvalQuote(form, lenv);
       case prognVariable:
-        return trampolineEvalProgn(form, lenv);
+        return sboocpsEvalProgn(form, lenv);
       case ifVariable:
-        return trampolineEvalIf(form, lenv);
+        return sboocpsEvalIf(form, lenv);
       case _forEachVariable:
-        return trampolineEvalForEach(form, lenv);
+        return sboocpsEvalForEach(form, lenv);
       case _vlambdaVariable:
-        return trampolineEvalLambda(LEX_SCOPE, VAL_NS, false, form, lenv);
+        return sboocpsEvalLambda(LEX_SCOPE, VAL_NS, false, form, lenv);
       case _mlambdaVariable:
-        return trampolineEvalLambda(LEX_SCOPE, VAL_NS, true, form, lenv);
+        return sboocpsEvalLambda(LEX_SCOPE, VAL_NS, true, form, lenv);
       case _flambdaVariable:
-        return trampolineEvalLambda(LEX_SCOPE, FUN_NS, false, form, lenv);
+        return sboocpsEvalLambda(LEX_SCOPE, FUN_NS, false, form, lenv);
       case _dlambdaVariable:
-        return trampolineEvalLambda(DYN_SCOPE, VAL_NS, false, form, lenv);
+        return sboocpsEvalLambda(DYN_SCOPE, VAL_NS, false, form, lenv);
       case vrefVariable:
-        return trampolineEvalRef(LEX_SCOPE, VAL_NS, form, lenv);
+        return sboocpsEvalRef(LEX_SCOPE, VAL_NS, form, lenv);
       case vsetVariable:
-        return trampolineEvalSet(LEX_SCOPE, VAL_NS, form, lenv);
+        return sboocpsEvalSet(LEX_SCOPE, VAL_NS, form, lenv);
       case frefVariable:
-        return trampolineEvalRef(LEX_SCOPE, FUN_NS, form, lenv);
+        return sboocpsEvalRef(LEX_SCOPE, FUN_NS, form, lenv);
       case fsetVariable:
-        return trampolineEvalSet(LEX_SCOPE, FUN_NS, form, lenv);
+        return sboocpsEvalSet(LEX_SCOPE, FUN_NS, form, lenv);
       case drefVariable:
-        return trampolineEvalRef(DYN_SCOPE, VAL_NS, form, lenv);
+        return sboocpsEvalRef(DYN_SCOPE, VAL_NS, form, lenv);
       case dsetVariable:
-        return trampolineEvalSet(DYN_SCOPE, VAL_NS, form, lenv);
+        return sboocpsEvalSet(DYN_SCOPE, VAL_NS, form, lenv);
       case blockVariable:
-        return trampolineEvalBlock(form, lenv);
+        return sboocpsEvalBlock(form, lenv);
       case returnFromVariable:
-        return trampolineEvalReturnFrom(form, lenv);
+        return sboocpsEvalReturnFrom(form, lenv);
       case catchVariable:
-        return trampolineEvalCatch(form, lenv);
+        return sboocpsEvalCatch(form, lenv);
       case throwVariable:
-        return trampolineEvalThrow(form, lenv);
+        return sboocpsEvalThrow(form, lenv);
       case _handlerBindVariable:
-        return trampolineEvalHandlerBind(form, lenv);
+        return sboocpsEvalHandlerBind(form, lenv);
       case unwindProtectVariable:
-        return trampolineEvalUnwindProtect(form, lenv);
+        return sboocpsEvalUnwindProtect(form, lenv);
       case applyVariable:
-        return trampolineEvalCall(false, true, form, lenv);
+        return sboocpsEvalCall(false, true, form, lenv);
       case multipleValueCallVariable:
-        return trampolineEvalCall(true, false, form, lenv);
+        return sboocpsEvalCall(true, false, form, lenv);
       case multipleValueApplyVariable:
-        return trampolineEvalCall(true, true, form, lenv);
+        return sboocpsEvalCall(true, true, form, lenv);
       default:
-        return trampolineEvalCall(false, false, form, lenv);
+        return sboocpsEvalCall(false, false, form, lenv);
     }
   } else if (form instanceof EVLVariable) {
-    return lenv.ref(VAL_NS, form);
+    return sboocpsStack.invoke(lenv.ref(VAL_NS, form));
   } else {
-    return form;
+    return sboocpsStack.invoke(form);
   }
 }
 
-class TrampolineCont { // abstract class
+class SBOOCPSCont { // abstract class
   constructor() {
   }
 }
 
-class TrampolineEndCont extends TrampolineCont {
+class SBOOCPSEndCont extends SBOOCPSCont {
   constructor() {
     super();
   }
@@ -4359,40 +5073,40 @@ class TrampolineEndCont extends TrampolineCont {
   }
 }
 
-const trampolineEndCont = new TrampolineEndCont();
+const sboocpsEndCont = new SBOOCPSEndCont();
 
-function trampolineEvalQuote(form, lenv) {
+function sboocpsEvalQuote(form, lenv) {
   const analysis = analyzeQuote(form);
-  if (isError(analysis)) return analysis;
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
   const [literal] = analysis;
-  return literal;
+  return sboocpsStack.invoke(literal);
 }
 
-function trampolineEvalProgn(form, lenv) {
+function sboocpsEvalProgn(form, lenv) {
   const analysis = analyzeProgn(form);
-  if (isError(analysis)) return analysis;
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
   const [serialForms] = analysis;
-  return trampolineEvalSerialForms(serialForms, lenv);
+  return sboocpsEvalSerialForms(serialForms, lenv);
 }
 
-function trampolineEvalSerialForms(serialForms, lenv) {
+function sboocpsEvalSerialForms(serialForms, lenv) {
   if (serialForms === EVLEmptyList.NIL) {
-    return EVLVoid.VOID;
+    return sboocpsStack.invoke(EVLVoid.VOID);
   } else {
-    return trampolineEvalSerialFormForms(serialForms, lenv);
+    return sboocpsEvalSerialFormForms(serialForms, lenv);
   }
 }
 
-function trampolineEvalSerialFormForms(serialForms, lenv) {
+function sboocpsEvalSerialFormForms(serialForms, lenv) {
   if (serialForms.cdr === EVLEmptyList.NIL) {
-    return new EvalReq(serialForms.car, lenv);
+    return sboocpsEvalForm(serialForms.car, lenv);
   } else {
-    trampolineStack.push(new TrampolineSerialFormCont(serialForms, lenv));
-    return new EvalReq(serialForms.car, lenv);
+    sboocpsStack.push(new SBOOCPSSerialFormCont(serialForms, lenv));
+    return sboocpsEvalForm(serialForms.car, lenv);
   }
 }
 
-class TrampolineSerialFormCont extends TrampolineCont {
+class SBOOCPSSerialFormCont extends SBOOCPSCont {
   constructor(serialForms, lenv) {
     super();
     this.serialForms = serialForms;
@@ -4400,20 +5114,20 @@ class TrampolineSerialFormCont extends TrampolineCont {
   }
   invoke(outcome) {
     const {serialForms, lenv} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
-    return trampolineEvalSerialFormForms(serialForms.cdr, lenv);
+    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    return sboocpsEvalSerialFormForms(serialForms.cdr, lenv);
   }
 }
 
-function trampolineEvalIf(form, lenv) {
+function sboocpsEvalIf(form, lenv) {
   const analysis = analyzeIf(form);
-  if (isError(analysis)) return analysis;
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
   const [testForm, thenForm, elseForm] = analysis;
-  trampolineStack.push(new TrampolineIfTestFormCont(thenForm, elseForm, lenv));
-  return new EvalReq(testForm, lenv);
+  sboocpsStack.push(new SBOOCPSIfTestFormCont(thenForm, elseForm, lenv));
+  return sboocpsEvalForm(testForm, lenv);
 }
 
-class TrampolineIfTestFormCont extends TrampolineCont {
+class SBOOCPSIfTestFormCont extends SBOOCPSCont {
   constructor(thenForm, elseForm, lenv) {
     super();
     this.thenForm = thenForm;
@@ -4422,56 +5136,106 @@ class TrampolineIfTestFormCont extends TrampolineCont {
   }
   invoke(outcome) {
     const {thenForm, elseForm, lenv} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
+    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
     const test = outcome.primaryValue();
+    if (collectingCoverage) recordBranchCoverage(thenForm, elseForm, test);
     switch (test) {
       case EVLBoolean.TRUE:
-        return new EvalReq(thenForm, lenv);
+        return sboocpsEvalForm(thenForm, lenv);
       case EVLBoolean.FALSE:
-        return new EvalReq(elseForm, lenv);
+        return sboocpsEvalForm(elseForm, lenv);
       default:
-        return new TestFormTypeError();
+        return sboocpsStack.invoke(new TestFormTypeError());
     }
   }
 }
 
-function trampolineEvalForEach(form, lenv) {
+function sboocpsEvalForEach(form, lenv) {
   const analysis = analyzeForEach(form);
-  if (isError(analysis)) return analysis;
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
   const [functionForm, listForm] = analysis;
-  return new ForEachNotImplemented();
+  sboocpsStack.push(new SBOOCPSForEachFunctionFormCont(listForm, lenv));
+  return sboocpsEvalForm(functionForm, lenv);
 }
 
-function trampolineEvalLambda(scope, namespace, macro, form, lenv) {
-  const analysis = analyzeLambda(form);
-  if (isError(analysis)) return analysis;
-  const [parameters, rest, serialForms] = analysis;
-  return new EVLClosure(scope, namespace, macro, parameters, rest, serialForms, lenv);
+class SBOOCPSForEachFunctionFormCont extends SBOOCPSCont {
+  constructor(listForm, lenv) {
+    super();
+    this.listForm = listForm;
+    this.lenv = lenv;
+  }
+  invoke(outcome) {
+    const {listForm, lenv} = this;
+    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    const fn = outcome.primaryValue();
+    if (!(fn instanceof EVLFunction)) {
+      return sboocpsStack.invoke(new FunctionFormTypeError());
+    }
+    sboocpsStack.push(new SBOOCPSForEachListFormCont(fn));
+    return sboocpsEvalForm(listForm, lenv);
+  }
 }
 
-function trampolineEvalRef(scope, namespace, form, lenv) {
-  const analysis = analyzeRef(form);
-  if (isError(analysis)) return analysis;
-  const [variable] = analysis;
-  switch (scope) {
-    case LEX_SCOPE:
-      return lenv.ref(namespace, variable);
-    case DYN_SCOPE:
-      return trampolineStack.denv.ref(namespace, variable);
-    default:
-      throw new CannotHappen('trampolineEvalRef');
+class SBOOCPSForEachListFormCont extends SBOOCPSCont {
+  constructor(fn) {
+    super();
+    this.fn = fn;
+  }
+  invoke(outcome) {
+    const {fn} = this;
+    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    const list = outcome.primaryValue();
+    if (!isProperList(list)) {
+      return sboocpsStack.invoke(new ListFormTypeError());
+    }
+    return sboocpsForEach(fn, list);
   }
 }
 
-function trampolineEvalSet(scope, namespace, form, lenv) {
-  const analysis = analyzeSet(form);
-  if (isError(analysis)) return analysis;
+function sboocpsForEach(fn, list) {
+  while (list !== EVLEmptyList.NIL) {
+    if (list instanceof EVLCons) {
+      sboocpsStack.push(sboocpsEndCont);
+      const outcome = sboocpsInvoke(false, fn, [list.car]);
+      if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+      list = list.cdr;
+    } else {
+      throw new CannotHappen('sboocpsForEach'); // list is a proper list
+    }
+  }
+  return sboocpsStack.invoke(EVLVoid.VOID);
+}
+
+function sboocpsEvalLambda(scope, namespace, macro, form, lenv) {
+  const analysis = analyzeLambda(form);
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  const [parameters, rest, serialForms] = analysis;
+  return sboocpsStack.invoke(new EVLClosure(scope, namespace, macro, parameters, rest, serialForms, lenv));
+}
+
+function sboocpsEvalRef(scope, namespace, form, lenv) {
+  const analysis = analyzeRef(form);
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
+  const [variable] = analysis;
+  switch (scope) {
+    case LEX_SCOPE:
+      return sboocpsStack.invoke(lenv.ref(namespace, variable));
+    case DYN_SCOPE:
+      return sboocpsStack.invoke(sboocpsStack.denv.ref(namespace, variable));
+    default:
+      throw new CannotHappen('sboocpsEvalRef');
+  }
+}
+
+function sboocpsEvalSet(scope, namespace, form, lenv) {
+  const analysis = analyzeSet(form);
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
   const [variable, valueForm] = analysis;
-  trampolineStack.push(new TrampolineSetValueFormCont(scope, namespace, variable, lenv));
-  return new EvalReq(valueForm, lenv);
+  sboocpsStack.push(new SBOOCPSSetValueFormCont(scope, namespace, variable, lenv));
+  return sboocpsEvalForm(valueForm, lenv);
 }
 
-class TrampolineSetValueFormCont extends TrampolineCont {
+class SBOOCPSSetValueFormCont extends SBOOCPSCont {
   constructor(scope, namespace, variable, lenv) {
     super();
     this.scope = scope;
@@ -4481,31 +5245,31 @@ class TrampolineSetValueFormCont extends TrampolineCont {
   }
   invoke(outcome) {
     const {scope, namespace, variable, lenv} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
+    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
     const value = outcome.primaryValue()
     switch (scope) {
       case LEX_SCOPE:
-        return lenv.set(namespace, variable, value);
+        return sboocpsStack.invoke(lenv.set(namespace, variable, value));
       case DYN_SCOPE:
-        return trampolineStack.denv.set(namespace, variable, value);
+        return sboocpsStack.invoke(sboocpsStack.denv.set(namespace, variable, value));
       default:
-        throw new CannotHappen('TrampolineSetValueFormCont.invoke');
+        throw new CannotHappen('SBOOCPSSetValueFormCont.invoke');
     }
   }
 }
 
-function trampolineEvalBlock(form, lenv) {
+function sboocpsEvalBlock(form, lenv) {
   const analysis = analyzeBlock(form);
-  if (isError(analysis)) return analysis;
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
   const [blockName, serialForms] = analysis;
   const exitTag = new EVLVariable('exit-tag');
   const elenv = new Frame(BLK_NS, [blockName], [exitTag], lenv);
-  trampolineStack.push(new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], null));
-  trampolineStack.push(new TrampolineBlockSerialFormsCont(exitTag));
-  return trampolineEvalSerialForms(serialForms, elenv);
+  sboocpsStack.push(new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], null));
+  sboocpsStack.push(new SBOOCPSBlockSerialFormsCont(exitTag));
+  return sboocpsEvalSerialForms(serialForms, elenv);
 }
 
-class TrampolineBlockSerialFormsCont extends TrampolineCont {
+class SBOOCPSBlockSerialFormsCont extends SBOOCPSCont {
   constructor(exitTag) {
     super();
     this.exitTag = exitTag;
@@ -4513,50 +5277,50 @@ class TrampolineBlockSerialFormsCont extends TrampolineCont {
   invoke(outcome) {
     const {exitTag} = this;
     if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
-      return outcome.values;
+      return sboocpsStack.invoke(outcome.values);
     } else {
-      return outcome;
+      return sboocpsStack.invoke(outcome);
     }
   }
 }
 
-function trampolineEvalReturnFrom(form, lenv) {
+function sboocpsEvalReturnFrom(form, lenv) {
   const analysis = analyzeReturnFrom(form);
-  if (isError(analysis)) return analysis;
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
   const [blockName, valuesForm] = analysis;
   const exitTag = lenv.ref(BLK_NS, blockName);
   if (exitTag === null) {
-    return new NoBlock(blockName);
+    return sboocpsStack.invoke(new NoBlock(blockName));
   }
-  const exitPoint = trampolineStack.denv.ref(XIT_NS, exitTag);
+  const exitPoint = sboocpsStack.denv.ref(XIT_NS, exitTag);
   if (exitPoint === null) {
-    return new NoBlockExitPoint(blockName);
+    return sboocpsStack.invoke(new NoBlockExitPoint(blockName));
   }
-  trampolineStack.push(new TrampolineReturnFromValuesFormCont(exitTag));
-  return new EvalReq(valuesForm, lenv);
+  sboocpsStack.push(new SBOOCPSReturnFromValuesFormCont(exitTag));
+  return sboocpsEvalForm(valuesForm, lenv);
 }
 
-class TrampolineReturnFromValuesFormCont extends TrampolineCont {
+class SBOOCPSReturnFromValuesFormCont extends SBOOCPSCont {
   constructor(exitTag) {
     super();
     this.exitTag = exitTag;
   }
   invoke(outcome) {
     const {exitTag} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
-    return new NonlocalExit(exitTag, outcome);
+    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    return sboocpsStack.invoke(new NonlocalExit(exitTag, outcome));
   }
 }
 
-function trampolineEvalCatch(form, lenv) {
+function sboocpsEvalCatch(form, lenv) {
   const analysis = analyzeCatch(form);
-  if (isError(analysis)) return analysis;
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
   const [exitTagForm, serialForms] = analysis;
-  trampolineStack.push(new TrampolineCatchExitTagFormCont(serialForms, lenv));
-  return new EvalReq(exitTagForm, lenv);
+  sboocpsStack.push(new SBOOCPSCatchExitTagFormCont(serialForms, lenv));
+  return sboocpsEvalForm(exitTagForm, lenv);
 }
 
-class TrampolineCatchExitTagFormCont extends TrampolineCont {
+class SBOOCPSCatchExitTagFormCont extends SBOOCPSCont {
   constructor(serialForms, lenv) {
     super();
     this.serialForms = serialForms;
@@ -4564,18 +5328,18 @@ class TrampolineCatchExitTagFormCont extends TrampolineCont {
   }
   invoke(outcome) {
     const {serialForms, lenv} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
+    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
     const exitTag = outcome.primaryValue();
     if (!(exitTag instanceof EVLVariable)) {
-      return new ExitTagFormTypeError();
+      return sboocpsStack.invoke(new ExitTagFormTypeError());
     }
-    trampolineStack.push(new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], null));
-    trampolineStack.push(new TrampolineCatchSerialFormsCont(exitTag));
-    return trampolineEvalSerialForms(serialForms, lenv);
+    sboocpsStack.push(new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], null));
+    sboocpsStack.push(new SBOOCPSCatchSerialFormsCont(exitTag));
+    return sboocpsEvalSerialForms(serialForms, lenv);
   }
 }
 
-class TrampolineCatchSerialFormsCont extends TrampolineCont {
+class SBOOCPSCatchSerialFormsCont extends SBOOCPSCont {
   constructor(exitTag) {
     super();
     this.exitTag = exitTag;
@@ -4583,22 +5347,22 @@ class TrampolineCatchSerialFormsCont extends TrampolineCont {
   invoke(outcome) {
     const {exitTag} = this;
     if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
-      return outcome.values;
+      return sboocpsStack.invoke(outcome.values);
     } else {
-      return outcome;
+      return sboocpsStack.invoke(outcome);
     }
   }
 }
 
-function trampolineEvalThrow(form, lenv) {
+function sboocpsEvalThrow(form, lenv) {
   const analysis = analyzeThrow(form);
-  if (isError(analysis)) return analysis;
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
   const [exitTagForm, valuesForm] = analysis;
-  trampolineStack.push(new TrampolineThrowExitTagFormCont(valuesForm, lenv));
-  return new EvalReq(exitTagForm, lenv);
+  sboocpsStack.push(new SBOOCPSThrowExitTagFormCont(valuesForm, lenv));
+  return sboocpsEvalForm(exitTagForm, lenv);
 }
 
-class TrampolineThrowExitTagFormCont extends TrampolineCont {
+class SBOOCPSThrowExitTagFormCont extends SBOOCPSCont {
   constructor(valuesForm, lenv) {
     super();
     this.valuesForm = valuesForm;
@@ -4606,41 +5370,41 @@ class TrampolineThrowExitTagFormCont extends TrampolineCont {
   }
   invoke(outcome) {
     const {valuesForm, lenv} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
+    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
     const exitTag = outcome.primaryValue();
     if (!(exitTag instanceof EVLVariable)) {
-      return new ExitTagFormTypeError();
+      return sboocpsStack.invoke(new ExitTagFormTypeError());
     }
-    const exitPoint = trampolineStack.denv.ref(XIT_NS, exitTag);
+    const exitPoint = sboocpsStack.denv.ref(XIT_NS, exitTag);
     if (exitPoint === null) {
-      return new NoCatchExitPoint(exitTag);
+      return sboocpsStack.invoke(new NoCatchExitPoint(exitTag));
     }
-    trampolineStack.push(new TrampolineThrowValuesFormCont(exitTag));
-    return new EvalReq(valuesForm, lenv);
+    sboocpsStack.push(new SBOOCPSThrowValuesFormCont(exitTag));
+    return sboocpsEvalForm(valuesForm, lenv);
   }
 }
 
-class TrampolineThrowValuesFormCont extends TrampolineCont {
+class SBOOCPSThrowValuesFormCont extends SBOOCPSCont {
   constructor(exitTag) {
     super();
     this.exitTag = exitTag;
   }
   invoke(outcome) {
     const {exitTag} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
-    return new NonlocalExit(exitTag, outcome);
+    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    return sboocpsStack.invoke(new NonlocalExit(exitTag, outcome));
   }
 }
 
-function trampolineEvalHandlerBind(form, lenv) {
+function sboocpsEvalHandlerBind(form, lenv) {
   const analysis = analyzeHandlerBind(form);
-  if (isError(analysis)) return analysis;
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
   const [handlerForm, serialForms] = analysis;
-  trampolineStack.push(new TrampolineHandlerBindHandlerFormCont(serialForms, lenv));
-  return new EvalReq(handlerForm, lenv);
+  sboocpsStack.push(new SBOOCPSHandlerBindHandlerFormCont(serialForms, lenv));
+  return sboocpsEvalForm(handlerForm, lenv);
 }
 
-class TrampolineHandlerBindHandlerFormCont extends TrampolineCont {
+class SBOOCPSHandlerBindHandlerFormCont extends SBOOCPSCont {
   constructor(serialForms, lenv) {
     super();
     this.serialForms = serialForms;
@@ -4648,17 +5412,17 @@ class TrampolineHandlerBindHandlerFormCont extends TrampolineCont {
   }
   invoke(outcome) {
     const {serialForms, lenv} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
+    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
     const handler = outcome.primaryValue();
     if (!(handler instanceof EVLFunction)) {
-      return new HandlerFormTypeError();
+      return sboocpsStack.invoke(new HandlerFormTypeError());
     }
-    trampolineStack.push(new TrampolineHandlerBindSerialFormsCont(handler));
-    return trampolineEvalSerialForms(serialForms, lenv);
+    sboocpsStack.push(new SBOOCPSHandlerBindSerialFormsCont(handler));
+    return sboocpsEvalSerialForms(serialForms, lenv);
   }
 }
 
-class TrampolineHandlerBindSerialFormsCont extends TrampolineCont {
+class SBOOCPSHandlerBindSerialFormsCont extends SBOOCPSCont {
   constructor(handler) {
     super();
     this.handler = handler;
@@ -4666,15 +5430,15 @@ class TrampolineHandlerBindSerialFormsCont extends TrampolineCont {
   invoke(outcome) {
     const {handler} = this;
     if (isError(outcome)) {
-      trampolineStack.push(new TrampolineHandlerBindInvocationCont(outcome));
-      return trampolineInvoke(false, handler, [outcome.category, outcome.description]);
+      sboocpsStack.push(new SBOOCPSHandlerBindInvocationCont(outcome));
+      return sboocpsInvoke(false, handler, handlerArguments(outcome));
     } else {
-      return outcome;
+      return sboocpsStack.invoke(outcome);
     }
   }
 }
 
-class TrampolineHandlerBindInvocationCont extends TrampolineCont {
+class SBOOCPSHandlerBindInvocationCont extends SBOOCPSCont {
   constructor(serialFormsOutcome) {
     super();
     this.serialFormsOutcome = serialFormsOutcome;
@@ -4682,22 +5446,22 @@ class TrampolineHandlerBindInvocationCont extends TrampolineCont {
   invoke(outcome) {
     const {serialFormsOutcome} = this;
     if (isAbruptCompletion(outcome)) {
-      return outcome;
+      return sboocpsStack.invoke(outcome);
     } else {
-      return serialFormsOutcome;
+      return sboocpsStack.invoke(serialFormsOutcome);
     }
   }
 }
 
-function trampolineEvalUnwindProtect(form, lenv) {
+function sboocpsEvalUnwindProtect(form, lenv) {
   const analysis = analyzeUnwindProtect(form);
-  if (isError(analysis)) return analysis;
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
   const [protectedForm, cleanupForms] = analysis;
-  trampolineStack.push(new TrampolineUnwindProtectProtectedFormCont(cleanupForms, lenv));
-  return new EvalReq(protectedForm, lenv);
+  sboocpsStack.push(new SBOOCPSUnwindProtectProtectedFormCont(cleanupForms, lenv));
+  return sboocpsEvalForm(protectedForm, lenv);
 }
 
-class TrampolineUnwindProtectProtectedFormCont extends TrampolineCont {
+class SBOOCPSUnwindProtectProtectedFormCont extends SBOOCPSCont {
   constructor(cleanupForms, lenv) {
     super();
     this.cleanupForms = cleanupForms;
@@ -4705,12 +5469,12 @@ class TrampolineUnwindProtectProtectedFormCont extends TrampolineCont {
   }
   invoke(outcome) {
     const {cleanupForms, lenv} = this;
-    trampolineStack.push(new TrampolineUnwindProtectCleanupFormsCont(outcome));
-    return trampolineEvalSerialForms(cleanupForms, lenv);
+    sboocpsStack.push(new SBOOCPSUnwindProtectCleanupFormsCont(outcome));
+    return sboocpsEvalSerialForms(cleanupForms, lenv);
   }
 }
 
-class TrampolineUnwindProtectCleanupFormsCont extends TrampolineCont {
+class SBOOCPSUnwindProtectCleanupFormsCont extends SBOOCPSCont {
   constructor(protectedFormOutcome) {
     super();
     this.protectedFormOutcome = protectedFormOutcome;
@@ -4718,272 +5482,294 @@ class TrampolineUnwindProtectCleanupFormsCont extends TrampolineCont {
   invoke(outcome) {
     const {protectedFormOutcome} = this;
     if (isAbruptCompletion(outcome)) {
-      return outcome;
+      return sboocpsStack.invoke(outcome);
     } else {
-      return protectedFormOutcome;
+      return sboocpsStack.invoke(protectedFormOutcome);
     }
   }
 }
 
-function trampolineEvalCall(mv, apply, form, lenv) {
+function sboocpsEvalCall(mv, apply, form, lenv) {
   const analysis = analyzeCall(mv, apply, form, lenv);
-  if (isError(analysis)) return analysis;
+  if (isError(analysis)) return sboocpsStack.invoke(analysis);
   const [macroCall, operator, operands] = analysis;
   if (macroCall) {
-    return trampolineEvalMacroCall(form, operator, operands, lenv);
+    return sboocpsEvalMacroCall(form, operator, operands, lenv);
   } else {
-    return trampolineEvalFunctionCall(mv, apply, operator, operands, lenv);
+    return sboocpsEvalFunctionCall(mv, apply, form, operator, operands, lenv);
   }
 }
 
-function trampolineEvalMacroCall(form, macro, macroOperands, lenv) {
+function sboocpsEvalMacroCall(form, macro, macroOperands, lenv) {
   const args = listToArray(macroOperands);
-  trampolineStack.push(new TrampolineMacroCont(form, lenv));
-  return trampolineInvoke(false, macro, args);
-}
-
-class TrampolineMacroCont extends TrampolineCont {
-  constructor(form, lenv) {
-    super();
-    this.form = form;
-    this.lenv = lenv;
-  }
-  invoke(outcome) {
-    const {form, lenv} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
-    const expansion = outcome.primaryValue();
-    if (optimizeMacroCalls) {
-      alterForm(form, expansion);
-    }
-    return new EvalReq(expansion, lenv);
+  sboocpsStack.push(sboocpsEndCont);
+  const outcome = sboocpsInvoke(false, macro, args);
+  if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+  const expansion = outcome.primaryValue();
+  if (collectingCoverage) recordExpansionCoverage(form, expansion);
+  if (optimizeMacroCalls) {
+    alterForm(form, expansion);
   }
+  return sboocpsEvalForm(expansion, lenv);
 }
 
-function trampolineEvalFunctionCall(mv, apply, operatorForm, operandForms, lenv) {
-  trampolineStack.push(new TrampolineFunctionCallOperatorFormCont(mv, apply, operandForms, lenv));
-  return trampolineEvalOperatorForm(operatorForm, lenv);
+function sboocpsEvalFunctionCall(mv, apply, form, operatorForm, operandForms, lenv) {
+  sboocpsStack.push(new SBOOCPSFunctionCallOperatorFormCont(mv, apply, form, operandForms, lenv));
+  return sboocpsEvalOperatorForm(operatorForm, lenv);
 }
 
-function trampolineEvalOperatorForm(operatorForm, lenv) {
+function sboocpsEvalOperatorForm(operatorForm, lenv) {
   if (operatorForm instanceof EVLVariable) {
-    return lenv.ref(FUN_NS, operatorForm);
+    return sboocpsStack.invoke(lenv.ref(FUN_NS, operatorForm));
   } else {
-    return new EvalReq(operatorForm, lenv);
+    return sboocpsEvalForm(operatorForm, lenv);
   }
 }
 
-class TrampolineFunctionCallOperatorFormCont extends TrampolineCont {
-  constructor(mv, apply, operandForms, lenv) {
+class SBOOCPSFunctionCallOperatorFormCont extends SBOOCPSCont {
+  constructor(mv, apply, form, operandForms, lenv) {
     super();
     this.mv = mv;
     this.apply = apply;
+    this.form = form;
     this.operandForms = operandForms;
     this.lenv = lenv;
   }
   invoke(outcome) {
-    const {mv, apply, operandForms, lenv} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
+    const {mv, apply, form, operandForms, lenv} = this;
+    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
     const fn = outcome.primaryValue();
     if (!(fn instanceof EVLFunction)) {
-      return new OperatorFormTypeError();
+      return sboocpsStack.invoke(recordErrorLocation(new OperatorFormTypeError(), form));
     }
-    return trampolineEvalOperandForms(mv, apply, fn, operandForms, [], lenv);
+    return sboocpsEvalOperandForms(mv, apply, form, fn, operandForms, [], lenv);
   }
 }
 
-function trampolineEvalOperandForms(mv, apply, fn, operandForms, args, lenv) {
+function sboocpsEvalOperandForms(mv, apply, form, fn, operandForms, args, lenv) {
   if (operandForms === EVLEmptyList.NIL) {
-    return trampolineInvoke(apply, fn, args);
+    return sboocpsInvoke(apply, fn, args, form);
   } else {
-    trampolineStack.push(new TrampolineFunctionCallOperandFormCont(mv, apply, fn, operandForms, args, lenv));
-    return new EvalReq(operandForms.car, lenv);
+    sboocpsStack.push(new SBOOCPSFunctionCallOperandFormCont(mv, apply, form, fn, operandForms, args, lenv));
+    return sboocpsEvalForm(operandForms.car, lenv);
   }
 }
 
-class TrampolineFunctionCallOperandFormCont extends TrampolineCont {
-  constructor(mv, apply, fn, operandForms, args, lenv) {
+class SBOOCPSFunctionCallOperandFormCont extends SBOOCPSCont {
+  constructor(mv, apply, form, fn, operandForms, args, lenv) {
     super();
     this.mv = mv;
     this.apply = apply;
+    this.form = form;
     this.fn = fn;
     this.operandForms = operandForms;
     this.args = args;
+    this.argCount = args.length;
+    this.invoked = false;
     this.lenv = lenv;
   }
   invoke(outcome) {
-    const {mv, apply, fn, operandForms, args, lenv} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
+    const {mv, apply, form, fn, operandForms, args, argCount, invoked, lenv} = this;
+    if (isAbruptCompletion(outcome)) return sboocpsStack.invoke(outcome);
+    const newArgs = reenteredArgs(args, argCount, invoked);
+    this.invoked = true;
     if (mv) {
-      outcome.allValues().forEach(value => args.push(value));
+      outcome.allValues().forEach(value => newArgs.push(value));
     } else {
-      args.push(outcome.primaryValue());
+      newArgs.push(outcome.primaryValue());
     }
-    return trampolineEvalOperandForms(mv, apply, fn, operandForms.cdr, args, lenv);
+    return sboocpsEvalOperandForms(mv, apply, form, fn, operandForms.cdr, newArgs, lenv);
+  }
+}
+
+function sboocpsInvoke(apply, fn, args, form = null) {
+  checkAbortSignal();
+  if (recursionDepth >= maxRecursionDepth) return reportRecursionDepthExceeded(error => sboocpsStack.invoke(error));
+  recursionDepth++;
+  try {
+    return sboocpsInvokeFunction(apply, fn, args, form);
+  } catch(exception) {
+    if (!isJSStackOverflow(exception)) throw exception;
+    return sboocpsStack.invoke(new StackOverflow());
+  } finally {
+    recursionDepth--;
   }
 }
 
-function trampolineInvoke(apply, fn, args) {
+function sboocpsInvokeFunction(apply, fn, args, form) {
   if (fn instanceof EVLPrimitiveFunction) {
     const values = pairPrimFunParameters(apply, args, fn.arityMin, fn.arityMax);
-    if (isError(values)) return values;
-    return fn.jsFunction(values);
+    if (isError(values)) return sboocpsStack.invoke(recordErrorLocation(values, form));
+    const outcome = fn.jsFunction(values);
+    if (outcome instanceof EvalReq) {
+      return sboocpsEvalForm(outcome.form, outcome.lenv);
+    }
+    if (outcome instanceof CallCCReq) {
+      return sboocpsInvoke(false, outcome.fn, [new EVLContinuation('sboocps', sboocpsStack.copy())]);
+    }
+    return sboocpsStack.invoke(recordErrorLocation(outcome, form));
   } else if (fn instanceof EVLClosure) {
     const values = pairClosureParameters(apply, args, fn.parameters, fn.rest);
-    if (isError(values)) return values;
+    if (isError(values)) return sboocpsStack.invoke(recordErrorLocation(values, form));
+    if (collectingCoverage) recordFunctionCoverage(fn);
     switch (fn.scope) {
       case LEX_SCOPE:
         const elenv = new Frame(fn.namespace, fn.parameters, values, fn.lenv);
-        return trampolineEvalSerialForms(fn.serialForms, elenv);
+        return sboocpsEvalSerialForms(fn.serialForms, elenv);
       case DYN_SCOPE:
-        trampolineStack.push(new Frame(fn.namespace, fn.parameters, values, null));
-        return trampolineEvalSerialForms(fn.serialForms, fn.lenv);
+        sboocpsStack.push(new Frame(fn.namespace, fn.parameters, values, null));
+        return sboocpsEvalSerialForms(fn.serialForms, fn.lenv);
       default:
-        throw new CannotHappen('trampolineInvoke');
-    }
+        throw new CannotHappen('sboocpsInvokeFunction');
+    }
+  } else if (fn instanceof EVLContinuation) {
+    if (fn.evaluator !== 'sboocps') return sboocpsStack.invoke(recordErrorLocation(new ForeignContinuation(fn.evaluator), form));
+    const values = pairPrimFunParameters(apply, args, 0, null);
+    if (isError(values)) return sboocpsStack.invoke(recordErrorLocation(values, form));
+    sboocpsStack.reinstate(fn.k);
+    return sboocpsStack.invoke(new MultipleValues(values));
   } else {
-    throw new CannotHappen('trampolineInvoke');
+    throw new CannotHappen('sboocpsInvokeFunction');
   }
 }
 
-/**************************/
-/* Trampoline++ Evaluator */
-/**************************/
+/************************/
+/* Trampoline Evaluator */
+/************************/
 
-let trampolineppStack = null;
+let trampolineStack = null;
 
-class TrampolineppStack {
+class TrampolineStack {
   constructor() {
-    this.stack = [trampolineppEndCont]; // array of TrampolineppCont's and/or Frame's
+    this.stack = [trampolineEndCont]; // array of TrampolineCont's, Frame's, and/or InvocationRecord's
     this.denv = nullDefiniteEnv;
+    this.depth = 0; // number of InvocationRecord's
+  }
+  isTailCall() {
+    return this.stack[this.stack.length - 1] instanceof InvocationRecord;
   }
   push(element) {
-    if (element instanceof TrampolineppCont) {
+    if (element instanceof TrampolineCont) {
+      if (profiling) profiler.countContinuation(element);
       this.stack.push(element);
     } else if (element instanceof Frame) {
       this.stack.push(element);
       element.next = this.denv;
       this.denv = element;
+    } else if (element instanceof InvocationRecord) {
+      if (this.isTailCall()) {
+        if (profiling) profiler.exit(this.stack[this.stack.length - 1]);
+        this.stack[this.stack.length - 1] = element;
+      } else {
+        this.stack.push(element);
+        this.depth++;
+      }
+      if (profiling) profiler.enter(element, element.fn);
     } else {
-      throw new CannotHappen('TrampolineppStack.push');
+      throw new CannotHappen('TrampolineStack.push');
     }
   }
 }
 
-function trampolineppEval(form, lenv = null) {
-  if (lenv === null) {
-    form = trampolineppPreprocessForm(form, nullDefiniteEnv);
-    if (isAbruptCompletion(form)) return form;
-    lenv = nullDefiniteEnv;
-  }
-  trampolineppStack = new TrampolineppStack();
-  let bounce = new EvalReq(form, lenv);
+function trampolineEval(form) {
+  trampolineStack = new TrampolineStack();
+  let bounce = new EvalReq(form, nullDefiniteEnv);
   while (true) {
-    if (abortSignalArray !== null && abortSignalArray[0] === 1) {
-      throw new Aborted();
-    }
+    checkAbortSignal();
     if (bounce instanceof EvalReq) {
-      bounce = bounce.form.eval(bounce.lenv);
+      bounce = trampolineEvalForm(bounce.form, bounce.lenv);
     } else if (bounce instanceof Outcome) {
+      recordBacktrace(trampolineStack.stack, bounce);
       while (true) {
-        const element = trampolineppStack.stack.pop();
-        if (element instanceof TrampolineppEndCont) {
+        const element = trampolineStack.stack.pop();
+        if (element instanceof TrampolineEndCont) {
           return element.invoke(bounce);
-        } else if (element instanceof TrampolineppCont) {
+        } else if (element instanceof TrampolineCont) {
           bounce = element.invoke(bounce);
           break;
         } else if (element instanceof Frame) {
-          trampolineppStack.denv = element.next;
+          trampolineStack.denv = element.next;
+        } else if (element instanceof InvocationRecord) {
+          // the invoked function has returned
+          trampolineStack.depth--;
+          if (profiling) profiler.exit(element);
         } else {
-          throw new CannotHappen('trampolineppEval');
+          throw new CannotHappen('trampolineEval');
         }
       }
     } else {
-      throw new CannotHappen('trampolineppEval');
+      throw new CannotHappen('trampolineEval');
     }
   }
 }
 
-function trampolineppPreprocessForm(form, lenv) {
+function trampolineEvalForm(form, lenv) {
   if (form instanceof EVLEmptyList) {
     return new EmptyListError();
   } else if (form instanceof EVLCons) {
     switch (form.car) {
       case quoteVariable:
-        return trampolineppPreprocessQuote(form, lenv);
+        return trampolineEvalQuote(form, lenv);
       case prognVariable:
-        return trampolineppPreprocessProgn(form, lenv);
+        return trampolineEvalProgn(form, lenv);
       case ifVariable:
-        return trampolineppPreprocessIf(form, lenv);
+        return trampolineEvalIf(form, lenv);
       case _forEachVariable:
-        return trampolineppPreprocessForEach(form, lenv);
+        return trampolineEvalForEach(form, lenv);
       case _vlambdaVariable:
-        return trampolineppPreprocessLambda(LEX_SCOPE, VAL_NS, false, form, lenv);
+        return trampolineEvalLambda(LEX_SCOPE, VAL_NS, false, form, lenv);
       case _mlambdaVariable:
-        return trampolineppPreprocessLambda(LEX_SCOPE, VAL_NS, true, form, lenv);
+        return trampolineEvalLambda(LEX_SCOPE, VAL_NS, true, form, lenv);
       case _flambdaVariable:
-        return trampolineppPreprocessLambda(LEX_SCOPE, FUN_NS, false, form, lenv);
+        return trampolineEvalLambda(LEX_SCOPE, FUN_NS, false, form, lenv);
       case _dlambdaVariable:
-        return trampolineppPreprocessLambda(DYN_SCOPE, VAL_NS, false, form, lenv);
+        return trampolineEvalLambda(DYN_SCOPE, VAL_NS, false, form, lenv);
       case vrefVariable:
-        return trampolineppPreprocessRef(LEX_SCOPE, VAL_NS, form, lenv);
+        return trampolineEvalRef(LEX_SCOPE, VAL_NS, form, lenv);
       case vsetVariable:
-        return trampolineppPreprocessSet(LEX_SCOPE, VAL_NS, form, lenv);
+        return trampolineEvalSet(LEX_SCOPE, VAL_NS, form, lenv);
       case frefVariable:
-        return trampolineppPreprocessRef(LEX_SCOPE, FUN_NS, form, lenv);
+        return trampolineEvalRef(LEX_SCOPE, FUN_NS, form, lenv);
       case fsetVariable:
-        return trampolineppPreprocessSet(LEX_SCOPE, FUN_NS, form, lenv);
+        return trampolineEvalSet(LEX_SCOPE, FUN_NS, form, lenv);
       case drefVariable:
-        return trampolineppPreprocessRef(DYN_SCOPE, VAL_NS, form, lenv);
+        return trampolineEvalRef(DYN_SCOPE, VAL_NS, form, lenv);
       case dsetVariable:
-        return trampolineppPreprocessSet(DYN_SCOPE, VAL_NS, form, lenv);
+        return trampolineEvalSet(DYN_SCOPE, VAL_NS, form, lenv);
       case blockVariable:
-        return trampolineppPreprocessBlock(form, lenv);
+        return trampolineEvalBlock(form, lenv);
       case returnFromVariable:
-        return trampolineppPreprocessReturnFrom(form, lenv);
+        return trampolineEvalReturnFrom(form, lenv);
       case catchVariable:
-        return trampolineppPreprocessCatch(form, lenv);
+        return trampolineEvalCatch(form, lenv);
       case throwVariable:
-        return trampolineppPreprocessThrow(form, lenv);
+        return trampolineEvalThrow(form, lenv);
       case _handlerBindVariable:
-        return trampolineppPreprocessHandlerBind(form, lenv);
+        return trampolineEvalHandlerBind(form, lenv);
       case unwindProtectVariable:
-        return trampolineppPreprocessUnwindProtect(form, lenv);
-      case mletVariable:
-        return trampolineppPreprocessMlet(form, lenv);
+        return trampolineEvalUnwindProtect(form, lenv);
       case applyVariable:
-        return trampolineppPreprocessCall(false, true, form, lenv);
+        return trampolineEvalCall(false, true, form, lenv);
       case multipleValueCallVariable:
-        return trampolineppPreprocessCall(true, false, form, lenv);
+        return trampolineEvalCall(true, false, form, lenv);
       case multipleValueApplyVariable:
-        return trampolineppPreprocessCall(true, true, form, lenv);
+        return trampolineEvalCall(true, true, form, lenv);
       default:
-        return trampolineppPreprocessCall(false, false, form, lenv);
+        return trampolineEvalCall(false, false, form, lenv);
     }
   } else if (form instanceof EVLVariable) {
-    return trampolineppPreprocessAnalyzedRef(LEX_SCOPE, VAL_NS, form, lenv);
-  } else {
-    return trampolineppPreprocessAnalyzedQuote(form, lenv);
-  }
-}
-
-function trampolineppPreprocessForms(forms, lenv) {
-  if (forms === EVLEmptyList.NIL) {
-    return EVLEmptyList.NIL;
+    return lenv.ref(VAL_NS, form);
   } else {
-    const preprocessedForm = trampolineppPreprocessForm(forms.car, lenv);
-    if (isAbruptCompletion(preprocessedForm)) return preprocessedForm;
-    const preprocessedForms = trampolineppPreprocessForms(forms.cdr, lenv);
-    if (isAbruptCompletion(preprocessedForms)) return preprocessedForms;
-    return new EVLCons(preprocessedForm, preprocessedForms);
+    return form;
   }
 }
 
-class TrampolineppCont { // abstract class
+class TrampolineCont { // abstract class
   constructor() {
   }
 }
 
-class TrampolineppEndCont extends TrampolineppCont {
+class TrampolineEndCont extends TrampolineCont {
   constructor() {
     super();
   }
@@ -4992,71 +5778,40 @@ class TrampolineppEndCont extends TrampolineppCont {
   }
 }
 
-const trampolineppEndCont = new TrampolineppEndCont();
-
-class TrampolineppForm { // abstract class
-}
+const trampolineEndCont = new TrampolineEndCont();
 
-function trampolineppPreprocessQuote(form, lenv) {
+function trampolineEvalQuote(form, lenv) {
   const analysis = analyzeQuote(form);
   if (isError(analysis)) return analysis;
   const [literal] = analysis;
-  return trampolineppPreprocessAnalyzedQuote(literal, lenv);
-}
-
-function trampolineppPreprocessAnalyzedQuote(literal, lenv) {
-  return new TrampolineppQuote(literal);
-}
-
-class TrampolineppQuote extends TrampolineppForm {
-  constructor(literal) {
-    super();
-    this.literal = literal;
-  }
-  eval(lenv) {
-    const {literal} = this;
-    return literal;
-  }
+  return literal;
 }
 
-function trampolineppPreprocessProgn(form, lenv) {
+function trampolineEvalProgn(form, lenv) {
   const analysis = analyzeProgn(form);
   if (isError(analysis)) return analysis;
   const [serialForms] = analysis;
-  const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, lenv);
-  if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
-  return new TrampolineppProgn(preprocessedSerialForms);
-}
-
-class TrampolineppProgn extends TrampolineppForm {
-  constructor(serialForms) {
-    super();
-    this.serialForms = serialForms;
-  }
-  eval(lenv) {
-    const {serialForms} = this;
-    return trampolineppEvalSerialForms(serialForms, lenv);
-  }
+  return trampolineEvalSerialForms(serialForms, lenv);
 }
 
-function trampolineppEvalSerialForms(serialForms, lenv) {
+function trampolineEvalSerialForms(serialForms, lenv) {
   if (serialForms === EVLEmptyList.NIL) {
     return EVLVoid.VOID;
   } else {
-    return trampolineppEvalSerialFormForms(serialForms, lenv);
+    return trampolineEvalSerialFormForms(serialForms, lenv);
   }
 }
 
-function trampolineppEvalSerialFormForms(serialForms, lenv) {
+function trampolineEvalSerialFormForms(serialForms, lenv) {
   if (serialForms.cdr === EVLEmptyList.NIL) {
     return new EvalReq(serialForms.car, lenv);
   } else {
-    trampolineppStack.push(new TrampolineppSerialFormCont(serialForms, lenv));
+    trampolineStack.push(new TrampolineSerialFormCont(serialForms, lenv));
     return new EvalReq(serialForms.car, lenv);
   }
 }
 
-class TrampolineppSerialFormCont extends TrampolineppCont {
+class TrampolineSerialFormCont extends TrampolineCont {
   constructor(serialForms, lenv) {
     super();
     this.serialForms = serialForms;
@@ -5065,38 +5820,19 @@ class TrampolineppSerialFormCont extends TrampolineppCont {
   invoke(outcome) {
     const {serialForms, lenv} = this;
     if (isAbruptCompletion(outcome)) return outcome;
-    return trampolineppEvalSerialFormForms(serialForms.cdr, lenv);
+    return trampolineEvalSerialFormForms(serialForms.cdr, lenv);
   }
 }
 
-function trampolineppPreprocessIf(form, lenv) {
+function trampolineEvalIf(form, lenv) {
   const analysis = analyzeIf(form);
   if (isError(analysis)) return analysis;
   const [testForm, thenForm, elseForm] = analysis;
-  const preprocessedTestForm = trampolineppPreprocessForm(testForm, lenv);
-  if (isAbruptCompletion(preprocessedTestForm)) return preprocessedTestForm;
-  const preprocessedThenForm = trampolineppPreprocessForm(thenForm, lenv);
-  if (isAbruptCompletion(preprocessedThenForm)) return preprocessedThenForm;
-  const preprocessedElseForm = trampolineppPreprocessForm(elseForm, lenv);
-  if (isAbruptCompletion(preprocessedElseForm)) return preprocessedElseForm;
-  return new TrampolineppIf(preprocessedTestForm, preprocessedThenForm, preprocessedElseForm);
-}
-
-class TrampolineppIf extends TrampolineppForm {
-  constructor(testForm, thenForm, elseForm) {
-    super();
-    this.testForm = testForm;
-    this.thenForm = thenForm;
-    this.elseForm = elseForm;
-  }
-  eval(lenv) {
-    const {testForm, thenForm, elseForm} = this;
-    trampolineppStack.push(new TrampolineppIfTestFormCont(thenForm, elseForm, lenv));
-    return new EvalReq(testForm, lenv);
-  }
+  trampolineStack.push(new TrampolineIfTestFormCont(thenForm, elseForm, lenv));
+  return new EvalReq(testForm, lenv);
 }
 
-class TrampolineppIfTestFormCont extends TrampolineppCont {
+class TrampolineIfTestFormCont extends TrampolineCont {
   constructor(thenForm, elseForm, lenv) {
     super();
     this.thenForm = thenForm;
@@ -5107,6 +5843,7 @@ class TrampolineppIfTestFormCont extends TrampolineppCont {
     const {thenForm, elseForm, lenv} = this;
     if (isAbruptCompletion(outcome)) return outcome;
     const test = outcome.primaryValue();
+    if (collectingCoverage) recordBranchCoverage(thenForm, elseForm, test);
     switch (test) {
       case EVLBoolean.TRUE:
         return new EvalReq(thenForm, lenv);
@@ -5118,266 +5855,147 @@ class TrampolineppIfTestFormCont extends TrampolineppCont {
   }
 }
 
-function trampolineppPreprocessForEach(form, lenv) {
+function trampolineEvalForEach(form, lenv) {
   const analysis = analyzeForEach(form);
   if (isError(analysis)) return analysis;
   const [functionForm, listForm] = analysis;
-  const preprocessedFunctionForm = trampolineppPreprocessForm(functionForm, lenv);
-  if (isAbruptCompletion(preprocessedFunctionForm)) return preprocessedFunctionForm;
-  const preprocessedListForm = trampolineppPreprocessForm(listForm, lenv);
-  if (isAbruptCompletion(preprocessedListForm)) return preprocessedListForm;
-  return new TrampolineppForEach(preprocessedFunctionForm, preprocessedListForm);
-}
-
-class TrampolineppForEach extends TrampolineppForm {
-  constructor(functionForm, listForm) {
-    super();
-    this.functionForm = functionForm;
-    this.listForm = listForm;
-  }
-  eval(lenv) {
-    const {functionForm, listForm} = this;
-    return new ForEachNotImplemented();
-  }
+  return new ForEachNotImplemented();
 }
 
-function trampolineppPreprocessLambda(scope, namespace, macro, form, lenv) {
+function trampolineEvalLambda(scope, namespace, macro, form, lenv) {
   const analysis = analyzeLambda(form);
   if (isError(analysis)) return analysis;
   const [parameters, rest, serialForms] = analysis;
+  return new EVLClosure(scope, namespace, macro, parameters, rest, serialForms, lenv);
+}
+
+function trampolineEvalRef(scope, namespace, form, lenv) {
+  const analysis = analyzeRef(form);
+  if (isError(analysis)) return analysis;
+  const [variable] = analysis;
   switch (scope) {
-    case LEX_SCOPE: {
-      const elenv = new Frame(namespace, parameters, new Array(parameters.length).fill(null), lenv);
-      const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, elenv);
-      if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
-      return new TrampolineppLambda(scope, namespace, macro, parameters, rest, preprocessedSerialForms);
-    }
-    case DYN_SCOPE: {
-      const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, lenv);
-      if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
-      return new TrampolineppLambda(scope, namespace, macro, parameters, rest, preprocessedSerialForms);
-    }
+    case LEX_SCOPE:
+      return lenv.ref(namespace, variable);
+    case DYN_SCOPE:
+      return trampolineStack.denv.ref(namespace, variable);
     default:
-      throw new CannotHappen('trampolineppPreprocessLambda');
+      throw new CannotHappen('trampolineEvalRef');
   }
 }
 
-class TrampolineppLambda extends TrampolineppForm {
-  constructor(scope, namespace, macro, parameters, rest, serialForms) {
-    super();
-    this.scope = scope;
-    this.namespace = namespace;
-    this.macro = macro;
-    this.parameters = parameters;
-    this.rest = rest;
-    this.serialForms = serialForms;
-  }
-  eval(lenv) {
-    const {scope, namespace, macro, parameters, rest, serialForms} = this;
-    return new EVLClosure(scope, namespace, macro, parameters, rest, serialForms, lenv);
-  }
-}
-
-function trampolineppPreprocessRef(scope, namespace, form, lenv) {
-  const analysis = analyzeRef(form);
-  if (isError(analysis)) return analysis;
-  const [variable] = analysis;
-  return trampolineppPreprocessAnalyzedRef(scope, namespace, variable, lenv);
-}
-
-function trampolineppPreprocessAnalyzedRef(scope, namespace, variable, lenv) {
-  switch (scope) {
-    case LEX_SCOPE:
-      const [global, i, j] = lenv.lookup(namespace, variable, 0);
-      if (global) {
-        return new TrampolineppGRef(namespace, variable);
-      } else {
-        return new TrampolineppLRef(i, j);
-      }
-    case DYN_SCOPE:
-      return new TrampolineppDRef(namespace, variable);
-    default:
-      throw new CannotHappen('trampolineppPreprocessAnalyzedRef');
-  }
-}
-
-class TrampolineppGRef extends TrampolineppForm {
-  constructor(namespace, variable) {
-    super();
-    this.namespace = namespace;
-    this.variable = variable;
-  }
-  eval(lenv) {
-    const {namespace, variable} = this;
-    return GlobalEnv.ref(namespace, variable);
-  }
-}
-
-class TrampolineppLRef extends TrampolineppForm {
-  constructor(i, j) {
-    super();
-    this.i = i;
-    this.j = j;
-  }
-  eval(lenv) {
-    const {i, j} = this;
-    let frame = lenv;
-    for (let n = i; n > 0; n--) {
-      frame = frame.next;
-    }
-    return frame.values[j];
-  }
-}
-
-class TrampolineppDRef extends TrampolineppForm {
-  constructor(namespace, variable) {
-    super();
-    this.namespace = namespace;
-    this.variable = variable;
-  }
-  eval(lenv) {
-    const {namespace, variable} = this;
-    return trampolineppStack.denv.ref(namespace, variable);
-  }
-}
-
-function trampolineppPreprocessSet(scope, namespace, form, lenv) {
+function trampolineEvalSet(scope, namespace, form, lenv) {
   const analysis = analyzeSet(form);
   if (isError(analysis)) return analysis;
   const [variable, valueForm] = analysis;
-  const preprocessedValueForm = trampolineppPreprocessForm(valueForm, lenv);
-  if (isAbruptCompletion(preprocessedValueForm)) return preprocessedValueForm;
-  switch (scope) {
-    case LEX_SCOPE:
-      const [global, i, j] = lenv.lookup(namespace, variable, 0);
-      if (global) {
-        return new TrampolineppGSet(namespace, variable, preprocessedValueForm);
-      } else {
-        return new TrampolineppLSet(i, j, preprocessedValueForm);
-      }
-    case DYN_SCOPE:
-      return new TrampolineppDSet(namespace, variable, preprocessedValueForm);
-    default:
-      throw new CannotHappen('trampolineppPreprocessSet');
-  }
-}
-
-class TrampolineppGSet extends TrampolineppForm {
-  constructor(namespace, variable, valueForm) {
-    super();
-    this.namespace = namespace;
-    this.variable = variable;
-    this.valueForm = valueForm;
-  }
-  eval(lenv) {
-    const {namespace, variable, valueForm} = this;
-    trampolineppStack.push(new TrampolineppGSetValueFormCont(namespace, variable));
-    return new EvalReq(valueForm, lenv);
-  }
+  trampolineStack.push(new TrampolineSetValueFormCont(scope, namespace, variable, lenv));
+  return new EvalReq(valueForm, lenv);
 }
 
-class TrampolineppGSetValueFormCont extends TrampolineppCont {
-  constructor(namespace, variable) {
+class TrampolineSetValueFormCont extends TrampolineCont {
+  constructor(scope, namespace, variable, lenv) {
     super();
+    this.scope = scope;
     this.namespace = namespace;
     this.variable = variable;
+    this.lenv = lenv;
   }
   invoke(outcome) {
-    const {namespace, variable} = this;
+    const {scope, namespace, variable, lenv} = this;
     if (isAbruptCompletion(outcome)) return outcome;
-    const value = outcome.primaryValue();
-    return GlobalEnv.set(namespace, variable, value);
+    const value = outcome.primaryValue()
+    switch (scope) {
+      case LEX_SCOPE:
+        return lenv.set(namespace, variable, value);
+      case DYN_SCOPE:
+        return trampolineStack.denv.set(namespace, variable, value);
+      default:
+        throw new CannotHappen('TrampolineSetValueFormCont.invoke');
+    }
   }
 }
 
-class TrampolineppLSet extends TrampolineppForm {
-  constructor(i, j, valueForm) {
-    super();
-    this.i = i;
-    this.j = j;
-    this.valueForm = valueForm;
-  }
-  eval(lenv) {
-    const {i, j, valueForm} = this;
-    trampolineppStack.push(new TrampolineppLSetValueFormCont(i, j, lenv));
-    return new EvalReq(valueForm, lenv);
-  }
+function trampolineEvalBlock(form, lenv) {
+  const analysis = analyzeBlock(form);
+  if (isError(analysis)) return analysis;
+  const [blockName, serialForms] = analysis;
+  const exitTag = new EVLVariable('exit-tag');
+  const elenv = new Frame(BLK_NS, [blockName], [exitTag], lenv);
+  trampolineStack.push(new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], null));
+  trampolineStack.push(new TrampolineBlockSerialFormsCont(exitTag));
+  return trampolineEvalSerialForms(serialForms, elenv);
 }
 
-class TrampolineppLSetValueFormCont extends TrampolineppCont {
-  constructor(i, j, lenv) {
+class TrampolineBlockSerialFormsCont extends TrampolineCont {
+  constructor(exitTag) {
     super();
-    this.i = i;
-    this.j = j;
-    this.lenv = lenv;
+    this.exitTag = exitTag;
   }
   invoke(outcome) {
-    const {i, j, lenv} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
-    const value = outcome.primaryValue();
-    let frame = lenv;
-    for (let n = i; n > 0; n--) {
-      frame = frame.next;
+    const {exitTag} = this;
+    if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
+      return outcome.values;
+    } else {
+      return outcome;
     }
-    return frame.values[j] = value;
   }
 }
 
-class TrampolineppDSet extends TrampolineppForm {
-  constructor(namespace, variable, valueForm) {
-    super();
-    this.namespace = namespace;
-    this.variable = variable;
-    this.valueForm = valueForm;
+function trampolineEvalReturnFrom(form, lenv) {
+  const analysis = analyzeReturnFrom(form);
+  if (isError(analysis)) return analysis;
+  const [blockName, valuesForm] = analysis;
+  const exitTag = lenv.ref(BLK_NS, blockName);
+  if (exitTag === null) {
+    return new NoBlock(blockName);
   }
-  eval(lenv) {
-    const {namespace, variable, valueForm} = this;
-    trampolineppStack.push(new TrampolineppDSetValueFormCont(namespace, variable));
-    return new EvalReq(valueForm, lenv);
+  const exitPoint = trampolineStack.denv.ref(XIT_NS, exitTag);
+  if (exitPoint === null) {
+    return new NoBlockExitPoint(blockName);
   }
+  trampolineStack.push(new TrampolineReturnFromValuesFormCont(exitTag));
+  return new EvalReq(valuesForm, lenv);
 }
 
-class TrampolineppDSetValueFormCont extends TrampolineppCont {
-  constructor(namespace, variable) {
+class TrampolineReturnFromValuesFormCont extends TrampolineCont {
+  constructor(exitTag) {
     super();
-    this.namespace = namespace;
-    this.variable = variable;
+    this.exitTag = exitTag;
   }
   invoke(outcome) {
-    const {namespace, variable} = this;
+    const {exitTag} = this;
     if (isAbruptCompletion(outcome)) return outcome;
-    const value = outcome.primaryValue();
-    return trampolineppStack.denv.set(namespace, variable, value);
+    return new NonlocalExit(exitTag, outcome);
   }
 }
 
-function trampolineppPreprocessBlock(form, lenv) {
-  const analysis = analyzeBlock(form);
+function trampolineEvalCatch(form, lenv) {
+  const analysis = analyzeCatch(form);
   if (isError(analysis)) return analysis;
-  const [blockName, serialForms] = analysis;
-  const elenv = new Frame(BLK_NS, [blockName], [null], lenv);
-  const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, elenv);
-  if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
-  return new TrampolineppBlock(blockName, preprocessedSerialForms);
+  const [exitTagForm, serialForms] = analysis;
+  trampolineStack.push(new TrampolineCatchExitTagFormCont(serialForms, lenv));
+  return new EvalReq(exitTagForm, lenv);
 }
 
-class TrampolineppBlock extends TrampolineppForm {
-  constructor(blockName, serialForms) {
+class TrampolineCatchExitTagFormCont extends TrampolineCont {
+  constructor(serialForms, lenv) {
     super();
-    this.blockName = blockName;
     this.serialForms = serialForms;
+    this.lenv = lenv;
   }
-  eval(lenv) {
-    const {blockName, serialForms} = this;
-    const exitTag = new EVLVariable('exit-tag');
-    const elenv = new Frame(BLK_NS, [blockName], [exitTag], lenv);
-    trampolineppStack.push(new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], null));
-    trampolineppStack.push(new TrampolineppBlockSerialFormsCont(exitTag));
-    return trampolineppEvalSerialForms(serialForms, elenv);
+  invoke(outcome) {
+    const {serialForms, lenv} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    const exitTag = outcome.primaryValue();
+    if (!(exitTag instanceof EVLVariable)) {
+      return new ExitTagFormTypeError();
+    }
+    trampolineStack.push(new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], null));
+    trampolineStack.push(new TrampolineCatchSerialFormsCont(exitTag));
+    return trampolineEvalSerialForms(serialForms, lenv);
   }
 }
 
-class TrampolineppBlockSerialFormsCont extends TrampolineppCont {
+class TrampolineCatchSerialFormsCont extends TrampolineCont {
   constructor(exitTag) {
     super();
     this.exitTag = exitTag;
@@ -5392,135 +6010,19 @@ class TrampolineppBlockSerialFormsCont extends TrampolineppCont {
   }
 }
 
-function trampolineppPreprocessReturnFrom(form, lenv) {
-  const analysis = analyzeReturnFrom(form);
+function trampolineEvalThrow(form, lenv) {
+  const analysis = analyzeThrow(form);
   if (isError(analysis)) return analysis;
-  const [blockName, valuesForm] = analysis;
-  const preprocessedValuesForm = trampolineppPreprocessForm(valuesForm, lenv);
-  if (isAbruptCompletion(preprocessedValuesForm)) return preprocessedValuesForm;
-  return new TrampolineppReturnFrom(blockName, preprocessedValuesForm);
+  const [exitTagForm, valuesForm] = analysis;
+  trampolineStack.push(new TrampolineThrowExitTagFormCont(valuesForm, lenv));
+  return new EvalReq(exitTagForm, lenv);
 }
 
-class TrampolineppReturnFrom extends TrampolineppForm {
-  constructor(blockName, valuesForm) {
+class TrampolineThrowExitTagFormCont extends TrampolineCont {
+  constructor(valuesForm, lenv) {
     super();
-    this.blockName = blockName;
     this.valuesForm = valuesForm;
-  }
-  eval(lenv) {
-    const {blockName, valuesForm} = this;
-    const exitTag = lenv.ref(BLK_NS, blockName);
-    if (exitTag === null) {
-      return new NoBlock(blockName);
-    }
-    const exitPoint = trampolineppStack.denv.ref(XIT_NS, exitTag);
-    if (exitPoint === null) {
-      return new NoBlockExitPoint(blockName);
-    }
-    trampolineppStack.push(new TrampolineppReturnFromValuesFormCont(exitTag));
-    return new EvalReq(valuesForm, lenv);
-  }
-}
-
-class TrampolineppReturnFromValuesFormCont extends TrampolineppCont {
-  constructor(exitTag) {
-    super();
-    this.exitTag = exitTag;
-  }
-  invoke(outcome) {
-    const {exitTag} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
-    return new NonlocalExit(exitTag, outcome);
-  }
-}
-
-function trampolineppPreprocessCatch(form, lenv) {
-  const analysis = analyzeCatch(form);
-  if (isError(analysis)) return analysis;
-  const [exitTagForm, serialForms] = analysis;
-  const preprocessedExitTagForm = trampolineppPreprocessForm(exitTagForm, lenv);
-  if (isAbruptCompletion(preprocessedExitTagForm)) return preprocessedExitTagForm;
-  const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, lenv);
-  if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
-  return new TrampolineppCatch(preprocessedExitTagForm, preprocessedSerialForms);
-}
-
-class TrampolineppCatch extends TrampolineppForm {
-  constructor(exitTagForm, serialForms) {
-    super();
-    this.exitTagForm = exitTagForm;
-    this.serialForms = serialForms;
-  }
-  eval(lenv) {
-    const {exitTagForm, serialForms} = this;
-    trampolineppStack.push(new TrampolineppCatchExitTagFormCont(serialForms, lenv));
-    return new EvalReq(exitTagForm, lenv);
-  }
-}
-
-class TrampolineppCatchExitTagFormCont extends TrampolineppCont {
-  constructor(serialForms, lenv) {
-    super();
-    this.serialForms = serialForms;
-    this.lenv = lenv;
-  }
-  invoke(outcome) {
-    const {serialForms, lenv} = this;
-    if (isAbruptCompletion(outcome)) return outcome;
-    const exitTag = outcome.primaryValue();
-    if (!(exitTag instanceof EVLVariable)) {
-      return new ExitTagFormTypeError();
-    }
-    trampolineppStack.push(new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], null));
-    trampolineppStack.push(new TrampolineppCatchSerialFormsCont(exitTag));
-    return trampolineppEvalSerialForms(serialForms, lenv);
-  }
-}
-
-class TrampolineppCatchSerialFormsCont extends TrampolineppCont {
-  constructor(exitTag) {
-    super();
-    this.exitTag = exitTag;
-  }
-  invoke(outcome) {
-    const {exitTag} = this;
-    if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
-      return outcome.values;
-    } else {
-      return outcome;
-    }
-  }
-}
-
-function trampolineppPreprocessThrow(form, lenv) {
-  const analysis = analyzeThrow(form);
-  if (isError(analysis)) return analysis;
-  const [exitTagForm, valuesForm] = analysis;
-  const preprocessedExitTagForm = trampolineppPreprocessForm(exitTagForm, lenv);
-  if (isAbruptCompletion(preprocessedExitTagForm)) return preprocessedExitTagForm;
-  const preprocessedValuesForm = trampolineppPreprocessForm(valuesForm, lenv);
-  if (isAbruptCompletion(preprocessedValuesForm)) return preprocessedValuesForm;
-  return new TrampolineppThrow(preprocessedExitTagForm, preprocessedValuesForm);
-}
-
-class TrampolineppThrow extends TrampolineppForm {
-  constructor(exitTagForm, valuesForm) {
-    super();
-    this.exitTagForm = exitTagForm;
-    this.valuesForm = valuesForm;
-  }
-  eval(lenv) {
-    const {exitTagForm, valuesForm} = this;
-    trampolineppStack.push(new TrampolineppThrowExitTagFormCont(valuesForm, lenv));
-    return new EvalReq(exitTagForm, lenv);
-  }
-}
-
-class TrampolineppThrowExitTagFormCont extends TrampolineppCont {
-  constructor(valuesForm, lenv) {
-    super();
-    this.valuesForm = valuesForm;
-    this.lenv = lenv;
+    this.lenv = lenv;
   }
   invoke(outcome) {
     const {valuesForm, lenv} = this;
@@ -5529,16 +6031,16 @@ class TrampolineppThrowExitTagFormCont extends TrampolineppCont {
     if (!(exitTag instanceof EVLVariable)) {
       return new ExitTagFormTypeError();
     }
-    const exitPoint = trampolineppStack.denv.ref(XIT_NS, exitTag);
+    const exitPoint = trampolineStack.denv.ref(XIT_NS, exitTag);
     if (exitPoint === null) {
       return new NoCatchExitPoint(exitTag);
     }
-    trampolineppStack.push(new TrampolineppThrowValuesFormCont(exitTag));
+    trampolineStack.push(new TrampolineThrowValuesFormCont(exitTag));
     return new EvalReq(valuesForm, lenv);
   }
 }
 
-class TrampolineppThrowValuesFormCont extends TrampolineppCont {
+class TrampolineThrowValuesFormCont extends TrampolineCont {
   constructor(exitTag) {
     super();
     this.exitTag = exitTag;
@@ -5550,31 +6052,15 @@ class TrampolineppThrowValuesFormCont extends TrampolineppCont {
   }
 }
 
-function trampolineppPreprocessHandlerBind(form, lenv) {
+function trampolineEvalHandlerBind(form, lenv) {
   const analysis = analyzeHandlerBind(form);
   if (isError(analysis)) return analysis;
   const [handlerForm, serialForms] = analysis;
-  const preprocessedHandlerForm = trampolineppPreprocessForm(handlerForm, lenv);
-  if (isAbruptCompletion(preprocessedHandlerForm)) return preprocessedHandlerForm;
-  const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, lenv);
-  if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
-  return new TrampolineppHandlerBind(preprocessedHandlerForm, preprocessedSerialForms);
-}
-
-class TrampolineppHandlerBind extends TrampolineppForm {
-  constructor(handlerForm, serialForms) {
-    super();
-    this.handlerForm = handlerForm;
-    this.serialForms = serialForms;
-  }
-  eval(lenv) {
-    const {handlerForm, serialForms} = this;
-    trampolineppStack.push(new TrampolineppHandlerBindHandlerFormCont(serialForms, lenv));
-    return new EvalReq(handlerForm, lenv);
-  }
+  trampolineStack.push(new TrampolineHandlerBindHandlerFormCont(serialForms, lenv));
+  return new EvalReq(handlerForm, lenv);
 }
 
-class TrampolineppHandlerBindHandlerFormCont extends TrampolineppCont {
+class TrampolineHandlerBindHandlerFormCont extends TrampolineCont {
   constructor(serialForms, lenv) {
     super();
     this.serialForms = serialForms;
@@ -5587,12 +6073,12 @@ class TrampolineppHandlerBindHandlerFormCont extends TrampolineppCont {
     if (!(handler instanceof EVLFunction)) {
       return new HandlerFormTypeError();
     }
-    trampolineppStack.push(new TrampolineppHandlerBindSerialFormsCont(handler));
-    return trampolineppEvalSerialForms(serialForms, lenv);
+    trampolineStack.push(new TrampolineHandlerBindSerialFormsCont(handler));
+    return trampolineEvalSerialForms(serialForms, lenv);
   }
 }
 
-class TrampolineppHandlerBindSerialFormsCont extends TrampolineppCont {
+class TrampolineHandlerBindSerialFormsCont extends TrampolineCont {
   constructor(handler) {
     super();
     this.handler = handler;
@@ -5600,15 +6086,15 @@ class TrampolineppHandlerBindSerialFormsCont extends TrampolineppCont {
   invoke(outcome) {
     const {handler} = this;
     if (isError(outcome)) {
-      trampolineppStack.push(new TrampolineppHandlerBindInvocationCont(outcome));
-      return trampolineppInvoke(false, handler, [outcome.category, outcome.description]);
+      trampolineStack.push(new TrampolineHandlerBindInvocationCont(outcome));
+      return trampolineInvoke(false, handler, handlerArguments(outcome));
     } else {
       return outcome;
     }
   }
 }
 
-class TrampolineppHandlerBindInvocationCont extends TrampolineppCont {
+class TrampolineHandlerBindInvocationCont extends TrampolineCont {
   constructor(serialFormsOutcome) {
     super();
     this.serialFormsOutcome = serialFormsOutcome;
@@ -5623,31 +6109,15 @@ class TrampolineppHandlerBindInvocationCont extends TrampolineppCont {
   }
 }
 
-function trampolineppPreprocessUnwindProtect(form, lenv) {
+function trampolineEvalUnwindProtect(form, lenv) {
   const analysis = analyzeUnwindProtect(form);
   if (isError(analysis)) return analysis;
   const [protectedForm, cleanupForms] = analysis;
-  const preprocessedProtectedForm = trampolineppPreprocessForm(protectedForm, lenv);
-  if (isAbruptCompletion(preprocessedProtectedForm)) return preprocessedProtectedForm;
-  const preprocessedCleanupForms = trampolineppPreprocessForms(cleanupForms, lenv);
-  if (isAbruptCompletion(preprocessedCleanupForms)) return preprocessedCleanupForms;
-  return new TrampolineppUnwindProtect(preprocessedProtectedForm, preprocessedCleanupForms);
-}
-
-class TrampolineppUnwindProtect extends TrampolineppForm {
-  constructor(protectedForm, cleanupForms) {
-    super();
-    this.protectedForm = protectedForm
-    this.cleanupForms = cleanupForms;
-  }
-  eval(lenv) {
-    const {protectedForm, cleanupForms} = this;
-    trampolineppStack.push(new TrampolineppUnwindProtectProtectedFormCont(cleanupForms, lenv));
-    return new EvalReq(protectedForm, lenv);
-  }
+  trampolineStack.push(new TrampolineUnwindProtectProtectedFormCont(cleanupForms, lenv));
+  return new EvalReq(protectedForm, lenv);
 }
 
-class TrampolineppUnwindProtectProtectedFormCont extends TrampolineppCont {
+class TrampolineUnwindProtectProtectedFormCont extends TrampolineCont {
   constructor(cleanupForms, lenv) {
     super();
     this.cleanupForms = cleanupForms;
@@ -5655,12 +6125,12 @@ class TrampolineppUnwindProtectProtectedFormCont extends TrampolineppCont {
   }
   invoke(outcome) {
     const {cleanupForms, lenv} = this;
-    trampolineppStack.push(new TrampolineppUnwindProtectCleanupFormsCont(outcome));
-    return trampolineppEvalSerialForms(cleanupForms, lenv);
+    trampolineStack.push(new TrampolineUnwindProtectCleanupFormsCont(outcome));
+    return trampolineEvalSerialForms(cleanupForms, lenv);
   }
 }
 
-class TrampolineppUnwindProtectCleanupFormsCont extends TrampolineppCont {
+class TrampolineUnwindProtectCleanupFormsCont extends TrampolineCont {
   constructor(protectedFormOutcome) {
     super();
     this.protectedFormOutcome = protectedFormOutcome;
@@ -5675,1190 +6145,4723 @@ class TrampolineppUnwindProtectCleanupFormsCont extends TrampolineppCont {
   }
 }
 
-function trampolineppPreprocessMlet(form, lenv) {
-  const analysis = analyzeMlet(form);
-  if (isError(analysis)) return analysis;
-  const [mletBindings, serialForms] = analysis;
-  const variables = mletBindings.map(mletBinding => mletBinding[0]);
-  const values = [];
-  for (const mletBinding of mletBindings) {
-    const [variable, parameterList, mlambdaSerialForms] = mletBinding;
-    const mlambda = new EVLCons(mlambdaVariable, new EVLCons(parameterList, mlambdaSerialForms));
-    const _mlambda = trampolineppPreprocessForm(mlambda, nullDefiniteEnv);
-    if (isAbruptCompletion(_mlambda)) return _mlambda;
-    if (!(_mlambda instanceof TrampolineppLambda) || !_mlambda.macro) {
-      throw new CannotHappen('trampolineppPreprocessMlet');
-    }
-    values.push(_mlambda.eval(nullDefiniteEnv));
-  }
-  const elenv = new Frame(FUN_NS, variables, values, lenv);
-  const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, elenv);
-  if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
-  return new TrampolineppMlet(mletBindings, preprocessedSerialForms);
-}
-
-class TrampolineppMlet extends TrampolineppForm {
-  constructor(mletBindings, serialForms) {
-    super();
-    this.mletBindings = mletBindings;
-    this.serialForms = serialForms;
-  }
-  eval(lenv) {
-    const {mletBindings, serialForms} = this;
-    const variables = mletBindings.map(mletBinding => mletBinding[0]);
-    const values = mletBindings.map(mletBinding => EVLVoid.VOID);
-    const elenv = new Frame(FUN_NS, variables, values, lenv);
-    return trampolineppEvalSerialForms(serialForms, elenv);
-  }
-}
-
-function trampolineppPreprocessCall(mv, apply, form, lenv) {
+function trampolineEvalCall(mv, apply, form, lenv) {
   const analysis = analyzeCall(mv, apply, form, lenv);
   if (isError(analysis)) return analysis;
   const [macroCall, operator, operands] = analysis;
   if (macroCall) {
-    return trampolineppPreprocessMacroCall(operator, operands, lenv);
+    return trampolineEvalMacroCall(form, operator, operands, lenv);
   } else {
-    return trampolineppPreprocessFunctionCall(mv, apply, operator, operands, lenv);
+    return trampolineEvalFunctionCall(mv, apply, form, operator, operands, lenv);
   }
 }
 
-function trampolineppPreprocessMacroCall(macro, macroOperands, lenv) {
+function trampolineEvalMacroCall(form, macro, macroOperands, lenv) {
   const args = listToArray(macroOperands);
-  const values = pairClosureParameters(false, args, macro.parameters, macro.rest);
-  if (isError(values)) return values;
-  const elenv = new Frame(macro.namespace, macro.parameters, values, macro.lenv);
-  const outcome = trampolineppEval(new TrampolineppProgn(macro.serialForms), elenv);
-  if (isAbruptCompletion(outcome)) return outcome;
-  const expansion = outcome.primaryValue();
-  return trampolineppPreprocessForm(expansion, lenv);
+  trampolineStack.push(new TrampolineMacroCont(form, lenv));
+  return trampolineInvoke(false, macro, args);
 }
 
-function trampolineppPreprocessFunctionCall(mv, apply, operatorForm, operandForms, lenv) {
-  const preprocessedOperatorForm = trampolineppPreprocessOperatorForm(operatorForm, lenv);
-  if (isAbruptCompletion(preprocessedOperatorForm)) return preprocessedOperatorForm;
-  const preprocessedOperandForms = trampolineppPreprocessForms(operandForms, lenv);
-  if (isAbruptCompletion(preprocessedOperandForms)) return preprocessedOperandForms;
-  return new TrampolineppFunctionCall(mv, apply, preprocessedOperatorForm, preprocessedOperandForms);
+class TrampolineMacroCont extends TrampolineCont {
+  constructor(form, lenv) {
+    super();
+    this.form = form;
+    this.lenv = lenv;
+  }
+  invoke(outcome) {
+    const {form, lenv} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    const expansion = outcome.primaryValue();
+    if (collectingCoverage) recordExpansionCoverage(form, expansion);
+    if (optimizeMacroCalls) {
+      alterForm(form, expansion);
+    }
+    return new EvalReq(expansion, lenv);
+  }
 }
 
-function trampolineppPreprocessOperatorForm(operatorForm, lenv) {
-  if (operatorForm instanceof EVLVariable) {
-    return trampolineppPreprocessAnalyzedRef(LEX_SCOPE, FUN_NS, operatorForm, lenv);
-  } else {
-    return trampolineppPreprocessForm(operatorForm, lenv);
-  }
+function trampolineEvalFunctionCall(mv, apply, form, operatorForm, operandForms, lenv) {
+  trampolineStack.push(new TrampolineFunctionCallOperatorFormCont(mv, apply, form, operandForms, lenv));
+  return trampolineEvalOperatorForm(operatorForm, lenv);
 }
 
-class TrampolineppFunctionCall extends TrampolineppForm {
-  constructor(mv, apply, operatorForm, operandForms) {
-    super();
-    this.mv = mv;
-    this.apply = apply;
-    this.operatorForm = operatorForm;
-    this.operandForms = operandForms;
-  }
-  eval(lenv) {
-    const {mv, apply, operatorForm, operandForms} = this;
-    trampolineppStack.push(new TrampolineppFunctionCallOperatorFormCont(mv, apply, operandForms, lenv));
-    return trampolineppEvalOperatorForm(operatorForm, lenv);
+function trampolineEvalOperatorForm(operatorForm, lenv) {
+  if (operatorForm instanceof EVLVariable) {
+    return lenv.ref(FUN_NS, operatorForm);
+  } else {
+    return new EvalReq(operatorForm, lenv);
   }
 }
 
-function trampolineppEvalOperatorForm(operatorForm, lenv) {
-  return new EvalReq(operatorForm, lenv);
-}
-
-class TrampolineppFunctionCallOperatorFormCont extends TrampolineppCont {
-  constructor(mv, apply, operandForms, lenv) {
+class TrampolineFunctionCallOperatorFormCont extends TrampolineCont {
+  constructor(mv, apply, form, operandForms, lenv) {
     super();
     this.mv = mv;
     this.apply = apply;
+    this.form = form;
     this.operandForms = operandForms;
     this.lenv = lenv;
   }
   invoke(outcome) {
-    const {mv, apply, operandForms, lenv} = this;
+    const {mv, apply, form, operandForms, lenv} = this;
     if (isAbruptCompletion(outcome)) return outcome;
     const fn = outcome.primaryValue();
     if (!(fn instanceof EVLFunction)) {
-      return new OperatorFormTypeError();
+      return recordErrorLocation(new OperatorFormTypeError(), form);
     }
-    return trampolineppEvalOperandForms(mv, apply, fn, operandForms, [], lenv);
+    return trampolineEvalOperandForms(mv, apply, form, fn, operandForms, [], lenv);
   }
 }
 
-function trampolineppEvalOperandForms(mv, apply, fn, operandForms, args, lenv) {
+function trampolineEvalOperandForms(mv, apply, form, fn, operandForms, args, lenv) {
   if (operandForms === EVLEmptyList.NIL) {
-    return trampolineppInvoke(apply, fn, args);
+    return trampolineInvoke(apply, fn, args, form);
   } else {
-    trampolineppStack.push(new TrampolineppFunctionCallOperandFormCont(mv, apply, fn, operandForms, args, lenv));
+    trampolineStack.push(new TrampolineFunctionCallOperandFormCont(mv, apply, form, fn, operandForms, args, lenv));
     return new EvalReq(operandForms.car, lenv);
   }
 }
 
-class TrampolineppFunctionCallOperandFormCont extends TrampolineppCont {
-  constructor(mv, apply, fn, operandForms, args, lenv) {
+class TrampolineFunctionCallOperandFormCont extends TrampolineCont {
+  constructor(mv, apply, form, fn, operandForms, args, lenv) {
     super();
     this.mv = mv;
     this.apply = apply;
+    this.form = form;
     this.fn = fn;
     this.operandForms = operandForms;
     this.args = args;
     this.lenv = lenv;
   }
   invoke(outcome) {
-    const {mv, apply, fn, operandForms, args, lenv} = this;
+    const {mv, apply, form, fn, operandForms, args, lenv} = this;
     if (isAbruptCompletion(outcome)) return outcome;
     if (mv) {
       outcome.allValues().forEach(value => args.push(value));
     } else {
       args.push(outcome.primaryValue());
     }
-    return trampolineppEvalOperandForms(mv, apply, fn, operandForms.cdr, args, lenv);
+    return trampolineEvalOperandForms(mv, apply, form, fn, operandForms.cdr, args, lenv);
   }
 }
 
-function trampolineppInvoke(apply, fn, args) {
+function trampolineInvoke(apply, fn, args, form = null) {
   if (fn instanceof EVLPrimitiveFunction) {
     const values = pairPrimFunParameters(apply, args, fn.arityMin, fn.arityMax);
-    if (isError(values)) return values;
-    return fn.jsFunction(values);
+    if (isError(values)) return recordErrorLocation(recordBacktrace(trampolineStack.stack, values, fn, args), form);
+    const outcome = profilePrimitiveFunction(fn, values);
+    return recordErrorLocation(recordBacktrace(trampolineStack.stack, outcome, fn, args), form);
   } else if (fn instanceof EVLClosure) {
+    if (trampolineStack.depth >= maxRecursionDepth && !trampolineStack.isTailCall()) {
+      return new RecursionDepthExceeded();
+    }
+    trampolineStack.push(new InvocationRecord(fn, args));
     const values = pairClosureParameters(apply, args, fn.parameters, fn.rest);
-    if (isError(values)) return values;
+    if (isError(values)) return recordErrorLocation(values, form);
+    if (collectingCoverage) recordFunctionCoverage(fn);
     switch (fn.scope) {
       case LEX_SCOPE:
         const elenv = new Frame(fn.namespace, fn.parameters, values, fn.lenv);
-        return trampolineppEvalSerialForms(fn.serialForms, elenv);
+        return trampolineEvalSerialForms(fn.serialForms, elenv);
       case DYN_SCOPE:
-        trampolineppStack.push(new Frame(fn.namespace, fn.parameters, values, null));
-        return trampolineppEvalSerialForms(fn.serialForms, fn.lenv);
+        trampolineStack.push(new Frame(fn.namespace, fn.parameters, values, null));
+        return trampolineEvalSerialForms(fn.serialForms, fn.lenv);
       default:
-        throw new CannotHappen('trampolineppInvoke');
+        throw new CannotHappen('trampolineInvoke');
     }
+  } else if (fn instanceof EVLContinuation) {
+    return recordErrorLocation(new ForeignContinuation(fn.evaluator), form);
   } else {
-    throw new CannotHappen('trampolineppInvoke');
+    throw new CannotHappen('trampolineInvoke');
   }
 }
 
-/**********************************/
-/* Primitive Function Definitions */
-/**********************************/
+/**************************/
+/* Trampoline++ Evaluator */
+/**************************/
 
-const primitiveFunctions = new Map();
+let trampolineppStack = null;
 
-function primitiveFunction(name, arityMin, arityMax, jsFunction) {
-  primitiveFunctions.set(name, [arityMin, arityMax, jsFunction]);
+class TrampolineppStack {
+  constructor() {
+    this.stack = [trampolineppEndCont]; // array of TrampolineppCont's, Frame's, and/or InvocationRecord's
+    this.denv = nullDefiniteEnv;
+    this.depth = 0; // number of InvocationRecord's
+  }
+  isTailCall() {
+    return this.stack[this.stack.length - 1] instanceof InvocationRecord;
+  }
+  push(element) {
+    if (element instanceof TrampolineppCont) {
+      if (profiling) profiler.countContinuation(element);
+      this.stack.push(element);
+    } else if (element instanceof Frame) {
+      this.stack.push(element);
+      element.next = this.denv;
+      this.denv = element;
+    } else if (element instanceof InvocationRecord) {
+      if (this.isTailCall()) {
+        if (profiling) profiler.exit(this.stack[this.stack.length - 1]);
+        this.stack[this.stack.length - 1] = element;
+      } else {
+        this.stack.push(element);
+        this.depth++;
+      }
+      if (profiling) profiler.enter(element, element.fn);
+    } else {
+      throw new CannotHappen('TrampolineppStack.push');
+    }
+  }
 }
 
-function checkArgumentType(args, n, constructor) {
-  const arg = args[n];
-  if (arg instanceof constructor) {
-    return arg;
-  } else {
-    return new ArgumentTypeError(n, constructor);
+function trampolineppEval(form, lenv = null) {
+  // The debugger only considers the outermost evaluation (the nested evaluations
+  // are used to expand macro calls).
+  trampolineppEvalDepth++;
+  try {
+    return trampolineppEvalAux(form, lenv);
+  } finally {
+    trampolineppEvalDepth--;
   }
 }
 
-/**********/
-/* Bounce */
-/**********/
+function trampolineppEvalAux(form, lenv) {
+  if (lenv === null) {
+    form = trampolineppPreprocessForm(form, nullDefiniteEnv);
+    if (isAbruptCompletion(form)) return form;
+    lenv = nullDefiniteEnv;
+  }
+  trampolineppStack = new TrampolineppStack();
+  let bounce = new EvalReq(form, lenv);
+  while (true) {
+    checkAbortSignal();
+    if (bounce instanceof EvalReq) {
+      if (debuggerArmed && trampolineppEvalDepth === 1) {
+        trampolineppDebuggerCheckpoint(bounce.form);
+      }
+      bounce = bounce.form.eval(bounce.lenv);
+    } else if (bounce instanceof Outcome) {
+      recordBacktrace(trampolineppStack.stack, bounce);
+      while (true) {
+        const element = trampolineppStack.stack.pop();
+        if (trampolineppStack.stack.length < debuggerNextDepth && trampolineppEvalDepth === 1) {
+          trampolineppDebuggerFormCompleted();
+        }
+        if (element instanceof TrampolineppEndCont) {
+          return element.invoke(bounce);
+        } else if (element instanceof TrampolineppCont) {
+          bounce = element.invoke(bounce);
+          break;
+        } else if (element instanceof Frame) {
+          trampolineppStack.denv = element.next;
+        } else if (element instanceof InvocationRecord) {
+          // the invoked function has returned
+          trampolineppStack.depth--;
+          if (profiling) profiler.exit(element);
+        } else {
+          throw new CannotHappen('trampolineppEval');
+        }
+      }
+    } else {
+      throw new CannotHappen('trampolineppEval');
+    }
+  }
+}
 
-class Bounce { // abstract class
+function trampolineppPreprocessForm(form, lenv) {
+  const preprocessedForm = trampolineppPreprocessFormAux(form, lenv);
+  if (preprocessedForm instanceof TrampolineppForm) {
+    // The form is kept for the debugger.
+    preprocessedForm.form = form;
+  }
+  return preprocessedForm;
 }
 
-/**********************/
-/* Evaluation Request */
-/**********************/
+function trampolineppPreprocessFormAux(form, lenv) {
+  if (form instanceof EVLEmptyList) {
+    return new EmptyListError();
+  } else if (form instanceof EVLCons) {
+    switch (form.car) {
+      case quoteVariable:
+        return trampolineppPreprocessQuote(form, lenv);
+      case prognVariable:
+        return trampolineppPreprocessProgn(form, lenv);
+      case ifVariable:
+        return trampolineppPreprocessIf(form, lenv);
+      case _forEachVariable:
+        return trampolineppPreprocessForEach(form, lenv);
+      case _vlambdaVariable:
+        return trampolineppPreprocessLambda(LEX_SCOPE, VAL_NS, false, form, lenv);
+      case _mlambdaVariable:
+        return trampolineppPreprocessLambda(LEX_SCOPE, VAL_NS, true, form, lenv);
+      case _flambdaVariable:
+        return trampolineppPreprocessLambda(LEX_SCOPE, FUN_NS, false, form, lenv);
+      case _dlambdaVariable:
+        return trampolineppPreprocessLambda(DYN_SCOPE, VAL_NS, false, form, lenv);
+      case vrefVariable:
+        return trampolineppPreprocessRef(LEX_SCOPE, VAL_NS, form, lenv);
+      case vsetVariable:
+        return trampolineppPreprocessSet(LEX_SCOPE, VAL_NS, form, lenv);
+      case frefVariable:
+        return trampolineppPreprocessRef(LEX_SCOPE, FUN_NS, form, lenv);
+      case fsetVariable:
+        return trampolineppPreprocessSet(LEX_SCOPE, FUN_NS, form, lenv);
+      case drefVariable:
+        return trampolineppPreprocessRef(DYN_SCOPE, VAL_NS, form, lenv);
+      case dsetVariable:
+        return trampolineppPreprocessSet(DYN_SCOPE, VAL_NS, form, lenv);
+      case blockVariable:
+        return trampolineppPreprocessBlock(form, lenv);
+      case returnFromVariable:
+        return trampolineppPreprocessReturnFrom(form, lenv);
+      case catchVariable:
+        return trampolineppPreprocessCatch(form, lenv);
+      case throwVariable:
+        return trampolineppPreprocessThrow(form, lenv);
+      case _handlerBindVariable:
+        return trampolineppPreprocessHandlerBind(form, lenv);
+      case unwindProtectVariable:
+        return trampolineppPreprocessUnwindProtect(form, lenv);
+      case mletVariable:
+        return trampolineppPreprocessMlet(form, lenv);
+      case applyVariable:
+        return trampolineppPreprocessCall(false, true, form, lenv);
+      case multipleValueCallVariable:
+        return trampolineppPreprocessCall(true, false, form, lenv);
+      case multipleValueApplyVariable:
+        return trampolineppPreprocessCall(true, true, form, lenv);
+      default:
+        return trampolineppPreprocessCall(false, false, form, lenv);
+    }
+  } else if (form instanceof EVLVariable) {
+    return trampolineppPreprocessAnalyzedRef(LEX_SCOPE, VAL_NS, form, lenv);
+  } else {
+    return trampolineppPreprocessAnalyzedQuote(form, lenv);
+  }
+}
 
-class EvalReq extends Bounce {
-  constructor(form, lenv) {
-    super();
-    this.form = form;
-    this.lenv = lenv;
+function trampolineppPreprocessForms(forms, lenv) {
+  if (forms === EVLEmptyList.NIL) {
+    return EVLEmptyList.NIL;
+  } else {
+    const preprocessedForm = trampolineppPreprocessForm(forms.car, lenv);
+    if (isAbruptCompletion(preprocessedForm)) return preprocessedForm;
+    const preprocessedForms = trampolineppPreprocessForms(forms.cdr, lenv);
+    if (isAbruptCompletion(preprocessedForms)) return preprocessedForms;
+    return new EVLCons(preprocessedForm, preprocessedForms);
   }
 }
 
-/***********/
-/* Outcome */
-/***********/
+class TrampolineppCont { // abstract class
+  constructor() {
+  }
+}
 
-class Outcome extends Bounce { // abstract class
+class TrampolineppEndCont extends TrampolineppCont {
   constructor() {
     super();
   }
+  invoke(outcome) {
+    return outcome;
+  }
 }
 
-/*********************/
-/* Abrupt Completion */
-/*********************/
+const trampolineppEndCont = new TrampolineppEndCont();
 
-class AbruptCompletion extends Outcome { // abstract class
+class TrampolineppForm { // abstract class
   constructor() {
-    super();
+    this.form = null; // the form that was preprocessed (set by trampolineppPreprocessForm) or null
   }
 }
 
-function isAbruptCompletion(outcome) {
-  return outcome instanceof AbruptCompletion;
+function trampolineppPreprocessQuote(form, lenv) {
+  const analysis = analyzeQuote(form);
+  if (isError(analysis)) return analysis;
+  const [literal] = analysis;
+  return trampolineppPreprocessAnalyzedQuote(literal, lenv);
 }
 
-/***********************************/
-/* Abrupt Completion of Type Error */
-/***********************************/
+function trampolineppPreprocessAnalyzedQuote(literal, lenv) {
+  return new TrampolineppQuote(literal);
+}
 
-class AbruptCompletionError extends AbruptCompletion {
-  constructor(category, description) {
+class TrampolineppQuote extends TrampolineppForm {
+  constructor(literal) {
     super();
-    this.category = ensureEVLString(category);
-    this.description = ensureEVLString(description);
+    this.literal = literal;
+  }
+  eval(lenv) {
+    const {literal} = this;
+    return literal;
   }
 }
 
-function isError(outcome) {
-  return outcome instanceof AbruptCompletionError;
+function trampolineppPreprocessProgn(form, lenv) {
+  const analysis = analyzeProgn(form);
+  if (isError(analysis)) return analysis;
+  const [serialForms] = analysis;
+  const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, lenv);
+  if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
+  return new TrampolineppProgn(preprocessedSerialForms);
 }
 
-class EmptyListError extends AbruptCompletionError {
-  constructor() {
-    super('empty-list-error', 'The empty list does not evaluate.');
+class TrampolineppProgn extends TrampolineppForm {
+  constructor(serialForms) {
+    super();
+    this.serialForms = serialForms;
+  }
+  eval(lenv) {
+    const {serialForms} = this;
+    return trampolineppEvalSerialForms(serialForms, lenv);
   }
 }
 
-class MalformedForm extends AbruptCompletionError {
-  constructor(formName) {
-    super('malformed-form', `Malformed ${formName}.`);
+function trampolineppEvalSerialForms(serialForms, lenv) {
+  if (serialForms === EVLEmptyList.NIL) {
+    return EVLVoid.VOID;
+  } else {
+    return trampolineppEvalSerialFormForms(serialForms, lenv);
   }
 }
 
-class ForEachNotImplemented extends AbruptCompletionError {
-  constructor() {
-    super('not-implemented', 'The _for-each form is not implemented.');
+function trampolineppEvalSerialFormForms(serialForms, lenv) {
+  if (serialForms.cdr === EVLEmptyList.NIL) {
+    return new EvalReq(serialForms.car, lenv);
+  } else {
+    trampolineppStack.push(new TrampolineppSerialFormCont(serialForms, lenv));
+    return new EvalReq(serialForms.car, lenv);
   }
 }
 
-class UnboundVariable extends AbruptCompletionError {
-  constructor(variable, namespace) {
-    super('unbound-variable', `The variable '${variable.name}' is unbound in the ${namespace} namespace.`);
+class TrampolineppSerialFormCont extends TrampolineppCont {
+  constructor(serialForms, lenv) {
+    super();
+    this.serialForms = serialForms;
+    this.lenv = lenv;
   }
-}
-
-class TestFormTypeError extends AbruptCompletionError {
-  constructor() {
-    super('form-type-error', 'The test form does not evaluate to a boolean.');
+  invoke(outcome) {
+    const {serialForms, lenv} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    return trampolineppEvalSerialFormForms(serialForms.cdr, lenv);
   }
 }
 
-class FunctionFormTypeError extends AbruptCompletionError {
-  constructor() {
-    super('form-type-error', 'The function form does not evaluate to a function.');
-  }
+function trampolineppPreprocessIf(form, lenv) {
+  const analysis = analyzeIf(form);
+  if (isError(analysis)) return analysis;
+  const [testForm, thenForm, elseForm] = analysis;
+  const preprocessedTestForm = trampolineppPreprocessForm(testForm, lenv);
+  if (isAbruptCompletion(preprocessedTestForm)) return preprocessedTestForm;
+  const preprocessedThenForm = trampolineppPreprocessForm(thenForm, lenv);
+  if (isAbruptCompletion(preprocessedThenForm)) return preprocessedThenForm;
+  const preprocessedElseForm = trampolineppPreprocessForm(elseForm, lenv);
+  if (isAbruptCompletion(preprocessedElseForm)) return preprocessedElseForm;
+  return new TrampolineppIf(preprocessedTestForm, preprocessedThenForm, preprocessedElseForm);
 }
 
-class ListFormTypeError extends AbruptCompletionError {
-  constructor() {
-    super('form-type-error', 'The list form does not evaluate to a proper list.');
+class TrampolineppIf extends TrampolineppForm {
+  constructor(testForm, thenForm, elseForm) {
+    super();
+    this.testForm = testForm;
+    this.thenForm = thenForm;
+    this.elseForm = elseForm;
   }
-}
-
-class ExitTagFormTypeError extends AbruptCompletionError {
-  constructor() {
-    super('form-type-error', 'The exit-tag form does not evaluate to a variable.');
+  eval(lenv) {
+    const {testForm, thenForm, elseForm} = this;
+    trampolineppStack.push(new TrampolineppIfTestFormCont(thenForm, elseForm, lenv));
+    return new EvalReq(testForm, lenv);
   }
 }
 
-class HandlerFormTypeError extends AbruptCompletionError {
-  constructor() {
-    super('form-type-error', 'The handler form does not evaluate to a function.');
+class TrampolineppIfTestFormCont extends TrampolineppCont {
+  constructor(thenForm, elseForm, lenv) {
+    super();
+    this.thenForm = thenForm;
+    this.elseForm = elseForm;
+    this.lenv = lenv;
   }
-}
-
-class OperatorFormTypeError extends AbruptCompletionError {
-  constructor() {
-    super('form-type-error', 'The operator form does not evaluate to a function.');
+  invoke(outcome) {
+    const {thenForm, elseForm, lenv} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    const test = outcome.primaryValue();
+    if (collectingCoverage) recordBranchCoverage(thenForm.form, elseForm.form, test);
+    switch (test) {
+      case EVLBoolean.TRUE:
+        return new EvalReq(thenForm, lenv);
+      case EVLBoolean.FALSE:
+        return new EvalReq(elseForm, lenv);
+      default:
+        return new TestFormTypeError();
+    }
   }
 }
 
-const ordinalRules = new Intl.PluralRules('en-US', {type: 'ordinal'});
-const ordinalSuffixes = new Map([['one', 'st'], ['two', 'nd'], ['few', 'rd'], ['other', 'th']]);
-
-function ordinalNumber(n) {
-  return n + ordinalSuffixes.get(ordinalRules.select(n));
-}
-
-class ArgumentTypeError extends AbruptCompletionError {
-  constructor(n, constructor) {
-    super('argument-type-error', `The ${ordinalNumber(n + 1)} argument is not of type ${constructor.name}.`);
-  }
+function trampolineppPreprocessForEach(form, lenv) {
+  const analysis = analyzeForEach(form);
+  if (isError(analysis)) return analysis;
+  const [functionForm, listForm] = analysis;
+  const preprocessedFunctionForm = trampolineppPreprocessForm(functionForm, lenv);
+  if (isAbruptCompletion(preprocessedFunctionForm)) return preprocessedFunctionForm;
+  const preprocessedListForm = trampolineppPreprocessForm(listForm, lenv);
+  if (isAbruptCompletion(preprocessedListForm)) return preprocessedListForm;
+  return new TrampolineppForEach(preprocessedFunctionForm, preprocessedListForm);
 }
 
-class LengthNotNonnegativeInteger extends AbruptCompletionError {
-  constructor() {
-    super('argument-value-error', 'The length is not an nonnegative integer.');
+class TrampolineppForEach extends TrampolineppForm {
+  constructor(functionForm, listForm) {
+    super();
+    this.functionForm = functionForm;
+    this.listForm = listForm;
   }
-}
-
-class IndexNotNonnegativeInteger extends AbruptCompletionError {
-  constructor() {
-    super('argument-value-error', 'The index is not an nonnegative integer.');
+  eval(lenv) {
+    const {functionForm, listForm} = this;
+    return new ForEachNotImplemented();
   }
 }
 
-class IndexOutOfBounds extends AbruptCompletionError {
-  constructor() {
-    super('argument-value-error', 'The index is out of bounds.');
+function trampolineppPreprocessLambda(scope, namespace, macro, form, lenv) {
+  const analysis = analyzeLambda(form);
+  if (isError(analysis)) return analysis;
+  const [parameters, rest, serialForms] = analysis;
+  switch (scope) {
+    case LEX_SCOPE: {
+      const elenv = new Frame(namespace, parameters, new Array(parameters.length).fill(null), lenv);
+      const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, elenv);
+      if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
+      if (collectingCoverage) registerLambdaCoverage(preprocessedSerialForms, form);
+      return new TrampolineppLambda(scope, namespace, macro, parameters, rest, preprocessedSerialForms);
+    }
+    case DYN_SCOPE: {
+      const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, lenv);
+      if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
+      if (collectingCoverage) registerLambdaCoverage(preprocessedSerialForms, form);
+      return new TrampolineppLambda(scope, namespace, macro, parameters, rest, preprocessedSerialForms);
+    }
+    default:
+      throw new CannotHappen('trampolineppPreprocessLambda');
   }
 }
 
-class NoBlock extends AbruptCompletionError {
-  constructor(blockName) {
-    super('no-block', `No block named '${blockName}'.`);
+class TrampolineppLambda extends TrampolineppForm {
+  constructor(scope, namespace, macro, parameters, rest, serialForms) {
+    super();
+    this.scope = scope;
+    this.namespace = namespace;
+    this.macro = macro;
+    this.parameters = parameters;
+    this.rest = rest;
+    this.serialForms = serialForms;
   }
-}
-
-class NoBlockExitPoint extends AbruptCompletionError {
-  constructor(blockName) {
-    super('no-block-exit-point', `No exit point for block named '${blockName}'.`);
+  eval(lenv) {
+    const {scope, namespace, macro, parameters, rest, serialForms} = this;
+    return new EVLClosure(scope, namespace, macro, parameters, rest, serialForms, lenv);
   }
 }
 
-class NoCatchExitPoint extends AbruptCompletionError {
-  constructor(exitTag) {
-    super('no-catch-exit-point', `No exit point with exit tag '${exitTag}'.`);
-  }
+function trampolineppPreprocessRef(scope, namespace, form, lenv) {
+  const analysis = analyzeRef(form);
+  if (isError(analysis)) return analysis;
+  const [variable] = analysis;
+  return trampolineppPreprocessAnalyzedRef(scope, namespace, variable, lenv);
 }
 
-class RunawayNonlocalExit extends AbruptCompletionError {
-  constructor() {
-    super('runaway-nonlocal-exit', 'Runaway nonlocal exit.');
+function trampolineppPreprocessAnalyzedRef(scope, namespace, variable, lenv) {
+  switch (scope) {
+    case LEX_SCOPE:
+      const [global, i, j] = lenv.lookup(namespace, variable, 0);
+      if (global) {
+        return new TrampolineppGRef(namespace, variable);
+      } else {
+        return new TrampolineppLRef(i, j);
+      }
+    case DYN_SCOPE:
+      return new TrampolineppDRef(namespace, variable);
+    default:
+      throw new CannotHappen('trampolineppPreprocessAnalyzedRef');
   }
 }
 
-class TooFewArguments extends AbruptCompletionError {
-  constructor() {
-    super('too-few-arguments', 'Too few arguments.');
+class TrampolineppGRef extends TrampolineppForm {
+  constructor(namespace, variable) {
+    super();
+    this.namespace = namespace;
+    this.variable = variable;
   }
-}
-
-class TooManyArguments extends AbruptCompletionError {
-  constructor() {
-    super('too-many-arguments', 'Too many arguments.');
+  eval(lenv) {
+    const {namespace, variable} = this;
+    return GlobalEnv.ref(namespace, variable);
   }
 }
 
-class SpreadError extends AbruptCompletionError {
-  constructor() {
-    super('spread-error', 'Malformed spreadable sequence of objects.');
+class TrampolineppLRef extends TrampolineppForm {
+  constructor(i, j) {
+    super();
+    this.i = i;
+    this.j = j;
   }
-}
-
-class ProgramError extends AbruptCompletionError {
-  constructor(description) {
-    super('program-error', description);
+  eval(lenv) {
+    const {i, j} = this;
+    let frame = lenv;
+    for (let n = i; n > 0; n--) {
+      frame = frame.next;
+    }
+    return frame.values[j];
   }
 }
 
-/*******************************************/
-/* Abrupt Completion of Type Nonlocal Exit */
-/*******************************************/
-
-class NonlocalExit extends AbruptCompletion {
-  constructor(exitTag, values) {
+class TrampolineppDRef extends TrampolineppForm {
+  constructor(namespace, variable) {
     super();
-    this.exitTag = exitTag;
-    this.values = values;
+    this.namespace = namespace;
+    this.variable = variable;
   }
-}
-
-function isNonlocalExit(outcome) {
-  return outcome instanceof NonlocalExit;
-}
-
-/**********/
-/* Result */
-/**********/
-
-class Result extends Outcome { // abstract class
-  constructor() {
-    super();
+  eval(lenv) {
+    const {namespace, variable} = this;
+    return trampolineppStack.denv.ref(namespace, variable);
   }
 }
 
-function isNormalCompletion(outcome) {
-  return outcome instanceof Result;
+function trampolineppPreprocessSet(scope, namespace, form, lenv) {
+  const analysis = analyzeSet(form);
+  if (isError(analysis)) return analysis;
+  const [variable, valueForm] = analysis;
+  const preprocessedValueForm = trampolineppPreprocessForm(valueForm, lenv);
+  if (isAbruptCompletion(preprocessedValueForm)) return preprocessedValueForm;
+  switch (scope) {
+    case LEX_SCOPE:
+      const [global, i, j] = lenv.lookup(namespace, variable, 0);
+      if (global) {
+        return new TrampolineppGSet(namespace, variable, preprocessedValueForm);
+      } else {
+        return new TrampolineppLSet(i, j, preprocessedValueForm);
+      }
+    case DYN_SCOPE:
+      return new TrampolineppDSet(namespace, variable, preprocessedValueForm);
+    default:
+      throw new CannotHappen('trampolineppPreprocessSet');
+  }
 }
 
-/*******************/
-/* Multiple Values */
-/*******************/
+class TrampolineppGSet extends TrampolineppForm {
+  constructor(namespace, variable, valueForm) {
+    super();
+    this.namespace = namespace;
+    this.variable = variable;
+    this.valueForm = valueForm;
+  }
+  eval(lenv) {
+    const {namespace, variable, valueForm} = this;
+    trampolineppStack.push(new TrampolineppGSetValueFormCont(namespace, variable));
+    return new EvalReq(valueForm, lenv);
+  }
+}
 
-class MultipleValues extends Result {
-  constructor(objects) {
+class TrampolineppGSetValueFormCont extends TrampolineppCont {
+  constructor(namespace, variable) {
     super();
-    this.objects = objects;
+    this.namespace = namespace;
+    this.variable = variable;
   }
-  primaryValue() {
-    return this.objects.length === 0 ? EVLVoid.VOID : this.objects[0];
+  invoke(outcome) {
+    const {namespace, variable} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    const value = outcome.primaryValue();
+    return GlobalEnv.set(namespace, variable, value);
   }
-  allValues() {
-    return this.objects;
+}
+
+class TrampolineppLSet extends TrampolineppForm {
+  constructor(i, j, valueForm) {
+    super();
+    this.i = i;
+    this.j = j;
+    this.valueForm = valueForm;
+  }
+  eval(lenv) {
+    const {i, j, valueForm} = this;
+    trampolineppStack.push(new TrampolineppLSetValueFormCont(i, j, lenv));
+    return new EvalReq(valueForm, lenv);
   }
 }
 
-/******************************/
-/* Primitive Data Type object */
-/******************************/
+class TrampolineppLSetValueFormCont extends TrampolineppCont {
+  constructor(i, j, lenv) {
+    super();
+    this.i = i;
+    this.j = j;
+    this.lenv = lenv;
+  }
+  invoke(outcome) {
+    const {i, j, lenv} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    const value = outcome.primaryValue();
+    let frame = lenv;
+    for (let n = i; n > 0; n--) {
+      frame = frame.next;
+    }
+    return frame.values[j] = value;
+  }
+}
+
+class TrampolineppDSet extends TrampolineppForm {
+  constructor(namespace, variable, valueForm) {
+    super();
+    this.namespace = namespace;
+    this.variable = variable;
+    this.valueForm = valueForm;
+  }
+  eval(lenv) {
+    const {namespace, variable, valueForm} = this;
+    trampolineppStack.push(new TrampolineppDSetValueFormCont(namespace, variable));
+    return new EvalReq(valueForm, lenv);
+  }
+}
+
+class TrampolineppDSetValueFormCont extends TrampolineppCont {
+  constructor(namespace, variable) {
+    super();
+    this.namespace = namespace;
+    this.variable = variable;
+  }
+  invoke(outcome) {
+    const {namespace, variable} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    const value = outcome.primaryValue();
+    return trampolineppStack.denv.set(namespace, variable, value);
+  }
+}
+
+function trampolineppPreprocessBlock(form, lenv) {
+  const analysis = analyzeBlock(form);
+  if (isError(analysis)) return analysis;
+  const [blockName, serialForms] = analysis;
+  const elenv = new Frame(BLK_NS, [blockName], [null], lenv);
+  const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, elenv);
+  if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
+  return new TrampolineppBlock(blockName, preprocessedSerialForms);
+}
+
+class TrampolineppBlock extends TrampolineppForm {
+  constructor(blockName, serialForms) {
+    super();
+    this.blockName = blockName;
+    this.serialForms = serialForms;
+  }
+  eval(lenv) {
+    const {blockName, serialForms} = this;
+    const exitTag = new EVLVariable('exit-tag');
+    const elenv = new Frame(BLK_NS, [blockName], [exitTag], lenv);
+    trampolineppStack.push(new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], null));
+    trampolineppStack.push(new TrampolineppBlockSerialFormsCont(exitTag));
+    return trampolineppEvalSerialForms(serialForms, elenv);
+  }
+}
+
+class TrampolineppBlockSerialFormsCont extends TrampolineppCont {
+  constructor(exitTag) {
+    super();
+    this.exitTag = exitTag;
+  }
+  invoke(outcome) {
+    const {exitTag} = this;
+    if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
+      return outcome.values;
+    } else {
+      return outcome;
+    }
+  }
+}
+
+function trampolineppPreprocessReturnFrom(form, lenv) {
+  const analysis = analyzeReturnFrom(form);
+  if (isError(analysis)) return analysis;
+  const [blockName, valuesForm] = analysis;
+  const preprocessedValuesForm = trampolineppPreprocessForm(valuesForm, lenv);
+  if (isAbruptCompletion(preprocessedValuesForm)) return preprocessedValuesForm;
+  return new TrampolineppReturnFrom(blockName, preprocessedValuesForm);
+}
+
+class TrampolineppReturnFrom extends TrampolineppForm {
+  constructor(blockName, valuesForm) {
+    super();
+    this.blockName = blockName;
+    this.valuesForm = valuesForm;
+  }
+  eval(lenv) {
+    const {blockName, valuesForm} = this;
+    const exitTag = lenv.ref(BLK_NS, blockName);
+    if (exitTag === null) {
+      return new NoBlock(blockName);
+    }
+    const exitPoint = trampolineppStack.denv.ref(XIT_NS, exitTag);
+    if (exitPoint === null) {
+      return new NoBlockExitPoint(blockName);
+    }
+    trampolineppStack.push(new TrampolineppReturnFromValuesFormCont(exitTag));
+    return new EvalReq(valuesForm, lenv);
+  }
+}
+
+class TrampolineppReturnFromValuesFormCont extends TrampolineppCont {
+  constructor(exitTag) {
+    super();
+    this.exitTag = exitTag;
+  }
+  invoke(outcome) {
+    const {exitTag} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    return new NonlocalExit(exitTag, outcome);
+  }
+}
+
+function trampolineppPreprocessCatch(form, lenv) {
+  const analysis = analyzeCatch(form);
+  if (isError(analysis)) return analysis;
+  const [exitTagForm, serialForms] = analysis;
+  const preprocessedExitTagForm = trampolineppPreprocessForm(exitTagForm, lenv);
+  if (isAbruptCompletion(preprocessedExitTagForm)) return preprocessedExitTagForm;
+  const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, lenv);
+  if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
+  return new TrampolineppCatch(preprocessedExitTagForm, preprocessedSerialForms);
+}
+
+class TrampolineppCatch extends TrampolineppForm {
+  constructor(exitTagForm, serialForms) {
+    super();
+    this.exitTagForm = exitTagForm;
+    this.serialForms = serialForms;
+  }
+  eval(lenv) {
+    const {exitTagForm, serialForms} = this;
+    trampolineppStack.push(new TrampolineppCatchExitTagFormCont(serialForms, lenv));
+    return new EvalReq(exitTagForm, lenv);
+  }
+}
+
+class TrampolineppCatchExitTagFormCont extends TrampolineppCont {
+  constructor(serialForms, lenv) {
+    super();
+    this.serialForms = serialForms;
+    this.lenv = lenv;
+  }
+  invoke(outcome) {
+    const {serialForms, lenv} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    const exitTag = outcome.primaryValue();
+    if (!(exitTag instanceof EVLVariable)) {
+      return new ExitTagFormTypeError();
+    }
+    trampolineppStack.push(new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], null));
+    trampolineppStack.push(new TrampolineppCatchSerialFormsCont(exitTag));
+    return trampolineppEvalSerialForms(serialForms, lenv);
+  }
+}
+
+class TrampolineppCatchSerialFormsCont extends TrampolineppCont {
+  constructor(exitTag) {
+    super();
+    this.exitTag = exitTag;
+  }
+  invoke(outcome) {
+    const {exitTag} = this;
+    if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
+      return outcome.values;
+    } else {
+      return outcome;
+    }
+  }
+}
+
+function trampolineppPreprocessThrow(form, lenv) {
+  const analysis = analyzeThrow(form);
+  if (isError(analysis)) return analysis;
+  const [exitTagForm, valuesForm] = analysis;
+  const preprocessedExitTagForm = trampolineppPreprocessForm(exitTagForm, lenv);
+  if (isAbruptCompletion(preprocessedExitTagForm)) return preprocessedExitTagForm;
+  const preprocessedValuesForm = trampolineppPreprocessForm(valuesForm, lenv);
+  if (isAbruptCompletion(preprocessedValuesForm)) return preprocessedValuesForm;
+  return new TrampolineppThrow(preprocessedExitTagForm, preprocessedValuesForm);
+}
+
+class TrampolineppThrow extends TrampolineppForm {
+  constructor(exitTagForm, valuesForm) {
+    super();
+    this.exitTagForm = exitTagForm;
+    this.valuesForm = valuesForm;
+  }
+  eval(lenv) {
+    const {exitTagForm, valuesForm} = this;
+    trampolineppStack.push(new TrampolineppThrowExitTagFormCont(valuesForm, lenv));
+    return new EvalReq(exitTagForm, lenv);
+  }
+}
+
+class TrampolineppThrowExitTagFormCont extends TrampolineppCont {
+  constructor(valuesForm, lenv) {
+    super();
+    this.valuesForm = valuesForm;
+    this.lenv = lenv;
+  }
+  invoke(outcome) {
+    const {valuesForm, lenv} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    const exitTag = outcome.primaryValue();
+    if (!(exitTag instanceof EVLVariable)) {
+      return new ExitTagFormTypeError();
+    }
+    const exitPoint = trampolineppStack.denv.ref(XIT_NS, exitTag);
+    if (exitPoint === null) {
+      return new NoCatchExitPoint(exitTag);
+    }
+    trampolineppStack.push(new TrampolineppThrowValuesFormCont(exitTag));
+    return new EvalReq(valuesForm, lenv);
+  }
+}
+
+class TrampolineppThrowValuesFormCont extends TrampolineppCont {
+  constructor(exitTag) {
+    super();
+    this.exitTag = exitTag;
+  }
+  invoke(outcome) {
+    const {exitTag} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    return new NonlocalExit(exitTag, outcome);
+  }
+}
+
+function trampolineppPreprocessHandlerBind(form, lenv) {
+  const analysis = analyzeHandlerBind(form);
+  if (isError(analysis)) return analysis;
+  const [handlerForm, serialForms] = analysis;
+  const preprocessedHandlerForm = trampolineppPreprocessForm(handlerForm, lenv);
+  if (isAbruptCompletion(preprocessedHandlerForm)) return preprocessedHandlerForm;
+  const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, lenv);
+  if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
+  return new TrampolineppHandlerBind(preprocessedHandlerForm, preprocessedSerialForms);
+}
+
+class TrampolineppHandlerBind extends TrampolineppForm {
+  constructor(handlerForm, serialForms) {
+    super();
+    this.handlerForm = handlerForm;
+    this.serialForms = serialForms;
+  }
+  eval(lenv) {
+    const {handlerForm, serialForms} = this;
+    trampolineppStack.push(new TrampolineppHandlerBindHandlerFormCont(serialForms, lenv));
+    return new EvalReq(handlerForm, lenv);
+  }
+}
+
+class TrampolineppHandlerBindHandlerFormCont extends TrampolineppCont {
+  constructor(serialForms, lenv) {
+    super();
+    this.serialForms = serialForms;
+    this.lenv = lenv;
+  }
+  invoke(outcome) {
+    const {serialForms, lenv} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    const handler = outcome.primaryValue();
+    if (!(handler instanceof EVLFunction)) {
+      return new HandlerFormTypeError();
+    }
+    trampolineppStack.push(new TrampolineppHandlerBindSerialFormsCont(handler));
+    return trampolineppEvalSerialForms(serialForms, lenv);
+  }
+}
+
+class TrampolineppHandlerBindSerialFormsCont extends TrampolineppCont {
+  constructor(handler) {
+    super();
+    this.handler = handler;
+  }
+  invoke(outcome) {
+    const {handler} = this;
+    if (isError(outcome)) {
+      trampolineppStack.push(new TrampolineppHandlerBindInvocationCont(outcome));
+      return trampolineppInvoke(false, handler, handlerArguments(outcome));
+    } else {
+      return outcome;
+    }
+  }
+}
+
+class TrampolineppHandlerBindInvocationCont extends TrampolineppCont {
+  constructor(serialFormsOutcome) {
+    super();
+    this.serialFormsOutcome = serialFormsOutcome;
+  }
+  invoke(outcome) {
+    const {serialFormsOutcome} = this;
+    if (isAbruptCompletion(outcome)) {
+      return outcome;
+    } else {
+      return serialFormsOutcome;
+    }
+  }
+}
+
+function trampolineppPreprocessUnwindProtect(form, lenv) {
+  const analysis = analyzeUnwindProtect(form);
+  if (isError(analysis)) return analysis;
+  const [protectedForm, cleanupForms] = analysis;
+  const preprocessedProtectedForm = trampolineppPreprocessForm(protectedForm, lenv);
+  if (isAbruptCompletion(preprocessedProtectedForm)) return preprocessedProtectedForm;
+  const preprocessedCleanupForms = trampolineppPreprocessForms(cleanupForms, lenv);
+  if (isAbruptCompletion(preprocessedCleanupForms)) return preprocessedCleanupForms;
+  return new TrampolineppUnwindProtect(preprocessedProtectedForm, preprocessedCleanupForms);
+}
+
+class TrampolineppUnwindProtect extends TrampolineppForm {
+  constructor(protectedForm, cleanupForms) {
+    super();
+    this.protectedForm = protectedForm
+    this.cleanupForms = cleanupForms;
+  }
+  eval(lenv) {
+    const {protectedForm, cleanupForms} = this;
+    trampolineppStack.push(new TrampolineppUnwindProtectProtectedFormCont(cleanupForms, lenv));
+    return new EvalReq(protectedForm, lenv);
+  }
+}
+
+class TrampolineppUnwindProtectProtectedFormCont extends TrampolineppCont {
+  constructor(cleanupForms, lenv) {
+    super();
+    this.cleanupForms = cleanupForms;
+    this.lenv = lenv;
+  }
+  invoke(outcome) {
+    const {cleanupForms, lenv} = this;
+    trampolineppStack.push(new TrampolineppUnwindProtectCleanupFormsCont(outcome));
+    return trampolineppEvalSerialForms(cleanupForms, lenv);
+  }
+}
+
+class TrampolineppUnwindProtectCleanupFormsCont extends TrampolineppCont {
+  constructor(protectedFormOutcome) {
+    super();
+    this.protectedFormOutcome = protectedFormOutcome;
+  }
+  invoke(outcome) {
+    const {protectedFormOutcome} = this;
+    if (isAbruptCompletion(outcome)) {
+      return outcome;
+    } else {
+      return protectedFormOutcome;
+    }
+  }
+}
+
+function trampolineppPreprocessMlet(form, lenv) {
+  const analysis = analyzeMlet(form);
+  if (isError(analysis)) return analysis;
+  const [mletBindings, serialForms] = analysis;
+  const variables = mletBindings.map(mletBinding => mletBinding[0]);
+  const values = [];
+  for (const mletBinding of mletBindings) {
+    const [variable, parameterList, mlambdaSerialForms] = mletBinding;
+    const mlambda = new EVLCons(mlambdaVariable, new EVLCons(parameterList, mlambdaSerialForms));
+    const _mlambda = trampolineppPreprocessForm(mlambda, nullDefiniteEnv);
+    if (isAbruptCompletion(_mlambda)) return _mlambda;
+    if (!(_mlambda instanceof TrampolineppLambda) || !_mlambda.macro) {
+      throw new CannotHappen('trampolineppPreprocessMlet');
+    }
+    values.push(_mlambda.eval(nullDefiniteEnv));
+  }
+  const elenv = new Frame(FUN_NS, variables, values, lenv);
+  const preprocessedSerialForms = trampolineppPreprocessForms(serialForms, elenv);
+  if (isAbruptCompletion(preprocessedSerialForms)) return preprocessedSerialForms;
+  return new TrampolineppMlet(mletBindings, preprocessedSerialForms);
+}
+
+class TrampolineppMlet extends TrampolineppForm {
+  constructor(mletBindings, serialForms) {
+    super();
+    this.mletBindings = mletBindings;
+    this.serialForms = serialForms;
+  }
+  eval(lenv) {
+    const {mletBindings, serialForms} = this;
+    const variables = mletBindings.map(mletBinding => mletBinding[0]);
+    const values = mletBindings.map(mletBinding => EVLVoid.VOID);
+    const elenv = new Frame(FUN_NS, variables, values, lenv);
+    return trampolineppEvalSerialForms(serialForms, elenv);
+  }
+}
+
+function trampolineppPreprocessCall(mv, apply, form, lenv) {
+  const analysis = analyzeCall(mv, apply, form, lenv);
+  if (isError(analysis)) return analysis;
+  const [macroCall, operator, operands] = analysis;
+  if (macroCall) {
+    return trampolineppPreprocessMacroCall(form, operator, operands, lenv);
+  } else {
+    return trampolineppPreprocessFunctionCall(mv, apply, operator, operands, lenv);
+  }
+}
+
+function trampolineppPreprocessMacroCall(form, macro, macroOperands, lenv) {
+  const args = listToArray(macroOperands);
+  if (selectedEvaluator === 'compiler') {
+    // The compiling evaluator expands the macro calls using its own compiled macros.
+    const outcome = compilerInvoke(false, macro, args, nullDefiniteEnv);
+    if (isAbruptCompletion(outcome)) return outcome;
+    const expansion = outcome.primaryValue();
+    if (collectingCoverage) recordExpansionCoverage(form, expansion);
+    return trampolineppPreprocessForm(expansion, lenv);
+  }
+  const values = pairClosureParameters(false, args, macro.parameters, macro.rest);
+  if (isError(values)) return values;
+  if (collectingCoverage) recordFunctionCoverage(macro);
+  const elenv = new Frame(macro.namespace, macro.parameters, values, macro.lenv);
+  // The preprocessing can happen during an evaluation (see the primitive function eval).
+  const savedStack = trampolineppStack;
+  const outcome = trampolineppEval(new TrampolineppProgn(macro.serialForms), elenv);
+  trampolineppStack = savedStack;
+  if (isAbruptCompletion(outcome)) return outcome;
+  const expansion = outcome.primaryValue();
+  if (collectingCoverage) recordExpansionCoverage(form, expansion);
+  return trampolineppPreprocessForm(expansion, lenv);
+}
+
+function trampolineppPreprocessFunctionCall(mv, apply, operatorForm, operandForms, lenv) {
+  const preprocessedOperatorForm = trampolineppPreprocessOperatorForm(operatorForm, lenv);
+  if (isAbruptCompletion(preprocessedOperatorForm)) return preprocessedOperatorForm;
+  const preprocessedOperandForms = trampolineppPreprocessForms(operandForms, lenv);
+  if (isAbruptCompletion(preprocessedOperandForms)) return preprocessedOperandForms;
+  return new TrampolineppFunctionCall(mv, apply, preprocessedOperatorForm, preprocessedOperandForms);
+}
+
+function trampolineppPreprocessOperatorForm(operatorForm, lenv) {
+  if (operatorForm instanceof EVLVariable) {
+    return trampolineppPreprocessAnalyzedRef(LEX_SCOPE, FUN_NS, operatorForm, lenv);
+  } else {
+    return trampolineppPreprocessForm(operatorForm, lenv);
+  }
+}
+
+class TrampolineppFunctionCall extends TrampolineppForm {
+  constructor(mv, apply, operatorForm, operandForms) {
+    super();
+    this.mv = mv;
+    this.apply = apply;
+    this.operatorForm = operatorForm;
+    this.operandForms = operandForms;
+  }
+  eval(lenv) {
+    const {mv, apply, form, operatorForm, operandForms} = this;
+    trampolineppStack.push(new TrampolineppFunctionCallOperatorFormCont(mv, apply, form, operandForms, lenv));
+    return trampolineppEvalOperatorForm(operatorForm, lenv);
+  }
+}
+
+function trampolineppEvalOperatorForm(operatorForm, lenv) {
+  return new EvalReq(operatorForm, lenv);
+}
+
+class TrampolineppFunctionCallOperatorFormCont extends TrampolineppCont {
+  constructor(mv, apply, form, operandForms, lenv) {
+    super();
+    this.mv = mv;
+    this.apply = apply;
+    this.form = form;
+    this.operandForms = operandForms;
+    this.lenv = lenv;
+  }
+  invoke(outcome) {
+    const {mv, apply, form, operandForms, lenv} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    const fn = outcome.primaryValue();
+    if (!(fn instanceof EVLFunction)) {
+      return recordErrorLocation(new OperatorFormTypeError(), form);
+    }
+    return trampolineppEvalOperandForms(mv, apply, form, fn, operandForms, [], lenv);
+  }
+}
+
+function trampolineppEvalOperandForms(mv, apply, form, fn, operandForms, args, lenv) {
+  if (operandForms === EVLEmptyList.NIL) {
+    return trampolineppInvoke(apply, fn, args, form);
+  } else {
+    trampolineppStack.push(new TrampolineppFunctionCallOperandFormCont(mv, apply, form, fn, operandForms, args, lenv));
+    return new EvalReq(operandForms.car, lenv);
+  }
+}
+
+class TrampolineppFunctionCallOperandFormCont extends TrampolineppCont {
+  constructor(mv, apply, form, fn, operandForms, args, lenv) {
+    super();
+    this.mv = mv;
+    this.apply = apply;
+    this.form = form;
+    this.fn = fn;
+    this.operandForms = operandForms;
+    this.args = args;
+    this.lenv = lenv;
+  }
+  invoke(outcome) {
+    const {mv, apply, form, fn, operandForms, args, lenv} = this;
+    if (isAbruptCompletion(outcome)) return outcome;
+    if (mv) {
+      outcome.allValues().forEach(value => args.push(value));
+    } else {
+      args.push(outcome.primaryValue());
+    }
+    return trampolineppEvalOperandForms(mv, apply, form, fn, operandForms.cdr, args, lenv);
+  }
+}
+
+function trampolineppInvoke(apply, fn, args, form = null) {
+  if (fn instanceof EVLPrimitiveFunction) {
+    const values = pairPrimFunParameters(apply, args, fn.arityMin, fn.arityMax);
+    if (isError(values)) return recordErrorLocation(recordBacktrace(trampolineppStack.stack, values, fn, args), form);
+    const outcome = profilePrimitiveFunction(fn, values);
+    recordErrorLocation(recordBacktrace(trampolineppStack.stack, outcome, fn, args), form);
+    if (outcome instanceof EvalReq) {
+      const preprocessedForm = trampolineppPreprocessForm(outcome.form, outcome.lenv);
+      if (isAbruptCompletion(preprocessedForm)) return preprocessedForm;
+      return new EvalReq(preprocessedForm, outcome.lenv);
+    }
+    return outcome;
+  } else if (fn instanceof EVLClosure) {
+    if (trampolineppStack.depth >= maxRecursionDepth && !trampolineppStack.isTailCall()) {
+      return new RecursionDepthExceeded();
+    }
+    trampolineppStack.push(new InvocationRecord(fn, args));
+    if (functionBreakpoints.size !== 0 && trampolineppEvalDepth === 1 && fn.name !== null && functionBreakpoints.has(fn.name)) {
+      // the debugger pauses before the evaluation of the first serial form
+      debuggerBreakRequested = true;
+      debuggerArmed = true;
+    }
+    const values = pairClosureParameters(apply, args, fn.parameters, fn.rest);
+    if (isError(values)) return recordErrorLocation(values, form);
+    if (collectingCoverage) recordFunctionCoverage(fn);
+    switch (fn.scope) {
+      case LEX_SCOPE:
+        const elenv = new Frame(fn.namespace, fn.parameters, values, fn.lenv);
+        return trampolineppEvalSerialForms(fn.serialForms, elenv);
+      case DYN_SCOPE:
+        trampolineppStack.push(new Frame(fn.namespace, fn.parameters, values, null));
+        return trampolineppEvalSerialForms(fn.serialForms, fn.lenv);
+      default:
+        throw new CannotHappen('trampolineppInvoke');
+    }
+  } else if (fn instanceof EVLContinuation) {
+    return recordErrorLocation(new ForeignContinuation(fn.evaluator), form);
+  } else {
+    throw new CannotHappen('trampolineppInvoke');
+  }
+}
+
+/*************************/
+/* Trampoline++ Debugger */
+/*************************/
+
+// The debugger pauses the trampoline++ evaluator just before the evaluation of
+// a form. While the evaluator is paused, the web worker sends a PAUSED message
+// to the IDE and waits (using Atomics.wait) for the IDE to store a command into
+// the shared array debugSignalArray.
+
+// Because the SET_BREAKPOINTS requests posted while the evaluator is paused
+// would only be received after the evaluation, the breakpoints changed during
+// a pause are carried by the command resuming the evaluation: the element 1 of
+// debugSignalArray contains the number of UTF-16 code units of the
+// JSON-encoded breakpoints (0 if they have not changed), and the code units
+// follow the first two elements of debugSignalArray.
+
+const DEBUG_NO_COMMAND = 0;
+const DEBUG_STEP = 1; // pause before the evaluation of the next form
+const DEBUG_NEXT = 2; // pause before the evaluation of the next form following the current form
+const DEBUG_CONTINUE = 3; // pause at the next breakpoint
+
+const maxPausedFormLength = 200;
+
+let trampolineppEvalDepth = 0;
+let debuggerMode = DEBUG_CONTINUE;
+let debuggerNextDepth = 0; // the stack depth of the current form when the command is DEBUG_NEXT and 0 otherwise
+let debuggerBreakRequested = false; // true when a function with a breakpoint has just been invoked
+let debuggerArmed = false; // false when the debugger cannot pause
+const functionBreakpoints = new Set(); // names of functions
+const formBreakpoints = new Set(); // keys returned by formBreakpointKey
+
+function formBreakpointKey(source, position) {
+  return source + ':' + position;
+}
+
+function updateDebuggerArmed() {
+  debuggerArmed = debugSignalArray !== null
+               && (debuggerMode !== DEBUG_CONTINUE || debuggerBreakRequested || formBreakpoints.size !== 0);
+}
+
+function resetDebugger(step) {
+  if (debugSignalArray !== null) {
+    Atomics.store(debugSignalArray, 0, DEBUG_NO_COMMAND);
+  }
+  debuggerMode = step ? DEBUG_STEP : DEBUG_CONTINUE;
+  debuggerNextDepth = 0;
+  debuggerBreakRequested = false;
+  updateDebuggerArmed();
+}
+
+function trampolineppDebuggerCheckpoint(preprocessedForm) {
+  const form = preprocessedForm.form;
+  if (form === null) {
+    return; // internal form
+  }
+  let reason = null;
+  if (debuggerBreakRequested) {
+    debuggerBreakRequested = false;
+    reason = 'function breakpoint';
+  } else if (formBreakpoints.size !== 0 && isFormBreakpoint(form)) {
+    reason = 'form breakpoint';
+  } else if (debuggerMode === DEBUG_STEP) {
+    reason = 'step';
+  }
+  if (reason !== null) {
+    debuggerPause(reason, form);
+  }
+  updateDebuggerArmed();
+}
+
+// The evaluation of the current form completes when the stack is popped below
+// the depth it had just before the evaluation began. The debugger then pauses
+// before the evaluation of the next form.
+function trampolineppDebuggerFormCompleted() {
+  debuggerMode = DEBUG_STEP;
+  debuggerNextDepth = 0;
+  updateDebuggerArmed();
+}
+
+function isFormBreakpoint(form) {
+  const location = sourceLocations.get(form);
+  return location !== undefined && location.source !== null
+      && formBreakpoints.has(formBreakpointKey(location.source, location.start));
+}
+
+function debuggerPause(reason, form) {
+  let formString = form.toString();
+  if (formString.length > maxPausedFormLength) {
+    formString = formString.substring(0, maxPausedFormLength) + '...';
+  }
+  const output = {reason: reason, form: formString};
+  const location = sourceLocations.get(form);
+  if (location !== undefined) {
+    output.location = location.toJSON();
+  }
+  output.backtrace = captureBacktrace(trampolineppStack.stack).map(record => record.toString());
+  flushOutput();
+  postMessage({id: currentRequestId, status: PAUSED, output: output});
+  const pauseTime = Date.now();
+  Atomics.wait(debugSignalArray, 0, DEBUG_NO_COMMAND);
+  if (resourceLimits !== null && resourceLimits.deadline !== null) {
+    resourceLimits.deadline += Date.now() - pauseTime;
+  }
+  if (profiling) {
+    profiler.excludePause(Date.now() - pauseTime);
+  }
+  const command = Atomics.exchange(debugSignalArray, 0, DEBUG_NO_COMMAND);
+  const breakpointsLength = Atomics.exchange(debugSignalArray, 1, 0);
+  if (breakpointsLength !== 0) {
+    updateBreakpoints(JSON.parse(debuggerCommandBreakpoints(breakpointsLength)));
+  }
+  debuggerNextDepth = 0;
+  switch (command) {
+    case DEBUG_STEP:
+    case DEBUG_CONTINUE:
+      debuggerMode = command;
+      break;
+    case DEBUG_NEXT:
+      debuggerMode = command;
+      debuggerNextDepth = trampolineppStack.stack.length;
+      break;
+    default:
+      throw new CannotHappen('debuggerPause');
+  }
+  checkAbortSignal();
+}
+
+function debuggerCommandBreakpoints(length) {
+  const codeUnits = new Uint16Array(debugSignalArray.buffer, 8, length);
+  let string = '';
+  for (let start = 0; start < length; start += 4096) {
+    string += String.fromCharCode(...codeUnits.subarray(start, start + 4096));
+  }
+  return string;
+}
+
+/***********************/
+/* Compiling Evaluator */
+/***********************/
+
+// The compiling evaluator compiles the forms preprocessed by the trampoline++
+// preprocessor into JavaScript closures. A compiled form is a JavaScript function
+// taking a lexical environment and a dynamic environment and returning an outcome.
+// Like the direct style evaluator, the compiled forms nest the function
+// invocations using the JavaScript stack.
+
+function compilerEval(form) {
+  const preprocessedForm = trampolineppPreprocessForm(form, nullDefiniteEnv);
+  if (isAbruptCompletion(preprocessedForm)) return preprocessedForm;
+  const compiledForm = compilerCompileForm(preprocessedForm);
+  return compiledForm(nullDefiniteEnv, nullDefiniteEnv);
+}
+
+function compilerCompileForm(form) {
+  if (form instanceof TrampolineppQuote) {
+    return compilerCompileQuote(form);
+  } else if (form instanceof TrampolineppProgn) {
+    return compilerCompileSerialForms(form.serialForms);
+  } else if (form instanceof TrampolineppIf) {
+    return compilerCompileIf(form);
+  } else if (form instanceof TrampolineppForEach) {
+    return compilerCompileForEach(form);
+  } else if (form instanceof TrampolineppLambda) {
+    return compilerCompileLambda(form);
+  } else if (form instanceof TrampolineppGRef) {
+    return compilerCompileGRef(form);
+  } else if (form instanceof TrampolineppLRef) {
+    return compilerCompileLRef(form);
+  } else if (form instanceof TrampolineppDRef) {
+    return compilerCompileDRef(form);
+  } else if (form instanceof TrampolineppGSet) {
+    return compilerCompileGSet(form);
+  } else if (form instanceof TrampolineppLSet) {
+    return compilerCompileLSet(form);
+  } else if (form instanceof TrampolineppDSet) {
+    return compilerCompileDSet(form);
+  } else if (form instanceof TrampolineppBlock) {
+    return compilerCompileBlock(form);
+  } else if (form instanceof TrampolineppReturnFrom) {
+    return compilerCompileReturnFrom(form);
+  } else if (form instanceof TrampolineppCatch) {
+    return compilerCompileCatch(form);
+  } else if (form instanceof TrampolineppThrow) {
+    return compilerCompileThrow(form);
+  } else if (form instanceof TrampolineppHandlerBind) {
+    return compilerCompileHandlerBind(form);
+  } else if (form instanceof TrampolineppUnwindProtect) {
+    return compilerCompileUnwindProtect(form);
+  } else if (form instanceof TrampolineppMlet) {
+    return compilerCompileMlet(form);
+  } else if (form instanceof TrampolineppFunctionCall) {
+    return compilerCompileFunctionCall(form);
+  } else {
+    throw new CannotHappen('compilerCompileForm');
+  }
+}
+
+function compilerCompileQuote(form) {
+  const {literal} = form;
+  return (lenv, denv) => literal;
+}
+
+function compilerCompileSerialForms(serialForms) {
+  const compiledForms = listToArray(serialForms).map(compilerCompileForm);
+  const n = compiledForms.length;
+  if (n === 0) {
+    return (lenv, denv) => EVLVoid.VOID;
+  } else if (n === 1) {
+    return compiledForms[0];
+  } else {
+    return (lenv, denv) => {
+      for (let i = 0; i < n - 1; i++) {
+        const outcome = compiledForms[i](lenv, denv);
+        if (isAbruptCompletion(outcome)) return outcome;
+      }
+      return compiledForms[n - 1](lenv, denv);
+    };
+  }
+}
+
+function compilerCompileIf(form) {
+  const testForm = compilerCompileForm(form.testForm);
+  const thenForm = compilerCompileForm(form.thenForm);
+  const elseForm = compilerCompileForm(form.elseForm);
+  const thenSourceForm = form.thenForm.form;
+  const elseSourceForm = form.elseForm.form;
+  return (lenv, denv) => {
+    const outcome = testForm(lenv, denv);
+    if (isAbruptCompletion(outcome)) return outcome;
+    const test = outcome.primaryValue();
+    if (collectingCoverage) recordBranchCoverage(thenSourceForm, elseSourceForm, test);
+    switch (test) {
+      case EVLBoolean.TRUE:
+        return thenForm(lenv, denv);
+      case EVLBoolean.FALSE:
+        return elseForm(lenv, denv);
+      default:
+        return new TestFormTypeError();
+    }
+  };
+}
+
+function compilerCompileForEach(form) {
+  const functionForm = compilerCompileForm(form.functionForm);
+  const listForm = compilerCompileForm(form.listForm);
+  return (lenv, denv) => {
+    const outcome = functionForm(lenv, denv);
+    if (isAbruptCompletion(outcome)) return outcome;
+    const fn = outcome.primaryValue();
+    if (!(fn instanceof EVLFunction)) {
+      return new FunctionFormTypeError();
+    }
+    const outcome2 = listForm(lenv, denv);
+    if (isAbruptCompletion(outcome2)) return outcome2;
+    let list = outcome2.primaryValue();
+    if (!isProperList(list)) {
+      return new ListFormTypeError();
+    }
+    while (list !== EVLEmptyList.NIL) {
+      const outcome3 = compilerInvoke(false, fn, [list.car], denv);
+      if (isAbruptCompletion(outcome3)) return outcome3;
+      list = list.cdr;
+    }
+    return EVLVoid.VOID;
+  };
+}
+
+function compilerCompileLambda(form) {
+  const {scope, namespace, macro, parameters, rest, serialForms} = form;
+  const compiledBody = compilerCompileSerialForms(serialForms);
+  return (lenv, denv) => {
+    const closure = new EVLClosure(scope, namespace, macro, parameters, rest, serialForms, lenv);
+    closure.compiledBody = compiledBody;
+    return closure;
+  };
+}
+
+function compilerCompileGRef(form) {
+  const {namespace, variable} = form;
+  return (lenv, denv) => GlobalEnv.ref(namespace, variable);
+}
+
+function compilerCompileLRef(form) {
+  const {i, j} = form;
+  switch (i) {
+    case 0:
+      return (lenv, denv) => lenv.values[j];
+    case 1:
+      return (lenv, denv) => lenv.next.values[j];
+    default:
+      return (lenv, denv) => compilerFrame(lenv, i).values[j];
+  }
+}
+
+function compilerFrame(lenv, i) {
+  let frame = lenv;
+  for (let n = i; n > 0; n--) {
+    frame = frame.next;
+  }
+  return frame;
+}
+
+function compilerCompileDRef(form) {
+  const {namespace, variable} = form;
+  return (lenv, denv) => denv.ref(namespace, variable);
+}
+
+function compilerCompileGSet(form) {
+  const {namespace, variable} = form;
+  const valueForm = compilerCompileForm(form.valueForm);
+  return (lenv, denv) => {
+    const outcome = valueForm(lenv, denv);
+    if (isAbruptCompletion(outcome)) return outcome;
+    return GlobalEnv.set(namespace, variable, outcome.primaryValue());
+  };
+}
+
+function compilerCompileLSet(form) {
+  const {i, j} = form;
+  const valueForm = compilerCompileForm(form.valueForm);
+  return (lenv, denv) => {
+    const outcome = valueForm(lenv, denv);
+    if (isAbruptCompletion(outcome)) return outcome;
+    return compilerFrame(lenv, i).values[j] = outcome.primaryValue();
+  };
+}
+
+function compilerCompileDSet(form) {
+  const {namespace, variable} = form;
+  const valueForm = compilerCompileForm(form.valueForm);
+  return (lenv, denv) => {
+    const outcome = valueForm(lenv, denv);
+    if (isAbruptCompletion(outcome)) return outcome;
+    return denv.set(namespace, variable, outcome.primaryValue());
+  };
+}
+
+function compilerCompileBlock(form) {
+  const {blockName} = form;
+  const serialForms = compilerCompileSerialForms(form.serialForms);
+  return (lenv, denv) => {
+    const exitTag = new EVLVariable('exit-tag');
+    const elenv = new Frame(BLK_NS, [blockName], [exitTag], lenv);
+    const edenv = new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], denv);
+    const outcome = serialForms(elenv, edenv);
+    if (isNonlocalExit(outcome) && outcome.exitTag === exitTag) {
+      return outcome.values;
+    } else {
+      return outcome;
+    }
+  };
+}
+
+function compilerCompileReturnFrom(form) {
+  const {blockName} = form;
+  const valuesForm = compilerCompileForm(form.valuesForm);
+  return (lenv, denv) => {
+    const exitTag = lenv.ref(BLK_NS, blockName);
+    if (exitTag === null) {
+      return new NoBlock(blockName);
+    }
+    const exitPoint = denv.ref(XIT_NS, exitTag);
+    if (exitPoint === null) {
+      return new NoBlockExitPoint(blockName);
+    }
+    const outcome = valuesForm(lenv, denv);
+    if (isAbruptCompletion(outcome)) return outcome;
+    return new NonlocalExit(exitTag, outcome);
+  };
+}
+
+function compilerCompileCatch(form) {
+  const exitTagForm = compilerCompileForm(form.exitTagForm);
+  const serialForms = compilerCompileSerialForms(form.serialForms);
+  return (lenv, denv) => {
+    const outcome = exitTagForm(lenv, denv);
+    if (isAbruptCompletion(outcome)) return outcome;
+    const exitTag = outcome.primaryValue();
+    if (!(exitTag instanceof EVLVariable)) {
+      return new ExitTagFormTypeError();
+    }
+    const edenv = new Frame(XIT_NS, [exitTag], [EVLVoid.VOID], denv);
+    const outcome2 = serialForms(lenv, edenv);
+    if (isNonlocalExit(outcome2) && outcome2.exitTag === exitTag) {
+      return outcome2.values;
+    } else {
+      return outcome2;
+    }
+  };
+}
+
+function compilerCompileThrow(form) {
+  const exitTagForm = compilerCompileForm(form.exitTagForm);
+  const valuesForm = compilerCompileForm(form.valuesForm);
+  return (lenv, denv) => {
+    const outcome = exitTagForm(lenv, denv);
+    if (isAbruptCompletion(outcome)) return outcome;
+    const exitTag = outcome.primaryValue();
+    if (!(exitTag instanceof EVLVariable)) {
+      return new ExitTagFormTypeError();
+    }
+    const exitPoint = denv.ref(XIT_NS, exitTag);
+    if (exitPoint === null) {
+      return new NoCatchExitPoint(exitTag);
+    }
+    const outcome2 = valuesForm(lenv, denv);
+    if (isAbruptCompletion(outcome2)) return outcome2;
+    return new NonlocalExit(exitTag, outcome2);
+  };
+}
+
+function compilerCompileHandlerBind(form) {
+  const handlerForm = compilerCompileForm(form.handlerForm);
+  const serialForms = compilerCompileSerialForms(form.serialForms);
+  return (lenv, denv) => {
+    const outcome = handlerForm(lenv, denv);
+    if (isAbruptCompletion(outcome)) return outcome;
+    const handler = outcome.primaryValue();
+    if (!(handler instanceof EVLFunction)) {
+      return new HandlerFormTypeError();
+    }
+    const outcome2 = serialForms(lenv, denv);
+    if (isError(outcome2)) {
+      const outcome3 = compilerInvoke(false, handler, handlerArguments(outcome2), denv);
+      if (isAbruptCompletion(outcome3)) {
+        return outcome3;
+      } else {
+        return outcome2;
+      }
+    } else {
+      return outcome2;
+    }
+  };
+}
+
+function compilerCompileUnwindProtect(form) {
+  const protectedForm = compilerCompileForm(form.protectedForm);
+  const cleanupForms = compilerCompileSerialForms(form.cleanupForms);
+  return (lenv, denv) => {
+    const outcome = protectedForm(lenv, denv);
+    const outcome2 = cleanupForms(lenv, denv);
+    if (isAbruptCompletion(outcome2)) {
+      return outcome2;
+    } else {
+      return outcome;
+    }
+  };
+}
+
+function compilerCompileMlet(form) {
+  const variables = form.mletBindings.map(mletBinding => mletBinding[0]);
+  const serialForms = compilerCompileSerialForms(form.serialForms);
+  return (lenv, denv) => {
+    const values = variables.map(variable => EVLVoid.VOID);
+    const elenv = new Frame(FUN_NS, variables, values, lenv);
+    return serialForms(elenv, denv);
+  };
+}
+
+function compilerCompileFunctionCall(form) {
+  const {mv, apply} = form;
+  const sourceForm = form.form;
+  const operatorForm = compilerCompileForm(form.operatorForm);
+  const operandForms = listToArray(form.operandForms).map(compilerCompileForm);
+  return (lenv, denv) => {
+    const outcome = operatorForm(lenv, denv);
+    if (isAbruptCompletion(outcome)) return outcome;
+    const fn = outcome.primaryValue();
+    if (!(fn instanceof EVLFunction)) {
+      return recordErrorLocation(new OperatorFormTypeError(), sourceForm);
+    }
+    const args = [];
+    for (const operandForm of operandForms) {
+      const outcome2 = operandForm(lenv, denv);
+      if (isAbruptCompletion(outcome2)) return outcome2;
+      if (mv) {
+        outcome2.allValues().forEach(value => args.push(value));
+      } else {
+        args.push(outcome2.primaryValue());
+      }
+    }
+    return compilerInvoke(apply, fn, args, denv, sourceForm);
+  };
+}
+
+function compilerInvoke(apply, fn, args, denv, form = null) {
+  checkAbortSignal();
+  if (recursionDepth >= maxRecursionDepth) return new RecursionDepthExceeded();
+  recursionDepth++;
+  try {
+    return compilerInvokeFunction(apply, fn, args, denv, form);
+  } catch(exception) {
+    if (!isJSStackOverflow(exception)) throw exception;
+    return new StackOverflow();
+  } finally {
+    recursionDepth--;
+  }
+}
+
+function compilerInvokeFunction(apply, fn, args, denv, form) {
+  if (fn instanceof EVLPrimitiveFunction) {
+    const values = pairPrimFunParameters(apply, args, fn.arityMin, fn.arityMax);
+    if (isError(values)) return recordErrorLocation(values, form);
+    const outcome = fn.jsFunction(values);
+    if (outcome instanceof EvalReq) {
+      const preprocessedForm = trampolineppPreprocessForm(outcome.form, outcome.lenv);
+      if (isAbruptCompletion(preprocessedForm)) return preprocessedForm;
+      const compiledForm = compilerCompileForm(preprocessedForm);
+      return compiledForm(outcome.lenv, denv);
+    }
+    return recordErrorLocation(outcome, form);
+  } else if (fn instanceof EVLClosure) {
+    if (fn.compiledBody === null) {
+      // closure created by the trampoline++ preprocessor (see trampolineppPreprocessMlet)
+      fn.compiledBody = compilerCompileSerialForms(fn.serialForms);
+    }
+    const values = pairClosureParameters(apply, args, fn.parameters, fn.rest);
+    if (isError(values)) return recordErrorLocation(values, form);
+    if (collectingCoverage) recordFunctionCoverage(fn);
+    switch (fn.scope) {
+      case LEX_SCOPE:
+        const elenv = new Frame(fn.namespace, fn.parameters, values, fn.lenv);
+        return fn.compiledBody(elenv, denv);
+      case DYN_SCOPE:
+        const edenv = new Frame(fn.namespace, fn.parameters, values, denv);
+        return fn.compiledBody(fn.lenv, edenv);
+      default:
+        throw new CannotHappen('compilerInvokeFunction');
+    }
+  } else if (fn instanceof EVLContinuation) {
+    return recordErrorLocation(new ForeignContinuation(fn.evaluator), form);
+  } else {
+    throw new CannotHappen('compilerInvokeFunction');
+  }
+}
+
+/**********************************/
+/* Primitive Function Definitions */
+/**********************************/
+
+const primitiveFunctions = new Map();
+
+function primitiveFunction(name, arityMin, arityMax, jsFunction) {
+  primitiveFunctions.set(name, [arityMin, arityMax, jsFunction]);
+}
+
+function checkArgumentType(args, n, constructor) {
+  const arg = args[n];
+  if (arg instanceof constructor) {
+    return arg;
+  } else {
+    return new ArgumentTypeError(n, constructor);
+  }
+}
+
+/**********/
+/* Bounce */
+/**********/
+
+class Bounce { // abstract class
+}
+
+/**********************/
+/* Evaluation Request */
+/**********************/
+
+class EvalReq extends Bounce {
+  constructor(form, lenv) {
+    super();
+    this.form = form;
+    this.lenv = lenv;
+  }
+}
+
+/******************************************/
+/* Call-with-Current-Continuation Request */
+/******************************************/
+
+class CallCCReq extends Bounce {
+  constructor(fn) {
+    super();
+    this.fn = fn;
+  }
+}
+
+/***********/
+/* Outcome */
+/***********/
+
+class Outcome extends Bounce { // abstract class
+  constructor() {
+    super();
+  }
+}
+
+/*********************/
+/* Abrupt Completion */
+/*********************/
+
+class AbruptCompletion extends Outcome { // abstract class
+  constructor() {
+    super();
+  }
+}
+
+function isAbruptCompletion(outcome) {
+  return outcome instanceof AbruptCompletion;
+}
+
+/***********************************/
+/* Abrupt Completion of Type Error */
+/***********************************/
+
+class AbruptCompletionError extends AbruptCompletion {
+  constructor(category, description) {
+    super();
+    this.category = ensureEVLString(category);
+    this.description = ensureEVLString(description);
+    this.backtrace = null; // array of InvocationRecord's (innermost first) or null
+    this.location = null; // SourceLocation or null (see loadFile)
+    this.condition = null; // EVLCondition or null (see errorCondition)
+  }
+}
+
+function isError(outcome) {
+  return outcome instanceof AbruptCompletionError;
+}
+
+class EmptyListError extends AbruptCompletionError {
+  constructor() {
+    super('empty-list-error', 'The empty list does not evaluate.');
+  }
+}
+
+class MalformedForm extends AbruptCompletionError {
+  constructor(formName) {
+    super('malformed-form', `Malformed ${formName}.`);
+  }
+}
+
+class ForEachNotImplemented extends AbruptCompletionError {
+  constructor() {
+    super('not-implemented', 'The _for-each form is not implemented.');
+  }
+}
+
+class CallCCNotImplemented extends AbruptCompletionError {
+  constructor() {
+    super('not-implemented', `The function call/cc is not implemented by the ${selectedEvaluator} evaluator.`);
+  }
+}
+
+class ForeignContinuation extends AbruptCompletionError {
+  constructor(evaluator) {
+    super('not-implemented', `The continuation was captured by the ${evaluator} evaluator and cannot be invoked by the ${selectedEvaluator} evaluator.`);
+  }
+}
+
+class RecursionDepthExceeded extends AbruptCompletionError {
+  constructor() {
+    super('stack-overflow', `The maximum recursion depth (${maxRecursionDepth}) has been exceeded.`);
+  }
+}
+
+class StackOverflow extends AbruptCompletionError {
+  constructor() {
+    super('stack-overflow', 'The JavaScript stack has overflowed.');
+  }
+}
+
+class UnboundVariable extends AbruptCompletionError {
+  constructor(variable, namespace) {
+    super('unbound-variable', `The variable '${variable.name}' is unbound in the ${namespace} namespace.`);
+  }
+}
+
+class TestFormTypeError extends AbruptCompletionError {
+  constructor() {
+    super('form-type-error', 'The test form does not evaluate to a boolean.');
+  }
+}
+
+class FunctionFormTypeError extends AbruptCompletionError {
+  constructor() {
+    super('form-type-error', 'The function form does not evaluate to a function.');
+  }
+}
+
+class ListFormTypeError extends AbruptCompletionError {
+  constructor() {
+    super('form-type-error', 'The list form does not evaluate to a proper list.');
+  }
+}
+
+class ExitTagFormTypeError extends AbruptCompletionError {
+  constructor() {
+    super('form-type-error', 'The exit-tag form does not evaluate to a variable.');
+  }
+}
+
+class HandlerFormTypeError extends AbruptCompletionError {
+  constructor() {
+    super('form-type-error', 'The handler form does not evaluate to a function.');
+  }
+}
+
+class OperatorFormTypeError extends AbruptCompletionError {
+  constructor() {
+    super('form-type-error', 'The operator form does not evaluate to a function.');
+  }
+}
+
+const ordinalRules = new Intl.PluralRules('en-US', {type: 'ordinal'});
+const ordinalSuffixes = new Map([['one', 'st'], ['two', 'nd'], ['few', 'rd'], ['other', 'th']]);
+
+function ordinalNumber(n) {
+  return n + ordinalSuffixes.get(ordinalRules.select(n));
+}
+
+class ArgumentTypeError extends AbruptCompletionError {
+  constructor(n, constructor) {
+    super('argument-type-error', `The ${ordinalNumber(n + 1)} argument is not of type ${constructor.name}.`);
+  }
+}
+
+class LengthNotNonnegativeInteger extends AbruptCompletionError {
+  constructor() {
+    super('argument-value-error', 'The length is not an nonnegative integer.');
+  }
+}
+
+class NotConvertibleToJS extends AbruptCompletionError {
+  constructor(object) {
+    super('argument-type-error', `The object ${object} cannot be converted to a JavaScript value.`);
+  }
+}
+
+class JSException extends AbruptCompletionError {
+  constructor(exception) {
+    super('js-error', `A JavaScript exception was thrown: ${String(exception)}`);
+  }
+}
+
+class PackageLocked extends AbruptCompletionError {
+  constructor(variable) {
+    super('package-error', `The function namespace binding of the variable '${variable.name}' of the locked package '${variable.package.name}' cannot be modified from the package '${currentPackage.name}'.`);
+  }
+}
+
+class UndefinedPackage extends AbruptCompletionError {
+  constructor(name) {
+    super('package-error', `The package '${name}' is undefined.`);
+  }
+}
+
+class PackageAlreadyDefined extends AbruptCompletionError {
+  constructor(name) {
+    super('package-error', `The package '${name}' is already defined with different used packages.`);
+  }
+}
+
+class MalformedPackageName extends AbruptCompletionError {
+  constructor(name) {
+    super('package-error', `The package name '${name}' is malformed.`);
+  }
+}
+
+class VariableNotPresent extends AbruptCompletionError {
+  constructor(variable) {
+    super('package-error', `The variable '${variable.name}' is not present in the package '${currentPackage.name}'.`);
+  }
+}
+
+class NameConflict extends AbruptCompletionError {
+  constructor(variable) {
+    super('package-error', `Another variable named '${variable.name}' is already present in the package '${currentPackage.name}'.`);
+  }
+}
+
+class DepthNotPositiveInteger extends AbruptCompletionError {
+  constructor() {
+    super('argument-value-error', 'The depth is not a positive integer or #f.');
+  }
+}
+
+class IndexNotNonnegativeInteger extends AbruptCompletionError {
+  constructor() {
+    super('argument-value-error', 'The index is not an nonnegative integer.');
+  }
+}
+
+class IndexOutOfBounds extends AbruptCompletionError {
+  constructor() {
+    super('argument-value-error', 'The index is out of bounds.');
+  }
+}
+
+class DivisionByZero extends AbruptCompletionError {
+  constructor() {
+    super('division-by-zero', 'Division by zero.');
+  }
+}
+
+class NonfiniteFloat extends AbruptCompletionError {
+  constructor() {
+    super('argument-value-error', 'The float is not finite.');
+  }
+}
+
+class InvalidCodeUnit extends AbruptCompletionError {
+  constructor() {
+    super('argument-value-error', 'The code unit is not an integer between 0 and 65535.');
+  }
+}
+
+class InvalidCodePoint extends AbruptCompletionError {
+  constructor() {
+    super('argument-value-error', 'The code point is not an integer between 0 and 1114111.');
+  }
+}
+
+class InvalidHashTableTest extends AbruptCompletionError {
+  constructor() {
+    super('argument-value-error', 'The test is not one of :eq?, :eql?, and :equal?.');
+  }
+}
+
+class FileError extends AbruptCompletionError {
+  constructor(pathname, message) {
+    super('file-error', `The file '${pathname}' cannot be read: ${message}`);
+  }
+}
+
+class ReadFailure extends AbruptCompletionError {
+  constructor(category, exception) {
+    super(category, exception.message);
+  }
+}
+
+class MacroNotTraceable extends AbruptCompletionError {
+  constructor(variable) {
+    super('argument-value-error', `The variable '${variable.name}' is bound to a macro.`);
+  }
+}
+
+class ProfilerNotImplemented extends AbruptCompletionError {
+  constructor() {
+    super('not-implemented', `The profiler is not implemented by the ${selectedEvaluator} evaluator.`);
+  }
+}
+
+class InvalidProfileSortKey extends AbruptCompletionError {
+  constructor() {
+    super('argument-value-error', 'The sort key is not one of :name, :calls, :inclusive, and :exclusive.');
+  }
+}
+
+class NoOutputCapture extends AbruptCompletionError {
+  constructor() {
+    super('no-output-capture', 'No output capture is in progress.');
+  }
+}
+
+class NoBlock extends AbruptCompletionError {
+  constructor(blockName) {
+    super('no-block', `No block named '${blockName}'.`);
+  }
+}
+
+class NoBlockExitPoint extends AbruptCompletionError {
+  constructor(blockName) {
+    super('no-block-exit-point', `No exit point for block named '${blockName}'.`);
+  }
+}
+
+class NoCatchExitPoint extends AbruptCompletionError {
+  constructor(exitTag) {
+    super('no-catch-exit-point', `No exit point with exit tag '${exitTag}'.`);
+  }
+}
+
+class RunawayNonlocalExit extends AbruptCompletionError {
+  constructor() {
+    super('runaway-nonlocal-exit', 'Runaway nonlocal exit.');
+  }
+}
+
+class TooFewArguments extends AbruptCompletionError {
+  constructor() {
+    super('too-few-arguments', 'Too few arguments.');
+  }
+}
+
+class TooManyArguments extends AbruptCompletionError {
+  constructor() {
+    super('too-many-arguments', 'Too many arguments.');
+  }
+}
+
+class SpreadError extends AbruptCompletionError {
+  constructor() {
+    super('spread-error', 'Malformed spreadable sequence of objects.');
+  }
+}
+
+class ConditionError extends AbruptCompletionError {
+  constructor(condition) {
+    super(condition.category, condition.description);
+    this.condition = condition;
+  }
+}
+
+/*******************************************/
+/* Abrupt Completion of Type Nonlocal Exit */
+/*******************************************/
+
+class NonlocalExit extends AbruptCompletion {
+  constructor(exitTag, values) {
+    super();
+    this.exitTag = exitTag;
+    this.values = values;
+  }
+}
+
+function isNonlocalExit(outcome) {
+  return outcome instanceof NonlocalExit;
+}
+
+/**********/
+/* Result */
+/**********/
+
+class Result extends Outcome { // abstract class
+  constructor() {
+    super();
+  }
+}
+
+function isNormalCompletion(outcome) {
+  return outcome instanceof Result;
+}
+
+/*******************/
+/* Multiple Values */
+/*******************/
+
+class MultipleValues extends Result {
+  constructor(objects) {
+    super();
+    this.objects = objects;
+  }
+  primaryValue() {
+    return this.objects.length === 0 ? EVLVoid.VOID : this.objects[0];
+  }
+  allValues() {
+    return this.objects;
+  }
+}
+
+/******************************/
+/* Primitive Data Type object */
+/******************************/
+
+class EVLObject extends Result { // abstract class
+  constructor() {
+    super();
+  }
+  primaryValue() {
+    return this;
+  }
+  allValues() {
+    return [this];
+  }
+  eql(that) {
+    return this === that;
+  }
+}
+
+primitiveFunction('object?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLObject);
+});
+
+primitiveFunction('eq?', 2, 2, function(args) {
+  return evlBoolean(args[0] === args[1]);
+});
+
+primitiveFunction('eql?', 2, 2, function(args) {
+  return evlBoolean(args[0].eql(args[1]));
+});
+
+/****************************/
+/* Primitive Data Type void */
+/****************************/
+
+class EVLVoid extends EVLObject {
+  constructor() {
+    super();
+  }
+  toString() {
+    return '#v';
+  }
+}
+
+// the single object of type void
+EVLVoid.VOID = new EVLVoid();
+
+function nullToVoid(x) {
+  return x === null ? EVLVoid.VOID : x;
+}
+
+primitiveFunction('void?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLVoid);
+});
+
+/*******************************/
+/* Primitive Data Type boolean */
+/*******************************/
+
+class EVLBoolean extends EVLObject {
+  constructor(jsValue) {
+    super();
+    this.jsValue = jsValue; // JavaScript boolean
+  }
+  toString() {
+    return this.jsValue ? '#t' : '#f';
+  }
+}
+
+// the single object of type boolean representing true
+EVLBoolean.TRUE = new EVLBoolean(true);
+// the single object of type boolean representing false
+EVLBoolean.FALSE = new EVLBoolean(false);
+
+function evlBoolean(jsBoolean) {
+  return jsBoolean ? EVLBoolean.TRUE : EVLBoolean.FALSE;
+}
+
+primitiveFunction('boolean?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLBoolean);
+});
+
+/******************************/
+/* Primitive Data Type number */
+/******************************/
+
+class EVLNumber extends EVLObject { // abstract class
+  constructor() {
+    super();
+  }
+}
+
+class EVLRational extends EVLNumber { // abstract class
+  constructor() {
+    super();
+  }
+}
+
+class EVLInteger extends EVLRational {
+  constructor(jsValue) {
+    super();
+    this.jsValue = jsValue; // JavaScript number if safe integer, JavaScript bigint otherwise
+  }
+  eql(that) {
+    if (that instanceof EVLInteger) {
+      return this.jsValue === that.jsValue;
+    } else {
+      return false;
+    }
+  }
+  toString() {
+    return this.jsValue.toString();
+  }
+}
+
+const minSafeBigInt = BigInt(Number.MIN_SAFE_INTEGER);
+const maxSafeBigInt = BigInt(Number.MAX_SAFE_INTEGER);
+
+function evlInteger(jsValue) {
+  if (typeof jsValue === 'bigint' && minSafeBigInt <= jsValue && jsValue <= maxSafeBigInt) {
+    return new EVLInteger(Number(jsValue));
+  } else {
+    return new EVLInteger(jsValue);
+  }
+}
+
+class EVLRatio extends EVLRational {
+  constructor(numerator, denominator) {
+    super();
+    this.numerator = numerator; // JavaScript bigint
+    this.denominator = denominator; // JavaScript bigint greater than 1
+  }
+  eql(that) {
+    if (that instanceof EVLRatio) {
+      return this.numerator === that.numerator && this.denominator === that.denominator;
+    } else {
+      return false;
+    }
+  }
+  toString() {
+    return this.numerator.toString() + '/' + this.denominator.toString();
+  }
+}
+
+function bigIntGCD(a, b) {
+  if (a < 0n) a = -a;
+  if (b < 0n) b = -b;
+  while (b !== 0n) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+function evlRational(numerator, denominator) {
+  // numerator and denominator are JavaScript bigints, denominator is not zero
+  if (denominator < 0n) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+  const gcd = bigIntGCD(numerator, denominator);
+  if (gcd !== 1n) {
+    numerator /= gcd;
+    denominator /= gcd;
+  }
+  if (denominator === 1n) {
+    return evlInteger(numerator);
+  } else {
+    return new EVLRatio(numerator, denominator);
+  }
+}
+
+function rationalParts(rational) {
+  if (rational instanceof EVLInteger) {
+    return [BigInt(rational.jsValue), 1n];
+  } else {
+    return [rational.numerator, rational.denominator];
+  }
+}
+
+class EVLFloat extends EVLNumber {
+  constructor(jsValue) {
+    super();
+    this.jsValue = jsValue; // JavaScript number
+  }
+  eql(that) {
+    if (that instanceof EVLFloat) {
+      return this.jsValue === that.jsValue;
+    } else {
+      return false;
+    }
+  }
+  toString() {
+    const jsValue = this.jsValue;
+    if (Number.isInteger(jsValue) && Math.abs(jsValue) < 1e21) {
+      return jsValue.toFixed(1);
+    } else {
+      return jsValue.toString();
+    }
+  }
+}
+
+function bitLength(bigint) {
+  return (bigint < 0n ? -bigint : bigint).toString(2).length;
+}
+
+function toJSNumber(number) {
+  if (number instanceof EVLRatio) {
+    const numerator = number.numerator;
+    const denominator = number.denominator;
+    if (minSafeBigInt <= numerator && numerator <= maxSafeBigInt && denominator <= maxSafeBigInt) {
+      return Number(numerator) / Number(denominator);
+    } else {
+      // scale the numerator so that the integer quotient has at least 64 significant bits
+      const shift = Math.max(0, 64 - bitLength(numerator) + bitLength(denominator));
+      return Number((numerator << BigInt(shift)) / denominator) / 2 ** shift;
+    }
+  } else {
+    return Number(number.jsValue);
+  }
+}
+
+function floatToRational(jsNumber) {
+  // jsNumber is a finite JavaScript number
+  let denominator = 1n;
+  while (!Number.isInteger(jsNumber)) {
+    jsNumber *= 2; // exact
+    denominator *= 2n;
+  }
+  return evlRational(BigInt(jsNumber), denominator);
+}
+
+function integerOperation(x, y, operation) {
+  if (typeof x === 'number' && typeof y === 'number') {
+    const z = operation(x, y);
+    if (Number.isSafeInteger(z)) {
+      return new EVLInteger(z + 0); // z + 0 converts -0 to 0
+    }
+  }
+  return evlInteger(operation(BigInt(x), BigInt(y)));
+}
+
+function compareJSValues(a, b) {
+  if (a < b) {
+    return -1;
+  } else if (a > b) {
+    return 1;
+  } else if (a === b) {
+    return 0;
+  } else {
+    return NaN;
+  }
+}
+
+function isNonfiniteFloat(number) {
+  return number instanceof EVLFloat && !Number.isFinite(number.jsValue);
+}
+
+function compareNumbers(x, y) {
+  // returns a negative number, zero, a positive number, or NaN (unordered)
+  if (x instanceof EVLInteger && y instanceof EVLInteger) {
+    return compareJSValues(x.jsValue, y.jsValue);
+  } else if (x instanceof EVLFloat && y instanceof EVLFloat) {
+    return compareJSValues(x.jsValue, y.jsValue);
+  } else if (isNonfiniteFloat(x) || isNonfiniteFloat(y)) {
+    // the finite number, if any, can be replaced by zero
+    return compareJSValues(isNonfiniteFloat(x) ? x.jsValue : 0, isNonfiniteFloat(y) ? y.jsValue : 0);
+  } else {
+    const [a, b] = rationalParts(x instanceof EVLFloat ? floatToRational(x.jsValue) : x);
+    const [c, d] = rationalParts(y instanceof EVLFloat ? floatToRational(y.jsValue) : y);
+    return compareJSValues(a * d, c * b);
+  }
+}
+
+primitiveFunction('number?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLNumber);
+});
+
+primitiveFunction('rational?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLRational);
+});
+
+primitiveFunction('integer?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLInteger);
+});
+
+primitiveFunction('ratio?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLRatio);
+});
+
+primitiveFunction('float?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLFloat);
+});
+
+primitiveFunction('_+', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLNumber);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLNumber);
+  if (isError(y)) return y;
+  if (x instanceof EVLInteger && y instanceof EVLInteger) {
+    return integerOperation(x.jsValue, y.jsValue, (a, b) => a + b);
+  } else if (x instanceof EVLRational && y instanceof EVLRational) {
+    const [a, b] = rationalParts(x);
+    const [c, d] = rationalParts(y);
+    return evlRational(a * d + c * b, b * d);
+  } else {
+    return new EVLFloat(toJSNumber(x) + toJSNumber(y));
+  }
+});
+
+primitiveFunction('_-', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLNumber);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLNumber);
+  if (isError(y)) return y;
+  if (x instanceof EVLInteger && y instanceof EVLInteger) {
+    return integerOperation(x.jsValue, y.jsValue, (a, b) => a - b);
+  } else if (x instanceof EVLRational && y instanceof EVLRational) {
+    const [a, b] = rationalParts(x);
+    const [c, d] = rationalParts(y);
+    return evlRational(a * d - c * b, b * d);
+  } else {
+    return new EVLFloat(toJSNumber(x) - toJSNumber(y));
+  }
+});
+
+primitiveFunction('_*', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLNumber);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLNumber);
+  if (isError(y)) return y;
+  if (x instanceof EVLInteger && y instanceof EVLInteger) {
+    return integerOperation(x.jsValue, y.jsValue, (a, b) => a * b);
+  } else if (x instanceof EVLRational && y instanceof EVLRational) {
+    const [a, b] = rationalParts(x);
+    const [c, d] = rationalParts(y);
+    return evlRational(a * c, b * d);
+  } else {
+    return new EVLFloat(toJSNumber(x) * toJSNumber(y));
+  }
+});
+
+primitiveFunction('_/', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLNumber);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLNumber);
+  if (isError(y)) return y;
+  if (x instanceof EVLRational && y instanceof EVLRational) {
+    if (y.jsValue === 0) {
+      return new DivisionByZero();
+    }
+    const [a, b] = rationalParts(x);
+    const [c, d] = rationalParts(y);
+    return evlRational(a * d, b * c);
+  } else {
+    return new EVLFloat(toJSNumber(x) / toJSNumber(y));
+  }
+});
+
+primitiveFunction('%', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLNumber);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLNumber);
+  if (isError(y)) return y;
+  if (x instanceof EVLRational && y instanceof EVLRational) {
+    if (y.jsValue === 0) {
+      return new DivisionByZero();
+    }
+    if (x instanceof EVLInteger && y instanceof EVLInteger) {
+      return integerOperation(x.jsValue, y.jsValue, (a, b) => a % b);
+    }
+    const [a, b] = rationalParts(x);
+    const [c, d] = rationalParts(y);
+    const q = (a * d) / (b * c); // quotient rounded toward zero
+    return evlRational(a * d - q * c * b, b * d);
+  } else {
+    return new EVLFloat(toJSNumber(x) % toJSNumber(y));
+  }
+});
+
+primitiveFunction('quotient', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLInteger);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLInteger);
+  if (isError(y)) return y;
+  if (y.jsValue === 0) {
+    return new DivisionByZero();
+  }
+  return evlInteger(BigInt(x.jsValue) / BigInt(y.jsValue));
+});
+
+primitiveFunction('remainder', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLInteger);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLInteger);
+  if (isError(y)) return y;
+  if (y.jsValue === 0) {
+    return new DivisionByZero();
+  }
+  return evlInteger(BigInt(x.jsValue) % BigInt(y.jsValue));
+});
+
+primitiveFunction('modulo', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLInteger);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLInteger);
+  if (isError(y)) return y;
+  if (y.jsValue === 0) {
+    return new DivisionByZero();
+  }
+  const a = BigInt(x.jsValue);
+  const b = BigInt(y.jsValue);
+  const r = a % b;
+  return evlInteger(r !== 0n && (r < 0n) !== (b < 0n) ? r + b : r);
+});
+
+primitiveFunction('numerator', 1, 1, function(args) {
+  const x = checkArgumentType(args, 0, EVLRational);
+  if (isError(x)) return x;
+  return x instanceof EVLInteger ? x : evlInteger(x.numerator);
+});
+
+primitiveFunction('denominator', 1, 1, function(args) {
+  const x = checkArgumentType(args, 0, EVLRational);
+  if (isError(x)) return x;
+  return x instanceof EVLInteger ? new EVLInteger(1) : evlInteger(x.denominator);
+});
+
+primitiveFunction('exact->inexact', 1, 1, function(args) {
+  const x = checkArgumentType(args, 0, EVLNumber);
+  if (isError(x)) return x;
+  return x instanceof EVLFloat ? x : new EVLFloat(toJSNumber(x));
+});
+
+primitiveFunction('inexact->exact', 1, 1, function(args) {
+  const x = checkArgumentType(args, 0, EVLNumber);
+  if (isError(x)) return x;
+  if (x instanceof EVLFloat) {
+    if (!Number.isFinite(x.jsValue)) {
+      return new NonfiniteFloat();
+    }
+    return floatToRational(x.jsValue);
+  } else {
+    return x;
+  }
+});
+
+primitiveFunction('=', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLNumber);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLNumber);
+  if (isError(y)) return y;
+  return evlBoolean(compareNumbers(x, y) === 0);
+});
+
+primitiveFunction('/=', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLNumber);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLNumber);
+  if (isError(y)) return y;
+  return evlBoolean(compareNumbers(x, y) !== 0);
+});
+
+primitiveFunction('<', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLNumber);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLNumber);
+  if (isError(y)) return y;
+  return evlBoolean(compareNumbers(x, y) < 0);
+});
+
+primitiveFunction('<=', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLNumber);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLNumber);
+  if (isError(y)) return y;
+  return evlBoolean(compareNumbers(x, y) <= 0);
+});
+
+primitiveFunction('>', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLNumber);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLNumber);
+  if (isError(y)) return y;
+  return evlBoolean(compareNumbers(x, y) > 0);
+});
+
+primitiveFunction('>=', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLNumber);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLNumber);
+  if (isError(y)) return y;
+  return evlBoolean(compareNumbers(x, y) >= 0);
+});
+
+/*********************************/
+/* Primitive Data Type character */
+/*********************************/
+
+class EVLCharacter extends EVLObject {
+  constructor(jsValue) {
+    super();
+    this.jsValue = jsValue; // JavaScript string of one UTF-16 code unit
+  }
+  eql(that) {
+    if (that instanceof EVLCharacter) {
+      return this.jsValue === that.jsValue;
+    } else {
+      return false;
+    }
+  }
+  toString() {
+    return '#"' + escapeCharacters(this.jsValue, escapeStringCharacter) + '"';
+  }
+}
+
+primitiveFunction('character?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLCharacter);
+});
+
+function checkCodeUnit(number) {
+  const codeUnit = number.jsValue;
+  if (!(number instanceof EVLInteger) || codeUnit < 0 || codeUnit > 0xFFFF) {
+    return new InvalidCodeUnit();
+  } else {
+    return codeUnit;
+  }
+}
+
+function checkCodePoint(number) {
+  const codePoint = number.jsValue;
+  if (!(number instanceof EVLInteger) || codePoint < 0 || codePoint > 0x10FFFF) {
+    return new InvalidCodePoint();
+  } else {
+    return codePoint;
+  }
+}
+
+function checkCharacterOrCodePoint(args, n) {
+  const arg = args[n];
+  if (arg instanceof EVLCharacter) {
+    return arg.jsValue.charCodeAt(0);
+  } else if (arg instanceof EVLNumber) {
+    return checkCodePoint(arg);
+  } else {
+    return new ArgumentTypeError(n, EVLCharacter);
+  }
+}
+
+primitiveFunction('character->code-unit', 1, 1, function(args) {
+  const character = checkArgumentType(args, 0, EVLCharacter);
+  if (isError(character)) return character;
+  return new EVLInteger(character.jsValue.charCodeAt(0));
+});
+
+primitiveFunction('code-unit->character', 1, 1, function(args) {
+  const number = checkArgumentType(args, 0, EVLNumber);
+  if (isError(number)) return number;
+  const codeUnit = checkCodeUnit(number);
+  if (isError(codeUnit)) return codeUnit;
+  return new EVLCharacter(String.fromCharCode(codeUnit));
+});
+
+primitiveFunction('character=', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLCharacter);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLCharacter);
+  if (isError(y)) return y;
+  return evlBoolean(x.jsValue === y.jsValue);
+});
+
+primitiveFunction('character/=', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLCharacter);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLCharacter);
+  if (isError(y)) return y;
+  return evlBoolean(x.jsValue !== y.jsValue);
+});
+
+primitiveFunction('character<', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLCharacter);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLCharacter);
+  if (isError(y)) return y;
+  return evlBoolean(x.jsValue < y.jsValue);
+});
+
+primitiveFunction('character<=', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLCharacter);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLCharacter);
+  if (isError(y)) return y;
+  return evlBoolean(x.jsValue <= y.jsValue);
+});
+
+primitiveFunction('character>', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLCharacter);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLCharacter);
+  if (isError(y)) return y;
+  return evlBoolean(x.jsValue > y.jsValue);
+});
+
+primitiveFunction('character>=', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLCharacter);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLCharacter);
+  if (isError(y)) return y;
+  return evlBoolean(x.jsValue >= y.jsValue);
+});
+
+primitiveFunction('character-whitespace?', 1, 1, function(args) {
+  const codePoint = checkCharacterOrCodePoint(args, 0);
+  if (isError(codePoint)) return codePoint;
+  return evlBoolean(isWhitespaceCharacter(codePoint));
+});
+
+primitiveFunction('character-digit?', 1, 1, function(args) {
+  const codePoint = checkCharacterOrCodePoint(args, 0);
+  if (isError(codePoint)) return codePoint;
+  return evlBoolean(isDecimalDigit(codePoint));
+});
+
+primitiveFunction('character-alphabetic?', 1, 1, function(args) {
+  const codePoint = checkCharacterOrCodePoint(args, 0);
+  if (isError(codePoint)) return codePoint;
+  return evlBoolean(isAlphabeticCharacter(codePoint));
+});
+
+primitiveFunction('character-upcase', 1, 1, function(args) {
+  const character = checkArgumentType(args, 0, EVLCharacter);
+  if (isError(character)) return character;
+  const upcase = character.jsValue.toUpperCase();
+  return upcase.length === 1 ? new EVLCharacter(upcase) : character;
+});
+
+primitiveFunction('character-downcase', 1, 1, function(args) {
+  const character = checkArgumentType(args, 0, EVLCharacter);
+  if (isError(character)) return character;
+  const downcase = character.jsValue.toLowerCase();
+  return downcase.length === 1 ? new EVLCharacter(downcase) : character;
+});
+
+/******************************/
+/* Primitive Data Type string */
+/******************************/
+
+class EVLString extends EVLObject {
+  constructor(jsValue) {
+    super();
+    this.jsValue = jsValue; // JavaScript string
+  }
+  eql(that) {
+    if (that instanceof EVLString) {
+      return this.jsValue === that.jsValue;
+    } else {
+      return false;
+    }
+  }
+  toString() {
+    return '"' + escapeCharacters(this.jsValue, escapeStringCharacter) + '"';
+  }
+}
+
+function ensureEVLString(x) {
+  return x instanceof EVLString ? x : new EVLString(x);
+}
+
+primitiveFunction('string?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLString);
+});
+
+primitiveFunction('string', 0, null, function(args) {
+  let jsString = '';
+  for (let n = 0; n < args.length; n++) {
+    const character = checkArgumentType(args, n, EVLCharacter);
+    if (isError(character)) return character;
+    jsString += character.jsValue;
+  }
+  return new EVLString(jsString);
+});
+
+primitiveFunction('string-length', 1, 1, function(args) {
+  const string = checkArgumentType(args, 0, EVLString);
+  if (isError(string)) return string;
+  return new EVLInteger(string.jsValue.length);
+});
+
+function checkStringIndex(jsString, number) {
+  const length = jsString.length;
+  const index = number.jsValue;
+  if (!(number instanceof EVLInteger) || index < 0) {
+    return new IndexNotNonnegativeInteger();
+  } else if (0 <= index && index < length) {
+    return index;
+  } else {
+    return new IndexOutOfBounds();
+  }
+}
+
+function checkStringBound(jsString, number, lowerBound) {
+  const length = jsString.length;
+  const index = number.jsValue;
+  if (!(number instanceof EVLInteger) || index < 0) {
+    return new IndexNotNonnegativeInteger();
+  } else if (lowerBound <= index && index <= length) {
+    return index;
+  } else {
+    return new IndexOutOfBounds();
+  }
+}
+
+primitiveFunction('string-ref', 2, 2, function(args) {
+  const string = checkArgumentType(args, 0, EVLString);
+  if (isError(string)) return string;
+  const number = checkArgumentType(args, 1, EVLNumber);
+  if (isError(number)) return number;
+  const jsString = string.jsValue;
+  const index = checkStringIndex(jsString, number);
+  if (isError(index)) return index;
+  return new EVLCharacter(jsString[index]);
+});
+
+primitiveFunction('string-code-point-ref', 2, 2, function(args) {
+  const string = checkArgumentType(args, 0, EVLString);
+  if (isError(string)) return string;
+  const number = checkArgumentType(args, 1, EVLNumber);
+  if (isError(number)) return number;
+  const jsString = string.jsValue;
+  const index = checkStringIndex(jsString, number);
+  if (isError(index)) return index;
+  return new EVLInteger(jsString.codePointAt(index));
+});
+
+primitiveFunction('code-point->string', 1, 1, function(args) {
+  const number = checkArgumentType(args, 0, EVLNumber);
+  if (isError(number)) return number;
+  const codePoint = checkCodePoint(number);
+  if (isError(codePoint)) return codePoint;
+  return new EVLString(String.fromCodePoint(codePoint));
+});
+
+primitiveFunction('substring', 2, 3, function(args) {
+  const string = checkArgumentType(args, 0, EVLString);
+  if (isError(string)) return string;
+  const startNumber = checkArgumentType(args, 1, EVLNumber);
+  if (isError(startNumber)) return startNumber;
+  const jsString = string.jsValue;
+  const start = checkStringBound(jsString, startNumber, 0);
+  if (isError(start)) return start;
+  let end = jsString.length;
+  if (args.length === 3) {
+    const endNumber = checkArgumentType(args, 2, EVLNumber);
+    if (isError(endNumber)) return endNumber;
+    end = checkStringBound(jsString, endNumber, start);
+    if (isError(end)) return end;
+  }
+  return new EVLString(jsString.substring(start, end));
+});
+
+primitiveFunction('string-append', 0, null, function(args) {
+  let jsString = '';
+  for (let n = 0; n < args.length; n++) {
+    const string = checkArgumentType(args, n, EVLString);
+    if (isError(string)) return string;
+    jsString += string.jsValue;
+  }
+  return new EVLString(jsString);
+});
+
+primitiveFunction('string=', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLString);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLString);
+  if (isError(y)) return y;
+  return evlBoolean(x.jsValue === y.jsValue);
+});
+
+primitiveFunction('string/=', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLString);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLString);
+  if (isError(y)) return y;
+  return evlBoolean(x.jsValue !== y.jsValue);
+});
+
+primitiveFunction('string<', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLString);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLString);
+  if (isError(y)) return y;
+  return evlBoolean(x.jsValue < y.jsValue);
+});
+
+primitiveFunction('string<=', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLString);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLString);
+  if (isError(y)) return y;
+  return evlBoolean(x.jsValue <= y.jsValue);
+});
+
+primitiveFunction('string>', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLString);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLString);
+  if (isError(y)) return y;
+  return evlBoolean(x.jsValue > y.jsValue);
+});
+
+primitiveFunction('string>=', 2, 2, function(args) {
+  const x = checkArgumentType(args, 0, EVLString);
+  if (isError(x)) return x;
+  const y = checkArgumentType(args, 1, EVLString);
+  if (isError(y)) return y;
+  return evlBoolean(x.jsValue >= y.jsValue);
+});
+
+primitiveFunction('string-search', 2, 3, function(args) {
+  const pattern = checkArgumentType(args, 0, EVLString);
+  if (isError(pattern)) return pattern;
+  const string = checkArgumentType(args, 1, EVLString);
+  if (isError(string)) return string;
+  const jsString = string.jsValue;
+  let start = 0;
+  if (args.length === 3) {
+    const startNumber = checkArgumentType(args, 2, EVLNumber);
+    if (isError(startNumber)) return startNumber;
+    start = checkStringBound(jsString, startNumber, 0);
+    if (isError(start)) return start;
+  }
+  const index = jsString.indexOf(pattern.jsValue, start);
+  return index === -1 ? EVLVoid.VOID : new EVLInteger(index);
+});
+
+primitiveFunction('string-upcase', 1, 1, function(args) {
+  const string = checkArgumentType(args, 0, EVLString);
+  if (isError(string)) return string;
+  return new EVLString(string.jsValue.toUpperCase());
+});
+
+primitiveFunction('string-downcase', 1, 1, function(args) {
+  const string = checkArgumentType(args, 0, EVLString);
+  if (isError(string)) return string;
+  return new EVLString(string.jsValue.toLowerCase());
+});
+
+/******************************/
+/* Primitive Data Type symbol */
+/******************************/
+
+class EVLSymbol extends EVLObject { // abstract class
+  constructor(name) {
+    super();
+    this.name = name; // JavaScript string
+  }
+}
+
+primitiveFunction('symbol?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLSymbol);
+});
+
+/*******************************/
+/* Primitive Data Type keyword */
+/*******************************/
+
+class EVLKeyword extends EVLSymbol {
+  constructor(name) {
+    super(name);
+  }
+  toString() {
+    return ':' + escapeCharacters(this.name, escapeProtoTokenCharacter);
+  }
+}
+
+const keywordPackage = new Map();
+
+function internKeyword(name) {
+  let keyword = keywordPackage.get(name);
+  if (keyword === undefined) {
+    keywordPackage.set(name, keyword = new EVLKeyword(name));
+  }
+  return keyword;
+}
+
+primitiveFunction('keyword?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLKeyword);
+});
+
+primitiveFunction('make-keyword', 1, 1, function(args) {
+  const name = checkArgumentType(args, 0, EVLString);
+  if (isError(name)) return name;
+  return new EVLKeyword(name.jsValue);
+});
+
+/********************************/
+/* Primitive Data Type variable */
+/********************************/
+
+class EVLVariable extends EVLSymbol {
+  constructor(name, homePackage = null) {
+    super(name);
+    this.value = null; // EVLObject or null
+    this.function = null; // EVLObject or null
+    this.plist = EVLEmptyList.NIL;
+    this.package = homePackage; // Package or null (uninterned variable)
+  }
+  toString() {
+    const name = escapeCharacters(this.name, escapeProtoTokenCharacter);
+    if (this.package === null || currentPackage.findVariable(this.name) === this) {
+      return name;
+    } else {
+      const separator = this.package.isExported(this.name) ? ':' : '::';
+      return escapeCharacters(this.package.name, escapeProtoTokenCharacter) + separator + name;
+    }
+  }
+}
+
+// A package maps names to the variables present in the package. The variables
+// exported by the packages used by a package are accessible from that package
+// without qualification unless they are hidden by a present variable.
+
+class Package {
+  constructor(name, uses) {
+    this.name = name; // JavaScript string
+    this.variables = new Map(); // JavaScript string -> EVLVariable
+    this.exports = new Set(); // JavaScript strings
+    this.uses = uses; // array of Package's
+    this.exportsAll = false; // true for the package evl
+    this.locked = false; // true for the package evl
+  }
+  isExported(name) {
+    return this.variables.has(name) && (this.exportsAll || this.exports.has(name));
+  }
+  findVariable(name) {
+    const variable = this.variables.get(name);
+    if (variable !== undefined) {
+      return variable;
+    }
+    for (const usedPackage of this.uses) {
+      if (usedPackage.isExported(name)) {
+        return usedPackage.variables.get(name);
+      }
+    }
+    return null;
+  }
+  intern(name) {
+    let variable = this.findVariable(name);
+    if (variable === null) {
+      this.variables.set(name, variable = new EVLVariable(name, this));
+    }
+    return variable;
+  }
+}
+
+const packages = new Map(); // JavaScript string -> Package
+
+const evlPackage = new Package('evl', []);
+evlPackage.exportsAll = true;
+evlPackage.locked = true;
+packages.set('evl', evlPackage);
+
+// The default current package, in which the forms of the user are read, so that
+// the package lock protects the variables of the package evl.
+const userPackage = new Package('evl-user', [evlPackage]);
+packages.set('evl-user', userPackage);
+
+// The package used by the tokenizer to intern unqualified variables.
+let currentPackage = userPackage;
+
+// Interns a variable in the package evl. Used for the variables referenced by
+// the implementation (special operators, primitive functions, etc.).
+function internVariable(name) {
+  return evlPackage.intern(name);
+}
+
+// Returns the variable denoted by the qualified proto-token
+// <package-name>:<name> (exported variable) or <package-name>::<name> (any
+// variable, interned if necessary).
+function internQualifiedVariable(packageName, separator, name) {
+  const variablePackage = packages.get(packageName);
+  if (variablePackage === undefined) {
+    throw new TokenizerError(`Undefined package '${packageName}'.`);
+  }
+  if (separator === '::') {
+    return variablePackage.intern(name);
+  } else if (variablePackage.isExported(name)) {
+    return variablePackage.variables.get(name);
+  } else {
+    throw new TokenizerError(`The variable '${name}' is not exported by the package '${packageName}'.`);
+  }
+}
+
+// The function namespace bindings of the variables of a locked package can only
+// be modified while the current package is that package.
+function isPackageLocked(variable) {
+  return variable.package !== null && variable.package.locked && variable.package !== currentPackage;
+}
+
+primitiveFunction('variable?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLVariable);
+});
+
+primitiveFunction('make-variable', 1, 1, function(args) {
+  const name = checkArgumentType(args, 0, EVLString);
+  if (isError(name)) return name;
+  return new EVLVariable(name.jsValue);
+});
+
+primitiveFunction('variable-value', 1, 1, function(args) {
+  const variable = checkArgumentType(args, 0, EVLVariable);
+  if (isError(variable)) return variable;
+  return nullToVoid(variable.value);
+});
+
+primitiveFunction('variable-set-value!', 2, 2, function(args) {
+  const variable = checkArgumentType(args, 0, EVLVariable);
+  if (isError(variable)) return variable;
+  return variable.value = args[1];
+});
+
+primitiveFunction('variable-value-bound?', 1, 1, function(args) {
+  const variable = checkArgumentType(args, 0, EVLVariable);
+  if (isError(variable)) return variable;
+  return evlBoolean(variable.value !== null);
+});
+
+primitiveFunction('variable-unbind-value!', 1, 1, function(args) {
+  const variable = checkArgumentType(args, 0, EVLVariable);
+  if (isError(variable)) return variable;
+  return variable.value = null, EVLVoid.VOID;
+});
+
+primitiveFunction('variable-function', 1, 1, function(args) {
+  const variable = checkArgumentType(args, 0, EVLVariable);
+  if (isError(variable)) return variable;
+  return nullToVoid(variable.function);
+});
+
+primitiveFunction('variable-set-function!', 2, 2, function(args) {
+  const variable = checkArgumentType(args, 0, EVLVariable);
+  if (isError(variable)) return variable;
+  return GlobalEnv.set(FUN_NS, variable, args[1]);
+});
+
+primitiveFunction('variable-function-bound?', 1, 1, function(args) {
+  const variable = checkArgumentType(args, 0, EVLVariable);
+  if (isError(variable)) return variable;
+  return evlBoolean(variable.function !== null);
+});
+
+primitiveFunction('variable-unbind-function!', 1, 1, function(args) {
+  const variable = checkArgumentType(args, 0, EVLVariable);
+  if (isError(variable)) return variable;
+  if (isPackageLocked(variable)) return new PackageLocked(variable);
+  return variable.function = null, EVLVoid.VOID;
+});
+
+function plistGet(variable, key) {
+  let cons = null;
+  let plist = variable.plist;
+  while (plist !== EVLEmptyList.NIL) {
+    if (plist.car === key) {
+      return [cons, plist];
+    } else {
+      cons = plist.cdr;
+      plist = cons.cdr;
+    }
+  }
+  return [cons, plist];
+}
+
+primitiveFunction('variable-plist-ref', 2, 2, function(args) {
+  const variable = checkArgumentType(args, 0, EVLVariable);
+  if (isError(variable)) return variable;
+  const key = checkArgumentType(args, 1, EVLKeyword);
+  if (isError(key)) return key;
+  const [cons, plist] = plistGet(variable, key);
+  if (plist !== EVLEmptyList.NIL) {
+    return plist.cdr.car;
+  } else {
+    return EVLVoid.VOID;
+  }
+});
+
+primitiveFunction('variable-plist-set!', 3, 3, function(args) {
+  const variable = checkArgumentType(args, 0, EVLVariable);
+  if (isError(variable)) return variable;
+  const key = checkArgumentType(args, 1, EVLKeyword);
+  if (isError(key)) return key;
+  const value = args[2];
+  const [cons, plist] = plistGet(variable, key);
+  if (plist !== EVLEmptyList.NIL) {
+    return plist.cdr.car = value;
+  } else {
+    if (cons !== null) {
+      cons.cdr = new EVLCons(key, new EVLCons(value, EVLEmptyList.NIL));
+    } else {
+      variable.plist = new EVLCons(key, new EVLCons(value, EVLEmptyList.NIL));
+    }
+    return value;
+  }
+});
+
+primitiveFunction('variable-plist-bound?', 2, 2, function(args) {
+  const variable = checkArgumentType(args, 0, EVLVariable);
+  if (isError(variable)) return variable;
+  const key = checkArgumentType(args, 1, EVLKeyword);
+  if (isError(key)) return key;
+  const [cons, plist] = plistGet(variable, key);
+  if (plist !== EVLEmptyList.NIL) {
+    return EVLBoolean.TRUE;
+  } else {
+    return EVLBoolean.FALSE;
+  }
+});
+
+primitiveFunction('variable-plist-unbind!', 2, 2, function(args) {
+  const variable = checkArgumentType(args, 0, EVLVariable);
+  if (isError(variable)) return variable;
+  const key = checkArgumentType(args, 1, EVLKeyword);
+  if (isError(key)) return key;
+  const [cons, plist] = plistGet(variable, key);
+  if (plist !== EVLEmptyList.NIL) {
+    if (cons !== null) {
+      cons.cdr = plist.cdr.cdr;
+    } else {
+      variable.plist = plist.cdr.cdr;
+    }
+    return EVLVoid.VOID;
+  } else {
+    return EVLVoid.VOID;
+  }
+});
+
+/************/
+/* Packages */
+/************/
+
+primitiveFunction('make-package', 1, null, function(args) {
+  for (let i = 0; i < args.length; i++) {
+    const name = checkArgumentType(args, i, EVLString);
+    if (isError(name)) return name;
+  }
+  const name = args[0].jsValue;
+  if (!variableRegExp.test(name)) return new MalformedPackageName(name);
+  const uses = [];
+  for (const usedName of args.slice(1)) {
+    const usedPackage = packages.get(usedName.jsValue);
+    if (usedPackage === undefined) return new UndefinedPackage(usedName.jsValue);
+    uses.push(usedPackage);
+  }
+  // Redefining a package with the same used packages does nothing, so that a
+  // file defining a package can be loaded again.
+  const existingPackage = packages.get(name);
+  if (existingPackage !== undefined) {
+    const sameUses = existingPackage.uses.length === uses.length &&
+                     existingPackage.uses.every((usedPackage, i) => usedPackage === uses[i]);
+    return sameUses ? EVLVoid.VOID : new PackageAlreadyDefined(name);
+  }
+  packages.set(name, new Package(name, uses));
+  return EVLVoid.VOID;
+});
+
+primitiveFunction('package-exists?', 1, 1, function(args) {
+  const name = checkArgumentType(args, 0, EVLString);
+  if (isError(name)) return name;
+  return evlBoolean(packages.has(name.jsValue));
+});
+
+primitiveFunction('in-package', 1, 1, function(args) {
+  const name = checkArgumentType(args, 0, EVLString);
+  if (isError(name)) return name;
+  const newPackage = packages.get(name.jsValue);
+  if (newPackage === undefined) return new UndefinedPackage(name.jsValue);
+  currentPackage = newPackage;
+  return EVLVoid.VOID;
+});
+
+primitiveFunction('current-package', 0, 0, function(args) {
+  return new EVLString(currentPackage.name);
+});
+
+primitiveFunction('variable-package', 1, 1, function(args) {
+  const variable = checkArgumentType(args, 0, EVLVariable);
+  if (isError(variable)) return variable;
+  return variable.package !== null ? new EVLString(variable.package.name) : EVLVoid.VOID;
+});
+
+primitiveFunction('export', 0, null, function(args) {
+  for (let i = 0; i < args.length; i++) {
+    const variable = checkArgumentType(args, i, EVLVariable);
+    if (isError(variable)) return variable;
+    if (currentPackage.variables.get(variable.name) !== variable) return new VariableNotPresent(variable);
+  }
+  for (const variable of args) {
+    currentPackage.exports.add(variable.name);
+  }
+  return EVLVoid.VOID;
+});
+
+primitiveFunction('import', 0, null, function(args) {
+  for (let i = 0; i < args.length; i++) {
+    const variable = checkArgumentType(args, i, EVLVariable);
+    if (isError(variable)) return variable;
+    const presentVariable = currentPackage.variables.get(variable.name);
+    if (presentVariable !== undefined && presentVariable !== variable) return new NameConflict(variable);
+  }
+  for (const variable of args) {
+    currentPackage.variables.set(variable.name, variable);
+  }
+  return EVLVoid.VOID;
+});
+
+primitiveFunction('shadow', 1, 1, function(args) {
+  const name = checkArgumentType(args, 0, EVLString);
+  if (isError(name)) return name;
+  let variable = currentPackage.variables.get(name.jsValue);
+  if (variable === undefined) {
+    currentPackage.variables.set(name.jsValue, variable = new EVLVariable(name.jsValue, currentPackage));
+  }
+  return variable;
+});
+
+/****************************/
+/* Primitive Data Type list */
+/****************************/
+
+class EVLList extends EVLObject { // abstract class
+  constructor() {
+    super();
+  }
+  toString() {
+    let string = '';
+    let first = true;
+    string += '(';
+    let list = this;
+    while (list !== EVLEmptyList.NIL) {
+      if (first) {
+        first = false;
+      } else {
+        string += ' ';
+      }
+      string += list.car.toString();
+      if (list.cdr instanceof EVLList) {
+        list = list.cdr;
+      } else {
+        string += ' . ' + list.cdr.toString();
+        break;
+      }
+    }
+    string += ')';
+    return string;
+  }
+}
+
+primitiveFunction('list?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLList);
+});
+
+primitiveFunction('_make-list', 1, 2, function(args) {
+  const number = checkArgumentType(args, 0, EVLNumber);
+  if (isError(number)) return number;
+  const length = number.jsValue;
+  if (!(number instanceof EVLInteger) || length < 0) {
+    return new LengthNotNonnegativeInteger();
+  }
+  let list = EVLEmptyList.NIL;
+  for (let n = 0; n < length; n++) {
+    list = new EVLCons(EVLVoid.VOID, list);
+  }
+  return list;
+});
+
+/**********************************/
+/* Primitive Data Type empty-list */
+/**********************************/
 
-class EVLObject extends Result { // abstract class
+class EVLEmptyList extends EVLList {
   constructor() {
     super();
   }
-  primaryValue() {
-    return this;
-  }
-  allValues() {
-    return [this];
-  }
-  eql(that) {
-    return this === that;
-  }
 }
 
-primitiveFunction('object?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLObject);
-});
-
-primitiveFunction('eq?', 2, 2, function(args) {
-  return evlBoolean(args[0] === args[1]);
-});
+// the single object of type empty-list
+EVLEmptyList.NIL = new EVLEmptyList();
 
-primitiveFunction('eql?', 2, 2, function(args) {
-  return evlBoolean(args[0].eql(args[1]));
+primitiveFunction('empty-list?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLEmptyList);
 });
 
 /****************************/
-/* Primitive Data Type void */
+/* Primitive Data Type cons */
 /****************************/
 
-class EVLVoid extends EVLObject {
-  constructor() {
+class EVLCons extends EVLList {
+  constructor(car, cdr) {
     super();
+    this.car = car; // EVLObject
+    this.cdr = cdr; // EVLObject
+    consCount++;
   }
-  toString() {
-    return '#v';
-  }
-}
-
-// the single object of type void
-EVLVoid.VOID = new EVLVoid();
-
-function nullToVoid(x) {
-  return x === null ? EVLVoid.VOID : x;
 }
 
-primitiveFunction('void?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLVoid);
+primitiveFunction('cons?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLCons);
 });
 
-/*******************************/
-/* Primitive Data Type boolean */
-/*******************************/
+primitiveFunction('cons', 2, 2, function(args) {
+  return new EVLCons(args[0], args[1]);
+});
 
-class EVLBoolean extends EVLObject {
-  constructor(jsValue) {
-    super();
-    this.jsValue = jsValue; // JavaScript boolean
-  }
-  toString() {
-    return this.jsValue ? '#t' : '#f';
-  }
-}
+primitiveFunction('car', 1, 1, function(args) {
+  const cons = checkArgumentType(args, 0, EVLCons);
+  if (isError(cons)) return cons;
+  return cons.car;
+});
 
-// the single object of type boolean representing true
-EVLBoolean.TRUE = new EVLBoolean(true);
-// the single object of type boolean representing false
-EVLBoolean.FALSE = new EVLBoolean(false);
+primitiveFunction('set-car!', 2, 2, function(args) {
+  const cons = checkArgumentType(args, 0, EVLCons);
+  if (isError(cons)) return cons;
+  return cons.car = args[1];
+});
 
-function evlBoolean(jsBoolean) {
-  return jsBoolean ? EVLBoolean.TRUE : EVLBoolean.FALSE;
-}
+primitiveFunction('cdr', 1, 1, function(args) {
+  const cons = checkArgumentType(args, 0, EVLCons);
+  if (isError(cons)) return cons;
+  return cons.cdr;
+});
 
-primitiveFunction('boolean?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLBoolean);
+primitiveFunction('set-cdr!', 2, 2, function(args) {
+  const cons = checkArgumentType(args, 0, EVLCons);
+  if (isError(cons)) return cons;
+  return cons.cdr = args[1];
 });
 
 /******************************/
-/* Primitive Data Type number */
+/* Primitive Data Type vector */
 /******************************/
 
-class EVLNumber extends EVLObject {
-  constructor(jsValue) {
+class EVLVector extends EVLObject {
+  constructor(elements) {
     super();
-    this.jsValue = jsValue; // JavaScript number
-  }
-  eql(that) {
-    if (that instanceof EVLNumber) {
-      return this.jsValue === that.jsValue;
-    } else {
-      return false;
-    }
+    this.elements = elements; // JavaScript array of EVLObject's and/or null's
   }
   toString() {
-    return this.jsValue.toString();
+    let string = '';
+    let first = true;
+    string += '#(';
+    for (const element of this.elements) {
+      if (first) {
+        first = false;
+      } else {
+        string += ' ';
+      }
+      string += nullToVoid(element).toString();
+    }
+    string += ')';
+    return string;
   }
 }
 
-primitiveFunction('number?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLNumber);
-});
-
-primitiveFunction('_+', 2, 2, function(args) {
-  const x = checkArgumentType(args, 0, EVLNumber);
-  if (isError(x)) return x;
-  const y = checkArgumentType(args, 1, EVLNumber);
-  if (isError(y)) return y;
-  return new EVLNumber(x.jsValue + y.jsValue);
-});
-
-primitiveFunction('_-', 2, 2, function(args) {
-  const x = checkArgumentType(args, 0, EVLNumber);
-  if (isError(x)) return x;
-  const y = checkArgumentType(args, 1, EVLNumber);
-  if (isError(y)) return y;
-  return new EVLNumber(x.jsValue - y.jsValue);
-});
-
-primitiveFunction('_*', 2, 2, function(args) {
-  const x = checkArgumentType(args, 0, EVLNumber);
-  if (isError(x)) return x;
-  const y = checkArgumentType(args, 1, EVLNumber);
-  if (isError(y)) return y;
-  return new EVLNumber(x.jsValue * y.jsValue);
-});
-
-primitiveFunction('_/', 2, 2, function(args) {
-  const x = checkArgumentType(args, 0, EVLNumber);
-  if (isError(x)) return x;
-  const y = checkArgumentType(args, 1, EVLNumber);
-  if (isError(y)) return y;
-  return new EVLNumber(x.jsValue / y.jsValue);
+primitiveFunction('vector?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLVector);
 });
 
-primitiveFunction('%', 2, 2, function(args) {
-  const x = checkArgumentType(args, 0, EVLNumber);
-  if (isError(x)) return x;
-  const y = checkArgumentType(args, 1, EVLNumber);
-  if (isError(y)) return y;
-  return new EVLNumber(x.jsValue % y.jsValue);
+primitiveFunction('make-vector', 1, 2, function(args) {
+  const number = checkArgumentType(args, 0, EVLNumber);
+  if (isError(number)) return number;
+  const length = number.jsValue;
+  if (!(number instanceof EVLInteger) || length < 0) {
+    return new LengthNotNonnegativeInteger();
+  }
+  return new EVLVector(new Array(Number(length)).fill(args.length === 1 ? null : args[1]));
 });
 
-primitiveFunction('=', 2, 2, function(args) {
-  const x = checkArgumentType(args, 0, EVLNumber);
-  if (isError(x)) return x;
-  const y = checkArgumentType(args, 1, EVLNumber);
-  if (isError(y)) return y;
-  return evlBoolean(x.jsValue === y.jsValue);
+primitiveFunction('vector-length', 1, 1, function(args) {
+  const vector = checkArgumentType(args, 0, EVLVector);
+  if (isError(vector)) return vector;
+  return new EVLInteger(vector.elements.length);
 });
 
-primitiveFunction('/=', 2, 2, function(args) {
-  const x = checkArgumentType(args, 0, EVLNumber);
-  if (isError(x)) return x;
-  const y = checkArgumentType(args, 1, EVLNumber);
-  if (isError(y)) return y;
-  return evlBoolean(x.jsValue !== y.jsValue);
-});
+function checkVectorIndex(elements, number) {
+  const length = elements.length;
+  const index = number.jsValue;
+  if (!(number instanceof EVLInteger) || index < 0) {
+    return new IndexNotNonnegativeInteger();
+  } else if (0 <= index && index < length) {
+    return index;
+  } else {
+    return new IndexOutOfBounds();
+  }
+}
 
-primitiveFunction('<', 2, 2, function(args) {
-  const x = checkArgumentType(args, 0, EVLNumber);
-  if (isError(x)) return x;
-  const y = checkArgumentType(args, 1, EVLNumber);
-  if (isError(y)) return y;
-  return evlBoolean(x.jsValue < y.jsValue);
+primitiveFunction('vector-ref', 2, 2, function(args) {
+  const vector = checkArgumentType(args, 0, EVLVector);
+  if (isError(vector)) return vector;
+  const number = checkArgumentType(args, 1, EVLNumber);
+  if (isError(number)) return number;
+  const elements = vector.elements;
+  const index = checkVectorIndex(elements, number);
+  if (isError(index)) return index;
+  return nullToVoid(elements[index]);
 });
 
-primitiveFunction('<=', 2, 2, function(args) {
-  const x = checkArgumentType(args, 0, EVLNumber);
-  if (isError(x)) return x;
-  const y = checkArgumentType(args, 1, EVLNumber);
-  if (isError(y)) return y;
-  return evlBoolean(x.jsValue <= y.jsValue);
+primitiveFunction('vector-set!', 3, 3, function(args) {
+  const vector = checkArgumentType(args, 0, EVLVector);
+  if (isError(vector)) return vector;
+  const number = checkArgumentType(args, 1, EVLNumber);
+  if (isError(number)) return number;
+  const elements = vector.elements;
+  const index = checkVectorIndex(elements, number);
+  if (isError(index)) return index;
+  return elements[index] = args[2];
 });
 
-primitiveFunction('>', 2, 2, function(args) {
-  const x = checkArgumentType(args, 0, EVLNumber);
-  if (isError(x)) return x;
-  const y = checkArgumentType(args, 1, EVLNumber);
-  if (isError(y)) return y;
-  return evlBoolean(x.jsValue > y.jsValue);
+primitiveFunction('vector-bound?', 2, 2, function(args) {
+  const vector = checkArgumentType(args, 0, EVLVector);
+  if (isError(vector)) return vector;
+  const number = checkArgumentType(args, 1, EVLNumber);
+  if (isError(number)) return number;
+  const elements = vector.elements;
+  const index = checkVectorIndex(elements, number);
+  if (isError(index)) return index;
+  return evlBoolean(elements[index] !== null);
 });
 
-primitiveFunction('>=', 2, 2, function(args) {
-  const x = checkArgumentType(args, 0, EVLNumber);
-  if (isError(x)) return x;
-  const y = checkArgumentType(args, 1, EVLNumber);
-  if (isError(y)) return y;
-  return evlBoolean(x.jsValue >= y.jsValue);
+primitiveFunction('vector-unbind!', 2, 2, function(args) {
+  const vector = checkArgumentType(args, 0, EVLVector);
+  if (isError(vector)) return vector;
+  const number = checkArgumentType(args, 1, EVLNumber);
+  if (isError(number)) return number;
+  const elements = vector.elements;
+  const index = checkVectorIndex(elements, number);
+  if (isError(index)) return index;
+  return elements[index] = null, EVLVoid.VOID;
 });
 
-/*********************************/
-/* Primitive Data Type character */
-/*********************************/
+/**********************************/
+/* Primitive Data Type hash-table */
+/**********************************/
 
-class EVLCharacter extends EVLObject {
-  constructor(jsValue) {
+class EVLHashTable extends EVLObject {
+  constructor(test) {
     super();
-    this.jsValue = jsValue; // JavaScript string of one UTF-16 code unit
+    this.test = test; // 'eq?', 'eql?', or 'equal?'
+    this.buckets = new Map(); // JavaScript map from hash keys to JavaScript arrays of [key, value] entries
+    this.count = 0;
+  }
+  hashKey(key) {
+    switch (this.test) {
+      case 'eq?':
+        return key;
+      case 'eql?':
+        return eqlHashKey(key);
+      case 'equal?':
+        return equalHashKey(key);
+    }
+  }
+  sameKey(key1, key2) {
+    switch (this.test) {
+      case 'eq?':
+        return key1 === key2;
+      case 'eql?':
+        return key1.eql(key2);
+      case 'equal?':
+        return isEqual(key1, key2);
+    }
+  }
+  lookup(key) {
+    const bucket = this.buckets.get(this.hashKey(key));
+    if (bucket !== undefined) {
+      for (const entry of bucket) {
+        if (this.sameKey(entry[0], key)) {
+          return entry;
+        }
+      }
+    }
+    return null;
   }
-  eql(that) {
-    if (that instanceof EVLCharacter) {
-      return this.jsValue === that.jsValue;
+  set(key, value) {
+    const hashKey = this.hashKey(key);
+    const bucket = this.buckets.get(hashKey);
+    if (bucket === undefined) {
+      this.buckets.set(hashKey, [[key, value]]);
+      this.count++;
     } else {
-      return false;
+      for (const entry of bucket) {
+        if (this.sameKey(entry[0], key)) {
+          entry[1] = value;
+          return;
+        }
+      }
+      bucket.push([key, value]);
+      this.count++;
+    }
+  }
+  unbind(key) {
+    const hashKey = this.hashKey(key);
+    const bucket = this.buckets.get(hashKey);
+    if (bucket !== undefined) {
+      const index = bucket.findIndex(entry => this.sameKey(entry[0], key));
+      if (index !== -1) {
+        if (bucket.length === 1) {
+          this.buckets.delete(hashKey);
+        } else {
+          bucket.splice(index, 1);
+        }
+        this.count--;
+      }
+    }
+  }
+  *entries() {
+    for (const bucket of this.buckets.values()) {
+      yield* bucket;
     }
   }
   toString() {
-    return '#"' + escapeCharacters(this.jsValue, escapeStringCharacter) + '"';
+    return `#<hash-table :${this.test} ${this.count}>`;
+  }
+}
+
+// Two objects that are eql? have the same eql hash key.
+function eqlHashKey(object) {
+  if (object instanceof EVLInteger) {
+    return 'i' + object.jsValue;
+  } else if (object instanceof EVLRatio) {
+    return 'r' + object.numerator + '/' + object.denominator;
+  } else if (object instanceof EVLFloat) {
+    return 'f' + object.jsValue;
+  } else if (object instanceof EVLCharacter) {
+    return 'c' + object.jsValue;
+  } else if (object instanceof EVLString) {
+    return 's' + object.jsValue;
+  } else {
+    return object;
   }
 }
 
-primitiveFunction('character?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLCharacter);
-});
-
-/******************************/
-/* Primitive Data Type string */
-/******************************/
+// Two objects that are equal? have the same equal hash key.
+// The structure of conses and vectors is only explored up to a fixed depth
+// so that circular structures can be used as keys.
+function equalHashKey(object) {
+  if (object instanceof EVLCons || object instanceof EVLVector) {
+    return structureHashKey(object, 4);
+  } else {
+    return eqlHashKey(object);
+  }
+}
 
-class EVLString extends EVLObject {
-  constructor(jsValue) {
-    super();
-    this.jsValue = jsValue; // JavaScript string
+function structureHashKey(object, depth) {
+  if (depth === 0) {
+    return '_';
+  } else if (object instanceof EVLCons) {
+    return '(' + structureHashKey(object.car, depth - 1) + ' . ' + structureHashKey(object.cdr, depth - 1) + ')';
+  } else if (object instanceof EVLVector) {
+    let string = '#' + object.elements.length + '(';
+    for (const element of object.elements.slice(0, 4)) {
+      string += ' ' + structureHashKey(nullToVoid(element), depth - 1);
+    }
+    return string + ')';
+  } else {
+    const hashKey = eqlHashKey(object);
+    return typeof hashKey === 'string' ? hashKey : 'o';
   }
-  eql(that) {
-    if (that instanceof EVLString) {
-      return this.jsValue === that.jsValue;
-    } else {
+}
+
+// JavaScript implementation of the nonprimitive function equal? defined in mantle.evl
+function isEqual(object1, object2) {
+  while (object1 instanceof EVLCons && object2 instanceof EVLCons) {
+    if (!isEqual(object1.car, object2.car)) {
       return false;
     }
+    object1 = object1.cdr;
+    object2 = object2.cdr;
   }
-  toString() {
-    return '"' + escapeCharacters(this.jsValue, escapeStringCharacter) + '"';
+  if (object1 instanceof EVLVector && object2 instanceof EVLVector) {
+    const elements1 = object1.elements;
+    const elements2 = object2.elements;
+    if (elements1.length !== elements2.length) {
+      return false;
+    }
+    for (let i = 0; i < elements1.length; i++) {
+      if (!isEqual(nullToVoid(elements1[i]), nullToVoid(elements2[i]))) {
+        return false;
+      }
+    }
+    return true;
   }
+  return object1.eql(object2);
 }
 
-function ensureEVLString(x) {
-  return x instanceof EVLString ? x : new EVLString(x);
-}
+primitiveFunction('hash-table?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLHashTable);
+});
 
-primitiveFunction('string?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLString);
+primitiveFunction('make-hash-table', 0, 1, function(args) {
+  let test = 'eql?';
+  if (args.length === 1) {
+    const keyword = checkArgumentType(args, 0, EVLKeyword);
+    if (isError(keyword)) return keyword;
+    test = keyword.name;
+    if (test !== 'eq?' && test !== 'eql?' && test !== 'equal?') {
+      return new InvalidHashTableTest();
+    }
+  }
+  return new EVLHashTable(test);
 });
 
-/******************************/
-/* Primitive Data Type symbol */
-/******************************/
+primitiveFunction('hash-table-count', 1, 1, function(args) {
+  const hashTable = checkArgumentType(args, 0, EVLHashTable);
+  if (isError(hashTable)) return hashTable;
+  return new EVLInteger(hashTable.count);
+});
 
-class EVLSymbol extends EVLObject { // abstract class
-  constructor(name) {
-    super();
-    this.name = name; // JavaScript string
-  }
-}
+primitiveFunction('hash-table-ref', 2, 2, function(args) {
+  const hashTable = checkArgumentType(args, 0, EVLHashTable);
+  if (isError(hashTable)) return hashTable;
+  const entry = hashTable.lookup(args[1]);
+  return entry !== null ? entry[1] : EVLVoid.VOID;
+});
 
-primitiveFunction('symbol?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLSymbol);
+primitiveFunction('hash-table-set!', 3, 3, function(args) {
+  const hashTable = checkArgumentType(args, 0, EVLHashTable);
+  if (isError(hashTable)) return hashTable;
+  hashTable.set(args[1], args[2]);
+  return args[2];
 });
 
-/*******************************/
-/* Primitive Data Type keyword */
-/*******************************/
+primitiveFunction('hash-table-bound?', 2, 2, function(args) {
+  const hashTable = checkArgumentType(args, 0, EVLHashTable);
+  if (isError(hashTable)) return hashTable;
+  return evlBoolean(hashTable.lookup(args[1]) !== null);
+});
 
-class EVLKeyword extends EVLSymbol {
-  constructor(name) {
-    super(name);
-  }
-  toString() {
-    return ':' + escapeCharacters(this.name, escapeProtoTokenCharacter);
-  }
-}
+primitiveFunction('hash-table-unbind!', 2, 2, function(args) {
+  const hashTable = checkArgumentType(args, 0, EVLHashTable);
+  if (isError(hashTable)) return hashTable;
+  return hashTable.unbind(args[1]), EVLVoid.VOID;
+});
 
-const keywordPackage = new Map();
+primitiveFunction('hash-table-clear!', 1, 1, function(args) {
+  const hashTable = checkArgumentType(args, 0, EVLHashTable);
+  if (isError(hashTable)) return hashTable;
+  hashTable.buckets.clear();
+  hashTable.count = 0;
+  return EVLVoid.VOID;
+});
 
-function internKeyword(name) {
-  let keyword = keywordPackage.get(name);
-  if (keyword === undefined) {
-    keywordPackage.set(name, keyword = new EVLKeyword(name));
+primitiveFunction('hash-table-keys', 1, 1, function(args) {
+  const hashTable = checkArgumentType(args, 0, EVLHashTable);
+  if (isError(hashTable)) return hashTable;
+  let list = EVLEmptyList.NIL;
+  for (const [key, value] of hashTable.entries()) {
+    list = new EVLCons(key, list);
   }
-  return keyword;
-}
-
-primitiveFunction('keyword?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLKeyword);
+  return list;
 });
 
-primitiveFunction('make-keyword', 1, 1, function(args) {
-  const name = checkArgumentType(args, 0, EVLString);
-  if (isError(name)) return name;
-  return new EVLKeyword(name.jsValue);
+primitiveFunction('hash-table-values', 1, 1, function(args) {
+  const hashTable = checkArgumentType(args, 0, EVLHashTable);
+  if (isError(hashTable)) return hashTable;
+  let list = EVLEmptyList.NIL;
+  for (const [key, value] of hashTable.entries()) {
+    list = new EVLCons(value, list);
+  }
+  return list;
 });
 
 /********************************/
-/* Primitive Data Type variable */
+/* Primitive Data Type function */
 /********************************/
 
-class EVLVariable extends EVLSymbol {
-  constructor(name) {
-    super(name);
-    this.value = null; // EVLObject or null
-    this.function = null; // EVLObject or null
-    this.plist = EVLEmptyList.NIL;
-  }
-  toString() {
-    return escapeCharacters(this.name, escapeProtoTokenCharacter);
+class EVLFunction extends EVLObject { // abstract class
+  constructor() {
+    super();
+    this.name = null; // name of the first global function the function was bound to or null
   }
 }
 
-const variablePackage = new Map();
+primitiveFunction('function?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLFunction);
+});
 
-function internVariable(name) {
-  let variable = variablePackage.get(name);
-  if (variable === undefined) {
-    variablePackage.set(name, variable = new EVLVariable(name));
+/******************************************/
+/* Primitive Data Type primitive-function */
+/******************************************/
+
+class EVLPrimitiveFunction extends EVLFunction {
+  constructor(arityMin, arityMax, jsFunction) {
+    super();
+    this.arityMin = arityMin;
+    this.arityMax = arityMax;
+    this.jsFunction = jsFunction; // JavaScript function
+  }
+  toString() {
+    return '#<primitive-function>';
   }
-  return variable;
 }
 
-primitiveFunction('variable?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLVariable);
-});
-
-primitiveFunction('make-variable', 1, 1, function(args) {
-  const name = checkArgumentType(args, 0, EVLString);
-  if (isError(name)) return name;
-  return new EVLVariable(name.jsValue);
+primitiveFunction('primitive-function?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLPrimitiveFunction);
 });
 
-primitiveFunction('variable-value', 1, 1, function(args) {
-  const variable = checkArgumentType(args, 0, EVLVariable);
-  if (isError(variable)) return variable;
-  return nullToVoid(variable.value);
-});
+/*******************************/
+/* Primitive Data Type closure */
+/*******************************/
 
-primitiveFunction('variable-set-value!', 2, 2, function(args) {
-  const variable = checkArgumentType(args, 0, EVLVariable);
-  if (isError(variable)) return variable;
-  return variable.value = args[1];
-});
+class EVLClosure extends EVLFunction {
+  constructor(scope, namespace, macro, parameters, rest, serialForms, lenv) {
+    super();
+    this.scope = scope;
+    this.namespace = namespace;
+    this.macro = macro;
+    this.parameters = parameters;
+    this.rest = rest;
+    this.serialForms = serialForms;
+    this.lenv = lenv;
+    this.compiledBody = null; // set by the compiling evaluator
+    if (collectingCoverage) registerFunctionCoverage(serialForms);
+  }
+  toString() {
+    return '#<closure>';
+  }
+}
 
-primitiveFunction('variable-value-bound?', 1, 1, function(args) {
-  const variable = checkArgumentType(args, 0, EVLVariable);
-  if (isError(variable)) return variable;
-  return evlBoolean(variable.value !== null);
+primitiveFunction('closure?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLClosure);
 });
 
-primitiveFunction('variable-unbind-value!', 1, 1, function(args) {
-  const variable = checkArgumentType(args, 0, EVLVariable);
-  if (isError(variable)) return variable;
-  return variable.value = null, EVLVoid.VOID;
-});
+/************************************/
+/* Primitive Data Type continuation */
+/************************************/
 
-primitiveFunction('variable-function', 1, 1, function(args) {
-  const variable = checkArgumentType(args, 0, EVLVariable);
-  if (isError(variable)) return variable;
-  return nullToVoid(variable.function);
-});
+class EVLContinuation extends EVLFunction {
+  constructor(evaluator, k) {
+    super();
+    this.evaluator = evaluator; // name of the evaluator that captured the continuation
+    this.k = k; // JavaScript function (cps), OOCPSCont (oocps), or SBOOCPSStack (sboocps)
+  }
+  toString() {
+    return '#<continuation>';
+  }
+}
 
-primitiveFunction('variable-set-function!', 2, 2, function(args) {
-  const variable = checkArgumentType(args, 0, EVLVariable);
-  if (isError(variable)) return variable;
-  return variable.function = args[1];
+primitiveFunction('continuation?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLContinuation);
 });
 
-primitiveFunction('variable-function-bound?', 1, 1, function(args) {
-  const variable = checkArgumentType(args, 0, EVLVariable);
-  if (isError(variable)) return variable;
-  return evlBoolean(variable.function !== null);
+primitiveFunction('call/cc', 1, 1, function(args) {
+  const fn = checkArgumentType(args, 0, EVLFunction);
+  if (isError(fn)) return fn;
+  switch (selectedEvaluator) {
+    case 'cps':
+    case 'oocps':
+    case 'sboocps':
+      return new CallCCReq(fn);
+    default:
+      return new CallCCNotImplemented();
+  }
 });
 
-primitiveFunction('variable-unbind-function!', 1, 1, function(args) {
-  const variable = checkArgumentType(args, 0, EVLVariable);
-  if (isError(variable)) return variable;
-  return variable.function = null, EVLVoid.VOID;
-});
+/*********************************/
+/* Primitive Data Type condition */
+/*********************************/
 
-function plistGet(variable, key) {
-  let cons = null;
-  let plist = variable.plist;
-  while (plist !== EVLEmptyList.NIL) {
-    if (plist.car === key) {
-      return [cons, plist];
-    } else {
-      cons = plist.cdr;
-      plist = cons.cdr;
-    }
+class EVLCondition extends EVLObject {
+  constructor(category, description, data) {
+    super();
+    this.category = category; // EVLString
+    this.description = description; // EVLString
+    this.data = data; // EVLObject
+    this.signaled = false;
+  }
+  toString() {
+    return '#<condition>';
   }
-  return [cons, plist];
 }
 
-primitiveFunction('variable-plist-ref', 2, 2, function(args) {
-  const variable = checkArgumentType(args, 0, EVLVariable);
-  if (isError(variable)) return variable;
-  const key = checkArgumentType(args, 1, EVLKeyword);
-  if (isError(key)) return key;
-  const [cons, plist] = plistGet(variable, key);
-  if (plist !== EVLEmptyList.NIL) {
-    return plist.cdr.car;
-  } else {
-    return EVLVoid.VOID;
-  }
+primitiveFunction('condition?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLCondition);
 });
 
-primitiveFunction('variable-plist-set!', 3, 3, function(args) {
-  const variable = checkArgumentType(args, 0, EVLVariable);
-  if (isError(variable)) return variable;
-  const key = checkArgumentType(args, 1, EVLKeyword);
-  if (isError(key)) return key;
-  const value = args[2];
-  const [cons, plist] = plistGet(variable, key);
-  if (plist !== EVLEmptyList.NIL) {
-    return plist.cdr.car = value;
-  } else {
-    if (cons !== null) {
-      cons.cdr = new EVLCons(key, new EVLCons(value, EVLEmptyList.NIL));
-    } else {
-      variable.plist = new EVLCons(key, new EVLCons(value, EVLEmptyList.NIL));
-    }
-    return value;
-  }
+primitiveFunction('make-condition', 2, 3, function(args) {
+  const category = checkArgumentType(args, 0, EVLString);
+  if (isError(category)) return category;
+  const description = checkArgumentType(args, 1, EVLString);
+  if (isError(description)) return description;
+  return new EVLCondition(category, description, args.length === 3 ? args[2] : EVLEmptyList.NIL);
 });
 
-primitiveFunction('variable-plist-bound?', 2, 2, function(args) {
-  const variable = checkArgumentType(args, 0, EVLVariable);
-  if (isError(variable)) return variable;
-  const key = checkArgumentType(args, 1, EVLKeyword);
-  if (isError(key)) return key;
-  const [cons, plist] = plistGet(variable, key);
-  if (plist !== EVLEmptyList.NIL) {
-    return EVLBoolean.TRUE;
-  } else {
-    return EVLBoolean.FALSE;
-  }
+primitiveFunction('condition-category', 1, 1, function(args) {
+  const condition = checkArgumentType(args, 0, EVLCondition);
+  if (isError(condition)) return condition;
+  return condition.category;
 });
 
-primitiveFunction('variable-plist-unbind!', 2, 2, function(args) {
-  const variable = checkArgumentType(args, 0, EVLVariable);
-  if (isError(variable)) return variable;
-  const key = checkArgumentType(args, 1, EVLKeyword);
-  if (isError(key)) return key;
-  const [cons, plist] = plistGet(variable, key);
-  if (plist !== EVLEmptyList.NIL) {
-    if (cons !== null) {
-      cons.cdr = plist.cdr.cdr;
-    } else {
-      variable.plist = plist.cdr.cdr;
-    }
-    return EVLVoid.VOID;
-  } else {
-    return EVLVoid.VOID;
+primitiveFunction('condition-description', 1, 1, function(args) {
+  const condition = checkArgumentType(args, 0, EVLCondition);
+  if (isError(condition)) return condition;
+  return condition.description;
+});
+
+primitiveFunction('condition-data', 1, 1, function(args) {
+  const condition = checkArgumentType(args, 0, EVLCondition);
+  if (isError(condition)) return condition;
+  return condition.data;
+});
+
+// The handlers established by the special form _handler-bind are invoked on the
+// category and the description carried by an abrupt completion of type error.
+// The condition corresponding to the abrupt completion is stored in the abrupt
+// completion itself: it is the condition passed to the primitive function error
+// or a condition created on demand. The function handlerArguments records the
+// abrupt completion passed to the last handler invoked so that the primitive
+// function _error-condition, invoked by the handler, can read the condition from
+// the abrupt completion.
+
+let handledError = null; // AbruptCompletionError or null
+
+function errorCondition(error) {
+  if (error.condition === null) {
+    error.condition = new EVLCondition(error.category, error.description, EVLEmptyList.NIL);
+  }
+  return error.condition;
+}
+
+function handlerArguments(error) {
+  handledError = error;
+  return [error.category, error.description];
+}
+
+primitiveFunction('_error-condition', 2, 2, function(args) {
+  const category = checkArgumentType(args, 0, EVLString);
+  if (isError(category)) return category;
+  const description = checkArgumentType(args, 1, EVLString);
+  if (isError(description)) return description;
+  if (handledError !== null && handledError.category === category && handledError.description === description) {
+    return errorCondition(handledError);
   }
+  return new EVLCondition(category, description, EVLEmptyList.NIL);
 });
 
-/****************************/
-/* Primitive Data Type list */
-/****************************/
+// The signaled flag prevents the macros handler-bind and restart-case from
+// signaling again, when they reach a _handler-bind form, an error that was
+// already signaled.
 
-class EVLList extends EVLObject { // abstract class
-  constructor() {
+primitiveFunction('_condition-signaled?', 1, 1, function(args) {
+  const condition = checkArgumentType(args, 0, EVLCondition);
+  if (isError(condition)) return condition;
+  return evlBoolean(condition.signaled);
+});
+
+primitiveFunction('_condition-set-signaled!', 1, 1, function(args) {
+  const condition = checkArgumentType(args, 0, EVLCondition);
+  if (isError(condition)) return condition;
+  condition.signaled = true;
+  return EVLVoid.VOID;
+});
+
+/*********************************/
+/* Primitive Data Type js-object */
+/*********************************/
+
+// The JavaScript foreign function interface converts the values crossing the
+// boundary between EVLambda and JavaScript. Numbers, strings, and booleans are
+// converted to their JavaScript counterparts and back, #v is converted to
+// undefined, and vectors and proper lists are converted to arrays (arrays are
+// converted back to vectors). The other JavaScript values are wrapped into
+// objects of type js-object, which are unwrapped when converted back. The
+// primitive function js-global only gives access to the global properties
+// belonging to the allow-list configured by the host (see defineJSGlobal), but
+// the interface is not a sandbox: every JavaScript function gives access to the
+// constructor Function through its property constructor.
+
+class EVLJSObject extends EVLObject {
+  constructor(jsValue) {
     super();
+    this.jsValue = jsValue; // JavaScript value
   }
   toString() {
-    let string = '';
-    let first = true;
-    string += '(';
-    let list = this;
-    while (list !== EVLEmptyList.NIL) {
-      if (first) {
-        first = false;
+    return '#<js-object>';
+  }
+}
+
+// The wrappers are cached so that the same JavaScript object is always wrapped
+// into the same object of type js-object (and eq? works as expected).
+const jsObjectWrappers = new WeakMap();
+
+// The arrays being converted are tracked so that the references of a cyclic
+// array to itself (or to an enclosing array) are wrapped into objects of type
+// js-object instead of being converted again.
+function jsToEVL(jsValue, arrays = new Set()) {
+  switch (typeof jsValue) {
+    case 'undefined':
+      return EVLVoid.VOID;
+    case 'boolean':
+      return evlBoolean(jsValue);
+    case 'number':
+      if (Number.isSafeInteger(jsValue)) {
+        return new EVLInteger(jsValue + 0); // jsValue + 0 converts -0 to 0
       } else {
-        string += ' ';
+        return new EVLFloat(jsValue);
       }
-      string += list.car.toString();
-      if (list.cdr instanceof EVLList) {
-        list = list.cdr;
+    case 'bigint':
+      return evlInteger(jsValue);
+    case 'string':
+      return new EVLString(jsValue);
+    case 'object':
+    case 'function':
+      if (jsValue === null) {
+        return EVLVoid.VOID;
+      } else if (Array.isArray(jsValue) && !arrays.has(jsValue)) {
+        arrays.add(jsValue);
+        const vector = new EVLVector(jsValue.map(element => jsToEVL(element, arrays)));
+        arrays.delete(jsValue);
+        return vector;
       } else {
-        string += ' . ' + list.cdr.toString();
-        break;
+        let wrapper = jsObjectWrappers.get(jsValue);
+        if (wrapper === undefined) {
+          wrapper = new EVLJSObject(jsValue);
+          jsObjectWrappers.set(jsValue, wrapper);
+        }
+        return wrapper;
       }
-    }
-    string += ')';
-    return string;
+    default:
+      return new EVLJSObject(jsValue);
+  }
+}
+
+// Returns an array containing the converted value or an abrupt completion.
+function evlToJS(object) {
+  if (object instanceof EVLVoid) {
+    return [undefined];
+  } else if (object instanceof EVLBoolean) {
+    return [object.jsValue];
+  } else if (object instanceof EVLNumber) {
+    return [toJSNumber(object)];
+  } else if (object instanceof EVLString) {
+    return [object.jsValue];
+  } else if (object instanceof EVLVector) {
+    return evlArrayToJS(object.elements.map(element => element !== null ? element : EVLVoid.VOID));
+  } else if (object instanceof EVLList && isProperList(object)) {
+    return evlArrayToJS(listToArray(object));
+  } else if (object instanceof EVLJSObject) {
+    return [object.jsValue];
+  } else {
+    return new NotConvertibleToJS(object);
   }
 }
 
-primitiveFunction('list?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLList);
-});
-
-primitiveFunction('_make-list', 1, 2, function(args) {
-  const number = checkArgumentType(args, 0, EVLNumber);
-  if (isError(number)) return number;
-  const length = number.jsValue;
-  if (!Number.isInteger(length) || length < 0) {
-    return new LengthNotNonnegativeInteger();
-  }
-  let list = EVLEmptyList.NIL;
-  for (let n = 0; n < length; n++) {
-    list = new EVLCons(EVLVoid.VOID, list);
+function evlArrayToJS(objects) {
+  const array = [];
+  for (const object of objects) {
+    const conversion = evlToJS(object);
+    if (isError(conversion)) return conversion;
+    array.push(conversion[0]);
   }
-  return list;
-});
-
-/**********************************/
-/* Primitive Data Type empty-list */
-/**********************************/
+  return [array];
+}
 
-class EVLEmptyList extends EVLList {
-  constructor() {
-    super();
+// Converts the exceptions thrown by the JavaScript functions into abrupt completions.
+function callJSFunction(fn, thisValue, jsArgs) {
+  try {
+    return jsToEVL(Reflect.apply(fn, thisValue, jsArgs));
+  } catch(exception) {
+    return new JSException(exception);
   }
 }
 
-// the single object of type empty-list
-EVLEmptyList.NIL = new EVLEmptyList();
-
-primitiveFunction('empty-list?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLEmptyList);
+primitiveFunction('js-object?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLJSObject);
 });
 
-/****************************/
-/* Primitive Data Type cons */
-/****************************/
+// The global properties accessible through the primitive function js-global.
+const jsGlobals = new Map(); // name -> JavaScript value
 
-class EVLCons extends EVLList {
-  constructor(car, cdr) {
-    super();
-    this.car = car; // EVLObject
-    this.cdr = cdr; // EVLObject
+const defaultJSGlobals = ['Math', 'JSON', 'Number', 'String', 'Boolean', 'Array', 'Date'];
+
+function defineJSGlobal(name, value) {
+  if (typeof name !== 'string') {
+    throw new TypeError(`Invalid definition of the global property ${String(name)}.`);
   }
+  jsGlobals.set(name, value);
 }
 
-primitiveFunction('cons?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLCons);
+function defineJSGlobals(names) {
+  jsGlobals.clear();
+  for (const name of names) {
+    defineJSGlobal(name, globalThis[name]);
+  }
+}
+
+defineJSGlobals(defaultJSGlobals);
+
+primitiveFunction('js-global', 1, 1, function(args) {
+  const name = checkArgumentType(args, 0, EVLString);
+  if (isError(name)) return name;
+  return jsToEVL(jsGlobals.get(name.jsValue));
 });
 
-primitiveFunction('cons', 2, 2, function(args) {
-  return new EVLCons(args[0], args[1]);
+primitiveFunction('js-get', 2, 2, function(args) {
+  const conversion = evlArrayToJS(args);
+  if (isError(conversion)) return conversion;
+  const [[object, key]] = conversion;
+  try {
+    return jsToEVL(object[key]);
+  } catch(exception) {
+    return new JSException(exception);
+  }
 });
 
-primitiveFunction('car', 1, 1, function(args) {
-  const cons = checkArgumentType(args, 0, EVLCons);
-  if (isError(cons)) return cons;
-  return cons.car;
+primitiveFunction('js-call', 1, null, function(args) {
+  const conversion = evlArrayToJS(args);
+  if (isError(conversion)) return conversion;
+  const [[fn, ...jsArgs]] = conversion;
+  return callJSFunction(fn, undefined, jsArgs);
 });
 
-primitiveFunction('set-car!', 2, 2, function(args) {
-  const cons = checkArgumentType(args, 0, EVLCons);
-  if (isError(cons)) return cons;
-  return cons.car = args[1];
+primitiveFunction('js-call-method', 2, null, function(args) {
+  const conversion = evlArrayToJS(args);
+  if (isError(conversion)) return conversion;
+  const [[object, key, ...jsArgs]] = conversion;
+  let method = undefined;
+  try {
+    method = object[key];
+  } catch(exception) {
+    return new JSException(exception);
+  }
+  return callJSFunction(method, object, jsArgs);
 });
 
-primitiveFunction('cdr', 1, 1, function(args) {
-  const cons = checkArgumentType(args, 0, EVLCons);
-  if (isError(cons)) return cons;
-  return cons.cdr;
+// A JavaScript module loaded at runtime (see the option -m of the command-line
+// interface) can define new primitive functions. The default export of the module
+// must be a function, which is invoked on the function defineJSPrimitiveFunction.
+// The JavaScript function implementing a primitive function defined by a module
+// receives an array of converted arguments and returns a JavaScript value, which
+// is converted to an EVLambda object. A module that cannot be imported, that does
+// not have a suitable default export, or whose default export throws an exception
+// is reported by throwing a JSModuleError.
+
+async function loadJSModule(url) {
+  let module = null;
+  try {
+    module = await import(url);
+  } catch(exception) {
+    throw new JSModuleError(`The JavaScript module ${url} cannot be imported: ${exception.message}`);
+  }
+  if (typeof module.default !== 'function') {
+    throw new JSModuleError(`The default export of the JavaScript module ${url} is not a function.`);
+  }
+  try {
+    module.default(defineJSPrimitiveFunction, defineJSGlobal);
+  } catch(exception) {
+    throw new JSModuleError(`The default export of the JavaScript module ${url} has thrown an exception: ${exception.message}`);
+  }
+}
+
+function defineJSPrimitiveFunction(name, arityMin, arityMax, jsFunction) {
+  if (typeof name !== 'string' || !Number.isSafeInteger(arityMin) || arityMin < 0 ||
+      !(arityMax === null || (Number.isSafeInteger(arityMax) && arityMax >= arityMin)) ||
+      typeof jsFunction !== 'function') {
+    throw new TypeError(`Invalid definition of the primitive function ${String(name)}.`);
+  }
+  const fn = new EVLPrimitiveFunction(arityMin, arityMax, function(args) {
+    const conversion = evlArrayToJS(args);
+    if (isError(conversion)) return conversion;
+    const [jsArgs] = conversion;
+    return callJSFunction(jsFunction, undefined, [jsArgs]);
+  });
+  bindPrimitiveFunction(internVariable(name), fn);
+}
+
+/******************************/
+/* Reader Primitive Functions */
+/******************************/
+
+// Converts the exceptions thrown by the tokenizer and the reader into abrupt completions.
+function readFailure(exception) {
+  if (exception instanceof TruncatedToken || exception instanceof UnexpectedEndOfInput) {
+    return new ReadFailure('end-of-input', exception);
+  } else if (exception instanceof TokenizerError) {
+    return new ReadFailure('tokenizer-error', exception);
+  } else if (exception instanceof ReaderError) {
+    return new ReadFailure('reader-error', exception);
+  } else {
+    throw exception;
+  }
+}
+
+function readFromString(jsString, start, fn) {
+  const tokenizer = new Tokenizer(jsString);
+  tokenizer.position = start;
+  try {
+    return fn(tokenizer);
+  } catch(exception) {
+    return readFailure(exception);
+  }
+}
+
+primitiveFunction('read-from-string', 1, 3, function(args) {
+  const string = checkArgumentType(args, 0, EVLString);
+  if (isError(string)) return string;
+  const jsString = string.jsValue;
+  let start = 0;
+  if (args.length >= 2) {
+    const startNumber = checkArgumentType(args, 1, EVLNumber);
+    if (isError(startNumber)) return startNumber;
+    start = checkStringBound(jsString, startNumber, 0);
+    if (isError(start)) return start;
+  }
+  const eofObject = args.length === 3 ? args[2] : EVLVoid.VOID;
+  return readFromString(jsString, start, tokenizer => {
+    const object = read(tokenizer);
+    return new MultipleValues([object !== null ? object : eofObject, new EVLInteger(tokenizer.position)]);
+  });
 });
 
-primitiveFunction('set-cdr!', 2, 2, function(args) {
-  const cons = checkArgumentType(args, 0, EVLCons);
-  if (isError(cons)) return cons;
-  return cons.cdr = args[1];
+primitiveFunction('read-all-from-string', 1, 2, function(args) {
+  const string = checkArgumentType(args, 0, EVLString);
+  if (isError(string)) return string;
+  const jsString = string.jsValue;
+  let start = 0;
+  if (args.length === 2) {
+    const startNumber = checkArgumentType(args, 1, EVLNumber);
+    if (isError(startNumber)) return startNumber;
+    start = checkStringBound(jsString, startNumber, 0);
+    if (isError(start)) return start;
+  }
+  return readFromString(jsString, start, tokenizer => {
+    const objects = [];
+    while (true) {
+      const object = read(tokenizer);
+      if (object === null) {
+        break;
+      }
+      objects.push(object);
+    }
+    let list = EVLEmptyList.NIL;
+    for (let i = objects.length - 1; i >= 0; i--) {
+      list = new EVLCons(objects[i], list);
+    }
+    return list;
+  });
 });
 
 /******************************/
-/* Primitive Data Type vector */
+/* Loader Primitive Functions */
 /******************************/
 
-class EVLVector extends EVLObject {
-  constructor(elements) {
-    super();
-    this.elements = elements; // JavaScript array of EVLObject's and/or null's
+// The pathname of the file whose forms are being evaluated (the source of the
+// current evaluation request or the file being loaded) or null. Relative
+// pathnames are resolved against its directory.
+let loadPathname = null;
+
+// The resolved pathnames of the files loaded so far. A file is recorded before
+// its forms are evaluated (so that circular requires terminate) and forgotten
+// if its loading fails (so that it can be required again).
+const loadedFiles = new Set();
+
+function resolvePathname(pathname, basePathname) {
+  let segments = pathname.split('/');
+  if (!pathname.startsWith('/')) {
+    if (basePathname !== null) {
+      segments = resolvePathname(basePathname, null).split('/').slice(0, -1).concat(segments);
+    } else if (isRunningInsideNode) {
+      segments = process.cwd().split('/').concat(segments);
+    }
   }
-  toString() {
-    let string = '';
-    let first = true;
-    string += '#(';
-    for (const element of this.elements) {
-      if (first) {
-        first = false;
-      } else {
-        string += ' ';
+  const resolvedSegments = [];
+  for (const segment of segments) {
+    if (segment === '..') {
+      resolvedSegments.pop();
+    } else if (segment !== '' && segment !== '.') {
+      resolvedSegments.push(segment);
+    }
+  }
+  return '/' + resolvedSegments.join('/');
+}
+
+// Returns the contents of the file or an abrupt completion. Inside Node.js, the
+// pathname is a native pathname. Inside the browser, the pathname is a unified
+// pathname (/<file-system-name>/<dir>/.../<dir>/<name>) and the file is
+// fetched synchronously from the unified file system (synchronous requests are
+// allowed inside web workers).
+function readEVLFile(pathname) {
+  if (isRunningInsideNode) {
+    try {
+      return nodeFS.readFileSync(pathname, 'utf8');
+    } catch(exception) {
+      return new FileError(pathname, exception.message);
+    }
+  } else {
+    const index = pathname.indexOf('/', 1);
+    if (index === -1) {
+      return new FileError(pathname, 'Malformed unified pathname.');
+    }
+    const url = new URL('/fs/' + pathname.substring(1, index) + '/get-file-contents', self.location.origin);
+    url.searchParams.set('pathname', pathname.substring(index));
+    const request = new XMLHttpRequest();
+    try {
+      request.open('GET', url, false);
+      request.send();
+    } catch(exception) {
+      return new FileError(pathname, 'The server is unreachable.');
+    }
+    switch (request.status) {
+      case 200:
+        return request.responseText;
+      case 400:
+        return new FileError(pathname, request.responseText);
+      default:
+        return new FileError(pathname, request.statusText);
+    }
+  }
+}
+
+// Evaluates the forms of the file in sequence using the selected evaluator.
+// The error location of an abrupt completion of type error is set to the
+// location of the form of the file whose reading or evaluation failed.
+function loadFile(pathname) {
+  const text = readEVLFile(pathname);
+  if (isError(text)) return text;
+  loadedFiles.add(pathname);
+  const tokenizer = new Tokenizer(text);
+  tokenizer.source = pathname;
+  let failure = null; // abrupt completion or null
+  const loadForm = object => {
+    if (failure === null) {
+      const outcome = nestedEval(object);
+      if (isAbruptCompletion(outcome)) {
+        if (isError(outcome) && outcome.location === null) {
+          const location = sourceLocations.get(object);
+          outcome.location = location !== undefined ? location : null;
+        }
+        failure = outcome;
       }
-      string += nullToVoid(element).toString();
     }
-    string += ')';
-    return string;
+  };
+  tokenizer.callback = loadForm; // forms contained in XML elements
+  const savedPackage = currentPackage;
+  const savedLoadPathname = loadPathname;
+  loadPathname = pathname;
+  try {
+    while (failure === null) {
+      let object = null;
+      try {
+        object = read(tokenizer);
+      } catch(exception) {
+        failure = readFailure(exception);
+        failure.location = exception.location;
+        break;
+      }
+      if (object === null) {
+        break;
+      }
+      loadForm(object);
+    }
+  } finally {
+    currentPackage = savedPackage;
+    loadPathname = savedLoadPathname;
   }
+  if (failure !== null) {
+    loadedFiles.delete(pathname);
+    return failure;
+  }
+  return EVLVoid.VOID;
 }
 
-primitiveFunction('vector?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLVector);
+primitiveFunction('load', 1, 1, function(args) {
+  const pathname = checkArgumentType(args, 0, EVLString);
+  if (isError(pathname)) return pathname;
+  return loadFile(resolvePathname(pathname.jsValue, loadPathname));
+});
+
+primitiveFunction('require', 1, 1, function(args) {
+  const pathname = checkArgumentType(args, 0, EVLString);
+  if (isError(pathname)) return pathname;
+  const resolvedPathname = resolvePathname(pathname.jsValue, loadPathname);
+  if (loadedFiles.has(resolvedPathname)) {
+    return EVLBoolean.FALSE;
+  }
+  const outcome = loadFile(resolvedPathname);
+  if (isAbruptCompletion(outcome)) return outcome;
+  return EVLBoolean.TRUE;
+});
+
+/******************************/
+/* Output Primitive Functions */
+/******************************/
+
+function displayString(object) {
+  if (object instanceof EVLCharacter || object instanceof EVLString) {
+    return object.jsValue;
+  } else {
+    return object.toString();
+  }
+}
+
+primitiveFunction('_start-output-capture', 0, 0, function(args) {
+  outputCaptures.push('');
+  return EVLVoid.VOID;
+});
+
+primitiveFunction('_end-output-capture', 0, 0, function(args) {
+  if (outputCaptures.length === 0) {
+    return new NoOutputCapture();
+  }
+  return new EVLString(outputCaptures.pop());
+});
+
+primitiveFunction('write', 1, 1, function(args) {
+  writeOutput(args[0].toString());
+  return args[0];
+});
+
+primitiveFunction('display', 1, 1, function(args) {
+  writeOutput(displayString(args[0]));
+  return args[0];
 });
 
-primitiveFunction('make-vector', 1, 2, function(args) {
-  const number = checkArgumentType(args, 0, EVLNumber);
-  if (isError(number)) return number;
-  const length = number.jsValue;
-  if (!Number.isInteger(length) || length < 0) {
-    return new LengthNotNonnegativeInteger();
-  }
-  return new EVLVector(new Array(length).fill(args.length === 1 ? null : args[1]));
+primitiveFunction('print', 1, 1, function(args) {
+  writeOutput(args[0].toString() + '\n');
+  return args[0];
 });
 
-primitiveFunction('vector-length', 1, 1, function(args) {
-  const vector = checkArgumentType(args, 0, EVLVector);
-  if (isError(vector)) return vector;
-  return new EVLNumber(vector.elements.length);
+primitiveFunction('newline', 0, 0, function(args) {
+  writeOutput('\n');
+  return EVLVoid.VOID;
 });
 
-function checkVectorIndex(elements, number) {
-  const length = elements.length;
-  const index = number.jsValue;
-  if (!Number.isInteger(index) || index < 0) {
-    return new IndexNotNonnegativeInteger();
-  } else if (0 <= index && index < length) {
-    return index;
-  } else {
-    return new IndexOutOfBounds();
-  }
-}
+/*************************************/
+/* Miscellaneous Primitive Functions */
+/*************************************/
 
-primitiveFunction('vector-ref', 2, 2, function(args) {
-  const vector = checkArgumentType(args, 0, EVLVector);
-  if (isError(vector)) return vector;
-  const number = checkArgumentType(args, 1, EVLNumber);
-  if (isError(number)) return number;
-  const elements = vector.elements;
-  const index = checkVectorIndex(elements, number);
-  if (isError(index)) return index;
-  return nullToVoid(elements[index]);
+primitiveFunction('values', 0, null, function(args) {
+  return new MultipleValues(args);
 });
 
-primitiveFunction('vector-set!', 3, 3, function(args) {
-  const vector = checkArgumentType(args, 0, EVLVector);
-  if (isError(vector)) return vector;
-  const number = checkArgumentType(args, 1, EVLNumber);
-  if (isError(number)) return number;
-  const elements = vector.elements;
-  const index = checkVectorIndex(elements, number);
-  if (isError(index)) return index;
-  return elements[index] = args[2];
+// The arguments designate a condition: a description (the category defaults to
+// "program-error"), a condition, or a category, a description, and optional data.
+primitiveFunction('error', 1, 3, function(args) {
+  if (args.length === 1 && args[0] instanceof EVLCondition) {
+    return new ConditionError(args[0]);
+  }
+  if (args.length === 1) {
+    const description = checkArgumentType(args, 0, EVLString);
+    if (isError(description)) return description;
+    return new ConditionError(new EVLCondition(new EVLString('program-error'), description, EVLEmptyList.NIL));
+  }
+  const category = checkArgumentType(args, 0, EVLString);
+  if (isError(category)) return category;
+  const description = checkArgumentType(args, 1, EVLString);
+  if (isError(description)) return description;
+  return new ConditionError(new EVLCondition(category, description, args.length === 3 ? args[2] : EVLEmptyList.NIL));
 });
 
-primitiveFunction('vector-bound?', 2, 2, function(args) {
-  const vector = checkArgumentType(args, 0, EVLVector);
-  if (isError(vector)) return vector;
-  const number = checkArgumentType(args, 1, EVLNumber);
-  if (isError(number)) return number;
-  const elements = vector.elements;
-  const index = checkVectorIndex(elements, number);
-  if (isError(index)) return index;
-  return evlBoolean(elements[index] !== null);
+primitiveFunction('macroexpand-1', 1, 1, function(args) {
+  const result = macroexpand1(args[0], nullDefiniteEnv);
+  if (isAbruptCompletion(result)) return result;
+  return new MultipleValues([result[0], evlBoolean(result[1])]);
 });
 
-primitiveFunction('vector-unbind!', 2, 2, function(args) {
-  const vector = checkArgumentType(args, 0, EVLVector);
-  if (isError(vector)) return vector;
-  const number = checkArgumentType(args, 1, EVLNumber);
-  if (isError(number)) return number;
-  const elements = vector.elements;
-  const index = checkVectorIndex(elements, number);
-  if (isError(index)) return index;
-  return elements[index] = null, EVLVoid.VOID;
+primitiveFunction('macroexpand', 1, 1, function(args) {
+  const result = macroexpand(args[0], nullDefiniteEnv);
+  if (isAbruptCompletion(result)) return result;
+  return new MultipleValues([result[0], evlBoolean(result[1])]);
 });
 
-/********************************/
-/* Primitive Data Type function */
-/********************************/
+primitiveFunction('macroexpand-all', 1, 1, function(args) {
+  return macroexpandAll(args[0], nullDefiniteEnv);
+});
 
-class EVLFunction extends EVLObject { // abstract class
-  constructor() {
+// The environments that can be passed to the primitive function eval. The null
+// lexical environment is the only environment available.
+class EVLEnvironment extends EVLObject {
+  constructor(lenv) {
     super();
+    this.lenv = lenv;
+  }
+  toString() {
+    return '#<environment>';
   }
 }
 
-primitiveFunction('function?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLFunction);
+const nullEnvironment = new EVLEnvironment(nullDefiniteEnv);
+
+primitiveFunction('environment?', 1, 1, function(args) {
+  return evlBoolean(args[0] instanceof EVLEnvironment);
 });
 
-/******************************************/
-/* Primitive Data Type primitive-function */
-/******************************************/
+primitiveFunction('null-environment', 0, 0, function(args) {
+  return nullEnvironment;
+});
 
-class EVLPrimitiveFunction extends EVLFunction {
-  constructor(arityMin, arityMax, jsFunction) {
-    super();
-    this.arityMin = arityMin;
-    this.arityMax = arityMax;
-    this.jsFunction = jsFunction; // JavaScript function
+// The evaluation request returned by the primitive function is carried out by the selected evaluator.
+primitiveFunction('eval', 1, 2, function(args) {
+  let lenv = nullDefiniteEnv;
+  if (args.length === 2) {
+    const environment = checkArgumentType(args, 1, EVLEnvironment);
+    if (isError(environment)) return environment;
+    lenv = environment.lenv;
   }
-  toString() {
-    return '#<primitive-function>';
+  return new EvalReq(copyForm(args[0]), lenv);
+});
+
+// Because the evaluators alter the macro calls they evaluate (see alterForm),
+// the form passed to the primitive function eval is copied so that the caller's
+// data is left unchanged. The quoted objects are not copied so that they keep
+// their identity.
+function copyForm(form) {
+  if (!(form instanceof EVLCons) || form.car === quoteVariable) {
+    return form;
+  }
+  const copy = new EVLCons(null, null);
+  let last = copy;
+  while (true) {
+    last.car = copyForm(form.car);
+    const location = sourceLocations.get(form);
+    if (location !== undefined) {
+      sourceLocations.set(last, location);
+    }
+    form = form.cdr;
+    if (form instanceof EVLCons) {
+      last = last.cdr = new EVLCons(null, null);
+    } else {
+      last.cdr = form;
+      return copy;
+    }
   }
 }
 
-primitiveFunction('primitive-function?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLPrimitiveFunction);
+primitiveFunction('trace', 0, null, function(args) {
+  for (let i = 0; i < args.length; i++) {
+    const variable = checkArgumentType(args, i, EVLVariable);
+    if (isError(variable)) return variable;
+  }
+  for (const variable of args) {
+    const outcome = traceFunction(variable);
+    if (isAbruptCompletion(outcome)) return outcome;
+  }
+  return tracedVariables();
 });
 
-/*******************************/
-/* Primitive Data Type closure */
-/*******************************/
+primitiveFunction('untrace', 0, null, function(args) {
+  for (let i = 0; i < args.length; i++) {
+    const variable = checkArgumentType(args, i, EVLVariable);
+    if (isError(variable)) return variable;
+  }
+  for (const variable of args.length === 0 ? Array.from(tracedFunctions.keys()) : args) {
+    untraceFunction(variable);
+  }
+  return tracedVariables();
+});
 
-class EVLClosure extends EVLFunction {
-  constructor(scope, namespace, macro, parameters, rest, serialForms, lenv) {
-    super();
-    this.scope = scope;
-    this.namespace = namespace;
-    this.macro = macro;
-    this.parameters = parameters;
-    this.rest = rest;
-    this.serialForms = serialForms;
-    this.lenv = lenv;
+primitiveFunction('profile-start', 0, 0, function(args) {
+  return startProfiler();
+});
+
+primitiveFunction('profile-stop', 0, 0, function(args) {
+  stopProfiler();
+  return EVLVoid.VOID;
+});
+
+// Returns the sort key designated by the optional argument or an abrupt completion.
+function profileSortKey(args) {
+  if (args.length === 0) {
+    return 'exclusive';
   }
-  toString() {
-    return '#<closure>';
+  const keyword = checkArgumentType(args, 0, EVLKeyword);
+  if (isError(keyword)) return keyword;
+  if (!['name', 'calls', 'inclusive', 'exclusive'].includes(keyword.name)) {
+    return new InvalidProfileSortKey();
   }
+  return keyword.name;
 }
 
-primitiveFunction('closure?', 1, 1, function(args) {
-  return evlBoolean(args[0] instanceof EVLClosure);
+primitiveFunction('profile-report', 0, 1, function(args) {
+  const key = profileSortKey(args);
+  if (isError(key)) return key;
+  if (profiler !== null) {
+    writeOutput(profiler.report(key));
+  }
+  return EVLVoid.VOID;
 });
 
-/*************************************/
-/* Miscellaneous Primitive Functions */
-/*************************************/
+primitiveFunction('profile-data', 0, 1, function(args) {
+  const key = profileSortKey(args);
+  if (isError(key)) return key;
+  return profiler !== null ? profiler.toEVL(key) : EVLVoid.VOID;
+});
 
-primitiveFunction('values', 0, null, function(args) {
-  return new MultipleValues(args);
+primitiveFunction('coverage-start', 0, 0, function(args) {
+  startCoverage();
+  return EVLVoid.VOID;
 });
 
-primitiveFunction('error', 1, 1, function(args) {
-  const description = checkArgumentType(args, 0, EVLString);
-  if (isError(description)) return description;
-  return new ProgramError(description);
+primitiveFunction('coverage-stop', 0, 0, function(args) {
+  stopCoverage();
+  return EVLVoid.VOID;
+});
+
+primitiveFunction('coverage-report', 0, 0, function(args) {
+  if (coverage !== null) {
+    writeOutput(coverageReport());
+  }
+  return EVLVoid.VOID;
 });
 
 primitiveFunction('now', 0, 0, function(args) {
-  return new EVLNumber(Date.now());
+  return new EVLInteger(Date.now());
+});
+
+primitiveFunction('max-recursion-depth', 0, 0, function(args) {
+  return maxRecursionDepth === Infinity ? EVLBoolean.FALSE : new EVLInteger(maxRecursionDepth);
+});
+
+primitiveFunction('set-max-recursion-depth!', 1, 1, function(args) {
+  if (args[0] === EVLBoolean.FALSE) {
+    maxRecursionDepth = Infinity;
+    return EVLVoid.VOID;
+  }
+  const number = checkArgumentType(args, 0, EVLNumber);
+  if (isError(number)) return number;
+  const depth = number.jsValue;
+  if (!(number instanceof EVLInteger) || depth <= 0) {
+    return new DepthNotPositiveInteger();
+  }
+  maxRecursionDepth = Number(depth);
+  return EVLVoid.VOID;
 });
 
 /*************************************************/
 /* Primitive Function Definitions (Second Steps) */
 /*************************************************/
 
+const primitiveFunctionObjects = new Map(); // name -> EVLPrimitiveFunction (used by the heap snapshots)
+
+// The primitive functions are bound in the package evl regardless of the package lock.
+function bindPrimitiveFunction(variable, fn) {
+  fn.name = variable.name;
+  variable.function = fn;
+}
+
 for (const [name, [arityMin, arityMax, jsFunction]] of primitiveFunctions) {
-  GlobalEnv.set(FUN_NS, internVariable(name), new EVLPrimitiveFunction(arityMin, arityMax, jsFunction));
+  const fn = new EVLPrimitiveFunction(arityMin, arityMax, jsFunction);
+  primitiveFunctionObjects.set(name, fn);
+  bindPrimitiveFunction(internVariable(name), fn);
 }
 
 /***************************************/
@@ -6897,6 +10900,321 @@ const applyVariable = internVariable('apply');
 const multipleValueCallVariable = internVariable('multiple-value-call');
 const multipleValueApplyVariable = internVariable('multiple-value-apply');
 
+const specialOperators = new Set([
+  quoteVariable,
+  prognVariable,
+  ifVariable,
+  _forEachVariable,
+  _vlambdaVariable,
+  _mlambdaVariable,
+  _flambdaVariable,
+  _dlambdaVariable,
+  vrefVariable,
+  vsetVariable,
+  frefVariable,
+  fsetVariable,
+  drefVariable,
+  dsetVariable,
+  blockVariable,
+  returnFromVariable,
+  catchVariable,
+  throwVariable,
+  _handlerBindVariable,
+  unwindProtectVariable,
+  applyVariable,
+  multipleValueCallVariable,
+  multipleValueApplyVariable
+]);
+
+/******************/
+/* Heap Snapshots */
+/******************/
+
+// A heap snapshot is a JSON-compatible description of the global environment
+// (the packages and their variables with their value, function, and plist
+// cells) and of everything reachable from it (closures, lexical environments,
+// preprocessed forms, data, etc.). Each JavaScript object reachable from the
+// global environment is described by an element of the array objects and the
+// references to it are encoded as {r: <index>}, which preserves sharing and
+// cycles. The objects are described iteratively (not recursively) so that long
+// lists do not overflow the JavaScript stack.
+//
+// The closures and the forms they contain depend on the evaluator (macro calls
+// are replaced by their expansions, closures contain preprocessed forms under
+// the trampoline++ and compiling evaluators, and the mantle contains
+// evaluator-specific definitions), so a snapshot can only be restored by the
+// evaluator that took it.
+
+const SNAPSHOT_VERSION = 1;
+
+// The classes whose instances are described by their own properties.
+const snapshotClasses = new Map([
+  EVLInteger, EVLRatio, EVLFloat, EVLCharacter, EVLString, EVLCons, EVLVector,
+  EVLClosure, EVLCondition, Frame,
+  TrampolineppQuote, TrampolineppProgn, TrampolineppIf, TrampolineppForEach,
+  TrampolineppLambda, TrampolineppGRef, TrampolineppLRef, TrampolineppDRef,
+  TrampolineppGSet, TrampolineppLSet, TrampolineppDSet, TrampolineppBlock,
+  TrampolineppReturnFrom, TrampolineppCatch, TrampolineppThrow,
+  TrampolineppHandlerBind, TrampolineppUnwindProtect, TrampolineppMlet,
+  TrampolineppFunctionCall
+].map(constructor => [constructor.name, constructor]));
+
+// The objects that exist before any EVL file is evaluated.
+const snapshotSingletons = [EVLVoid.VOID, EVLBoolean.TRUE, EVLBoolean.FALSE, EVLEmptyList.NIL, nullDefiniteEnv, nullEnvironment];
+
+// The properties that are not included in the snapshot.
+const snapshotTransientProperties = new Set([
+  'compiledBody' // JavaScript function (the closure is compiled again on demand)
+]);
+
+function takeSnapshot(output) {
+  const objects = []; // descriptions
+  const indices = new Map(); // object -> index
+  const pending = []; // objects whose descriptions remain to be computed
+  const texts = []; // texts of the source locations
+  const textIndices = new Map(); // text -> index
+  const locations = []; // [object index, source, text index, start, end]
+  const encode = value => {
+    switch (typeof value) {
+      case 'number':
+        return Number.isFinite(value) && !Object.is(value, -0) ? value : {n: Object.is(value, -0) ? '-0' : String(value)};
+      case 'bigint':
+        return {b: value.toString()};
+      case 'string':
+      case 'boolean':
+        return value;
+      case 'undefined':
+        return {u: 0};
+      case 'object':
+        if (value === null) {
+          return null;
+        } else {
+          let index = indices.get(value);
+          if (index === undefined) {
+            indices.set(value, index = objects.length);
+            objects.push(null);
+            pending.push(value);
+          }
+          return {r: index};
+        }
+      default:
+        throw new SnapshotError(`A value of type ${typeof value} cannot be included in a snapshot.`);
+    }
+  };
+  const describe = object => {
+    const singletonIndex = snapshotSingletons.indexOf(object);
+    if (singletonIndex !== -1) {
+      return {t: 'singleton', i: singletonIndex};
+    } else if (Array.isArray(object)) {
+      return {t: 'array', v: object.map(encode)};
+    } else if (object instanceof EVLVariable) {
+      const {name, value, plist} = object;
+      const homePackage = object.package !== null ? object.package.name : null;
+      return {t: 'variable', name, package: homePackage, value: encode(value), function: encode(object.function), plist: encode(plist)};
+    } else if (object instanceof EVLKeyword) {
+      return {t: 'keyword', name: object.name, interned: keywordPackage.get(object.name) === object};
+    } else if (object instanceof EVLPrimitiveFunction) {
+      if (primitiveFunctionObjects.get(object.name) !== object) {
+        throw new SnapshotError(`The primitive function '${object.name}' cannot be included in a snapshot.`);
+      }
+      return {t: 'primitive-function', name: object.name};
+    } else if (object instanceof EVLHashTable) {
+      const entries = [];
+      for (const bucket of object.buckets.values()) {
+        for (const [key, value] of bucket) {
+          entries.push(encode(key), encode(value));
+        }
+      }
+      return {t: 'hash-table', test: object.test, entries};
+    } else if (snapshotClasses.get(object.constructor.name) === object.constructor) {
+      const properties = {};
+      for (const [key, value] of Object.entries(object)) {
+        if (!snapshotTransientProperties.has(key)) {
+          properties[key] = encode(value);
+        }
+      }
+      return {t: object.constructor.name, p: properties};
+    } else {
+      throw new SnapshotError(`An object of class ${object.constructor.name} cannot be included in a snapshot.`);
+    }
+  };
+  const packageDescriptions = [];
+  for (const variablePackage of packages.values()) {
+    const {name, uses, exports, exportsAll, locked} = variablePackage;
+    const variables = [];
+    for (const [variableName, variable] of variablePackage.variables) {
+      variables.push(variableName, encode(variable));
+    }
+    packageDescriptions.push({name, uses: uses.map(usedPackage => usedPackage.name), exports: Array.from(exports), exportsAll, locked, variables});
+  }
+  while (pending.length !== 0) {
+    const object = pending.pop();
+    const index = indices.get(object);
+    objects[index] = describe(object);
+    const location = sourceLocations.get(object);
+    if (location !== undefined) {
+      let textIndex = textIndices.get(location.text);
+      if (textIndex === undefined) {
+        textIndices.set(location.text, textIndex = texts.length);
+        texts.push(location.text);
+      }
+      locations.push([index, location.source, textIndex, location.start, location.end]);
+    }
+  }
+  return {
+    version: SNAPSHOT_VERSION,
+    evaluator: selectedEvaluator,
+    packages: packageDescriptions,
+    objects,
+    texts,
+    locations,
+    loadedFiles: Array.from(loadedFiles),
+    maxRecursionDepth: encode(maxRecursionDepth),
+    output
+  };
+}
+
+// Restores the global environment described by the snapshot and returns the
+// output of the initialization that preceded the snapshot. The variables that
+// already exist (the variables referenced by the implementation) are reused so
+// that their identity is preserved.
+function restoreSnapshot(snapshot) {
+  if (typeof snapshot !== 'object' || snapshot === null || snapshot.version !== SNAPSHOT_VERSION) {
+    throw new SnapshotError('The snapshot has an unsupported version.');
+  }
+  if (snapshot.evaluator !== selectedEvaluator) {
+    throw new SnapshotError(`The snapshot was taken by the ${snapshot.evaluator} evaluator.`);
+  }
+  for (const {name} of snapshot.packages) {
+    if (!packages.has(name)) {
+      packages.set(name, new Package(name, []));
+    }
+  }
+  const objects = [];
+  const decode = value => {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    } else if ('r' in value) {
+      return objects[value.r];
+    } else if ('n' in value) {
+      return value.n === '-0' ? -0 : Number(value.n);
+    } else if ('b' in value) {
+      return BigInt(value.b);
+    } else {
+      return undefined;
+    }
+  };
+  // first pass: create the objects
+  for (const description of snapshot.objects) {
+    switch (description.t) {
+      case 'singleton':
+        objects.push(snapshotSingletons[description.i]);
+        break;
+      case 'array':
+        objects.push(new Array(description.v.length));
+        break;
+      case 'variable': {
+        const {name} = description;
+        if (description.package === null) {
+          objects.push(new EVLVariable(name));
+        } else {
+          const homePackage = packages.get(description.package);
+          let variable = homePackage.variables.get(name);
+          if (variable === undefined || variable.package !== homePackage) {
+            variable = new EVLVariable(name, homePackage);
+          }
+          objects.push(variable);
+        }
+        break;
+      }
+      case 'keyword':
+        objects.push(description.interned ? internKeyword(description.name) : new EVLKeyword(description.name));
+        break;
+      case 'primitive-function': {
+        const fn = primitiveFunctionObjects.get(description.name);
+        if (fn === undefined) {
+          throw new SnapshotError(`The primitive function '${description.name}' is undefined.`);
+        }
+        objects.push(fn);
+        break;
+      }
+      case 'hash-table':
+        objects.push(new EVLHashTable(description.test));
+        break;
+      default: {
+        const constructor = snapshotClasses.get(description.t);
+        if (constructor === undefined) {
+          throw new SnapshotError(`The snapshot contains an object of unknown class ${description.t}.`);
+        }
+        objects.push(Object.create(constructor.prototype));
+      }
+    }
+  }
+  // second pass: fill the objects
+  snapshot.objects.forEach((description, index) => {
+    const object = objects[index];
+    switch (description.t) {
+      case 'array':
+        description.v.forEach((value, i) => object[i] = decode(value));
+        break;
+      case 'variable':
+        object.value = decode(description.value);
+        object.function = decode(description.function);
+        object.plist = decode(description.plist);
+        break;
+      case 'singleton':
+      case 'keyword':
+      case 'primitive-function':
+      case 'hash-table':
+        break;
+      default:
+        for (const [key, value] of Object.entries(description.p)) {
+          object[key] = decode(value);
+        }
+        if (object instanceof EVLClosure) {
+          object.compiledBody = null;
+        }
+    }
+  });
+  // third pass: fill the hash tables (the hash keys depend on the contents of the keys)
+  snapshot.objects.forEach((description, index) => {
+    if (description.t === 'hash-table') {
+      const {entries} = description;
+      for (let i = 0; i < entries.length; i += 2) {
+        objects[index].set(decode(entries[i]), decode(entries[i + 1]));
+      }
+    }
+  });
+  for (const {name, uses, exports, exportsAll, locked, variables} of snapshot.packages) {
+    const variablePackage = packages.get(name);
+    variablePackage.uses = uses.map(usedName => packages.get(usedName));
+    variablePackage.exports = new Set(exports);
+    variablePackage.exportsAll = exportsAll;
+    variablePackage.locked = locked;
+    for (let i = 0; i < variables.length; i += 2) {
+      variablePackage.variables.set(variables[i], decode(variables[i + 1]));
+    }
+  }
+  for (const [index, source, textIndex, start, end] of snapshot.locations) {
+    sourceLocations.set(objects[index], new SourceLocation(source, snapshot.texts[textIndex], start, end));
+  }
+  for (const pathname of snapshot.loadedFiles) {
+    loadedFiles.add(pathname);
+  }
+  if (collectingCoverage) {
+    // The closures restored from the snapshot have not been created by their constructor.
+    for (const object of objects) {
+      if (object instanceof EVLClosure) {
+        registerFunctionCoverage(object.serialForms);
+        nameFunctionCoverage(object);
+      }
+    }
+  }
+  maxRecursionDepth = decode(snapshot.maxRecursionDepth);
+  currentPackage = userPackage;
+  return snapshot.output;
+}
+
 /****************************/
 /* Interface (Command Line) */
 /****************************/
@@ -6907,11 +11225,13 @@ const evaluatorOptions = [
   '--oocps',
   '--sboocps',
   '--trampoline',
-  '--trampolinepp'
+  '--trampolinepp',
+  '--compiler'
 ];
 
 if (isRunningInsideNode) {
-  import('node:fs').then(fs => {
+  Promise.all([import('node:fs'), import('node:url')]).then(async ([fs, url]) => {
+    nodeFS = fs;
     const nargs = process.argv.length;
     let n = 2; // skip 'node' and 'core.js'
     selectedEvaluator = 'trampolinepp';
@@ -6919,16 +11239,43 @@ if (isRunningInsideNode) {
       selectedEvaluator = process.argv[n++].substring(2);
     }
     initializeFeatureList([selectedEvaluator]);
+    let limits = null; // the resource limits of the subsequent evaluations
     while (n < nargs) {
       const arg = process.argv[n++];
       switch (arg) {
+        case '--max-steps':
+        case '--timeout':
+        case '--max-conses': {
+          if (n === nargs) {
+            usage();
+          }
+          const limit = Number(process.argv[n++]);
+          if (!Number.isSafeInteger(limit) || limit <= 0) {
+            usage();
+          }
+          if (limits === null) {
+            limits = {maxSteps: null, timeout: null, maxConses: null};
+          }
+          switch (arg) {
+            case '--max-steps':
+              limits.maxSteps = limit;
+              break;
+            case '--timeout':
+              limits.timeout = limit;
+              break;
+            case '--max-conses':
+              limits.maxConses = limit;
+              break;
+          }
+          break;
+        }
         case '-l': {
           if (n === nargs) {
             usage();
           }
           const file = process.argv[n++];
           const fileContents = fs.readFileSync(file, 'utf8');
-          printToConsole(evaluateAllForms(fileContents));
+          printToConsole(evaluateAllForms(fileContents, file, limits));
           break;
         }
         case '-e': {
@@ -6936,7 +11283,77 @@ if (isRunningInsideNode) {
             usage();
           }
           const form = process.argv[n++];
-          printToConsole(evaluateFirstForm(form));
+          printToConsole(evaluateFirstForm(form, null, 0, false, limits));
+          break;
+        }
+        case '-m': {
+          if (n === nargs) {
+            usage();
+          }
+          const file = process.argv[n++];
+          try {
+            await loadJSModule(url.pathToFileURL(file).href);
+          } catch(exception) {
+            printToConsole(abortedOrError(exception));
+          }
+          break;
+        }
+        case '--profile': {
+          if (n === nargs) {
+            usage();
+          }
+          const file = process.argv[n++];
+          if (isAbruptCompletion(startProfiler())) {
+            usage();
+          }
+          // The profile is written even if an evaluation fails.
+          process.on('exit', () => {
+            stopProfiler();
+            fs.writeFileSync(file, JSON.stringify(profiler, null, 2) + '\n');
+          });
+          break;
+        }
+        case '--coverage': {
+          if (n === nargs) {
+            usage();
+          }
+          const file = process.argv[n++];
+          startCoverage();
+          // The coverage is written even if an evaluation fails.
+          process.on('exit', () => {
+            fs.writeFileSync(file, coverageToLCOV());
+          });
+          break;
+        }
+        case '--save-snapshot': {
+          if (n === nargs) {
+            usage();
+          }
+          const file = process.argv[n++];
+          try {
+            fs.writeFileSync(file, JSON.stringify(takeSnapshot([])));
+          } catch(exception) {
+            printToConsole(abortedOrError(exception));
+          }
+          break;
+        }
+        case '--load-snapshot': {
+          if (n === nargs) {
+            usage();
+          }
+          const file = process.argv[n++];
+          let snapshot = null;
+          try {
+            snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+          } catch(exception) {
+            printToConsole(abortedOrError(new SnapshotError(`The snapshot ${file} cannot be read: ${exception.message}`)));
+            break;
+          }
+          try {
+            printToConsole(success(restoreSnapshot(snapshot)));
+          } catch(exception) {
+            printToConsole(abortedOrError(exception));
+          }
           break;
         }
         case '--convert': {
@@ -6963,18 +11380,34 @@ function usage() {
   console.log('--sboocps: selects the stack-based object-oriented CPS evaluator');
   console.log('--trampoline: selects the trampoline evaluator');
   console.log('--trampolinepp: selects the trampoline++ evaluator (DEFAULT)');
+  console.log('--compiler: selects the compiling evaluator');
+  console.log('--max-steps <n>: limits the subsequent evaluations to n steps');
+  console.log('--timeout <ms>: limits the subsequent evaluations to ms milliseconds');
+  console.log('--max-conses <n>: limits the subsequent evaluations to n allocated conses');
   console.log('-l <file>: loads the EVL file');
   console.log('-e <form>: evaluates the form');
+  console.log('-m <module>: loads the JavaScript module');
+  console.log('--profile <file>: profiles the subsequent evaluations and writes the profile to the file in JSON (trampoline and trampolinepp only)');
+  console.log('--coverage <file>: collects coverage during the subsequent evaluations and writes it to the file in LCOV format');
+  console.log('--save-snapshot <file>: saves a snapshot of the global environment');
+  console.log('--load-snapshot <file>: restores a snapshot of the global environment');
   console.log('--convert <file>: converts the EVL file to XML');
   process.exit();
 }
 
 function printToConsole(response) {
+  flushOutput();
   switch (response.status) {
     case SUCCESS:
       console.log(response.output);
       break;
     case ERROR:
+      console.log(response.output);
+      if (response.backtrace !== undefined) {
+        response.backtrace.forEach(invocation => console.log('  at ' + invocation));
+      }
+      process.exit();
+    case RESOURCE_LIMIT_EXCEEDED:
       console.log(response.output);
       process.exit();
   }
@@ -0,0 +1,339 @@
+// SPDX-FileCopyrightText: Copyright (c) 2024-2026 Raphaël Van Dyck
+// SPDX-License-Identifier: BSD-3-Clause
+
+// Tests of the features of the evaluator that are exercised from the command
+// line or that depend on files (the fixtures are in the directory tests/fixtures
+// and the pathnames are relative to the root of the repository). The other
+// features are tested by the function run-tests of the mantle.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {execFileSync} from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const evaluators = ['directstyle', 'cps', 'oocps', 'sboocps', 'trampoline', 'trampolinepp', 'compiler'];
+
+// Runs system-files/core.js on the arguments and returns its standard output.
+function runCore(...args) {
+  return execFileSync(process.execPath, ['--stack-size=50000', 'system-files/core.js', ...args], {encoding: 'utf8'});
+}
+
+function runMantle(...args) {
+  return runCore('-l', 'system-files/mantle.evl', ...args);
+}
+
+const infiniteLoop = '(fletrec ((f (x) (f (cons x x)))) (f 1))';
+
+/*******************/
+/* Resource Limits */
+/*******************/
+
+for (const evaluator of evaluators) {
+  test(`--max-steps stops an infinite loop (${evaluator})`, () => {
+    const output = runCore(`--${evaluator}`, '-l', 'system-files/mantle.evl', '--max-steps', '1000', '-e', infiniteLoop);
+    assert.match(output, /ResourceLimitExceeded: The evaluation has exceeded the maximum number of steps \(1000\)\./);
+  });
+}
+
+test('--timeout stops an infinite loop', () => {
+  const output = runMantle('--timeout', '200', '-e', infiniteLoop);
+  assert.match(output, /ResourceLimitExceeded: The evaluation has exceeded the timeout \(200 ms\)\./);
+});
+
+test('--max-conses stops an infinite loop', () => {
+  const output = runMantle('--max-conses', '1000', '-e', infiniteLoop);
+  assert.match(output, /ResourceLimitExceeded: The evaluation has exceeded the maximum number of conses \(1000\)\./);
+});
+
+test('the limits apply to each evaluation separately', () => {
+  const form = '(fletrec ((f (n l) (if (= n 0) (car l) (f (- n 1) (cons n l))))) (f 400 \'()))';
+  const output = runMantle('--max-steps', '100000', '--max-conses', '2000', '-e', form, '-e', form, '-e', form);
+  assert.equal(output.match(/\[ '1' \]/g).length, 3);
+  assert.doesNotMatch(output, /ResourceLimitExceeded/);
+});
+
+test('the limits do not apply to the preceding evaluations', () => {
+  const form = '(fletrec ((f (n l) (if (= n 0) (car l) (f (- n 1) (cons n l))))) (f 2000 \'()))';
+  const output = runMantle('-e', form, '--max-conses', '1000', '-e', infiniteLoop);
+  assert.match(output, /\[ '1' \]/);
+  assert.match(output, /ResourceLimitExceeded/);
+});
+
+test('an invalid limit is rejected', () => {
+  const output = runCore('--max-steps', '0', '-e', '1');
+  assert.match(output, /^usage:/m);
+});
+
+/*****************************/
+/* Runtime Primitive Modules */
+/*****************************/
+
+for (const evaluator of evaluators) {
+  test(`-m defines the primitive functions of the module (${evaluator})`, () => {
+    const output = runCore(`--${evaluator}`, '-m', 'tests/fixtures/primitives.js', '-e', '(cons (fixture-add 1 2) (fixture-join "a" "b" "c"))');
+    assert.match(output, /\[ '\(3 \. "a-b-c"\)' \]/);
+  });
+}
+
+test('the arguments and the values of the primitive functions are converted', () => {
+  const output = runCore('-m', 'tests/fixtures/primitives.js', '-e', '(fixture-reverse \'(1 "a" #t))', '-e', '(fixture-join)');
+  assert.match(output, /\[ '#\(#t "a" 1\)' \]/);
+  assert.match(output, /\[ '""' \]/);
+});
+
+test('the arities of the primitive functions are checked', () => {
+  const output = runCore('-m', 'tests/fixtures/primitives.js', '-e', '(fixture-add 1)');
+  assert.match(output, /too-few-arguments/);
+});
+
+test('the exceptions thrown by the primitive functions are converted into errors', () => {
+  const output = runCore('-m', 'tests/fixtures/primitives.js', '-e', '(fixture-fail)');
+  assert.match(output, /js-error: A JavaScript exception was thrown: Error: fixture failure/);
+});
+
+test('the references of a cyclic array to itself are converted to js-objects', () => {
+  const output = runCore('-m', 'tests/fixtures/primitives.js',
+                         '-e', '(vector-ref (fixture-cyclic) 0)',
+                         '-e', '(vector-ref (vector-ref (fixture-cyclic) 1) 1)');
+  assert.match(output, /\[ '1' \]/);
+  assert.match(output, /\[ '#<js-object>' \]/);
+});
+
+test('js-global only gives access to the allowed global properties', () => {
+  const output = runCore('-m', 'tests/fixtures/primitives.js',
+                         '-e', '(js-get (js-global "fixtureGlobal") "answer")',
+                         '-e', '(js-global "process")',
+                         '-e', '(js-global "globalThis")');
+  assert.match(output, /\[ '42' \]\n\[ '#v' \]\n\[ '#v' \]/);
+});
+
+test('-m reports a missing module', () => {
+  const output = runCore('-m', 'tests/fixtures/missing.js', '-e', '1');
+  assert.match(output, /^JSModuleError: The JavaScript module .*missing\.js cannot be imported/m);
+  assert.doesNotMatch(output, /\[ '1' \]/);
+});
+
+test('-m reports a module without a default export', () => {
+  const output = runCore('-m', 'tests/fixtures/no-default-export.js');
+  assert.match(output, /^JSModuleError: The default export of the JavaScript module .*no-default-export\.js is not a function\./m);
+});
+
+test('-m reports an invalid definition of a primitive function', () => {
+  const output = runCore('-m', 'tests/fixtures/invalid-definition.js');
+  assert.match(output, /^JSModuleError: .* Invalid definition of the primitive function fixture-invalid\./m);
+});
+
+/***********/
+/* Loading */
+/***********/
+
+for (const evaluator of evaluators) {
+  test(`load evaluates the forms of the file (${evaluator})`, () => {
+    const output = runCore(`--${evaluator}`, '-l', 'system-files/mantle.evl', '-e', '(vdef *loads* 0)',
+                           '-e', '(load "tests/fixtures/load.evl")',
+                           '-e', '(list *loads* (load-fixture-square 3) load-fixture-nested)');
+    assert.match(output, /\[ '\(1 9 nested\)' \]/);
+  });
+}
+
+test('require loads the file only if it has not been loaded', () => {
+  const output = runMantle('-e', '(vdef *loads* 0)',
+                           '-e', '(list (require "tests/fixtures/load.evl") (require "./tests/fixtures/../fixtures/load.evl") *loads*)',
+                           '-e', '(list (load "tests/fixtures/load.evl") *loads*)');
+  assert.match(output, /\[ '\(#t #f 1\)' \]/);
+  assert.match(output, /\[ '\(#v 2\)' \]/);
+});
+
+test('an error in a loaded file reports the location of the failing form', () => {
+  const output = runMantle('-e', '(load "tests/fixtures/load-error.evl")');
+  assert.match(output, /tests\/fixtures\/load-error\.evl:3:1: EvaluatorError: argument-type-error: /);
+});
+
+test('an error in a file loaded by a loaded file reports the location in the innermost file', () => {
+  const output = runMantle('-e', '(load "tests/fixtures/load-nested-error.evl")');
+  assert.match(output, /tests\/fixtures\/load-error\.evl:3:1: EvaluatorError: argument-type-error: /);
+});
+
+for (const evaluator of evaluators) {
+  test(`an error in a nested call reports the location of the failing call (${evaluator})`, () => {
+    const output = runCore(`--${evaluator}`, '-l', 'system-files/mantle.evl', '-e', '(load "tests/fixtures/load-nested-call-error.evl")');
+    assert.match(output, /tests\/fixtures\/load-nested-call-error\.evl:2:3: EvaluatorError: argument-type-error: /);
+  });
+}
+
+test('the forms following the failing form are not evaluated', () => {
+  const output = runMantle('-e', '(list (ignore-errors (load "tests/fixtures/load-error.evl")) load-fixture-before-error)',
+                           '-e', 'load-fixture-after-error');
+  assert.match(output, /\[ '\(#v before\)' \]/);
+  assert.match(output, /unbound-variable: The variable 'load-fixture-after-error' is unbound/);
+});
+
+/************/
+/* Packages */
+/************/
+
+test('the forms of the user are read in the package evl-user, from which the functions of the mantle cannot be redefined', () => {
+  const output = runMantle('-e', '(current-package)',
+                           '-e', '(fdef list-append (x y) (quote clobbered))',
+                           '-e', '(list-append (quote (1)) (quote (2)))');
+  assert.match(output, /\[ '"evl-user"' \]/);
+  assert.match(output, /package-error: The function namespace binding of the variable 'list-append' of the locked package 'evl' cannot be modified from the package 'evl-user'\./);
+  assert.doesNotMatch(output, /clobbered/);
+});
+
+/**************/
+/* Backtraces */
+/**************/
+
+for (const evaluator of ['trampoline', 'trampolinepp']) {
+  test(`a backtrace names the closures after the function variables they were first bound to (${evaluator})`, () => {
+    const output = runCore(`--${evaluator}`, '-l', 'system-files/mantle.evl',
+                           '-e', '(fdef first-fn (x) (car x))',
+                           '-e', '(fset! second-fn (_vlambda (x) (cons (first-fn x) (quote ()))))',
+                           '-e', '(fset! third-fn (fref second-fn))',
+                           '-e', '(fset! fourth-fn (fref first-fn))',
+                           '-e', '(third-fn 2)');
+    assert.match(output, /EvaluatorError: argument-type-error: .*\n  at \(car 2\)\n  at \(first-fn 2\)\n  at \(second-fn 2\)\n/);
+  });
+}
+
+/************/
+/* Profiler */
+/************/
+
+for (const evaluator of ['trampoline', 'trampolinepp']) {
+  test(`--profile writes the call counts in JSON (${evaluator})`, t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'evlambda-'));
+    t.after(() => fs.rmSync(directory, {recursive: true}));
+    const file = path.join(directory, 'profile.json');
+    runCore(`--${evaluator}`, '-l', 'system-files/mantle.evl',
+            '-e', '(fdef fib (n) (if (< n 2) n (+ (fib (- n 1)) (fib (- n 2)))))',
+            '--profile', file, '-e', '(fib 5)', '-e', '(fib 3)');
+    const profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const calls = name => profile.functions.find(entry => entry.name === name).calls;
+    assert.equal(profile.evaluator, evaluator);
+    assert.equal(calls('fib'), 15 + 5);
+    assert.equal(calls('<'), 15 + 5);
+    assert.ok(profile.continuations.every(({type, count}) => typeof type === 'string' && count > 0));
+  });
+}
+
+for (const evaluator of ['trampoline', 'trampolinepp']) {
+  test(`--profile identifies the anonymous closures by their lambda abstractions (${evaluator})`, t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'evlambda-'));
+    t.after(() => fs.rmSync(directory, {recursive: true}));
+    const file = path.join(directory, 'profile.json');
+    runCore(`--${evaluator}`, '-l', 'system-files/mantle.evl', '-l', 'tests/fixtures/profile.evl',
+            '--profile', file, '-e', '(profile-fixture-run)');
+    const profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const closures = profile.functions.filter(entry => entry.name.startsWith('#<closure> tests/fixtures/profile.evl:'));
+    assert.deepEqual(closures.map(({name, calls}) => ({name, calls})).sort((entry1, entry2) => entry1.name < entry2.name ? -1 : 1), [
+      {name: '#<closure> tests/fixtures/profile.evl:3:45', calls: 2},
+      {name: '#<closure> tests/fixtures/profile.evl:4:45', calls: 2}
+    ]);
+  });
+}
+
+/************/
+/* Coverage */
+/************/
+
+const coverageForms = ['-e', '(load "tests/fixtures/coverage.evl")',
+                       '-e', '(coverage-fixture-sign 1)', '-e', '(coverage-fixture-sign 2)', '-e', '(coverage-fixture-sign 3)',
+                       '-e', '(coverage-fixture-constant)', '-e', '(coverage-fixture-same-branches 5)'];
+
+for (const evaluator of evaluators) {
+  test(`--coverage writes the counts in LCOV format (${evaluator})`, t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'evlambda-'));
+    t.after(() => fs.rmSync(directory, {recursive: true}));
+    const file = path.join(directory, 'coverage.info');
+    runCore(`--${evaluator}`, '-l', 'system-files/mantle.evl', '--coverage', file, ...coverageForms);
+    const lcov = fs.readFileSync(file, 'utf8');
+    const record = lcov.match(/^SF:.*tests\/fixtures\/coverage\.evl\n([^]*?)^end_of_record$/m)[1].split('\n');
+    // a function called three times, a function with an atom body called once and a function never called
+    assert.ok(record.includes('FN:2,coverage-fixture-sign'));
+    assert.ok(record.includes('FNDA:3,coverage-fixture-sign'));
+    assert.ok(record.includes('FN:6,coverage-fixture-constant'));
+    assert.ok(record.includes('FNDA:1,coverage-fixture-constant'));
+    assert.ok(record.includes('FN:9,coverage-fixture-unused'));
+    assert.ok(record.includes('FNDA:0,coverage-fixture-unused'));
+    assert.ok(record.includes('FNF:5'));
+    assert.ok(record.includes('FNH:4'));
+    // a branch not taken and a branch taken three times
+    const branches = record.filter(line => line.startsWith('BRDA:'));
+    const block = branches[0].split(',')[1];
+    assert.equal(branches[0], `BRDA:3,${block},0,0`);
+    assert.equal(branches[1], `BRDA:4,${block},1,3`);
+    // two branches sharing a source location remain distinct
+    const sharedBlock = branches[2].split(',')[1];
+    assert.notEqual(sharedBlock, block);
+    assert.equal(branches[2], `BRDA:16,${sharedBlock},0,0`);
+    assert.equal(branches[3], `BRDA:16,${sharedBlock},1,1`);
+    assert.equal(branches.length, 4);
+    assert.ok(record.includes('BRH:2'));
+    assert.ok(record.includes('DA:3,0'));
+    assert.ok(record.includes('DA:4,3'));
+  });
+}
+
+test('coverage-report lists the functions and the branches not evaluated', () => {
+  const output = runMantle('-e', '(coverage-start)', ...coverageForms, '-e', '(coverage-stop)', '-e', '(coverage-report)');
+  const report = output.slice(output.search(/^\S*tests\/fixtures\/coverage\.evl: /m)).split('\n');
+  assert.match(report[0], /tests\/fixtures\/coverage\.evl: 4\/5 functions, 2\/4 branches$/);
+  assert.deepEqual(report.slice(1, 4), [
+    '  3:7-3:16: branch not evaluated',
+    '  9:1-10:5: function coverage-fixture-unused not evaluated',
+    '  16:36-16:44: branch not evaluated'
+  ]);
+});
+
+/*************/
+/* Snapshots */
+/*************/
+
+const counterCall = '(apply (vref snapshot-counter) (quote ()))';
+
+for (const evaluator of evaluators) {
+  test(`a snapshot restores the closures, the property lists, and the hash tables (${evaluator})`, t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'evlambda-'));
+    t.after(() => fs.rmSync(directory, {recursive: true}));
+    const file = path.join(directory, 'snapshot.json');
+    runCore(`--${evaluator}`, '-l', 'system-files/mantle.evl',
+            '-e', '(vdef snapshot-counter (vlet ((n 0)) (vlambda () (vset! n (+ n 1)) n)))',
+            '-e', '(variable-plist-set! (quote snapshot-counter) :color (quote red))',
+            '-e', '(vdef snapshot-table (make-hash-table))',
+            '-e', '(hash-table-set! snapshot-table (quote a) 1)',
+            '-e', counterCall,
+            '--save-snapshot', file);
+    const output = runCore(`--${evaluator}`, '--load-snapshot', file,
+                           '-e', `(list ${counterCall} ${counterCall} (variable-plist-ref (quote snapshot-counter) :color) (hash-table-ref snapshot-table (quote a)))`,
+                           '-e', '(run-tests)');
+    assert.match(output, /\[ '\(2 3 red 1\)' \]/);
+    assert.match(output, /\[ '\d+', '\d+' \]/);
+    assert.doesNotMatch(output, /FAILED/);
+  });
+}
+
+for (const [description, form] of [['a js-object', '(vdef snapshot-object (js-global "Math"))'],
+                                   ['a continuation', '(vdef snapshot-continuation (call/cc (vlambda (k) k)))']]) {
+  test(`a snapshot is refused when the global environment contains ${description}`, t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'evlambda-'));
+    t.after(() => fs.rmSync(directory, {recursive: true}));
+    const file = path.join(directory, 'snapshot.json');
+    const output = runCore('--cps', '-l', 'system-files/mantle.evl', '-e', form, '--save-snapshot', file);
+    assert.match(output, /^SnapshotError: An object of class EVL(JSObject|Continuation) cannot be included in a snapshot\./m);
+    assert.equal(fs.existsSync(file), false);
+  });
+}
+
+test('--load-snapshot reports a malformed snapshot', t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'evlambda-'));
+  t.after(() => fs.rmSync(directory, {recursive: true}));
+  const file = path.join(directory, 'snapshot.json');
+  fs.writeFileSync(file, '{"version": 1, "objects": [');
+  const output = runCore('--load-snapshot', file, '-e', '1');
+  assert.match(output, /^SnapshotError: The snapshot .*snapshot\.json cannot be read: /m);
+  assert.doesNotMatch(output, /\[ '1' \]/);
+});
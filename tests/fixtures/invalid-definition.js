@@ -0,0 +1,9 @@
+// SPDX-FileCopyrightText: Copyright (c) 2024-2026 Raphaël Van Dyck
+// SPDX-License-Identifier: BSD-3-Clause
+
+// A JavaScript module defining a primitive function whose maximum arity is less
+// than its minimum arity.
+
+export default function(defineJSPrimitiveFunction) {
+  defineJSPrimitiveFunction('fixture-invalid', 2, 1, () => 0);
+}
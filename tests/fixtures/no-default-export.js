@@ -0,0 +1,7 @@
+// SPDX-FileCopyrightText: Copyright (c) 2024-2026 Raphaël Van Dyck
+// SPDX-License-Identifier: BSD-3-Clause
+
+// A JavaScript module without a default export.
+
+export function definePrimitiveFunctions() {
+}
@@ -0,0 +1,20 @@
+// SPDX-FileCopyrightText: Copyright (c) 2024-2026 Raphaël Van Dyck
+// SPDX-License-Identifier: BSD-3-Clause
+
+// A JavaScript module defining primitive functions and global properties (see
+// the option -m of the command-line interface of the evaluator).
+
+export default function(defineJSPrimitiveFunction, defineJSGlobal) {
+  defineJSPrimitiveFunction('fixture-add', 2, 2, ([x, y]) => x + y);
+  defineJSPrimitiveFunction('fixture-join', 0, null, strings => strings.join('-'));
+  defineJSPrimitiveFunction('fixture-reverse', 1, 1, ([array]) => array.toReversed());
+  defineJSPrimitiveFunction('fixture-fail', 0, 0, () => {
+    throw new Error('fixture failure');
+  });
+  defineJSPrimitiveFunction('fixture-cyclic', 0, 0, () => {
+    const array = [1];
+    array.push([2, array]);
+    return array;
+  });
+  defineJSGlobal('fixtureGlobal', {answer: 42});
+}
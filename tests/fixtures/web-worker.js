@@ -0,0 +1,20 @@
+// SPDX-FileCopyrightText: Copyright (c) 2024-2026 Raphaël Van Dyck
+// SPDX-License-Identifier: BSD-3-Clause
+
+// Runs system-files/core.js inside a worker thread, in a context emulating the
+// global scope of a web worker (there is no process object, the messages are
+// sent using the function postMessage, and the messages are received by the
+// function onmessage), so that the tests can exercise the interface used by
+// the IDE.
+
+import {parentPort} from 'node:worker_threads';
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+const context = vm.createContext({
+  console,
+  postMessage: message => parentPort.postMessage(message)
+});
+const coreURL = new URL('../../system-files/core.js', import.meta.url);
+vm.runInContext(fs.readFileSync(coreURL, 'utf8'), context, {filename: coreURL.pathname});
+parentPort.on('message', data => context.onmessage({data}));
@@ -0,0 +1,213 @@
+// SPDX-FileCopyrightText: Copyright (c) 2024-2026 Raphaël Van Dyck
+// SPDX-License-Identifier: BSD-3-Clause
+
+// Tests of the features of the evaluator that are exercised through the
+// interface used by the IDE (the requests and the responses exchanged with the
+// web worker and the shared arrays abortSignalArray and debugSignalArray). The
+// web worker is emulated by the fixture tests/fixtures/web-worker.js.
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {Worker} from 'node:worker_threads';
+import fs from 'node:fs';
+
+const SUCCESS = 1;
+const ERROR = 2;
+const ABORTED = 3;
+const PAUSED = 6;
+
+const INITIALIZE = 0;
+const EVALUATE_FIRST_FORM = 1;
+const SET_BREAKPOINTS = 4;
+
+const DEBUG_STEP = 1;
+const DEBUG_NEXT = 2;
+const DEBUG_CONTINUE = 3;
+
+const evaluators = ['directstyle', 'cps', 'oocps', 'sboocps', 'trampoline', 'trampolinepp', 'compiler'];
+
+const mantle = {source: 'system-files/mantle.evl', text: fs.readFileSync('system-files/mantle.evl', 'utf8')};
+
+// An evaluator running in an emulated web worker, terminated at the end of the test.
+class Evaluator {
+  constructor(t) {
+    this.abortSignalBuffer = new SharedArrayBuffer(1);
+    this.abortSignalArray = new Uint8Array(this.abortSignalBuffer);
+    this.debugSignalBuffer = new SharedArrayBuffer(65536);
+    this.debugSignalArray = new Int32Array(this.debugSignalBuffer);
+    this.worker = new Worker(new URL('fixtures/web-worker.js', import.meta.url), {resourceLimits: {stackSizeMb: 256}});
+    this.jobId = 0;
+    this.jobs = new Map(); // id -> resolve function of the promise of the response
+    this.pauses = []; // outputs of the PAUSED messages not yet awaited
+    this.pauseResolve = null; // resolve function of the promise of the next PAUSED message
+    this.worker.on('message', message => {
+      if (message.status === PAUSED) {
+        if (this.pauseResolve !== null) {
+          this.pauseResolve(message.output);
+          this.pauseResolve = null;
+        } else {
+          this.pauses.push(message.output);
+        }
+        return;
+      }
+      const resolve = this.jobs.get(message.id);
+      if (resolve !== undefined) {
+        this.jobs.delete(message.id);
+        resolve(message);
+      }
+    });
+    t.after(() => this.worker.terminate());
+  }
+  // Sends a request and returns a promise of the response.
+  request(action, input) {
+    const id = this.jobId++;
+    this.worker.postMessage({id, action, input});
+    return new Promise(resolve => this.jobs.set(id, resolve));
+  }
+  initialize(selectedEvaluator, evlFiles = [mantle], options = {}) {
+    const {abortSignalBuffer, debugSignalBuffer} = this;
+    return this.request(INITIALIZE, {abortSignalBuffer, debugSignalBuffer, selectedEvaluator, evlFiles, ...options});
+  }
+  evaluateFirstForm(text, limits = null, source = null, step = false) {
+    return this.request(EVALUATE_FIRST_FORM, {text, source, start: 0, step, limits});
+  }
+  setBreakpoints(functions, forms = []) {
+    return this.request(SET_BREAKPOINTS, {functions, forms});
+  }
+  // Returns a promise of the output of the next PAUSED message, or of the
+  // response if the evaluation completes without pausing.
+  paused(response) {
+    if (this.pauses.length !== 0) {
+      return Promise.resolve(this.pauses.shift());
+    }
+    return Promise.race([new Promise(resolve => this.pauseResolve = resolve), response]);
+  }
+  // Resumes a paused evaluation like the IDE, optionally carrying new breakpoints.
+  debuggerCommand(command, breakpoints = null) {
+    if (breakpoints !== null) {
+      const json = JSON.stringify(breakpoints);
+      const codeUnits = new Uint16Array(this.debugSignalBuffer, 8, json.length);
+      for (let i = 0; i < json.length; i++) {
+        codeUnits[i] = json.charCodeAt(i);
+      }
+      Atomics.store(this.debugSignalArray, 1, json.length);
+    }
+    Atomics.store(this.debugSignalArray, 0, command);
+    Atomics.notify(this.debugSignalArray, 0);
+  }
+}
+
+/*********/
+/* Abort */
+/*********/
+
+for (const evaluator of evaluators) {
+  test(`an abort stops a long evaluation (${evaluator})`, async t => {
+    const worker = new Evaluator(t);
+    assert.equal((await worker.initialize(evaluator)).status, SUCCESS);
+    const response = worker.evaluateFirstForm('(loop)');
+    // The abort signal is cleared when the evaluation starts, so it is set repeatedly until the evaluation stops.
+    const timer = setInterval(() => worker.abortSignalArray[0] = 1, 100);
+    try {
+      assert.deepEqual(await response, {id: 1, status: ABORTED});
+    } finally {
+      clearInterval(timer);
+    }
+    assert.deepEqual(await worker.evaluateFirstForm('(+ 1 2)'), {id: 2, status: SUCCESS, output: ['3']});
+  });
+}
+
+/************/
+/* Debugger */
+/************/
+
+const debugFixture = '(fdef debug-fixture-square (x)\n  (* x x))';
+
+// Evaluates the definition of the function debug-fixture-square, whose body is
+// at line 2 and column 3 of debug.evl, then starts evaluating the form.
+async function debug(worker, text, step) {
+  assert.equal((await worker.initialize('trampolinepp')).status, SUCCESS);
+  assert.equal((await worker.evaluateFirstForm(debugFixture, null, 'debug.evl')).status, SUCCESS);
+  return worker.evaluateFirstForm(text, null, 'call.evl', step);
+}
+
+function assertPaused(output, reason, form, source, line, column) {
+  assert.equal(output.reason, reason);
+  assert.equal(output.form, form);
+  assert.deepEqual([output.location.source, output.location.line, output.location.column], [source, line, column]);
+}
+
+test('the debugger commands step into and over the forms', async t => {
+  const worker = new Evaluator(t);
+  const response = debug(worker, '(debug-fixture-square (+ 1 2))', true);
+  assertPaused(await worker.paused(response), 'step', '(debug-fixture-square (+ 1 2))', 'call.evl', 1, 1);
+  worker.debuggerCommand(DEBUG_STEP);
+  assertPaused(await worker.paused(response), 'step', '(+ 1 2)', 'call.evl', 1, 23);
+  worker.debuggerCommand(DEBUG_NEXT);
+  const output = await worker.paused(response);
+  assertPaused(output, 'step', '(* x x)', 'debug.evl', 2, 3);
+  assert.deepEqual(output.backtrace, ['(debug-fixture-square 3)']);
+  worker.debuggerCommand(DEBUG_CONTINUE);
+  assert.deepEqual(await response, {id: 2, status: SUCCESS, output: ['9']});
+});
+
+test('the debugger pauses at the form breakpoints set by the request SET_BREAKPOINTS', async t => {
+  const worker = new Evaluator(t);
+  assert.equal((await worker.initialize('trampolinepp')).status, SUCCESS);
+  assert.equal((await worker.setBreakpoints([], [{source: 'debug.evl', position: 33}])).status, SUCCESS);
+  assert.equal((await worker.evaluateFirstForm(debugFixture, null, 'debug.evl')).status, SUCCESS);
+  const response = worker.evaluateFirstForm('(debug-fixture-square 3)', null, 'call.evl');
+  assertPaused(await worker.paused(response), 'form breakpoint', '(* x x)', 'debug.evl', 2, 3);
+  worker.debuggerCommand(DEBUG_CONTINUE);
+  assert.deepEqual(await response, {id: 3, status: SUCCESS, output: ['9']});
+});
+
+test('the breakpoints changed during a pause are carried by the debugger command', async t => {
+  const worker = new Evaluator(t);
+  const response = debug(worker, '(list (debug-fixture-square 1) (debug-fixture-square 2))', true);
+  assertPaused(await worker.paused(response), 'step', '(list (debug-fixture-square 1) (debug-fixture-square 2))', 'call.evl', 1, 1);
+  worker.debuggerCommand(DEBUG_CONTINUE, {functions: ['debug-fixture-square'], forms: []});
+  const output = await worker.paused(response);
+  assertPaused(output, 'function breakpoint', '(* x x)', 'debug.evl', 2, 3);
+  assert.deepEqual(output.backtrace, ['(debug-fixture-square 1)']);
+  worker.debuggerCommand(DEBUG_CONTINUE, {functions: [], forms: []});
+  assert.deepEqual(await response, {id: 2, status: SUCCESS, output: ['(1 4)']});
+});
+
+/*************/
+/* Snapshots */
+/*************/
+
+test('the request INITIALIZE returns the reason why the snapshot could not be taken', async t => {
+  const worker = new Evaluator(t);
+  const evlFiles = [{source: 'js-object.evl', text: '(vset! snapshot-object (js-global "Math"))'}];
+  const response = await worker.initialize('trampolinepp', evlFiles, {takeSnapshot: true});
+  assert.equal(response.status, SUCCESS);
+  assert.equal(response.snapshot, undefined);
+  assert.equal(response.snapshotError, 'SnapshotError: An object of class EVLJSObject cannot be included in a snapshot.');
+});
+
+/************/
+/* Packages */
+/************/
+
+test('the functions of the mantle cannot be redefined after the initialization', async t => {
+  const worker = new Evaluator(t);
+  assert.equal((await worker.initialize('trampolinepp')).status, SUCCESS);
+  assert.deepEqual(await worker.evaluateFirstForm('(current-package)'), {id: 1, status: SUCCESS, output: ['"evl-user"']});
+  const response = await worker.evaluateFirstForm('(fdef list-append (x y) \'clobbered)');
+  assert.equal(response.status, ERROR);
+  assert.match(response.output, /^EvaluatorError: package-error: /);
+  assert.deepEqual(await worker.evaluateFirstForm('(list-append \'(1) \'(2))'), {id: 3, status: SUCCESS, output: ['(1 2)']});
+});
+
+/******************************/
+/* Foreign Function Interface */
+/******************************/
+
+test('the request INITIALIZE configures the global properties accessible through js-global', async t => {
+  const worker = new Evaluator(t);
+  assert.equal((await worker.initialize('trampolinepp', [], {jsGlobals: ['JSON']})).status, SUCCESS);
+  assert.deepEqual(await worker.evaluateFirstForm('(js-object? (js-global "JSON"))'), {id: 1, status: SUCCESS, output: ['#t']});
+  assert.deepEqual(await worker.evaluateFirstForm('(js-global "Math")'), {id: 2, status: SUCCESS, output: ['#v']});
+});